@@ -35,6 +35,22 @@ interface IAddressesProvider {
 
     function setExchangeOrderListImpl(address exchangeOrderList, bytes memory params) external;
 
+    function getAuctionList() external view returns (address);
+
+    function setAuctionListImpl(address auctionList, bytes memory params) external;
+
+    function getOfferList() external view returns (address);
+
+    function setOfferListImpl(address offerList, bytes memory params) external;
+
+    function getBundleList() external view returns (address);
+
+    function setBundleListImpl(address bundleList, bytes memory params) external;
+
+    function getTradeStats() external view returns (address);
+
+    function setTradeStatsImpl(address tradeStats, bytes memory params) external;
+
     function getVault() external view returns (address);
 
     function setVaultImpl(address vault, bytes memory params) external;
@@ -46,4 +62,18 @@ interface IAddressesProvider {
     function getAdmin() external view returns (address);
 
     function setAdmin(address admin) external;
+
+    function getRootRouter() external view returns (address);
+
+    function setRootRouter(address rootRouter) external;
+
+    function getPauseGuardian() external view returns (address);
+
+    function setPauseGuardian(address pauseGuardian) external;
+
+    function pause(bytes32 group) external;
+
+    function unpause(bytes32 group) external;
+
+    function isPaused(bytes32 group) external view returns (bool);
 }
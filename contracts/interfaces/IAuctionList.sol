@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../libraries/types/AuctionType.sol";
+
+/**
+ * @title Interface of AuctionList contract
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+interface IAuctionList {
+    function addAuction(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address payable seller,
+        address token,
+        uint256 reservePrice,
+        uint256 minBidIncrement,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 extensionDuration
+    ) external;
+
+    function deactiveAuction(uint256 auctionId) external;
+
+    function bid(
+        uint256 auctionId,
+        address bidder,
+        uint256 bidAmount
+    ) external;
+
+    function completeAuction(uint256 auctionId) external;
+
+    function getAuctionById(uint256 auctionId) external view returns (AuctionType.Auction memory);
+
+    function getAuctionsByIdList(uint256[] memory idList)
+        external
+        view
+        returns (AuctionType.Auction[] memory);
+
+    function getAuctionCount() external view returns (uint256);
+
+    function getAvailableAuctionsIdList()
+        external
+        view
+        returns (uint256[] memory erc721, uint256[] memory erc1155);
+
+    function getAllAuctionsIdListByUser(address user) external view returns (uint256[] memory);
+
+    function getAvailableAuctionsIdListByUser(address user)
+        external
+        view
+        returns (uint256[] memory erc721, uint256[] memory erc1155);
+
+    function getAllAuctionsIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory);
+
+    function getAvailableAuctionsIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory);
+
+    function getAuctionsWonIdListByUser(address user) external view returns (uint256[] memory);
+}
@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../libraries/types/BundleType.sol";
+
+/**
+ * @title Interface of BundleList contract
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+interface IBundleList {
+    function addBundle(
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory amounts,
+        address payable seller,
+        uint256 price,
+        address token
+    ) external;
+
+    function deactiveBundle(uint256 bundleId) external;
+
+    function completeBundle(uint256 bundleId, address buyer) external;
+
+    function getBundleById(uint256 bundleId) external view returns (BundleType.Bundle memory);
+
+    function getBundlesByIdList(uint256[] memory idList)
+        external
+        view
+        returns (BundleType.Bundle[] memory result);
+
+    function getBundleCount() external view returns (uint256);
+
+    function getAvailableBundlesIdList() external view returns (uint256[] memory);
+
+    function getAllBundlesIdListByUser(address user) external view returns (uint256[] memory);
+
+    function getAvailableBundlesIdListByUser(address user) external view returns (uint256[] memory);
+
+    function getAllBundlesIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory);
+
+    function getAvailableBundlesIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory);
+
+    function getBundlesBoughtIdListByUser(address user) external view returns (uint256[] memory);
+}
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.0;
 
 import "../libraries/types/ExchangeOrderType.sol";
+import "../libraries/types/CounterOfferType.sol";
 
 /**
  * @title Interface of ExchangeOrderList contract
@@ -24,14 +25,44 @@ interface IExchangeOrderList {
     function completeExchangeOrder(
         uint256 exchangeId,
         uint256 destinationId,
-        address buyer
+        address buyer,
+        uint256 amount
     ) external;
 
+    function updateExpiry(uint256 exchangeId, uint256 expiry) external;
+
+    function reserveExchangeOrder(uint256 exchangeId, address[] memory allowedBuyers) external;
+
+    function setExchangeOrderSides(
+        uint256 exchangeId,
+        uint256 sourceCount,
+        bool isDestinationSet
+    ) external;
+
+    function addCounterOffer(
+        uint256 exchangeId,
+        address taker,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 nftAmount,
+        address token,
+        uint256 price
+    ) external;
+
+    function acceptCounterOffer(uint256 counterOfferId) external;
+
+    function deactiveCounterOffer(uint256 counterOfferId) external;
+
     function getExchangeOrderById(uint256 exchangeId)
         external
         view
         returns (ExchangeOrderType.ExchangeOrder memory);
 
+    function getExchangeOrderOptionsById(uint256 exchangeId)
+        external
+        view
+        returns (ExchangeOrderType.ExchangeOrderOptions memory);
+
     function getExchangeOrdersByIdList(uint256[] memory idList)
         external
         view
@@ -110,6 +141,23 @@ interface IExchangeOrderList {
         view
         returns (uint256[] memory);
 
+    function getReservedExchangeOrdersIdListByUser(address user)
+        external
+        view
+        returns (uint256[] memory);
+
+    function getCounterOfferById(uint256 counterOfferId)
+        external
+        view
+        returns (CounterOfferType.CounterOffer memory);
+
+    function getCounterOfferCount() external view returns (uint256);
+
+    function getCounterOffersIdListByExchangeId(uint256 exchangeId)
+        external
+        view
+        returns (uint256[] memory);
+
     function getLatestExchangeIdERC721(address nftAddress, uint256 tokenId)
         external
         view
@@ -30,4 +30,19 @@ interface INFTList {
     function getAcceptedNFTs() external view returns (address[] memory);
 
     function isAcceptedNFT(address nftAddress) external view returns (bool);
+
+    function flagToken(
+        address nftAddress,
+        uint256 tokenId,
+        string memory reason
+    ) external;
+
+    function unflagToken(address nftAddress, uint256 tokenId) external;
+
+    function isTokenFlagged(address nftAddress, uint256 tokenId) external view returns (bool);
+
+    function getFlagReason(address nftAddress, uint256 tokenId)
+        external
+        view
+        returns (string memory);
 }
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../libraries/types/OfferType.sol";
+
+/**
+ * @title Interface of OfferList contract
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+interface IOfferList {
+    function addOffer(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address buyer,
+        address token,
+        uint256 price,
+        uint256 expiry
+    ) external;
+
+    function addCollectionOffer(
+        address nftAddress,
+        uint256 quantity,
+        address buyer,
+        address token,
+        uint256 price,
+        uint256 expiry
+    ) external;
+
+    function deactiveOffer(uint256 offerId) external;
+
+    function completeOffer(uint256 offerId, address seller) external;
+
+    function fillOffer(
+        uint256 offerId,
+        address seller,
+        uint256 tokenId,
+        uint256 amount
+    ) external;
+
+    function getOfferById(uint256 offerId) external view returns (OfferType.Offer memory);
+
+    function getOffersByIdList(uint256[] memory idList)
+        external
+        view
+        returns (OfferType.Offer[] memory result);
+
+    function getOfferCount() external view returns (uint256);
+
+    function getAvailableOffersIdList() external view returns (uint256[] memory);
+
+    function getAllOffersIdListByUser(address user) external view returns (uint256[] memory);
+
+    function getAvailableOffersIdListByUser(address user) external view returns (uint256[] memory);
+
+    function getAllOffersIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory);
+
+    function getAvailableOffersIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory);
+
+    function getAllOffersIdListByTokenId(address nftAddress, uint256 tokenId)
+        external
+        view
+        returns (uint256[] memory);
+
+    function getAvailableOffersIdListByTokenId(address nftAddress, uint256 tokenId)
+        external
+        view
+        returns (uint256[] memory);
+
+    function getAvailableCollectionOffersIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory);
+
+    function getAcceptedOffersIdListByUser(address user) external view returns (uint256[] memory);
+}
@@ -18,6 +18,18 @@ interface ISellOrderList {
         address token
     ) external;
 
+    function addDutchSellOrder(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address payable seller,
+        uint256 startPrice,
+        uint256 endPrice,
+        address token,
+        uint256 decayStartTime,
+        uint256 decayEndTime
+    ) external;
+
     function deactiveSellOrder(uint256 sellId) external;
 
     function completeSellOrder(
@@ -28,11 +40,24 @@ interface ISellOrderList {
 
     function updatePrice(uint256 sellId, uint256 newPrice) external;
 
+    function updateExpiry(uint256 sellId, uint256 expiry) external;
+
+    function reserveSellOrder(uint256 sellId, address[] memory allowedBuyers) external;
+
+    function setNonCustodial(uint256 sellId, uint256 nonce) external;
+
     function getSellOrderById(uint256 sellId)
         external
         view
         returns (SellOrderType.SellOrder memory);
 
+    function getSellOrderOptionsById(uint256 sellId)
+        external
+        view
+        returns (SellOrderType.SellOrderOptions memory);
+
+    function getCurrentPrice(uint256 sellId) external view returns (uint256);
+
     function getSellOrdersByIdList(uint256[] memory idList)
         external
         view
@@ -101,6 +126,11 @@ interface ISellOrderList {
 
     function getSellOrdersBoughtIdListByUser(address user) external view returns (uint256[] memory);
 
+    function getReservedSellOrdersIdListByUser(address user)
+        external
+        view
+        returns (uint256[] memory);
+
     function getLatestSellIdERC721(address nftAddress, uint256 tokenId)
         external
         view
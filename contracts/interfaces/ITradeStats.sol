@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../libraries/types/FeeType.sol";
+
+/**
+ * @title Interface of TradeStats contract
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+interface ITradeStats {
+    function recordTrade(
+        address seller,
+        address buyer,
+        address token,
+        uint256 amount
+    ) external;
+
+    function setVolumePeriod(uint256 volumePeriod) external;
+
+    function setVolumeFeeTiers(
+        address token,
+        uint256[] memory thresholds,
+        uint256[] memory discountsBps
+    ) external;
+
+    function setMomaHolderFeeTiers(uint256[] memory thresholds, uint256[] memory discountsBps)
+        external;
+
+    function getVolumePeriod() external view returns (uint256);
+
+    function getRollingVolume(address trader, address token) external view returns (uint256);
+
+    function getVolumeFeeTiers(address token) external view returns (FeeType.FeeTier[] memory);
+
+    function getMomaHolderFeeTiers() external view returns (FeeType.FeeTier[] memory);
+
+    function getFeeDiscount(address trader, address token) external view returns (uint256);
+
+    function getDiscountedFee(
+        address trader,
+        address token,
+        uint256 fee
+    ) external view returns (uint256);
+}
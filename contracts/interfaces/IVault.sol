@@ -17,6 +17,25 @@ interface IVault {
         uint256 amount
     ) external payable;
 
+    function depositWithReferrer(
+        address nftAddress,
+        address seller,
+        address buyer,
+        address token,
+        uint256 amount,
+        address referrer,
+        bool isErc2981RoyaltyPaid
+    ) external payable;
+
+    function depositBundle(
+        address[] memory nftAddresses,
+        uint256[] memory weights,
+        address seller,
+        address buyer,
+        address token,
+        uint256 amount
+    ) external payable;
+
     function withdrawFund(
         address token,
         uint256 amount,
@@ -30,6 +49,42 @@ interface IVault {
         address payable receiver
     ) external;
 
+    function payNative(address payee) external payable;
+
+    function creditMatcherBounty(
+        address matcher,
+        address token,
+        uint256 amount
+    ) external;
+
+    function withdrawPendingWithdrawal(address payable receiver) external;
+
+    function setMaxDirectPayout(uint256 maxDirectPayout) external;
+
+    function setErc2981RoyaltyCap(uint256 numerator, uint256 denominator) external;
+
+    function withdrawClaimableRoyalty(
+        address token,
+        uint256 amount,
+        address payable receiver
+    ) external;
+
+    function setCollectionRoyalty(address nftAddress, uint256 royaltyBps) external;
+
+    function setRoyaltySplit(
+        address nftAddress,
+        address[] memory recipients,
+        uint256[] memory shares
+    ) external;
+
+    function setRoyaltyBounds(uint256 minRoyaltyBps, uint256 maxRoyaltyBps) external;
+
+    function claimReferralBalance(
+        address token,
+        uint256 amount,
+        address payable receiver
+    ) external;
+
     function withrawRewardToken(
         address rewardToken,
         uint256 amount,
@@ -45,6 +100,8 @@ interface IVault {
 
     function updateRoyaltyParameters(uint256 numerator, uint256 denominator) external;
 
+    function updateReferralParameters(uint256 numerator, uint256 denominator) external;
+
     function getCurrentRate() external view returns (uint256);
 
     function getCurrentPeriod() external view returns (uint256);
@@ -60,5 +117,37 @@ interface IVault {
 
     function getRoyaltyParameters() external view returns (uint256, uint256);
 
+    function getPendingWithdrawal(address payee) external view returns (uint256);
+
+    function getMaxDirectPayout() external view returns (uint256);
+
+    function getCollectionRoyalty(address nftAddress)
+        external
+        view
+        returns (bool isSet, uint256 royaltyBps);
+
+    function getRoyaltyBounds() external view returns (uint256, uint256);
+
+    function getRoyaltySplit(address nftAddress)
+        external
+        view
+        returns (address[] memory recipients, uint256[] memory shares);
+
+    function getClaimableRoyalty(address recipient, address token) external view returns (uint256);
+
+    function getReferralParameters() external view returns (uint256, uint256);
+
+    function getReferralBalance(address referrer, address token) external view returns (uint256);
+
+    function getReferralEarned(address referrer, address token) external view returns (uint256);
+
+    function getErc2981RoyaltyCap() external view returns (uint256, uint256);
+
+    function getErc2981Royalty(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 salePrice
+    ) external view returns (address receiver, uint256 royaltyAmount);
+
     function checkRewardIsActive() external view returns (bool);
 }
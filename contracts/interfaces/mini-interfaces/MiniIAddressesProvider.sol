@@ -17,9 +17,25 @@ interface MiniIAddressesProvider {
 
     function getExchangeOrderList() external view returns (address);
 
+    function getAuctionList() external view returns (address);
+
+    function getOfferList() external view returns (address);
+
+    function getBundleList() external view returns (address);
+
+    function getTradeStats() external view returns (address);
+
     function getVault() external view returns (address);
 
     function getCreativeStudio() external view returns (address);
 
     function getAdmin() external view returns (address);
+
+    function getRootRouter() external view returns (address);
+
+    function getPauseGuardian() external view returns (address);
+
+    function isPaused(bytes32 group) external view returns (bool);
+
+    function owner() external view returns (address);
 }
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+/**
+ * @title Interface of the NFT Royalty Standard, EIP-2981
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+interface MiniIERC2981 {
+    function royaltyInfo(uint256 tokenId, uint256 salePrice)
+        external
+        view
+        returns (address receiver, uint256 royaltyAmount);
+}
@@ -18,4 +18,6 @@ interface MiniINFTList {
     function getAcceptedNFTs() external view returns (address[] memory);
 
     function isAcceptedNFT(address nftAddress) external view returns (bool);
+
+    function isTokenFlagged(address nftAddress, uint256 tokenId) external view returns (bool);
 }
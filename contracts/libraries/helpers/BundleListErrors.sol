@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+library BundleListErrors {
+    string public constant CALLER_NOT_MARKET = "Caller is not the market";
+    string public constant TOKEN_FLAGGED = "Token is flagged"; // 'The nft token must not be flagged by market admin'
+}
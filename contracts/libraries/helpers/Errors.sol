@@ -56,4 +56,10 @@ library Errors {
     string public constant INVALID_CALLDATA = "Invalid call data"; // 'Invalid call data'
     string public constant INVALID_DESTINATION = "Invalid destination"; // 'Invalid destination id'
     string public constant INVALID_BENEFICIARY = "Invalid beneficiary";
+    string public constant TRANSFER_FAILED = "Transfer failed"; // 'The transfer of native coin must succeed'
+    string public constant ROYALTY_OUT_OF_BOUNDS = "Royalty out of bounds"; // 'The royalty rate must be within admin bounds'
+    string public constant INVALID_ROYALTY_SPLIT = "Invalid royalty split"; // 'The shares of recipients must sum to 10000 basis points'
+    string public constant FUNCTION_PAUSED = "Function is paused"; // 'The function group must not be halted by the pause guardian'
+    string public constant TOKEN_NOT_FLAGGED = "Token is not flagged"; // 'The token must be flagged to be unflagged'
+    string public constant CALLER_NOT_PAUSE_GUARDIAN = "Caller is not pause guardian"; // 'The caller must be the pause guardian or the owner'
 }
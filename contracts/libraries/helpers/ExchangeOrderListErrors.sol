@@ -3,4 +3,6 @@ pragma solidity ^0.8.0;
 
 library ExchangeOrderListErrors {
     string public constant CALLER_NOT_MARKET = "Caller is not the market";
+    string public constant FUNCTION_PAUSED = "Function is paused"; // 'The function group must not be halted by the pause guardian'
+    string public constant TOKEN_FLAGGED = "Token is flagged"; // 'The nft token must not be flagged by market admin'
 }
@@ -21,10 +21,51 @@ library MarketErrors {
     string public constant CALLER_IS_SELLER = "Caller is seller"; // 'The caller must be not the seller'
     string public constant AMOUNT_IS_NOT_ENOUGH = "Amount is not enough"; // 'Amount is not enough'
     string public constant VALUE_NOT_EQUAL_PRICE = "Msg.value is not equal price"; // 'The msg.value must equal price'
+    string public constant VALUE_LESS_THAN_PRICE = "Msg.value is less than price"; // 'The msg.value must be equal or greater than price'
     string public constant PRICE_NOT_CHANGE = "Price is not change"; // 'The new price must be not equal price'
     string public constant PARAMETERS_NOT_MATCH = "The parameters are not match"; // 'The parameters must be match'
     string public constant INVALID_CALLDATA = "Invalid call data"; // 'Invalid call data'
     string public constant EXCHANGE_ORDER_DUPLICATE = "Exchange order is duplicate"; // 'The exchange order must be unique'
     string public constant INVALID_DESTINATION = "Invalid destination"; // 'Invalid destination id'
+    string public constant EXCHANGE_ORDERS_NOT_MATCH = "Exchange orders are not match"; // 'Each exchange order must give the destination nft the other asks for'
+    string public constant INVALID_FILL_AMOUNT = "Invalid fill amount"; // 'The destination nft must be given in whole units for the amount'
     string public constant EXCHANGE_ORDER_NOT_ACTIVE = "Exchange order is not active";
+    string public constant INVALID_AUCTION_TIME = "Invalid auction time"; // 'The auction must end after it starts and in the future'
+    string public constant AUCTION_NOT_ACTIVE = "Auction is not active"; // 'The auction must be active'
+    string public constant AUCTION_NOT_STARTED = "Auction is not started"; // 'The auction must be started'
+    string public constant AUCTION_ENDED = "Auction ended"; // 'The auction must be not ended'
+    string public constant AUCTION_NOT_ENDED = "Auction is not ended"; // 'The auction must be ended'
+    string public constant AUCTION_HAS_BID = "Auction has bid"; // 'The auction must have no bid'
+    string public constant INVALID_PRICE_CURVE = "Invalid price curve"; // 'The start price must be greater than end price and start time before end time'
+    string public constant BID_TOO_LOW = "Bid is too low"; // 'The bid must reach reserve price or highest bid plus increment'
+    string public constant CALLER_NOT_PROVIDER_OWNER = "Caller is not the provider owner"; // 'The caller must be the owner of AddressesProvider'
+    string public constant FUNCTION_NOT_FOUND = "Function does not exist"; // 'The function selector must be implemented by Market or an extension'
+    string public constant INVALID_OFFER_TOKEN = "Invalid offer token"; // 'Offers must be paid in an ERC20 token'
+    string public constant INVALID_EXPIRY = "Invalid expiry"; // 'The expiry must be in the future'
+    string public constant OFFER_NOT_ACTIVE = "Offer is not active"; // 'The offer must be active'
+    string public constant OFFER_EXPIRED = "Offer expired"; // 'The offer must be not expired'
+    string public constant CALLER_NOT_BUYER = "Caller is not buyer"; // 'The caller must be the buyer'
+    string public constant CALLER_IS_BUYER = "Caller is buyer"; // 'The caller must be not the buyer'
+    string public constant IS_COLLECTION_OFFER = "Offer is collection offer"; // 'The offer must be for a tokenId'
+    string public constant NOT_COLLECTION_OFFER = "Offer is not collection offer"; // 'The offer must be a collection offer'
+    string public constant INVALID_BUNDLE_SIZE = "Invalid bundle size"; // 'A bundle must contain at least two nft'
+    string public constant BUNDLE_NOT_ACTIVE = "Bundle is not active"; // 'The bundle must be active'
+    string public constant MAX_SPEND_EXCEEDED = "Max spend exceeded"; // 'The money spent must not exceed the maximum buyer accepts'
+    string public constant SELL_ORDER_EXPIRED = "Sell order expired"; // 'The sell order must be not expired'
+    string public constant EXCHANGE_ORDER_EXPIRED = "Exchange order expired"; // 'The exchange order must be not expired'
+    string public constant CALLER_NOT_ALLOWED_BUYER = "Caller is not allowed buyer"; // 'The caller must be allowed to buy the private order'
+    string public constant INVALID_ALLOWED_BUYERS = "Invalid allowed buyers"; // 'A private order must have between one and MAX_ALLOWED_BUYERS distinct buyers'
+    string public constant INVALID_SIGNATURE = "Invalid signature"; // 'The order must be signed by seller'
+    string public constant NONCE_USED = "Nonce is used"; // 'The nonce must be not used by a fulfilled or cancelled order'
+    string public constant INVALID_NONCE = "Invalid nonce"; // 'The minimum nonce must be greater than the current one'
+    string public constant SELL_ORDER_INVALID = "Sell order is invalid"; // 'The seller of a non-custodial sell order must still hold the nft and approve Market'
+    string public constant INVALID_SWAP_PATH = "Invalid swap path"; // 'The swap path must end with the token of the sell order'
+    string public constant CALLER_NOT_ROOT_ROUTER = "Caller is not root router"; // 'Only RootRouter can send native coin to Market'
+    string public constant INVALID_REFERRER = "Invalid referrer"; // 'The referrer must be neither the seller nor the buyer'
+    string public constant FUNCTION_PAUSED = "Function is paused"; // 'The function group must not be halted by the pause guardian'
+    string public constant TOKEN_FLAGGED = "Token is flagged"; // 'The nft token must not be flagged by market admin'
+    string public constant TOKEN_NOT_FLAGGED = "Token is not flagged"; // 'None of the nft tokens of the order is flagged by market admin'
+    string public constant COUNTER_OFFER_NOT_ACTIVE = "Counter offer is not active"; // 'The counter offer must be active'
+    string public constant CALLER_NOT_TAKER = "Caller is not taker"; // 'The caller must be the taker of the counter offer'
+    string public constant CALLER_NOT_MARKET = "Caller is not the market"; // 'Only Market can call the function on itself'
 }
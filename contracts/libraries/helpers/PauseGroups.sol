@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+/**
+ * @title PauseGroups library
+ * @dev The function groups the pause guardian halts in AddressesProvider.
+ * Cancellations are never paused so users can always recover their escrowed nft
+ * - ORDERS: creating sell orders, exchange orders, auctions, offers and bundles
+ * - BUYS: buying sell orders and bundles, bidding and accepting offers
+ * - EXCHANGES: purchasing exchange orders
+ * - WITHDRAWALS: withdrawing fund, royalty, referral fee, reward token and pending withdrawals from Vault
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+library PauseGroups {
+    bytes32 internal constant ORDERS = "ORDERS";
+    bytes32 internal constant BUYS = "BUYS";
+    bytes32 internal constant EXCHANGES = "EXCHANGES";
+    bytes32 internal constant WITHDRAWALS = "WITHDRAWALS";
+}
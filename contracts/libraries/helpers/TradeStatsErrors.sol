@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+library TradeStatsErrors {
+    string public constant CALLER_NOT_MARKET = "Caller is not the market";
+    string public constant CALLER_NOT_MARKET_ADMIN = "Caller is not the market admin";
+    string public constant PARAMETERS_NOT_MATCH = "The parameters are not match";
+    string public constant INVALID_FEE_TIERS = "Invalid fee tiers";
+    string public constant VOLUME_PERIOD_IS_ZERO = "Volume period is zero";
+}
@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../types/AuctionType.sol";
+
+library AuctionLogic {
+    /**
+     * @dev Create an auction object
+     * @param auctionId Id of auction
+     * @param nftAddress Nft Address
+     * @param tokenId TokenId
+     * @param amount The amount of nft the seller wants to auction
+     * @param seller Seller address
+     * @param token Token that the seller wants to be paid for
+     * @param reservePrice The lowest price the seller accepts for the first bid
+     * @param minBidIncrement The minimum amount a new bid must exceed the highest bid by
+     * @param startTime Time the auction opens for bidding
+     * @param endTime Time the auction closes
+     * @param extensionDuration The anti-sniping window and extension
+     **/
+    function newAuction(
+        uint256 auctionId,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address payable seller,
+        address token,
+        uint256 reservePrice,
+        uint256 minBidIncrement,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 extensionDuration
+    ) internal view returns (AuctionType.Auction memory) {
+        return
+            AuctionType.Auction({
+                auctionId: auctionId,
+                nftAddress: nftAddress,
+                tokenId: tokenId,
+                amount: amount,
+                seller: seller,
+                token: token,
+                reservePrice: reservePrice,
+                minBidIncrement: minBidIncrement,
+                startTime: startTime,
+                endTime: endTime,
+                extensionDuration: extensionDuration,
+                highestBidder: address(0),
+                highestBid: 0,
+                isActive: true,
+                createTime: block.timestamp
+            });
+    }
+
+    /**
+     * @dev Deactive an auction
+     * @param auction Auction object
+     **/
+    function deactive(AuctionType.Auction storage auction) internal {
+        auction.isActive = false;
+    }
+
+    /**
+     * @dev Record a new highest bid, extending the auction if the bid comes in
+     * during the last extensionDuration seconds
+     * @param auction Auction object
+     * @param bidder Bidder address
+     * @param bidAmount The amount of token bidden
+     **/
+    function bid(
+        AuctionType.Auction storage auction,
+        address bidder,
+        uint256 bidAmount
+    ) internal {
+        auction.highestBidder = bidder;
+        auction.highestBid = bidAmount;
+
+        if (auction.endTime - block.timestamp < auction.extensionDuration) {
+            auction.endTime = block.timestamp + auction.extensionDuration;
+        }
+    }
+
+    /**
+     * @dev Complete an auction
+     * @param auction Auction object
+     **/
+    function complete(AuctionType.Auction storage auction) internal {
+        auction.isActive = false;
+    }
+}
@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../types/BundleType.sol";
+
+library BundleLogic {
+    /**
+     * @dev Create a bundle object
+     * @param bundleId Id of bundle
+     * @param nftAddresses Nft Addresses
+     * @param tokenIds TokenIds
+     * @param amounts The amount of each nft the seller wants to sell
+     * @param seller Seller address
+     * @param price Number of tokens that the seller wants to receive for the whole bundle
+     * @param token Token that the seller wants to be paid for
+     **/
+    function newBundle(
+        uint256 bundleId,
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory amounts,
+        address payable seller,
+        uint256 price,
+        address token
+    ) internal view returns (BundleType.Bundle memory) {
+        return
+            BundleType.Bundle({
+                bundleId: bundleId,
+                nftAddresses: nftAddresses,
+                tokenIds: tokenIds,
+                amounts: amounts,
+                seller: seller,
+                price: price,
+                token: token,
+                isActive: true,
+                sellTime: block.timestamp,
+                buyer: address(0),
+                buyTime: 0
+            });
+    }
+
+    /**
+     * @dev Deactive a bundle
+     * @param bundle Bundle object
+     **/
+    function deactive(BundleType.Bundle storage bundle) internal {
+        bundle.isActive = false;
+    }
+
+    /**
+     * @dev Complete a bundle
+     * @param bundle Bundle object
+     * @param buyer Buyer address
+     **/
+    function complete(BundleType.Bundle storage bundle, address buyer) internal {
+        bundle.buyer = buyer;
+        bundle.buyTime = block.timestamp;
+        bundle.isActive = false;
+    }
+}
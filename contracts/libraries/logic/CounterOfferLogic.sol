@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../types/CounterOfferType.sol";
+
+library CounterOfferLogic {
+    /**
+     * @dev Create a counter offer object
+     * @param counterOfferId Id of counter offer
+     * @param exchangeId Id of the exchange order
+     * @param taker Taker address
+     * @param nftAddress The address of the nft taker gives
+     * @param tokenId The tokenId of the nft taker gives
+     * @param nftAmount The amount of the nft taker gives
+     * @param token Token of the top-up
+     * @param price Amount of the top-up
+     **/
+    function newCounterOffer(
+        uint256 counterOfferId,
+        uint256 exchangeId,
+        address taker,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 nftAmount,
+        address token,
+        uint256 price
+    ) internal view returns (CounterOfferType.CounterOffer memory) {
+        return
+            CounterOfferType.CounterOffer({
+                counterOfferId: counterOfferId,
+                exchangeId: exchangeId,
+                taker: taker,
+                nftAddress: nftAddress,
+                tokenId: tokenId,
+                nftAmount: nftAmount,
+                token: token,
+                price: price,
+                isActive: true,
+                offerTime: block.timestamp,
+                acceptTime: 0
+            });
+    }
+
+    /**
+     * @dev Deactive a counter offer
+     * @param counterOffer Counter offer object
+     **/
+    function deactive(CounterOfferType.CounterOffer storage counterOffer) internal {
+        counterOffer.isActive = false;
+    }
+
+    /**
+     * @dev Accept a counter offer
+     * @param counterOffer Counter offer object
+     **/
+    function accept(CounterOfferType.CounterOffer storage counterOffer) internal {
+        counterOffer.isActive = false;
+        counterOffer.acceptTime = block.timestamp;
+    }
+}
@@ -63,15 +63,138 @@ library ExchangeOrderLogic {
     }
 
     /**
-     * @dev Complete an exchange order
+     * @dev Complete an exchange order, partially for an ERC1155 source nft. The exchange order
+     * is deactived once the whole amount is exchanged
      * @param exchangeOrder exchange order object
      * @param buyer address of the person who closes the exchange order
+     * @param amount The amount of the first source nft exchanged
      **/
-    function complete(ExchangeOrderType.ExchangeOrder storage exchangeOrder, address buyer)
-        internal
-    {
-        exchangeOrder.isActive = false;
+    function complete(
+        ExchangeOrderType.ExchangeOrder storage exchangeOrder,
+        address buyer,
+        uint256 amount
+    ) internal {
         exchangeOrder.times.push(block.timestamp);
         exchangeOrder.users.push(buyer);
+        exchangeOrder.soldAmount = exchangeOrder.soldAmount + amount;
+        if (exchangeOrder.soldAmount == exchangeOrder.nftAmounts[0]) {
+            exchangeOrder.isActive = false;
+        }
+    }
+
+    /**
+     * @dev Update expiry of an exchange order
+     * @param options Exchange order options object
+     * @param expiry Time after which the exchange order can no longer be purchased, zero for no expiry
+     **/
+    function updateExpiry(ExchangeOrderType.ExchangeOrderOptions storage options, uint256 expiry)
+        internal
+    {
+        options.expiry = expiry;
+    }
+
+    /**
+     * @dev Check whether an exchange order is expired at the current block time
+     * @param options Exchange order options object
+     **/
+    function isExpired(ExchangeOrderType.ExchangeOrderOptions memory options)
+        internal
+        view
+        returns (bool)
+    {
+        return options.expiry > 0 && block.timestamp >= options.expiry;
+    }
+
+    /**
+     * @dev Reserve an exchange order for some buyers
+     * @param options Exchange order options object
+     * @param allowedBuyers The only buyers allowed to purchase
+     **/
+    function reserve(
+        ExchangeOrderType.ExchangeOrderOptions storage options,
+        address[] memory allowedBuyers
+    ) internal {
+        options.allowedBuyers = allowedBuyers;
+    }
+
+    /**
+     * @dev Set the sides of an exchange order
+     * @param options Exchange order options object
+     * @param sourceCount Number of source nfts at the head of the lists
+     * @param isDestinationSet Buyer gives all destination nfts together instead of one of them
+     **/
+    function setSides(
+        ExchangeOrderType.ExchangeOrderOptions storage options,
+        uint256 sourceCount,
+        bool isDestinationSet
+    ) internal {
+        options.sourceCount = sourceCount;
+        options.isDestinationSet = isDestinationSet;
+    }
+
+    /**
+     * @dev Get the number of source nfts of an exchange order, orders created before
+     * many-for-one exchange orders have a single source nft
+     * @param options Exchange order options object
+     **/
+    function getSourceCount(ExchangeOrderType.ExchangeOrderOptions memory options)
+        internal
+        pure
+        returns (uint256)
+    {
+        return options.sourceCount == 0 ? 1 : options.sourceCount;
+    }
+
+    /**
+     * @dev Get the amount of the first source nft which is not exchanged yet
+     * @param exchangeOrder Exchange order object
+     **/
+    function getRemainingAmount(ExchangeOrderType.ExchangeOrder memory exchangeOrder)
+        internal
+        pure
+        returns (uint256)
+    {
+        return exchangeOrder.nftAmounts[0] - exchangeOrder.soldAmount;
+    }
+
+    /**
+     * @dev Get the part of a price or a top-up which is paid when an amount of the first source
+     * nft is exchanged. The parts paid by all fills of an exchange order add up to the whole
+     * @param exchangeOrder Exchange order object
+     * @param total The price or the top-up for the whole exchange order
+     * @param amount The amount of the first source nft exchanged
+     **/
+    function getFillShare(
+        ExchangeOrderType.ExchangeOrder memory exchangeOrder,
+        uint256 total,
+        uint256 amount
+    ) internal pure returns (uint256) {
+        uint256 sourceAmount = exchangeOrder.nftAmounts[0];
+        return
+            (total * (exchangeOrder.soldAmount + amount)) /
+            sourceAmount -
+            (total * exchangeOrder.soldAmount) /
+            sourceAmount;
+    }
+
+    /**
+     * @dev Check whether a buyer is allowed to purchase an exchange order
+     * @param options Exchange order options object
+     * @param buyer Buyer address
+     **/
+    function isAllowedBuyer(ExchangeOrderType.ExchangeOrderOptions memory options, address buyer)
+        internal
+        pure
+        returns (bool)
+    {
+        if (options.allowedBuyers.length == 0) {
+            return true;
+        }
+        for (uint256 i = 0; i < options.allowedBuyers.length; i++) {
+            if (options.allowedBuyers[i] == buyer) {
+                return true;
+            }
+        }
+        return false;
     }
 }
@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../types/OfferType.sol";
+
+library OfferLogic {
+    /**
+     * @dev Create an offer object
+     * @param offerId Id of offer
+     * @param nftAddress Nft Address
+     * @param tokenId TokenId
+     * @param amount The amount of nft the buyer wants to buy
+     * @param buyer Buyer address
+     * @param token Token that the buyer pays with
+     * @param price The unit price the buyer offers
+     * @param expiry Time after which the offer can no longer be accepted
+     **/
+    function newOffer(
+        uint256 offerId,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address buyer,
+        address token,
+        uint256 price,
+        uint256 expiry
+    ) internal view returns (OfferType.Offer memory) {
+        return
+            OfferType.Offer({
+                offerId: offerId,
+                nftAddress: nftAddress,
+                tokenId: tokenId,
+                amount: amount,
+                buyer: buyer,
+                token: token,
+                price: price,
+                expiry: expiry,
+                seller: address(0),
+                isActive: true,
+                offerTime: block.timestamp,
+                acceptTime: 0,
+                isCollectionOffer: false,
+                filledAmount: 0
+            });
+    }
+
+    /**
+     * @dev Create a collection offer object, any tokenId of the nft address can fill it
+     * @param offerId Id of offer
+     * @param nftAddress Nft Address
+     * @param quantity The amount of nft the buyer wants to buy in total
+     * @param buyer Buyer address
+     * @param token Token that the buyer pays with
+     * @param price The unit price the buyer offers
+     * @param expiry Time after which the offer can no longer be filled
+     **/
+    function newCollectionOffer(
+        uint256 offerId,
+        address nftAddress,
+        uint256 quantity,
+        address buyer,
+        address token,
+        uint256 price,
+        uint256 expiry
+    ) internal view returns (OfferType.Offer memory) {
+        OfferType.Offer memory offer =
+            newOffer(offerId, nftAddress, 0, quantity, buyer, token, price, expiry);
+        offer.isCollectionOffer = true;
+        return offer;
+    }
+
+    /**
+     * @dev Deactive an offer
+     * @param offer Offer object
+     **/
+    function deactive(OfferType.Offer storage offer) internal {
+        offer.isActive = false;
+    }
+
+    /**
+     * @dev Complete an offer
+     * @param offer Offer object
+     * @param seller The nft owner who accepted the offer
+     **/
+    function complete(OfferType.Offer storage offer, address seller) internal {
+        fill(offer, seller, offer.amount - offer.filledAmount);
+    }
+
+    /**
+     * @dev Fill an offer, the offer is no longer active once it is fully filled
+     * @param offer Offer object
+     * @param seller The nft owner who filled the offer
+     * @param amount The amount of nft filled
+     **/
+    function fill(
+        OfferType.Offer storage offer,
+        address seller,
+        uint256 amount
+    ) internal {
+        offer.seller = seller;
+        offer.acceptTime = block.timestamp;
+        offer.filledAmount = offer.filledAmount + amount;
+        if (offer.filledAmount == offer.amount) {
+            offer.isActive = false;
+        }
+    }
+}
@@ -42,6 +42,25 @@ library SellOrderLogic {
             });
     }
 
+    /**
+     * @dev Set the price curve of a dutch sell order, the unit price decays linearly
+     * from price to endPrice between decayStartTime and decayEndTime
+     * @param options Sell order options object
+     * @param endPrice The unit price at the end of the decay
+     * @param decayStartTime Time the unit price starts decaying
+     * @param decayEndTime Time the unit price reaches endPrice
+     **/
+    function setPriceCurve(
+        SellOrderType.SellOrderOptions storage options,
+        uint256 endPrice,
+        uint256 decayStartTime,
+        uint256 decayEndTime
+    ) internal {
+        options.endPrice = endPrice;
+        options.decayStartTime = decayStartTime;
+        options.decayEndTime = decayEndTime;
+    }
+
     /**
      * @dev Deactive a sell order
      * @param sellOrder Sell order object
@@ -74,4 +93,90 @@ library SellOrderLogic {
     function updatePrice(SellOrderType.SellOrder storage sellOrder, uint256 newPrice) internal {
         sellOrder.price = newPrice;
     }
+
+    /**
+     * @dev Update expiry of a sell order
+     * @param options Sell order options object
+     * @param expiry Time after which the sell order can no longer be bought, zero for no expiry
+     **/
+    function updateExpiry(SellOrderType.SellOrderOptions storage options, uint256 expiry) internal {
+        options.expiry = expiry;
+    }
+
+    /**
+     * @dev Check whether a sell order is expired at the current block time
+     * @param options Sell order options object
+     **/
+    function isExpired(SellOrderType.SellOrderOptions memory options) internal view returns (bool) {
+        return options.expiry > 0 && block.timestamp >= options.expiry;
+    }
+
+    /**
+     * @dev Reserve a sell order for some buyers
+     * @param options Sell order options object
+     * @param allowedBuyers The only buyers allowed to buy
+     **/
+    function reserve(SellOrderType.SellOrderOptions storage options, address[] memory allowedBuyers)
+        internal
+    {
+        options.allowedBuyers = allowedBuyers;
+    }
+
+    /**
+     * @dev Check whether a buyer is allowed to buy a sell order
+     * @param options Sell order options object
+     * @param buyer Buyer address
+     **/
+    function isAllowedBuyer(SellOrderType.SellOrderOptions memory options, address buyer)
+        internal
+        pure
+        returns (bool)
+    {
+        if (options.allowedBuyers.length == 0) {
+            return true;
+        }
+        for (uint256 i = 0; i < options.allowedBuyers.length; i++) {
+            if (options.allowedBuyers[i] == buyer) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Mark a sell order as non-custodial, its nft stays with seller
+     * @param options Sell order options object
+     * @param nonce The non-custodial nonce of seller the sell order is bound to
+     **/
+    function setNonCustodial(SellOrderType.SellOrderOptions storage options, uint256 nonce)
+        internal
+    {
+        options.isNonCustodial = true;
+        options.nonCustodialNonce = nonce;
+    }
+
+    /**
+     * @dev Get the unit price of a sell order at the current block time
+     * @param options Sell order options object
+     * @param price The unit price of the sell order, the start of the decay
+     * @return The current unit price
+     **/
+    function getCurrentPrice(SellOrderType.SellOrderOptions memory options, uint256 price)
+        internal
+        view
+        returns (uint256)
+    {
+        if (options.decayEndTime == 0 || block.timestamp <= options.decayStartTime) {
+            return price;
+        }
+
+        if (block.timestamp >= options.decayEndTime) {
+            return options.endPrice;
+        }
+
+        return
+            price -
+            ((price - options.endPrice) * (block.timestamp - options.decayStartTime)) /
+            (options.decayEndTime - options.decayStartTime);
+    }
 }
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+library AuctionType {
+    struct Auction {
+        // the id of auction in array
+        uint256 auctionId;
+        // the address of the nft
+        address nftAddress;
+        // the tokenId
+        uint256 tokenId;
+        // amount to auction
+        uint256 amount;
+        // seller
+        address payable seller;
+        // token
+        address token;
+        // the lowest price the seller accepts for the first bid
+        uint256 reservePrice;
+        // the minimum amount a new bid must exceed the highest bid by
+        uint256 minBidIncrement;
+        // time the auction opens for bidding
+        uint256 startTime;
+        // time the auction closes, can be extended by late bids
+        uint256 endTime;
+        // a bid placed within this duration before endTime extends the auction by this duration
+        uint256 extensionDuration;
+        // highest bidder
+        address highestBidder;
+        // highest bid
+        uint256 highestBid;
+        // is active to bid
+        bool isActive;
+        // time create an auction
+        uint256 createTime;
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+library BundleType {
+    struct Bundle {
+        //the id of bundle in array
+        uint256 bundleId;
+        // the addresses of the nft
+        address[] nftAddresses;
+        // the tokenIds
+        uint256[] tokenIds;
+        // the amount of each nft
+        uint256[] amounts;
+        // seller
+        address payable seller;
+        // price of the whole bundle
+        uint256 price;
+        // token
+        address token;
+        // is active to buy
+        bool isActive;
+        // time create a bundle
+        uint256 sellTime;
+        // buyer
+        address buyer;
+        // buy time
+        uint256 buyTime;
+    }
+}
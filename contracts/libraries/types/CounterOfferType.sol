@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+library CounterOfferType {
+    struct CounterOffer {
+        // the id of counter offer in array
+        uint256 counterOfferId;
+        // the exchange order the counter offer is made on
+        uint256 exchangeId;
+        // taker, the user proposing the counter offer
+        address taker;
+        // the address of the nft taker gives
+        address nftAddress;
+        // the tokenId of the nft taker gives
+        uint256 tokenId;
+        // amount of the nft taker gives
+        uint256 nftAmount;
+        // token of the top-up escrowed by Market
+        address token;
+        // amount of the top-up, zero for no top-up
+        uint256 price;
+        // is active to accept
+        bool isActive;
+        // time create a counter offer
+        uint256 offerTime;
+        // time the counter offer was accepted, zero if not accepted
+        uint256 acceptTime;
+    }
+}
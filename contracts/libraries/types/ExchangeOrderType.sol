@@ -23,7 +23,23 @@ library ExchangeOrderType {
         bytes[] data;
         // is active
         bool isActive;
-        // sold amount
+        // amount of the first source nft exchanged so far
         uint256 soldAmount;
     }
+
+    // Per exchange order data added after the first deployment, kept outside ExchangeOrder so
+    // that the storage layout of the exchange orders array is unchanged on upgrade
+    struct ExchangeOrderOptions {
+        // time after which the exchange order can no longer be purchased, zero for no expiry
+        uint256 expiry;
+        // the only buyers allowed to purchase, empty for public exchange order
+        address[] allowedBuyers;
+        // number of source nfts at the head of the lists, the rest are destination nfts
+        uint256 sourceCount;
+        // buyer gives all destination nfts together instead of one of them
+        bool isDestinationSet;
+        // the prices of the source nfts are top-ups escrowed by Market, false for exchange
+        // orders created before top-ups whose source prices were never paid
+        bool isTopUpEscrowed;
+    }
 }
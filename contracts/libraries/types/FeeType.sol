@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+library FeeType {
+    struct FeeOverride {
+        // is set by admin
+        bool isSet;
+        // fee numerator
+        uint256 numerator;
+        // fee denominator
+        uint256 denominator;
+    }
+
+    struct FeeTier {
+        // the volume or balance from which the tier applies
+        uint256 threshold;
+        // fee discount in basis points
+        uint256 discountBps;
+    }
+}
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+library OfferType {
+    struct Offer {
+        //the id of offer in array
+        uint256 offerId;
+        // the address of the nft
+        address nftAddress;
+        // the tokenId, unused for collection offer
+        uint256 tokenId;
+        // amount of nft the buyer wants to buy, the quantity for collection offer
+        uint256 amount;
+        // buyer
+        address buyer;
+        // token escrowed by Market
+        address token;
+        // unit price
+        uint256 price;
+        // time after which the offer can no longer be accepted
+        uint256 expiry;
+        // seller, the nft owner who accepted the offer last
+        address seller;
+        // is active to accept
+        bool isActive;
+        // time create an offer
+        uint256 offerTime;
+        // time the offer was accepted last
+        uint256 acceptTime;
+        // any tokenId of the nft address can fill the offer
+        bool isCollectionOffer;
+        // filled amount
+        uint256 filledAmount;
+    }
+}
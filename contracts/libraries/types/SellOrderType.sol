@@ -28,4 +28,23 @@ library SellOrderType {
         // buy time
         uint256[] buyTimes;
     }
+
+    // Per sell order data added after the first deployment, kept outside SellOrder so that
+    // the storage layout of the sell orders array is unchanged on upgrade
+    struct SellOrderOptions {
+        // unit price at the end of the price decay, only used by dutch sell order
+        uint256 endPrice;
+        // time the unit price starts decaying from price
+        uint256 decayStartTime;
+        // time the unit price reaches endPrice, zero for fixed price sell order
+        uint256 decayEndTime;
+        // time after which the sell order can no longer be bought, zero for no expiry
+        uint256 expiry;
+        // the only buyers allowed to buy, empty for public sell order
+        address[] allowedBuyers;
+        // the nft stays with seller until it is bought, Market only holds an approval
+        bool isNonCustodial;
+        // nonce of seller the non-custodial sell order is bound to, invalid once seller bumps it
+        uint256 nonCustodialNonce;
+    }
 }
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+library SignedOrderType {
+    // The EIP-712 typed SellOrder signed off-chain by seller
+    struct SignedOrder {
+        // seller, the signer of the order
+        address seller;
+        // the address of the nft
+        address nftAddress;
+        // the tokenId
+        uint256 tokenId;
+        // amount to sell
+        uint256 amount;
+        // unit price
+        uint256 price;
+        // token
+        address token;
+        // time after which the order can no longer be fulfilled, zero for no expiry
+        uint256 expiry;
+        // nonce of seller, each nonce can be used once
+        uint256 nonce;
+    }
+}
@@ -4,6 +4,8 @@ pragma solidity ^0.8.0;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
 
+import "../libraries/helpers/Errors.sol";
+
 /**
  * @title AddressesProvider contract
  * @dev Main registry of addresses part of or connected to the NFT Market, including permissioned roles
@@ -13,6 +15,8 @@ import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.so
  **/
 contract AddressesProvider is Ownable {
     mapping(bytes32 => address) private _addresses;
+    // Function groups halted by the pause guardian, see PauseGroups
+    mapping(bytes32 => bool) private _pausedGroups;
 
     bytes32 public constant NFT_LIST = "NFT_LIST";
     bytes32 public constant MARKET = "MARKET";
@@ -21,6 +25,12 @@ contract AddressesProvider is Ownable {
     bytes32 public constant VAULT = "VAULT";
     bytes32 public constant ADMIN = "ADMIN";
     bytes32 public constant CREATIVE_STUDIO = "CREATIVE_STUDIO";
+    bytes32 public constant AUCTION_LIST = "AUCTION_LIST";
+    bytes32 public constant OFFER_LIST = "OFFER_LIST";
+    bytes32 public constant BUNDLE_LIST = "BUNDLE_LIST";
+    bytes32 public constant ROOT_ROUTER = "ROOT_ROUTER";
+    bytes32 public constant TRADE_STATS = "TRADE_STATS";
+    bytes32 public constant PAUSE_GUARDIAN = "PAUSE_GUARDIAN";
 
     event ProxyCreated(bytes32 id, address indexed newAddress);
     event AdminUpdated(address indexed newAddress);
@@ -30,7 +40,23 @@ contract AddressesProvider is Ownable {
     event VaultUpdated(address indexed newAddress);
     event CreativeStudioUpdated(address indexed newAddress);
     event ExchangeOrderListUpdated(address indexed newAddress);
+    event AuctionListUpdated(address indexed newAddress);
+    event OfferListUpdated(address indexed newAddress);
+    event BundleListUpdated(address indexed newAddress);
+    event RootRouterUpdated(address indexed newAddress);
+    event TradeStatsUpdated(address indexed newAddress);
     event AddressSet(bytes32 id, address indexed newAddress, bool hasProxy);
+    event PauseGuardianUpdated(address indexed newAddress);
+    event Paused(bytes32 indexed group, address indexed account);
+    event Unpaused(bytes32 indexed group, address indexed account);
+
+    modifier onlyPauseGuardian() {
+        require(
+            getAddress(PAUSE_GUARDIAN) == msg.sender || owner() == msg.sender,
+            Errors.CALLER_NOT_PAUSE_GUARDIAN
+        );
+        _;
+    }
 
     /**
      * @dev The functions below are getters/setters of addresses that are outside the context
@@ -54,6 +80,68 @@ contract AddressesProvider is Ownable {
         emit AdminUpdated(admin);
     }
 
+    /**
+     * @dev Gets the RootRouter of Mochiswap
+     * @return the address of RootRouter
+     **/
+    function getRootRouter() external view returns (address) {
+        return getAddress(ROOT_ROUTER);
+    }
+
+    /**
+     * @dev Set the RootRouter of Mochiswap
+     * Market swaps the token of buyers through it
+     */
+    function setRootRouter(address rootRouter) external onlyOwner {
+        _addresses[ROOT_ROUTER] = rootRouter;
+        emit RootRouterUpdated(rootRouter);
+    }
+
+    /**
+     * @dev Gets the pause guardian
+     * @return the address of pause guardian
+     **/
+    function getPauseGuardian() external view returns (address) {
+        return getAddress(PAUSE_GUARDIAN);
+    }
+
+    /**
+     * @dev Set the pause guardian
+     * Grant the role of halting function groups during an incident for an address
+     */
+    function setPauseGuardian(address pauseGuardian) external onlyOwner {
+        _addresses[PAUSE_GUARDIAN] = pauseGuardian;
+        emit PauseGuardianUpdated(pauseGuardian);
+    }
+
+    /**
+     * @dev Halt a function group of Market, Vault and the order lists, see PauseGroups
+     * - Can only be called by pause guardian or owner
+     * @param group The function group
+     **/
+    function pause(bytes32 group) external onlyPauseGuardian {
+        _pausedGroups[group] = true;
+        emit Paused(group, msg.sender);
+    }
+
+    /**
+     * @dev Resume a function group halted by pause()
+     * - Can only be called by pause guardian or owner
+     * @param group The function group
+     **/
+    function unpause(bytes32 group) external onlyPauseGuardian {
+        _pausedGroups[group] = false;
+        emit Unpaused(group, msg.sender);
+    }
+
+    /**
+     * @dev Return whether a function group is halted
+     * @param group The function group
+     **/
+    function isPaused(bytes32 group) external view returns (bool) {
+        return _pausedGroups[group];
+    }
+
     /**
      * @dev Update the implementation of the NFTList, or creates the proxy and
      * setting the new `nftList` implementation on the first time calling it
@@ -171,6 +259,82 @@ contract AddressesProvider is Ownable {
         return getAddress(EXCHANGE_ORDER_LIST);
     }
 
+    /**
+     * @dev Update the implementation of the AuctionList, or creates the proxy and
+     * setting the new `AuctionList` implementation on the first time calling it
+     * @param auctionList The new AuctionList implementation
+     * @param params The calldata for initialize in the new implementation (if required)
+     **/
+    function setAuctionListImpl(address auctionList, bytes memory params) external onlyOwner {
+        _updateImpl(AUCTION_LIST, auctionList, params);
+        emit AuctionListUpdated(auctionList);
+    }
+
+    /**
+     * @dev Return the address of the AuctionList proxy
+     * @return The AuctionList proxy address
+     **/
+    function getAuctionList() external view returns (address) {
+        return getAddress(AUCTION_LIST);
+    }
+
+    /**
+     * @dev Update the implementation of the OfferList, or creates the proxy and
+     * setting the new `OfferList` implementation on the first time calling it
+     * @param offerList The new OfferList implementation
+     * @param params The calldata for initialize in the new implementation (if required)
+     **/
+    function setOfferListImpl(address offerList, bytes memory params) external onlyOwner {
+        _updateImpl(OFFER_LIST, offerList, params);
+        emit OfferListUpdated(offerList);
+    }
+
+    /**
+     * @dev Return the address of the OfferList proxy
+     * @return The OfferList proxy address
+     **/
+    function getOfferList() external view returns (address) {
+        return getAddress(OFFER_LIST);
+    }
+
+    /**
+     * @dev Update the implementation of the BundleList, or creates the proxy and
+     * setting the new `BundleList` implementation on the first time calling it
+     * @param bundleList The new BundleList implementation
+     * @param params The calldata for initialize in the new implementation (if required)
+     **/
+    function setBundleListImpl(address bundleList, bytes memory params) external onlyOwner {
+        _updateImpl(BUNDLE_LIST, bundleList, params);
+        emit BundleListUpdated(bundleList);
+    }
+
+    /**
+     * @dev Return the address of the BundleList proxy
+     * @return The BundleList proxy address
+     **/
+    function getBundleList() external view returns (address) {
+        return getAddress(BUNDLE_LIST);
+    }
+
+    /**
+     * @dev Update the implementation of the TradeStats, or creates the proxy and
+     * setting the new `TradeStats` implementation on the first time calling it
+     * @param tradeStats The new TradeStats implementation
+     * @param params The calldata for initialize in the new implementation (if required)
+     **/
+    function setTradeStatsImpl(address tradeStats, bytes memory params) external onlyOwner {
+        _updateImpl(TRADE_STATS, tradeStats, params);
+        emit TradeStatsUpdated(tradeStats);
+    }
+
+    /**
+     * @dev Return the address of the TradeStats proxy
+     * @return The TradeStats proxy address
+     **/
+    function getTradeStats() external view returns (address) {
+        return getAddress(TRADE_STATS);
+    }
+
     /**
      * @dev General function to update the implementation of a proxy registered with
      * certain `id`. If there is no proxy registered, it will instantiate one and
@@ -0,0 +1,382 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+
+import "../libraries/helpers/AuctionListErrors.sol";
+import "../libraries/logic/AuctionLogic.sol";
+import "../interfaces/mini-interfaces/MiniIAddressesProvider.sol";
+import "../interfaces/mini-interfaces/MiniINFTList.sol";
+import "../libraries/helpers/ArrayLib.sol";
+
+/**
+ * @title AuctionList contract
+ * @dev The place user create english auction for nft
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract AuctionList is Initializable {
+    using AuctionLogic for AuctionType.Auction;
+    using ArrayLib for uint256[];
+
+    MiniIAddressesProvider public addressesProvider;
+    MiniINFTList public nftList;
+
+    // All auctions
+    AuctionType.Auction[] internal _auctions;
+
+    // The auctions nft is of type ERC721 available
+    uint256[] internal _availableAuctionsERC721;
+
+    // The auctions nft is of type ERC1155 available
+    uint256[] internal _availableAuctionsERC1155;
+
+    // All auctions of a user
+    mapping(address => uint256[]) internal _sellerToAuctions;
+
+    // The available auctions nft is of type ERC721 of a user
+    mapping(address => uint256[]) internal _sellerToAvailableAuctionsERC721;
+
+    // The available auctions nft is of type ERC1155 of a user
+    mapping(address => uint256[]) internal _sellerToAvailableAuctionsERC1155;
+
+    // All auctions of a nft address
+    mapping(address => uint256[]) internal _nftToAuctions;
+
+    // The available auctions of a nft address
+    mapping(address => uint256[]) internal _nftToAvailableAuctions;
+
+    // All auctions was won by user
+    mapping(address => uint256[]) internal _winnerToAuctions;
+
+    event Initialized(address indexed provider);
+    event AuctionAdded(
+        address indexed seller,
+        uint256 auctionId,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address token,
+        uint256 reservePrice,
+        uint256 startTime,
+        uint256 endTime
+    );
+    event AuctionDeactive(
+        uint256 auctionId,
+        address indexed seller,
+        address indexed nftAddress,
+        uint256 indexed tokenId
+    );
+    event BidPlaced(
+        uint256 auctionId,
+        address indexed bidder,
+        uint256 bidAmount,
+        address token,
+        uint256 endTime
+    );
+    event AuctionCompleted(
+        uint256 auctionId,
+        address indexed seller,
+        address indexed winner,
+        address indexed nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        address token
+    );
+
+    modifier onlyMarket() {
+        require(addressesProvider.getMarket() == msg.sender, AuctionListErrors.CALLER_NOT_MARKET);
+        _;
+    }
+
+    /**
+     * @dev Function is invoked by the proxy contract when the AuctionList contract is added to the
+     * AddressesProvider of the market.
+     * - Caching the address of the AddressesProvider in order to reduce gas consumption
+     *   on subsequent operations
+     * @param provider The address of the AddressesProvider
+     **/
+    function initialize(address provider) external initializer {
+        addressesProvider = MiniIAddressesProvider(provider);
+        nftList = MiniINFTList(addressesProvider.getNFTList());
+        emit Initialized(provider);
+    }
+
+    /**
+     * @dev Add auction to the list
+     * - Can only be called by Market
+     * @param nftAddress The address of nft
+     * @param tokenId The tokenId of nft
+     * @param amount The amount of nft
+     * @param seller The address of seller
+     * @param token Token that the seller wants to be paid
+     * @param reservePrice The lowest price the seller accepts for the first bid
+     * @param minBidIncrement The minimum amount a new bid must exceed the highest bid by
+     * @param startTime Time the auction opens for bidding
+     * @param endTime Time the auction closes
+     * @param extensionDuration The anti-sniping window and extension
+     **/
+    function addAuction(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address payable seller,
+        address token,
+        uint256 reservePrice,
+        uint256 minBidIncrement,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 extensionDuration
+    ) external onlyMarket {
+        require(
+            nftList.isTokenFlagged(nftAddress, tokenId) == false,
+            AuctionListErrors.TOKEN_FLAGGED
+        );
+        uint256 auctionId = _auctions.length;
+
+        _addAuctionToList(
+            AuctionLogic.newAuction(
+                auctionId,
+                nftAddress,
+                tokenId,
+                amount,
+                seller,
+                token,
+                reservePrice,
+                minBidIncrement,
+                startTime,
+                endTime,
+                extensionDuration
+            )
+        );
+
+        emit AuctionAdded(
+            seller,
+            auctionId,
+            nftAddress,
+            tokenId,
+            amount,
+            token,
+            reservePrice,
+            startTime,
+            endTime
+        );
+    }
+
+    /**
+     * @dev Deactive an auction
+     * - Can only be called by Market
+     * @param auctionId Auction id
+     */
+    function deactiveAuction(uint256 auctionId) external onlyMarket {
+        _auctions[auctionId].deactive();
+        _removeAuctionFromList(auctionId);
+        emit AuctionDeactive(
+            auctionId,
+            _auctions[auctionId].seller,
+            _auctions[auctionId].nftAddress,
+            _auctions[auctionId].tokenId
+        );
+    }
+
+    /**
+     * @dev Place a new highest bid on an auction
+     * - Can only be called by Market
+     * @param auctionId Auction id
+     * @param bidder Bidder address
+     * @param bidAmount The amount of token bidden
+     */
+    function bid(
+        uint256 auctionId,
+        address bidder,
+        uint256 bidAmount
+    ) external onlyMarket {
+        require(
+            nftList.isTokenFlagged(_auctions[auctionId].nftAddress, _auctions[auctionId].tokenId) ==
+                false,
+            AuctionListErrors.TOKEN_FLAGGED
+        );
+        _auctions[auctionId].bid(bidder, bidAmount);
+        emit BidPlaced(
+            auctionId,
+            bidder,
+            bidAmount,
+            _auctions[auctionId].token,
+            _auctions[auctionId].endTime
+        );
+    }
+
+    /**
+     * @dev Complete an auction
+     * - Can only be called by Market
+     * @param auctionId Auction id
+     */
+    function completeAuction(uint256 auctionId) external onlyMarket {
+        require(
+            nftList.isTokenFlagged(_auctions[auctionId].nftAddress, _auctions[auctionId].tokenId) ==
+                false,
+            AuctionListErrors.TOKEN_FLAGGED
+        );
+        _auctions[auctionId].complete();
+        _winnerToAuctions[_auctions[auctionId].highestBidder].push(auctionId);
+        _removeAuctionFromList(auctionId);
+        emit AuctionCompleted(
+            auctionId,
+            _auctions[auctionId].seller,
+            _auctions[auctionId].highestBidder,
+            _auctions[auctionId].nftAddress,
+            _auctions[auctionId].tokenId,
+            _auctions[auctionId].amount,
+            _auctions[auctionId].highestBid,
+            _auctions[auctionId].token
+        );
+    }
+
+    /**
+     * @dev Get information of an auction by id
+     * @param auctionId Auction id
+     * @return Information of auction
+     */
+    function getAuctionById(uint256 auctionId) external view returns (AuctionType.Auction memory) {
+        return _auctions[auctionId];
+    }
+
+    /**
+     * @dev Get information of the auctions by id list
+     * @param idList The list of id of auctions
+     */
+    function getAuctionsByIdList(uint256[] memory idList)
+        external
+        view
+        returns (AuctionType.Auction[] memory result)
+    {
+        result = new AuctionType.Auction[](idList.length);
+
+        for (uint256 i = 0; i < idList.length; i++) {
+            result[i] = _auctions[idList[i]];
+        }
+    }
+
+    /**
+     * @dev Get the number of auctions
+     * @return The number of auctions
+     */
+    function getAuctionCount() external view returns (uint256) {
+        return _auctions.length;
+    }
+
+    /**
+     * @dev Get list of id of available auctions
+     */
+    function getAvailableAuctionsIdList()
+        external
+        view
+        returns (uint256[] memory resultERC721, uint256[] memory resultERC1155)
+    {
+        resultERC721 = _availableAuctionsERC721;
+        resultERC1155 = _availableAuctionsERC1155;
+    }
+
+    /**
+     * @dev Get list of id of auctions of a user
+     */
+    function getAllAuctionsIdListByUser(address user) external view returns (uint256[] memory) {
+        return _sellerToAuctions[user];
+    }
+
+    /**
+     * @dev Get list of id of available auctions of a user
+     */
+    function getAvailableAuctionsIdListByUser(address user)
+        external
+        view
+        returns (uint256[] memory resultERC721, uint256[] memory resultERC1155)
+    {
+        resultERC721 = _sellerToAvailableAuctionsERC721[user];
+        resultERC1155 = _sellerToAvailableAuctionsERC1155[user];
+    }
+
+    /**
+     * @dev Get list of id of auctions of a nft address
+     */
+    function getAllAuctionsIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _nftToAuctions[nftAddress];
+    }
+
+    /**
+     * @dev Get list of id of available auctions of a nft address
+     */
+    function getAvailableAuctionsIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _nftToAvailableAuctions[nftAddress];
+    }
+
+    /**
+     * @dev Get list of id of auctions was won by a user
+     * @return List of id of auctions was won by a user
+     */
+    function getAuctionsWonIdListByUser(address user) external view returns (uint256[] memory) {
+        return _winnerToAuctions[user];
+    }
+
+    /**
+     * @dev Add auction to
+     - _auctions,
+     - _availableAuctions,
+     - _sellerToAuctions,
+     - _sellerToAvailableAuctionsERC1155 or _sellerToAvailableAuctionsERC721,
+     - _nftToAuctions,
+     - _nftToAvailableAuctions
+     * - internal function called inside addAuction() function
+     * @param auction Auction object
+     */
+    function _addAuctionToList(AuctionType.Auction memory auction) internal {
+        uint256 auctionId = auction.auctionId;
+
+        _auctions.push(auction);
+
+        _sellerToAuctions[auction.seller].push(auctionId);
+
+        _nftToAuctions[auction.nftAddress].push(auctionId);
+
+        _nftToAvailableAuctions[auction.nftAddress].push(auctionId);
+
+        if (nftList.isERC1155(auction.nftAddress) == true) {
+            _availableAuctionsERC1155.push(auctionId);
+            _sellerToAvailableAuctionsERC1155[auction.seller].push(auctionId);
+        } else {
+            _availableAuctionsERC721.push(auctionId);
+            _sellerToAvailableAuctionsERC721[auction.seller].push(auctionId);
+        }
+    }
+
+    /**
+     * @dev Remove auction from
+     - _availableAuctions,
+     - _sellerToAvailableAuctionsERC1155 or _sellerToAvailableAuctionsERC721,
+     - _nftToAvailableAuctions
+     * - internal function called inside completeAuction() and deactiveAuction() function
+     * @param auctionId Id of auction
+     */
+    function _removeAuctionFromList(uint256 auctionId) internal {
+        AuctionType.Auction memory auction = _auctions[auctionId];
+
+        _nftToAvailableAuctions[auction.nftAddress].removeAtValue(auctionId);
+
+        if (nftList.isERC1155(auction.nftAddress) == true) {
+            _availableAuctionsERC1155.removeAtValue(auctionId);
+            _sellerToAvailableAuctionsERC1155[auction.seller].removeAtValue(auctionId);
+        } else {
+            _availableAuctionsERC721.removeAtValue(auctionId);
+            _sellerToAvailableAuctionsERC721[auction.seller].removeAtValue(auctionId);
+        }
+    }
+}
@@ -0,0 +1,309 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+
+import "../libraries/helpers/BundleListErrors.sol";
+import "../libraries/logic/BundleLogic.sol";
+import "../interfaces/mini-interfaces/MiniIAddressesProvider.sol";
+import "../interfaces/mini-interfaces/MiniINFTList.sol";
+import "../libraries/helpers/ArrayLib.sol";
+
+/**
+ * @title BundleList contract
+ * @dev The place user sells several nft at one price
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract BundleList is Initializable {
+    using BundleLogic for BundleType.Bundle;
+    using ArrayLib for uint256[];
+
+    MiniIAddressesProvider public addressesProvider;
+
+    // All bundles
+    BundleType.Bundle[] internal _bundles;
+
+    // The available bundles
+    uint256[] internal _availableBundles;
+
+    // All bundles of a user
+    mapping(address => uint256[]) internal _sellerToBundles;
+
+    // The available bundles of a user
+    mapping(address => uint256[]) internal _sellerToAvailableBundles;
+
+    // All bundles containing a nft address
+    mapping(address => uint256[]) internal _nftToBundles;
+
+    // The available bundles containing a nft address
+    mapping(address => uint256[]) internal _nftToAvailableBundles;
+
+    // All bundles was bought by user
+    mapping(address => uint256[]) internal _buyerToBundles;
+
+    event Initialized(address indexed provider);
+    event BundleAdded(
+        address indexed seller,
+        uint256 bundleId,
+        address[] nftAddresses,
+        uint256[] tokenIds,
+        uint256[] amounts,
+        uint256 price,
+        address token
+    );
+    event BundleDeactive(uint256 bundleId, address indexed seller);
+    event BundleCompleted(
+        uint256 bundleId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 price,
+        address token
+    );
+
+    modifier onlyMarket() {
+        require(addressesProvider.getMarket() == msg.sender, BundleListErrors.CALLER_NOT_MARKET);
+        _;
+    }
+
+    /**
+     * @dev Function is invoked by the proxy contract when the BundleList contract is added to the
+     * AddressesProvider of the market.
+     * - Caching the address of the AddressesProvider in order to reduce gas consumption
+     *   on subsequent operations
+     * @param provider The address of the AddressesProvider
+     **/
+    function initialize(address provider) external initializer {
+        addressesProvider = MiniIAddressesProvider(provider);
+        emit Initialized(provider);
+    }
+
+    /**
+     * @dev Add bundle to the list
+     * - Can only be called by Market
+     * @param nftAddresses The addresses of nft
+     * @param tokenIds The tokenIds of nft
+     * @param amounts The amount of each nft
+     * @param seller The address of seller
+     * @param price The price of the whole bundle
+     * @param token Token that the seller wants to be paid
+     **/
+    function addBundle(
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory amounts,
+        address payable seller,
+        uint256 price,
+        address token
+    ) external onlyMarket {
+        _requireNotFlagged(nftAddresses, tokenIds);
+        uint256 bundleId = _bundles.length;
+
+        _addBundleToList(
+            BundleLogic.newBundle(bundleId, nftAddresses, tokenIds, amounts, seller, price, token)
+        );
+
+        emit BundleAdded(seller, bundleId, nftAddresses, tokenIds, amounts, price, token);
+    }
+
+    /**
+     * @dev Deactive a bundle
+     * - Can only be called by Market
+     * @param bundleId Bundle id
+     */
+    function deactiveBundle(uint256 bundleId) external onlyMarket {
+        _bundles[bundleId].deactive();
+        _removeBundleFromList(bundleId);
+        emit BundleDeactive(bundleId, _bundles[bundleId].seller);
+    }
+
+    /**
+     * @dev Complete a bundle
+     * - Can only be called by Market
+     * @param bundleId Bundle id
+     * @param buyer Buyer address
+     */
+    function completeBundle(uint256 bundleId, address buyer) external onlyMarket {
+        _requireNotFlagged(_bundles[bundleId].nftAddresses, _bundles[bundleId].tokenIds);
+        _bundles[bundleId].complete(buyer);
+        _buyerToBundles[buyer].push(bundleId);
+        _removeBundleFromList(bundleId);
+        emit BundleCompleted(
+            bundleId,
+            _bundles[bundleId].seller,
+            buyer,
+            _bundles[bundleId].price,
+            _bundles[bundleId].token
+        );
+    }
+
+    /**
+     * @dev Get information of a bundle by id
+     * @param bundleId Bundle id
+     * @return Information of bundle
+     */
+    function getBundleById(uint256 bundleId) external view returns (BundleType.Bundle memory) {
+        return _bundles[bundleId];
+    }
+
+    /**
+     * @dev Get information of the bundles by id list
+     * @param idList The list of id of bundles
+     */
+    function getBundlesByIdList(uint256[] memory idList)
+        external
+        view
+        returns (BundleType.Bundle[] memory result)
+    {
+        result = new BundleType.Bundle[](idList.length);
+
+        for (uint256 i = 0; i < idList.length; i++) {
+            result[i] = _bundles[idList[i]];
+        }
+    }
+
+    /**
+     * @dev Get the number of bundles
+     * @return The number of bundles
+     */
+    function getBundleCount() external view returns (uint256) {
+        return _bundles.length;
+    }
+
+    /**
+     * @dev Get list of id of available bundles
+     */
+    function getAvailableBundlesIdList() external view returns (uint256[] memory) {
+        return _availableBundles;
+    }
+
+    /**
+     * @dev Get list of id of bundles of a user
+     */
+    function getAllBundlesIdListByUser(address user) external view returns (uint256[] memory) {
+        return _sellerToBundles[user];
+    }
+
+    /**
+     * @dev Get list of id of available bundles of a user
+     */
+    function getAvailableBundlesIdListByUser(address user)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _sellerToAvailableBundles[user];
+    }
+
+    /**
+     * @dev Get list of id of bundles containing a nft address
+     */
+    function getAllBundlesIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _nftToBundles[nftAddress];
+    }
+
+    /**
+     * @dev Get list of id of available bundles containing a nft address
+     */
+    function getAvailableBundlesIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _nftToAvailableBundles[nftAddress];
+    }
+
+    /**
+     * @dev Get list of id of bundles was bought by a user
+     * @return List of id of bundles was bought by a user
+     */
+    function getBundlesBoughtIdListByUser(address user) external view returns (uint256[] memory) {
+        return _buyerToBundles[user];
+    }
+
+    /**
+     * @dev Add bundle to
+     - _bundles,
+     - _availableBundles,
+     - _sellerToBundles,
+     - _sellerToAvailableBundles,
+     - _nftToBundles and _nftToAvailableBundles once per nft address
+     * - internal function called inside addBundle() function
+     * @param bundle Bundle object
+     */
+    function _addBundleToList(BundleType.Bundle memory bundle) internal {
+        uint256 bundleId = bundle.bundleId;
+
+        _bundles.push(bundle);
+
+        _availableBundles.push(bundleId);
+
+        _sellerToBundles[bundle.seller].push(bundleId);
+        _sellerToAvailableBundles[bundle.seller].push(bundleId);
+
+        for (uint256 i = 0; i < bundle.nftAddresses.length; i++) {
+            if (_isFirstOccurrence(bundle.nftAddresses, i)) {
+                _nftToBundles[bundle.nftAddresses[i]].push(bundleId);
+                _nftToAvailableBundles[bundle.nftAddresses[i]].push(bundleId);
+            }
+        }
+    }
+
+    /**
+     * @dev Check none of the nft tokens is flagged in NFTList, read from AddressesProvider as
+     * BundleList keeps no NFTList
+     * - internal function called inside addBundle() and completeBundle() function
+     * @param nftAddresses The addresses of nft
+     * @param tokenIds The tokenIds of nft
+     */
+    function _requireNotFlagged(address[] memory nftAddresses, uint256[] memory tokenIds)
+        internal
+        view
+    {
+        MiniINFTList nftList = MiniINFTList(addressesProvider.getNFTList());
+        for (uint256 i = 0; i < nftAddresses.length; i++) {
+            require(
+                nftList.isTokenFlagged(nftAddresses[i], tokenIds[i]) == false,
+                BundleListErrors.TOKEN_FLAGGED
+            );
+        }
+    }
+
+    /**
+     * @dev Remove bundle from
+     - _availableBundles,
+     - _sellerToAvailableBundles,
+     - _nftToAvailableBundles
+     * - internal function called inside completeBundle() and deactiveBundle() function
+     * @param bundleId Id of bundle
+     */
+    function _removeBundleFromList(uint256 bundleId) internal {
+        BundleType.Bundle memory bundle = _bundles[bundleId];
+
+        _availableBundles.removeAtValue(bundleId);
+        _sellerToAvailableBundles[bundle.seller].removeAtValue(bundleId);
+
+        for (uint256 i = 0; i < bundle.nftAddresses.length; i++) {
+            if (_isFirstOccurrence(bundle.nftAddresses, i)) {
+                _nftToAvailableBundles[bundle.nftAddresses[i]].removeAtValue(bundleId);
+            }
+        }
+    }
+
+    function _isFirstOccurrence(address[] memory nftAddresses, uint256 index)
+        internal
+        pure
+        returns (bool)
+    {
+        for (uint256 i = 0; i < index; i++) {
+            if (nftAddresses[i] == nftAddresses[index]) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
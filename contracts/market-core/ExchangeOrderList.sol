@@ -4,7 +4,9 @@ pragma solidity ^0.8.0;
 import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 
 import "../libraries/helpers/ExchangeOrderListErrors.sol";
+import "../libraries/helpers/PauseGroups.sol";
 import "../libraries/logic/ExchangeOrderLogic.sol";
+import "../libraries/logic/CounterOfferLogic.sol";
 import "../interfaces/mini-interfaces/MiniIAddressesProvider.sol";
 import "../interfaces/mini-interfaces/MiniINFTList.sol";
 import "../libraries/helpers/ArrayLib.sol";
@@ -17,6 +19,8 @@ import "../libraries/helpers/ArrayLib.sol";
  **/
 contract ExchangeOrderList is Initializable {
     using ExchangeOrderLogic for ExchangeOrderType.ExchangeOrder;
+    using ExchangeOrderLogic for ExchangeOrderType.ExchangeOrderOptions;
+    using CounterOfferLogic for CounterOfferType.CounterOffer;
     using ArrayLib for uint256[];
 
     MiniIAddressesProvider public addressesProvider;
@@ -58,6 +62,19 @@ contract ExchangeOrderList is Initializable {
     mapping(address => mapping(address => mapping(uint256 => uint256)))
         internal _inforToExchangeIdERC1155;
 
+    // The options of all exchange orders
+    // exchangeId => options
+    mapping(uint256 => ExchangeOrderType.ExchangeOrderOptions) internal _exchangeOrderOptions;
+
+    // The available private exchange orders reserved for a buyer
+    mapping(address => uint256[]) internal _buyerToReservedOrders;
+
+    // All counter offers
+    CounterOfferType.CounterOffer[] internal _counterOffers;
+
+    // All counter offers made on an exchange order
+    mapping(uint256 => uint256[]) internal _exchangeIdToCounterOffers;
+
     event Initialized(address indexed provider, address nftAddress);
 
     event ExchangeOrderAdded(
@@ -91,6 +108,27 @@ contract ExchangeOrderList is Initializable {
         uint256 desAmount
     );
 
+    event ExpiryChanged(uint256 exchangeId, uint256 expiry);
+
+    event ExchangeOrderReserved(uint256 exchangeId, address[] allowedBuyers);
+
+    event ExchangeOrderSidesSet(uint256 exchangeId, uint256 sourceCount, bool isDestinationSet);
+
+    event CounterOfferAdded(
+        uint256 counterOfferId,
+        uint256 exchangeId,
+        address taker,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 nftAmount,
+        address token,
+        uint256 price
+    );
+
+    event CounterOfferAccepted(uint256 counterOfferId, uint256 exchangeId, address taker);
+
+    event CounterOfferDeactive(uint256 counterOfferId, uint256 exchangeId);
+
     modifier onlyMarket() {
         require(
             addressesProvider.getMarket() == msg.sender,
@@ -99,6 +137,14 @@ contract ExchangeOrderList is Initializable {
         _;
     }
 
+    modifier whenNotPaused(bytes32 group) {
+        require(
+            addressesProvider.isPaused(group) == false,
+            ExchangeOrderListErrors.FUNCTION_PAUSED
+        );
+        _;
+    }
+
     /**
      * @dev Function is invoked by the proxy contract when the ExchangeOrderList contract is added to the
      * AddressesProvider of the market.
@@ -131,7 +177,7 @@ contract ExchangeOrderList is Initializable {
         uint256[] memory prices,
         address[] memory users,
         bytes[] memory datas
-    ) external onlyMarket {
+    ) external onlyMarket whenNotPaused(PauseGroups.ORDERS) {
         uint256 exchangeId = _exchangeOrders.length;
 
         uint256[] memory times;
@@ -150,6 +196,7 @@ contract ExchangeOrderList is Initializable {
 
         _exchangeOrders.push(order);
         _exchangeOrders[exchangeId].addTimestamp(block.timestamp);
+        _exchangeOrderOptions[exchangeId].isTopUpEscrowed = true;
         _addExchangeOrderToList(order);
 
         emit ExchangeOrderAdded(
@@ -182,32 +229,161 @@ contract ExchangeOrderList is Initializable {
     }
 
     /**
-     * @dev Complete an exchange order
+     * @dev Complete an exchange order, an exchange order with a single ERC1155 source nft can be
+     * completed partially over several buyers and stays active until the whole amount is exchanged
      * - Can only be called by Market
      * @param exchangeId Exchange order id
+     * @param destinationId The destination nft buyer gives
      * @param buyer Buyer address
+     * @param amount The amount of the first source nft exchanged
      */
     function completeExchangeOrder(
         uint256 exchangeId,
         uint256 destinationId,
-        address buyer
+        address buyer,
+        uint256 amount
+    ) external onlyMarket whenNotPaused(PauseGroups.EXCHANGES) {
+        _requireNotFlagged(exchangeId, destinationId);
+        _emitExchangeOrderCompleted(_exchangeOrders[exchangeId], destinationId, buyer, amount);
+
+        _completeExchangeOrder(exchangeId, buyer, amount);
+    }
+
+    /**
+     * @dev Update expiry of an exchange order
+     * - Can only be called by Market
+     * @param exchangeId Exchange order id
+     * @param expiry Time after which the exchange order can no longer be purchased, zero for no expiry
+     */
+    function updateExpiry(uint256 exchangeId, uint256 expiry) external onlyMarket {
+        _exchangeOrderOptions[exchangeId].updateExpiry(expiry);
+        emit ExpiryChanged(exchangeId, expiry);
+    }
+
+    /**
+     * @dev Reserve an exchange order for some buyers, it is moved from the public available lists
+     * to the reserved lists of these buyers
+     * - Can only be called by Market
+     * @param exchangeId Exchange order id
+     * @param allowedBuyers The only buyers allowed to purchase
+     */
+    function reserveExchangeOrder(uint256 exchangeId, address[] memory allowedBuyers)
+        external
+        onlyMarket
+    {
+        _removeExchangeOrderFromPublicList(exchangeId);
+        _exchangeOrderOptions[exchangeId].reserve(allowedBuyers);
+        for (uint256 i = 0; i < allowedBuyers.length; i++) {
+            _buyerToReservedOrders[allowedBuyers[i]].push(exchangeId);
+        }
+        emit ExchangeOrderReserved(exchangeId, allowedBuyers);
+    }
+
+    /**
+     * @dev Set the sides of a many-for-one or many-for-many exchange order, the first
+     * sourceCount nfts are given by seller and the rest are destination nfts
+     * - Can only be called by Market
+     * @param exchangeId Exchange order id
+     * @param sourceCount Number of source nfts
+     * @param isDestinationSet Buyer gives all destination nfts together instead of one of them
+     */
+    function setExchangeOrderSides(
+        uint256 exchangeId,
+        uint256 sourceCount,
+        bool isDestinationSet
     ) external onlyMarket {
-        _exchangeOrders[exchangeId].complete(buyer);
-        _buyers[buyer].push(exchangeId);
-        _removeExchangeOrderFromList(exchangeId);
+        _exchangeOrderOptions[exchangeId].setSides(sourceCount, isDestinationSet);
+        emit ExchangeOrderSidesSet(exchangeId, sourceCount, isDestinationSet);
+    }
 
-        emit ExchangeOrderCompleted(
+    /**
+     * @dev Add a counter offer on an exchange order to the list
+     * - Can only be called by Market
+     * @param exchangeId Exchange order id
+     * @param taker The user proposing the counter offer
+     * @param nftAddress The address of the nft taker gives
+     * @param tokenId The tokenId of the nft taker gives
+     * @param nftAmount The amount of the nft taker gives
+     * @param token The token of the top-up
+     * @param price The amount of the top-up
+     */
+    function addCounterOffer(
+        uint256 exchangeId,
+        address taker,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 nftAmount,
+        address token,
+        uint256 price
+    ) external onlyMarket whenNotPaused(PauseGroups.ORDERS) {
+        require(
+            nftList.isTokenFlagged(nftAddress, tokenId) == false,
+            ExchangeOrderListErrors.TOKEN_FLAGGED
+        );
+
+        uint256 counterOfferId = _counterOffers.length;
+        _counterOffers.push(
+            CounterOfferLogic.newCounterOffer(
+                counterOfferId,
+                exchangeId,
+                taker,
+                nftAddress,
+                tokenId,
+                nftAmount,
+                token,
+                price
+            )
+        );
+        _exchangeIdToCounterOffers[exchangeId].push(counterOfferId);
+
+        emit CounterOfferAdded(
+            counterOfferId,
             exchangeId,
-            _exchangeOrders[exchangeId].users[0],
-            buyer,
-            _exchangeOrders[exchangeId].nftAddresses[0],
-            _exchangeOrders[exchangeId].tokenIds[0],
-            _exchangeOrders[exchangeId].nftAmounts[0],
-            _exchangeOrders[exchangeId].prices[destinationId],
-            _exchangeOrders[exchangeId].nftAddresses[destinationId],
-            _exchangeOrders[exchangeId].tokenIds[destinationId],
-            _exchangeOrders[exchangeId].nftAmounts[destinationId]
+            taker,
+            nftAddress,
+            tokenId,
+            nftAmount,
+            token,
+            price
+        );
+    }
+
+    /**
+     * @dev Accept a counter offer, its exchange order is completed with taker as buyer
+     * - Can only be called by Market
+     * @param counterOfferId Counter offer id
+     */
+    function acceptCounterOffer(uint256 counterOfferId)
+        external
+        onlyMarket
+        whenNotPaused(PauseGroups.EXCHANGES)
+    {
+        CounterOfferType.CounterOffer storage counterOffer = _counterOffers[counterOfferId];
+        uint256 exchangeId = counterOffer.exchangeId;
+        _requireNotFlagged(exchangeId, 0);
+        require(
+            nftList.isTokenFlagged(counterOffer.nftAddress, counterOffer.tokenId) == false,
+            ExchangeOrderListErrors.TOKEN_FLAGGED
         );
+
+        counterOffer.accept();
+        _completeExchangeOrder(
+            exchangeId,
+            counterOffer.taker,
+            _exchangeOrders[exchangeId].nftAmounts[0] - _exchangeOrders[exchangeId].soldAmount
+        );
+
+        emit CounterOfferAccepted(counterOfferId, exchangeId, counterOffer.taker);
+    }
+
+    /**
+     * @dev Deactive a counter offer
+     * - Can only be called by Market
+     * @param counterOfferId Counter offer id
+     */
+    function deactiveCounterOffer(uint256 counterOfferId) external onlyMarket {
+        _counterOffers[counterOfferId].deactive();
+        emit CounterOfferDeactive(counterOfferId, _counterOffers[counterOfferId].exchangeId);
     }
 
     /**
@@ -223,6 +399,19 @@ contract ExchangeOrderList is Initializable {
         return _exchangeOrders[exchangeId];
     }
 
+    /**
+     * @dev Get the options of an exchange order by id, i.e. its expiry, allowed buyers and sides
+     * @param exchangeId Exchange order id
+     * @return Exchange order options
+     */
+    function getExchangeOrderOptionsById(uint256 exchangeId)
+        external
+        view
+        returns (ExchangeOrderType.ExchangeOrderOptions memory)
+    {
+        return _exchangeOrderOptions[exchangeId];
+    }
+
     /**
      * @dev Get information of the exchange orders by list of ids
      * @param idList The list of ids of exchange orders
@@ -249,23 +438,15 @@ contract ExchangeOrderList is Initializable {
 
     /**
      * @dev Get list of id of available exchange orders
+     * - Expired exchange orders are left out
      */
     function getAvailableExchangeOrdersIdList()
         external
         view
         returns (uint256[] memory resultERC721, uint256[] memory resultERC1155)
     {
-        resultERC721 = new uint256[](_availableExchangeOrdersERC721.length);
-
-        for (uint256 i = 0; i < _availableExchangeOrdersERC721.length; i++) {
-            resultERC721[i] = _availableExchangeOrdersERC721[i];
-        }
-
-        resultERC1155 = new uint256[](_availableExchangeOrdersERC1155.length);
-
-        for (uint256 i = 0; i < _availableExchangeOrdersERC1155.length; i++) {
-            resultERC1155[i] = _availableExchangeOrdersERC1155[i];
-        }
+        resultERC721 = _filterUnexpiredExchangeOrders(_availableExchangeOrdersERC721);
+        resultERC1155 = _filterUnexpiredExchangeOrders(_availableExchangeOrdersERC1155);
     }
 
     /**
@@ -285,21 +466,15 @@ contract ExchangeOrderList is Initializable {
 
     /**
      * @dev Get list of ids of the available exchange orders of a user
+     * - Expired exchange orders are left out
      */
     function getAvailableExchangeOrdersIdListByUser(address user)
         external
         view
         returns (uint256[] memory resultERC721, uint256[] memory resultERC1155)
     {
-        resultERC721 = new uint256[](_sellerToAvailableOrdersERC721[user].length);
-        for (uint256 i = 0; i < _sellerToAvailableOrdersERC721[user].length; i++) {
-            resultERC721[i] = _sellerToAvailableOrdersERC721[user][i];
-        }
-
-        resultERC1155 = new uint256[](_sellerToAvailableOrdersERC1155[user].length);
-        for (uint256 i = 0; i < _sellerToAvailableOrdersERC1155[user].length; i++) {
-            resultERC1155[i] = _sellerToAvailableOrdersERC1155[user][i];
-        }
+        resultERC721 = _filterUnexpiredExchangeOrders(_sellerToAvailableOrdersERC721[user]);
+        resultERC1155 = _filterUnexpiredExchangeOrders(_sellerToAvailableOrdersERC1155[user]);
     }
 
     /**
@@ -319,17 +494,14 @@ contract ExchangeOrderList is Initializable {
 
     /**
      * @dev Get list of id of available exchange orders of a nftAddress
+     * - Expired exchange orders are left out
      */
     function getAvailableExchangeOrdersIdListByNftAddress(address nftAddress)
         external
         view
         returns (uint256[] memory result)
     {
-        result = new uint256[](_nftToAvailableOrders[nftAddress].length);
-
-        for (uint256 i = 0; i < _nftToAvailableOrders[nftAddress].length; i++) {
-            result[i] = _nftToAvailableOrders[nftAddress][i];
-        }
+        result = _filterUnexpiredExchangeOrders(_nftToAvailableOrders[nftAddress]);
     }
 
     /**
@@ -344,6 +516,53 @@ contract ExchangeOrderList is Initializable {
         return _buyers[user];
     }
 
+    /**
+     * @dev Get information of a counter offer by id
+     * @param counterOfferId Counter offer id
+     */
+    function getCounterOfferById(uint256 counterOfferId)
+        external
+        view
+        returns (CounterOfferType.CounterOffer memory)
+    {
+        return _counterOffers[counterOfferId];
+    }
+
+    /**
+     * @dev Get the number of counter offers
+     * @return The number of counter offers
+     */
+    function getCounterOfferCount() external view returns (uint256) {
+        return _counterOffers.length;
+    }
+
+    /**
+     * @dev Get list of id of all counter offers made on an exchange order
+     * @param exchangeId Exchange order id
+     */
+    function getCounterOffersIdListByExchangeId(uint256 exchangeId)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _exchangeIdToCounterOffers[exchangeId];
+    }
+
+    /**
+     * @dev Get list of id of available private exchange orders reserved for a user
+     * @param user The address of user
+     */
+    function getReservedExchangeOrdersIdListByUser(address user)
+        external
+        view
+        returns (uint256[] memory result)
+    {
+        result = new uint256[](_buyerToReservedOrders[user].length);
+        for (uint256 i = 0; i < _buyerToReservedOrders[user].length; i++) {
+            result[i] = _buyerToReservedOrders[user][i];
+        }
+    }
+
     /**
      * @dev Get latest exchangeId of a nft is of type ERC721
      * @param nftAddress The address of nft
@@ -440,6 +659,111 @@ contract ExchangeOrderList is Initializable {
         return false;
     }
 
+    /**
+     * @dev Record an amount of the first source nft of an exchange order as exchanged, the
+     * exchange order is deactived once the whole amount is exchanged
+     * - internal function called inside completeExchangeOrder() and acceptCounterOffer() function
+     * @param exchangeId Exchange order id
+     * @param buyer Buyer address
+     * @param amount The amount of the first source nft exchanged
+     **/
+    function _completeExchangeOrder(
+        uint256 exchangeId,
+        address buyer,
+        uint256 amount
+    ) internal {
+        _exchangeOrders[exchangeId].complete(buyer, amount);
+        _buyers[buyer].push(exchangeId);
+        if (_exchangeOrders[exchangeId].isActive == false) {
+            _removeExchangeOrderFromList(exchangeId);
+        }
+    }
+
+    /**
+     * @dev Emit ExchangeOrderCompleted with the amounts and the price of a fill
+     * - internal function called inside completeExchangeOrder() function
+     * @param exchangeOrder Exchange order object, before the fill is recorded
+     * @param destinationId The destination nft buyer gives
+     * @param buyer Buyer address
+     * @param amount The amount of the first source nft exchanged
+     **/
+    function _emitExchangeOrderCompleted(
+        ExchangeOrderType.ExchangeOrder storage exchangeOrder,
+        uint256 destinationId,
+        address buyer,
+        uint256 amount
+    ) internal {
+        emit ExchangeOrderCompleted(
+            exchangeOrder.exchangeId,
+            exchangeOrder.users[0],
+            buyer,
+            exchangeOrder.nftAddresses[0],
+            exchangeOrder.tokenIds[0],
+            amount,
+            (exchangeOrder.prices[destinationId] * (exchangeOrder.soldAmount + amount)) /
+                exchangeOrder.nftAmounts[0] -
+                (exchangeOrder.prices[destinationId] * exchangeOrder.soldAmount) /
+                exchangeOrder.nftAmounts[0],
+            exchangeOrder.nftAddresses[destinationId],
+            exchangeOrder.tokenIds[destinationId],
+            (exchangeOrder.nftAmounts[destinationId] * amount) / exchangeOrder.nftAmounts[0]
+        );
+    }
+
+    /**
+     * @dev Check that none of the nfts traded by completing an exchange order is flagged
+     * - internal function called inside completeExchangeOrder() and acceptCounterOffer() function
+     * @param exchangeId Exchange order id
+     * @param destinationId The destination nft buyer gives, zero when buyer gives none of them
+     **/
+    function _requireNotFlagged(uint256 exchangeId, uint256 destinationId) internal view {
+        ExchangeOrderType.ExchangeOrder storage exchangeOrder = _exchangeOrders[exchangeId];
+        ExchangeOrderType.ExchangeOrderOptions memory options = _exchangeOrderOptions[exchangeId];
+        uint256 sourceCount = options.getSourceCount();
+        for (uint256 i = 0; i < exchangeOrder.nftAddresses.length; i++) {
+            if (
+                i < sourceCount ||
+                (destinationId > 0 && (i == destinationId || options.isDestinationSet))
+            ) {
+                require(
+                    nftList.isTokenFlagged(
+                        exchangeOrder.nftAddresses[i],
+                        exchangeOrder.tokenIds[i]
+                    ) == false,
+                    ExchangeOrderListErrors.TOKEN_FLAGGED
+                );
+            }
+        }
+    }
+
+    /**
+     * @dev Copy the ids of the exchange orders that have not expired
+     * - internal function called inside getAvailableExchangeOrdersIdList(),
+     *   getAvailableExchangeOrdersIdListByUser() and getAvailableExchangeOrdersIdListByNftAddress()
+     * @param ids The ids of available exchange orders
+     * @return result The ids of the exchange orders that have not expired
+     */
+    function _filterUnexpiredExchangeOrders(uint256[] storage ids)
+        internal
+        view
+        returns (uint256[] memory result)
+    {
+        uint256 count;
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (!_exchangeOrderOptions[ids[i]].isExpired()) {
+                count++;
+            }
+        }
+
+        result = new uint256[](count);
+        count = 0;
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (!_exchangeOrderOptions[ids[i]].isExpired()) {
+                result[count++] = ids[i];
+            }
+        }
+    }
+
     /**
      * @dev Add exchange order to
      - _exchangeOrders,
@@ -449,11 +773,20 @@ contract ExchangeOrderList is Initializable {
      - _sellerToAvailableOrdersERC1155 or _sellerToAvailableOrdersERC721,
      - _nftToAvailableOrders
      * internal function called inside addExchangeOrder() function
+     * - None of the nft tokens of exchange order may be flagged in NFTList
      * @param exchangeOrder Exchange order object
      */
     function _addExchangeOrderToList(ExchangeOrderType.ExchangeOrder memory exchangeOrder)
         internal
     {
+        for (uint256 i = 0; i < exchangeOrder.nftAddresses.length; i++) {
+            require(
+                nftList.isTokenFlagged(exchangeOrder.nftAddresses[i], exchangeOrder.tokenIds[i]) ==
+                    false,
+                ExchangeOrderListErrors.TOKEN_FLAGGED
+            );
+        }
+
         uint256 exchangeId = exchangeOrder.exchangeId;
         _sellerToOrders[exchangeOrder.users[0]].push(exchangeId);
         _nftToOrders[exchangeOrder.nftAddresses[0]].push(exchangeId);
@@ -474,8 +807,8 @@ contract ExchangeOrderList is Initializable {
 
     /**
      * @dev Remove exchange order from
-     - _availableExchangeOrders,
-     - _availableExchangeOrdersERC1155 or _availableExchangeOrdersERC721
+     - _availableExchangeOrdersERC1155 or _availableExchangeOrdersERC721,
+       or _buyerToReservedOrders if it is private
      - _sellerToAvailableOrdersERC1155 or _sellerToAvailableOrdersERC721,
      - _nftToAvailableOrders
      * internal function called inside completeExchnangeOrder() and deactiveExchangeOrder() function
@@ -483,13 +816,35 @@ contract ExchangeOrderList is Initializable {
      */
     function _removeExchangeOrderFromList(uint256 exchangeId) internal {
         ExchangeOrderType.ExchangeOrder memory exchangeOrder = _exchangeOrders[exchangeId];
-        _nftToAvailableOrders[exchangeOrder.nftAddresses[0]].removeAtValue(exchangeId);
+        address[] memory allowedBuyers = _exchangeOrderOptions[exchangeId].allowedBuyers;
+        if (allowedBuyers.length > 0) {
+            for (uint256 i = 0; i < allowedBuyers.length; i++) {
+                _buyerToReservedOrders[allowedBuyers[i]].removeAtValue(exchangeId);
+            }
+        } else {
+            _removeExchangeOrderFromPublicList(exchangeId);
+        }
         if (nftList.isERC1155(exchangeOrder.nftAddresses[0]) == true) {
-            _availableExchangeOrdersERC1155.removeAtValue(exchangeId);
             _sellerToAvailableOrdersERC1155[exchangeOrder.users[0]].removeAtValue(exchangeId);
         } else {
-            _availableExchangeOrdersERC721.removeAtValue(exchangeId);
             _sellerToAvailableOrdersERC721[exchangeOrder.users[0]].removeAtValue(exchangeId);
         }
     }
+
+    /**
+     * @dev Remove exchange order from
+     - _availableExchangeOrdersERC1155 or _availableExchangeOrdersERC721
+     - _nftToAvailableOrders
+     * internal function called inside reserveExchangeOrder() and _removeExchangeOrderFromList() function
+     * @param exchangeId Id of exchange order
+     */
+    function _removeExchangeOrderFromPublicList(uint256 exchangeId) internal {
+        address nftAddress = _exchangeOrders[exchangeId].nftAddresses[0];
+        _nftToAvailableOrders[nftAddress].removeAtValue(exchangeId);
+        if (nftList.isERC1155(nftAddress) == true) {
+            _availableExchangeOrdersERC1155.removeAtValue(exchangeId);
+        } else {
+            _availableExchangeOrdersERC721.removeAtValue(exchangeId);
+        }
+    }
 }
@@ -1,49 +1,23 @@
 // SPDX-License-Identifier: GPL-3.0
 pragma solidity ^0.8.0;
 
-import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
-import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
-import "../libraries/helpers/MarketErrors.sol";
-import "../interfaces/IVault.sol";
-import "../interfaces/IExchangeOrderList.sol";
-import "../interfaces/ISellOrderList.sol";
-
-import "../interfaces/mini-interfaces/MiniINFTList.sol";
-import "../interfaces/mini-interfaces/MiniIAddressesProvider.sol";
+import "../libraries/logic/SellOrderLogic.sol";
+import "../libraries/logic/ExchangeOrderLogic.sol";
+import "./MarketBase.sol";
 
 /**
  * @title Market contract
  * - Owned by the MochiLab
  * @author MochiLab
  **/
-contract Market is Initializable, ReentrancyGuard {
+contract Market is MarketBase {
     using SafeERC20 for IERC20;
+    using SellOrderLogic for SellOrderType.SellOrder;
+    using ExchangeOrderLogic for ExchangeOrderType.ExchangeOrder;
 
-    uint256 public constant SAFE_NUMBER = 1e12;
-    MiniIAddressesProvider public addressesProvider;
-    MiniINFTList public nftList;
-    ISellOrderList public sellOrderList;
-    IVault public vault;
-    IExchangeOrderList public exchangeOrderList;
-    address public moma;
-
-    mapping(address => bool) public acceptedToken;
-    uint256 internal _regularFeeNumerator;
-    uint256 internal _regularFeeDenominator;
-    uint256 internal _momaFeeNumerator;
-    uint256 internal _momaFeeDenominator;
-
-    event RegularFeeUpdated(uint256 numerator, uint256 denominator);
-    event MOMAFeeUpdated(uint256 numerator, uint256 denominator);
-
-    modifier onlyMarketAdmin() {
-        require(addressesProvider.getAdmin() == msg.sender, MarketErrors.CALLER_NOT_MARKET_ADMIN);
-        _;
-    }
+    event ExtensionUpdated(bytes4 indexed selector, address indexed extension);
 
     /**
      * @dev Function is invoked by the proxy contract when the Market contract is added to the
@@ -71,6 +45,9 @@ contract Market is Initializable, ReentrancyGuard {
         sellOrderList = ISellOrderList(addressesProvider.getSellOrderList());
         exchangeOrderList = IExchangeOrderList(addressesProvider.getExchangeOrderList());
         vault = IVault(addressesProvider.getVault());
+        auctionList = IAuctionList(addressesProvider.getAuctionList());
+        offerList = IOfferList(addressesProvider.getOfferList());
+        bundleList = IBundleList(addressesProvider.getBundleList());
 
         moma = momaToken;
         _momaFeeNumerator = momaFeeNumerator;
@@ -107,29 +84,18 @@ contract Market is Initializable, ReentrancyGuard {
     }
 
     /**
-     * @dev Update fee for transactions
-     * - Can only be called by market admin
-     * @param numerator The fee numerator
-     * @param denominator The fee denominator
-     **/
-    function updateRegularFee(uint256 numerator, uint256 denominator) external onlyMarketAdmin {
-        require(denominator >= numerator, MarketErrors.DEMONINATOR_NOT_GREATER_THAN_NUMERATOR);
-        _regularFeeNumerator = numerator;
-        _regularFeeDenominator = denominator;
-        emit RegularFeeUpdated(numerator, denominator);
-    }
-
-    /**
-     * @dev Update fee for transactions
-     * - Can only be called by market admin
-     * @param numerator The fee numerator
-     * @param denominator The fee denominator
+     * @dev Route function selectors unknown to Market to an extension contract,
+     * address(0) removes the route
+     * - Can only be called by the owner of AddressesProvider, the one able to upgrade Market
+     * @param selectors The function selectors implemented by the extension
+     * @param extension The address of extension contract
      **/
-    function updateMomaFee(uint256 numerator, uint256 denominator) external onlyMarketAdmin {
-        require(denominator >= numerator, MarketErrors.DEMONINATOR_NOT_GREATER_THAN_NUMERATOR);
-        _momaFeeNumerator = numerator;
-        _momaFeeDenominator = denominator;
-        emit MOMAFeeUpdated(numerator, denominator);
+    function setExtension(bytes4[] calldata selectors, address extension) external {
+        require(addressesProvider.owner() == msg.sender, MarketErrors.CALLER_NOT_PROVIDER_OWNER);
+        for (uint256 i = 0; i < selectors.length; i++) {
+            _extensions[selectors[i]] = extension;
+            emit ExtensionUpdated(selectors[i], extension);
+        }
     }
 
     /**
@@ -147,14 +113,51 @@ contract Market is Initializable, ReentrancyGuard {
         uint256 amount,
         uint256 price,
         address token
+    ) external nonReentrant {
+        _createSellOrder(nftAddress, tokenId, amount, price, token);
+    }
+
+    /**
+     * @dev Create a dutch sell order whose unit price decays linearly
+     * from startPrice to endPrice between startTime and endTime
+     * - Can be called at anyone
+     * @param nftAddress The address of nft contract
+     * @param tokenId The tokenId of nft
+     * @param amount The amount of nft seller wants to sell
+     * @param startPrice The unit price at startTime
+     * @param endPrice The unit price at endTime
+     * @param token The token that seller wants to be paid for
+     * @param startTime Time the unit price starts decaying
+     * @param endTime Time the unit price reaches endPrice
+     **/
+    function createDutchSellOrder(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 startPrice,
+        uint256 endPrice,
+        address token,
+        uint256 startTime,
+        uint256 endTime
     ) external nonReentrant {
         require(nftList.isAcceptedNFT(nftAddress), MarketErrors.NFT_NOT_ACCEPTED);
-        require(price > 0, MarketErrors.PRICE_IS_ZERO);
+        require(endPrice > 0, MarketErrors.PRICE_IS_ZERO);
+        require(startPrice > endPrice && startTime < endTime, MarketErrors.INVALID_PRICE_CURVE);
         require(acceptedToken[token] == true, MarketErrors.TOKEN_NOT_ACCEPTED);
 
         _transferAsset(nftAddress, tokenId, amount, msg.sender, address(this), "0x");
 
-        sellOrderList.addSellOrder(nftAddress, tokenId, amount, payable(msg.sender), price, token);
+        sellOrderList.addDutchSellOrder(
+            nftAddress,
+            tokenId,
+            amount,
+            payable(msg.sender),
+            startPrice,
+            endPrice,
+            token,
+            startTime,
+            endTime
+        );
     }
 
     /**
@@ -167,14 +170,7 @@ contract Market is Initializable, ReentrancyGuard {
         require(sellOrder.seller == msg.sender, MarketErrors.CALLER_NOT_SELLER);
         require(sellOrder.isActive == true, MarketErrors.SELL_ORDER_NOT_ACTIVE);
 
-        _transferAsset(
-            sellOrder.nftAddress,
-            sellOrder.tokenId,
-            sellOrder.amount - sellOrder.soldAmount,
-            address(this),
-            sellOrder.seller,
-            "0x"
-        );
+        _returnSellOrderAsset(sellOrder, sellOrderList.getSellOrderOptionsById(sellId));
 
         sellOrderList.deactiveSellOrder(sellId);
     }
@@ -183,14 +179,7 @@ contract Market is Initializable, ReentrancyGuard {
         SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellId);
         require(sellOrder.isActive == true, MarketErrors.SELL_ORDER_NOT_ACTIVE);
 
-        _transferAsset(
-            sellOrder.nftAddress,
-            sellOrder.tokenId,
-            sellOrder.amount - sellOrder.soldAmount,
-            address(this),
-            sellOrder.seller,
-            "0x"
-        );
+        _returnSellOrderAsset(sellOrder, sellOrderList.getSellOrderOptionsById(sellId));
 
         sellOrderList.deactiveSellOrder(sellId);
     }
@@ -207,35 +196,7 @@ contract Market is Initializable, ReentrancyGuard {
         address receiver,
         bytes calldata data
     ) external payable nonReentrant {
-        SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellId);
-
-        require(sellOrder.seller != msg.sender, MarketErrors.CALLER_IS_SELLER);
-        require(sellOrder.isActive == true, MarketErrors.SELL_ORDER_NOT_ACTIVE);
-
-        require(amount > 0, MarketErrors.AMOUNT_IS_ZERO);
-        require(
-            amount <= sellOrder.amount - sellOrder.soldAmount,
-            MarketErrors.AMOUNT_IS_NOT_ENOUGH
-        );
-        uint256 amountToken = amount * sellOrder.price;
-
-        _transferAndDepositMoney(
-            sellOrder.token,
-            amountToken,
-            sellOrder.seller,
-            sellOrder.nftAddress
-        );
-
-        _transferAsset(
-            sellOrder.nftAddress,
-            sellOrder.tokenId,
-            amount,
-            address(this),
-            receiver,
-            data
-        );
-
-        sellOrderList.completeSellOrder(sellId, msg.sender, amount);
+        _buy(sellId, amount, receiver, data, address(0));
     }
 
     /**
@@ -249,18 +210,22 @@ contract Market is Initializable, ReentrancyGuard {
         require(sellOrder.seller == msg.sender, MarketErrors.CALLER_NOT_SELLER);
         require(sellOrder.isActive == true, MarketErrors.SELL_ORDER_NOT_ACTIVE);
         require(sellOrder.price != newPrice, MarketErrors.PRICE_NOT_CHANGE);
+        SellOrderType.SellOrderOptions memory options = sellOrderList.getSellOrderOptionsById(id);
+        if (options.decayEndTime > 0) {
+            require(newPrice > options.endPrice, MarketErrors.INVALID_PRICE_CURVE);
+        }
 
         sellOrderList.updatePrice(id, newPrice);
     }
 
     /**
-     * @dev Create an exchange order
+     * @dev Create an exchange order, seller may pay a top-up with the source nft
      * - Can be called at anyone
      * @param nftAddresses The addresses of source nft and destination nft
      * @param tokenIds The tokenIds of source nft and destination nft
      * @param nftAmounts The amount of source nft and destination nft
-     * @param tokens The token that seller wants to be paid for
-     * @param prices The price that seller wants
+     * @param tokens The token that seller pays with the source nft, or wants to be paid for
+     * @param prices The top-up that seller pays with the source nft, or the price that seller wants
      * @param users Users address
      * @param data Calldata that seller wants to execute when he receives destination nft
      **/
@@ -272,50 +237,8 @@ contract Market is Initializable, ReentrancyGuard {
         uint256[] memory prices,
         address[] memory users,
         bytes[] memory data
-    ) external nonReentrant {
-        require(
-            nftAddresses.length == tokenIds.length &&
-                tokenIds.length == nftAmounts.length &&
-                nftAmounts.length == tokens.length &&
-                tokens.length == prices.length &&
-                prices.length == data.length &&
-                users.length == 1,
-            MarketErrors.PARAMETERS_NOT_MATCH
-        );
-        require(msg.sender == users[0], MarketErrors.PARAMETERS_NOT_MATCH);
-
-        require(data[0].length == 0, MarketErrors.INVALID_CALLDATA);
-
-        for (uint256 i = 0; i < nftAddresses.length; i++) {
-            require(nftList.isAcceptedNFT(nftAddresses[i]), MarketErrors.NFT_NOT_ACCEPTED);
-            if (nftList.isERC1155(nftAddresses[i]) == true) {
-                require(nftAmounts[i] > 0, MarketErrors.AMOUNT_IS_ZERO);
-            } else {
-                require(nftAmounts[i] == 1, MarketErrors.AMOUNT_IS_NOT_EQUAL_ONE);
-            }
-            if (i > 0 && prices[i] > 0) {
-                require(acceptedToken[tokens[i]] == true, MarketErrors.TOKEN_NOT_ACCEPTED);
-            }
-        }
-
-        _transferAsset(
-            nftAddresses[0],
-            tokenIds[0],
-            nftAmounts[0],
-            msg.sender,
-            address(this),
-            "0x"
-        );
-
-        exchangeOrderList.addExchangeOrder(
-            nftAddresses,
-            tokenIds,
-            nftAmounts,
-            tokens,
-            prices,
-            users,
-            data
-        );
+    ) external payable nonReentrant {
+        _createExchangeOrder(nftAddresses, tokenIds, nftAmounts, tokens, prices, users, data, 1);
     }
 
     /**
@@ -329,13 +252,9 @@ contract Market is Initializable, ReentrancyGuard {
         require(exchangeOrder.users[0] == msg.sender, MarketErrors.CALLER_NOT_SELLER);
         require(exchangeOrder.isActive == true, MarketErrors.EXCHANGE_ORDER_NOT_ACTIVE);
 
-        _transferAsset(
-            exchangeOrder.nftAddresses[0],
-            exchangeOrder.tokenIds[0],
-            exchangeOrder.nftAmounts[0],
-            address(this),
-            exchangeOrder.users[0],
-            "0x"
+        _returnExchangeOrderAsset(
+            exchangeOrder,
+            exchangeOrderList.getExchangeOrderOptionsById(exchangeId)
         );
 
         exchangeOrderList.deactiveExchangeOrder(exchangeId);
@@ -346,13 +265,9 @@ contract Market is Initializable, ReentrancyGuard {
             .getExchangeOrderById(exchangeId);
         require(exchangeOrder.isActive == true, MarketErrors.EXCHANGE_ORDER_NOT_ACTIVE);
 
-        _transferAsset(
-            exchangeOrder.nftAddresses[0],
-            exchangeOrder.tokenIds[0],
-            exchangeOrder.nftAmounts[0],
-            address(this),
-            exchangeOrder.users[0],
-            "0x"
+        _returnExchangeOrderAsset(
+            exchangeOrder,
+            exchangeOrderList.getExchangeOrderOptionsById(exchangeId)
         );
 
         exchangeOrderList.deactiveExchangeOrder(exchangeId);
@@ -370,117 +285,16 @@ contract Market is Initializable, ReentrancyGuard {
         address receiver,
         bytes memory data
     ) external payable nonReentrant {
-        ExchangeOrderType.ExchangeOrder memory exchangeOrder = exchangeOrderList
-            .getExchangeOrderById(exchangeId);
-        require(exchangeOrder.users[0] != msg.sender, MarketErrors.CALLER_IS_SELLER);
-        require(exchangeOrder.isActive == true, MarketErrors.EXCHANGE_ORDER_NOT_ACTIVE);
-        require(
-            destinationId > 0 && destinationId < exchangeOrder.nftAddresses.length,
-            MarketErrors.INVALID_DESTINATION
-        );
-
-        _transferAndDepositMoney(
-            exchangeOrder.tokens[destinationId],
-            exchangeOrder.prices[destinationId],
-            exchangeOrder.users[0],
-            exchangeOrder.nftAddresses[0]
-        );
-
-        _transferAsset(
-            exchangeOrder.nftAddresses[destinationId],
-            exchangeOrder.tokenIds[destinationId],
-            exchangeOrder.nftAmounts[destinationId],
-            msg.sender,
-            exchangeOrder.users[0],
-            exchangeOrder.data[destinationId]
-        );
-
-        _transferAsset(
-            exchangeOrder.nftAddresses[0],
-            exchangeOrder.tokenIds[0],
-            exchangeOrder.nftAmounts[0],
-            address(this),
-            receiver,
-            data
-        );
-
-        exchangeOrderList.completeExchangeOrder(exchangeId, destinationId, msg.sender);
-    }
-
-    /**
-     * @dev Get regular fee
-     * - external view function
-     * @return Regular fee numerator and denominator
-     **/
-    function getRegularFee() external view returns (uint256, uint256) {
-        return (_regularFeeNumerator, _regularFeeDenominator);
+        _exchange(exchangeId, destinationId, 0, receiver, data, address(0));
     }
 
     /**
-     * @dev Get moma fee
-     * - external view function
-     * @return Moma fee numerator and denominator
+     * @dev Get the extension which implements a function selector
+     * @param selector The function selector
+     * @return The address of extension contract
      **/
-    function getMomaFee() external view returns (uint256, uint256) {
-        return (_momaFeeNumerator, _momaFeeDenominator);
-    }
-
-    /**
-     * @dev Calculate fee
-     * - internal view function, called inside buy(), exchange() function
-     * @param token The  token address
-     * @param price The price of transaction
-     **/
-    function _calculateFee(address token, uint256 price) internal view returns (uint256 fee) {
-        if (token == moma) {
-            fee = ((price * SAFE_NUMBER * _momaFeeNumerator) / _momaFeeDenominator) / SAFE_NUMBER;
-        } else {
-            fee =
-                ((price * SAFE_NUMBER * _regularFeeNumerator) / _regularFeeDenominator) /
-                SAFE_NUMBER;
-        }
-    }
-
-    function _transferAndDepositMoney(
-        address token,
-        uint256 amount,
-        address seller,
-        address nftAddress
-    ) internal {
-        uint256 fee = _calculateFee(token, amount);
-
-        if (token == address(0)) {
-            require(msg.value == amount, MarketErrors.VALUE_NOT_EQUAL_PRICE);
-            payable(seller).transfer(amount - fee);
-
-            if (fee > 0) {
-                vault.deposit{value: fee}(nftAddress, seller, msg.sender, token, fee);
-            }
-        } else {
-            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
-            IERC20(token).safeTransfer(seller, amount - fee);
-
-            if (fee > 0) {
-                vault.deposit(nftAddress, seller, msg.sender, token, fee);
-            }
-        }
-    }
-
-    function _transferAsset(
-        address nftAddress,
-        uint256 tokenId,
-        uint256 amount,
-        address from,
-        address to,
-        bytes memory data
-    ) internal {
-        if (nftList.isERC1155(nftAddress) == true) {
-            require(amount > 0, MarketErrors.AMOUNT_IS_ZERO);
-            IERC1155(nftAddress).safeTransferFrom(from, to, tokenId, amount, data);
-        } else {
-            require(amount == 1, MarketErrors.AMOUNT_IS_NOT_EQUAL_ONE);
-            IERC721(nftAddress).safeTransferFrom(from, to, tokenId, data);
-        }
+    function getExtension(bytes4 selector) external view returns (address) {
+        return _extensions[selector];
     }
 
     function onERC721Received(
@@ -501,4 +315,36 @@ contract Market is Initializable, ReentrancyGuard {
     ) external pure returns (bytes4) {
         return bytes4(keccak256("onERC1155Received(address,address,uint256,uint256,bytes)"));
     }
+
+    /**
+     * @dev Receive native coin swapped by RootRouter, see MarketSwap.buyWithSwap()
+     **/
+    receive() external payable {
+        require(
+            msg.sender == addressesProvider.getRootRouter(),
+            MarketErrors.CALLER_NOT_ROOT_ROUTER
+        );
+    }
+
+    /**
+     * @dev Execute the call in the context of Market by the extension registered for its selector
+     **/
+    fallback() external payable {
+        address extension = _extensions[msg.sig];
+        require(extension != address(0), MarketErrors.FUNCTION_NOT_FOUND);
+
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), extension, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+
+            switch result
+                case 0 {
+                    revert(0, returndatasize())
+                }
+                default {
+                    return(0, returndatasize())
+                }
+        }
+    }
 }
@@ -0,0 +1,210 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "./MarketBase.sol";
+
+/**
+ * @title MarketAuctions contract
+ * @dev Market extension where sellers put nft up for english auction
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketAuctions is MarketBase {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev Create an english auction
+     * - Can be called at anyone
+     * @param nftAddress The address of nft contract
+     * @param tokenId The tokenId of nft
+     * @param amount The amount of nft seller wants to auction
+     * @param token The token that seller wants to be paid for
+     * @param reservePrice The lowest price seller accepts for the first bid
+     * @param minBidIncrement The minimum amount a new bid must exceed the highest bid by
+     * @param startTime Time the auction opens for bidding
+     * @param endTime Time the auction closes
+     * @param extensionDuration A bid placed within this duration before endTime extends the auction by it
+     **/
+    function createAuction(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address token,
+        uint256 reservePrice,
+        uint256 minBidIncrement,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 extensionDuration
+    ) external nonReentrant whenNotPaused(PauseGroups.ORDERS) {
+        require(nftList.isAcceptedNFT(nftAddress), MarketErrors.NFT_NOT_ACCEPTED);
+        require(nftList.isTokenFlagged(nftAddress, tokenId) == false, MarketErrors.TOKEN_FLAGGED);
+        require(reservePrice > 0, MarketErrors.PRICE_IS_ZERO);
+        require(acceptedToken[token] == true, MarketErrors.TOKEN_NOT_ACCEPTED);
+        require(
+            startTime < endTime && endTime > block.timestamp,
+            MarketErrors.INVALID_AUCTION_TIME
+        );
+
+        _transferAsset(nftAddress, tokenId, amount, msg.sender, address(this), "0x");
+
+        auctionList.addAuction(
+            nftAddress,
+            tokenId,
+            amount,
+            payable(msg.sender),
+            token,
+            reservePrice,
+            minBidIncrement,
+            startTime,
+            endTime,
+            extensionDuration
+        );
+    }
+
+    /**
+     * @dev Place a bid on an auction, the bid is escrowed by Market
+     * and the previous highest bidder is refunded
+     * - Can be called at anyone
+     * @param auctionId Auction id
+     * @param bidAmount The amount of token bidden
+     **/
+    function bid(uint256 auctionId, uint256 bidAmount)
+        external
+        payable
+        nonReentrant
+        whenNotPaused(PauseGroups.BUYS)
+    {
+        AuctionType.Auction memory auction = auctionList.getAuctionById(auctionId);
+
+        require(auction.seller != msg.sender, MarketErrors.CALLER_IS_SELLER);
+        require(auction.isActive == true, MarketErrors.AUCTION_NOT_ACTIVE);
+        require(block.timestamp >= auction.startTime, MarketErrors.AUCTION_NOT_STARTED);
+        require(block.timestamp < auction.endTime, MarketErrors.AUCTION_ENDED);
+        require(
+            nftList.isTokenFlagged(auction.nftAddress, auction.tokenId) == false,
+            MarketErrors.TOKEN_FLAGGED
+        );
+
+        if (auction.highestBidder == address(0)) {
+            require(bidAmount >= auction.reservePrice, MarketErrors.BID_TOO_LOW);
+        } else {
+            require(
+                bidAmount >= auction.highestBid + auction.minBidIncrement &&
+                    bidAmount > auction.highestBid,
+                MarketErrors.BID_TOO_LOW
+            );
+        }
+
+        if (auction.token == address(0)) {
+            require(msg.value == bidAmount, MarketErrors.VALUE_NOT_EQUAL_PRICE);
+        } else {
+            IERC20(auction.token).safeTransferFrom(msg.sender, address(this), bidAmount);
+        }
+
+        if (auction.highestBidder != address(0)) {
+            _refundBid(auction.token, auction.highestBidder, auction.highestBid);
+        }
+
+        auctionList.bid(auctionId, msg.sender, bidAmount);
+    }
+
+    /**
+     * @dev Settle an ended auction, the highest bid is paid to seller through
+     * the same fee and royalty path as buy() and the nft is sent to the highest bidder.
+     * The nft is returned to seller if nobody bid. An auction of a flagged token with a bid
+     * can only be removed by market admin, see MarketDenylist.removeFlaggedAuctions()
+     * - Can be called at anyone
+     * @param auctionId Auction id
+     **/
+    function settleAuction(uint256 auctionId) external nonReentrant {
+        AuctionType.Auction memory auction = auctionList.getAuctionById(auctionId);
+
+        require(auction.isActive == true, MarketErrors.AUCTION_NOT_ACTIVE);
+        require(block.timestamp >= auction.endTime, MarketErrors.AUCTION_NOT_ENDED);
+
+        if (auction.highestBidder == address(0)) {
+            _transferAsset(
+                auction.nftAddress,
+                auction.tokenId,
+                auction.amount,
+                address(this),
+                auction.seller,
+                "0x"
+            );
+
+            auctionList.deactiveAuction(auctionId);
+        } else {
+            require(
+                nftList.isTokenFlagged(auction.nftAddress, auction.tokenId) == false,
+                MarketErrors.TOKEN_FLAGGED
+            );
+
+            _depositMoney(
+                auction.token,
+                auction.highestBid,
+                auction.seller,
+                auction.highestBidder,
+                auction.nftAddress,
+                auction.tokenId,
+                address(0)
+            );
+
+            _transferAsset(
+                auction.nftAddress,
+                auction.tokenId,
+                auction.amount,
+                address(this),
+                auction.highestBidder,
+                "0x"
+            );
+
+            auctionList.completeAuction(auctionId);
+        }
+    }
+
+    /**
+     * @dev Cancel an auction which has not received any bid
+     * - Can only be called by seller
+     * @param auctionId Auction id
+     **/
+    function cancelAuction(uint256 auctionId) external nonReentrant {
+        AuctionType.Auction memory auction = auctionList.getAuctionById(auctionId);
+        require(auction.seller == msg.sender, MarketErrors.CALLER_NOT_SELLER);
+        require(auction.isActive == true, MarketErrors.AUCTION_NOT_ACTIVE);
+        require(auction.highestBidder == address(0), MarketErrors.AUCTION_HAS_BID);
+
+        _transferAsset(
+            auction.nftAddress,
+            auction.tokenId,
+            auction.amount,
+            address(this),
+            auction.seller,
+            "0x"
+        );
+
+        auctionList.deactiveAuction(auctionId);
+    }
+
+    function removeAuction(uint256 auctionId) external onlyMarketAdmin {
+        AuctionType.Auction memory auction = auctionList.getAuctionById(auctionId);
+        require(auction.isActive == true, MarketErrors.AUCTION_NOT_ACTIVE);
+
+        if (auction.highestBidder != address(0)) {
+            _refundBid(auction.token, auction.highestBidder, auction.highestBid);
+        }
+
+        _transferAsset(
+            auction.nftAddress,
+            auction.tokenId,
+            auction.amount,
+            address(this),
+            auction.seller,
+            "0x"
+        );
+
+        auctionList.deactiveAuction(auctionId);
+    }
+}
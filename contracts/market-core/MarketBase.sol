@@ -0,0 +1,832 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "../libraries/helpers/MarketErrors.sol";
+import "../libraries/helpers/PauseGroups.sol";
+import "../libraries/logic/SellOrderLogic.sol";
+import "../libraries/logic/ExchangeOrderLogic.sol";
+import "../libraries/types/FeeType.sol";
+import "../interfaces/IVault.sol";
+import "../interfaces/ITradeStats.sol";
+import "../interfaces/IExchangeOrderList.sol";
+import "../interfaces/ISellOrderList.sol";
+import "../interfaces/IAuctionList.sol";
+import "../interfaces/IOfferList.sol";
+import "../interfaces/IBundleList.sol";
+
+import "../interfaces/mini-interfaces/MiniINFTList.sol";
+import "../interfaces/mini-interfaces/MiniIAddressesProvider.sol";
+
+/**
+ * @title MarketBase contract
+ * @dev Storage and internal functions shared by Market and its extensions.
+ * Extensions are executed by delegatecall from Market, so they must inherit this
+ * contract and never declare storage of their own
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+abstract contract MarketBase is Initializable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using SellOrderLogic for SellOrderType.SellOrder;
+    using SellOrderLogic for SellOrderType.SellOrderOptions;
+    using ExchangeOrderLogic for ExchangeOrderType.ExchangeOrder;
+    using ExchangeOrderLogic for ExchangeOrderType.ExchangeOrderOptions;
+
+    uint256 public constant SAFE_NUMBER = 1e12;
+    MiniIAddressesProvider public addressesProvider;
+    MiniINFTList public nftList;
+    ISellOrderList public sellOrderList;
+    IVault public vault;
+    IExchangeOrderList public exchangeOrderList;
+    address public moma;
+
+    mapping(address => bool) public acceptedToken;
+    uint256 internal _regularFeeNumerator;
+    uint256 internal _regularFeeDenominator;
+    uint256 internal _momaFeeNumerator;
+    uint256 internal _momaFeeDenominator;
+    IAuctionList public auctionList;
+    IOfferList public offerList;
+
+    // The extension which implements a function selector unknown to Market
+    mapping(bytes4 => address) internal _extensions;
+    IBundleList public bundleList;
+
+    // Signed orders of a seller whose nonce is lower are cancelled
+    mapping(address => uint256) internal _minNonces;
+    // Whether a nonce of a seller is used by a fulfilled or cancelled signed order
+    mapping(address => mapping(uint256 => bool)) internal _usedNonces;
+
+    // Fee of a collection, overriding the fee of payment token and the regular or MOMA fee
+    mapping(address => FeeType.FeeOverride) internal _collectionFees;
+    // Fee of a payment token, overriding the regular or MOMA fee
+    mapping(address => FeeType.FeeOverride) internal _tokenFees;
+
+    // Bounty credited to whoever matches two exchange orders, see MarketMatching
+    address internal _matcherBountyToken;
+    uint256 internal _matcherBounty;
+
+    // Non-custodial sell orders bound to an older nonce of seller are invalid
+    mapping(address => uint256) internal _nonCustodialNonces;
+
+    event Erc2981RoyaltyPaid(
+        address indexed nftAddress,
+        uint256 indexed tokenId,
+        address receiver,
+        address token,
+        uint256 amount
+    );
+
+    modifier onlyMarketAdmin() {
+        require(addressesProvider.getAdmin() == msg.sender, MarketErrors.CALLER_NOT_MARKET_ADMIN);
+        _;
+    }
+
+    /**
+     * @dev Sell orders and exchange orders are halted by SellOrderList and ExchangeOrderList,
+     * this guards the functions of extensions which do not go through them
+     **/
+    modifier whenNotPaused(bytes32 group) {
+        require(addressesProvider.isPaused(group) == false, MarketErrors.FUNCTION_PAUSED);
+        _;
+    }
+
+    /**
+     * @dev Escrow the nft and add a sell order to SellOrderList
+     * - internal function called inside createSellOrder() and createPrivateSellOrder() function
+     * @param nftAddress The address of nft contract
+     * @param tokenId The tokenId of nft
+     * @param amount The amount of nft seller wants to sell
+     * @param price The price offered by seller
+     * @param token The token that seller wants to be paid for
+     * @return sellId The id of the new sell order
+     **/
+    function _createSellOrder(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        address token
+    ) internal returns (uint256 sellId) {
+        require(nftList.isAcceptedNFT(nftAddress), MarketErrors.NFT_NOT_ACCEPTED);
+        require(price > 0, MarketErrors.PRICE_IS_ZERO);
+        require(acceptedToken[token] == true, MarketErrors.TOKEN_NOT_ACCEPTED);
+
+        _transferAsset(nftAddress, tokenId, amount, msg.sender, address(this), "0x");
+
+        sellId = sellOrderList.getSellOrderCount();
+        sellOrderList.addSellOrder(nftAddress, tokenId, amount, payable(msg.sender), price, token);
+    }
+
+    /**
+     * @dev Escrow the source nfts and the top-ups seller pays with them, and add an exchange
+     * order to ExchangeOrderList
+     * - internal function called inside createExchangeOrder(), createPrivateExchangeOrder()
+     * and createMultiExchangeOrder() function
+     * @param nftAddresses The addresses of source nfts and destination nfts
+     * @param tokenIds The tokenIds of source nfts and destination nfts
+     * @param nftAmounts The amount of source nfts and destination nfts
+     * @param tokens The token that seller pays with a source nft, or wants to be paid
+     * for with a destination nft
+     * @param prices The top-up that seller pays with a source nft, or the price that seller
+     * wants with a destination nft
+     * @param users Users address
+     * @param data Calldata that seller wants to execute when he receives destination nft
+     * @param sourceCount Number of source nfts at the head of the lists
+     * @return exchangeId The id of the new exchange order
+     **/
+    function _createExchangeOrder(
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory nftAmounts,
+        address[] memory tokens,
+        uint256[] memory prices,
+        address[] memory users,
+        bytes[] memory data,
+        uint256 sourceCount
+    ) internal returns (uint256 exchangeId) {
+        uint256 nativeTopUp;
+        require(
+            nftAddresses.length == tokenIds.length &&
+                tokenIds.length == nftAmounts.length &&
+                nftAmounts.length == tokens.length &&
+                tokens.length == prices.length &&
+                prices.length == data.length &&
+                users.length == 1,
+            MarketErrors.PARAMETERS_NOT_MATCH
+        );
+        require(msg.sender == users[0], MarketErrors.PARAMETERS_NOT_MATCH);
+
+        for (uint256 i = 0; i < nftAddresses.length; i++) {
+            require(nftList.isAcceptedNFT(nftAddresses[i]), MarketErrors.NFT_NOT_ACCEPTED);
+            if (nftList.isERC1155(nftAddresses[i]) == true) {
+                require(nftAmounts[i] > 0, MarketErrors.AMOUNT_IS_ZERO);
+            } else {
+                require(nftAmounts[i] == 1, MarketErrors.AMOUNT_IS_NOT_EQUAL_ONE);
+            }
+            if (prices[i] > 0) {
+                require(acceptedToken[tokens[i]] == true, MarketErrors.TOKEN_NOT_ACCEPTED);
+            }
+            if (i < sourceCount) {
+                require(data[i].length == 0, MarketErrors.INVALID_CALLDATA);
+                _transferAsset(
+                    nftAddresses[i],
+                    tokenIds[i],
+                    nftAmounts[i],
+                    msg.sender,
+                    address(this),
+                    "0x"
+                );
+                if (tokens[i] == address(0)) {
+                    nativeTopUp = nativeTopUp + prices[i];
+                } else if (prices[i] > 0) {
+                    IERC20(tokens[i]).safeTransferFrom(msg.sender, address(this), prices[i]);
+                }
+            }
+        }
+        require(msg.value == nativeTopUp, MarketErrors.VALUE_NOT_EQUAL_PRICE);
+
+        exchangeId = exchangeOrderList.getExchangeOrderCount();
+        exchangeOrderList.addExchangeOrder(
+            nftAddresses,
+            tokenIds,
+            nftAmounts,
+            tokens,
+            prices,
+            users,
+            data
+        );
+    }
+
+    /**
+     * @dev Buy nft through a sell order
+     * - internal function called inside buy() and buyWithReferrer() function
+     * @param sellId Sell order id
+     * @param amount The amount buyer wants to buy
+     * @param receiver The address receiving the nft
+     * @param data Calldata that buyer wants to execute upon receiving the nft
+     * @param referrer The address credited with a share of the fee, zero for no referrer
+     **/
+    function _buy(
+        uint256 sellId,
+        uint256 amount,
+        address receiver,
+        bytes calldata data,
+        address referrer
+    ) internal {
+        SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellId);
+        SellOrderType.SellOrderOptions memory options =
+            sellOrderList.getSellOrderOptionsById(sellId);
+
+        require(sellOrder.seller != msg.sender, MarketErrors.CALLER_IS_SELLER);
+        require(sellOrder.isActive == true, MarketErrors.SELL_ORDER_NOT_ACTIVE);
+        require(options.isExpired() == false, MarketErrors.SELL_ORDER_EXPIRED);
+        require(options.isAllowedBuyer(msg.sender), MarketErrors.CALLER_NOT_ALLOWED_BUYER);
+        require(_isSellOrderValid(sellOrder, options), MarketErrors.SELL_ORDER_INVALID);
+
+        require(amount > 0, MarketErrors.AMOUNT_IS_ZERO);
+        require(
+            amount <= sellOrder.amount - sellOrder.soldAmount,
+            MarketErrors.AMOUNT_IS_NOT_ENOUGH
+        );
+        uint256 amountToken = amount * options.getCurrentPrice(sellOrder.price);
+
+        if (options.decayEndTime > 0 && sellOrder.token == address(0)) {
+            // The price of a dutch sell order keeps decaying until the transaction is mined,
+            // so buyer sends the price he accepts and gets the excess back
+            require(msg.value >= amountToken, MarketErrors.VALUE_LESS_THAN_PRICE);
+            _depositMoney(
+                sellOrder.token,
+                amountToken,
+                sellOrder.seller,
+                msg.sender,
+                sellOrder.nftAddress,
+                sellOrder.tokenId,
+                referrer
+            );
+            if (msg.value > amountToken) {
+                _payNative(msg.sender, msg.value - amountToken);
+            }
+        } else {
+            _transferAndDepositMoney(
+                sellOrder.token,
+                amountToken,
+                sellOrder.seller,
+                sellOrder.nftAddress,
+                sellOrder.tokenId,
+                referrer
+            );
+        }
+
+        _transferAsset(
+            sellOrder.nftAddress,
+            sellOrder.tokenId,
+            amount,
+            _sellOrderHolder(sellOrder, options),
+            receiver,
+            data
+        );
+
+        sellOrderList.completeSellOrder(sellId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Purchase an exchange order, buyer gives the chosen destination nft, or every
+     * destination nft when the destinations form a set, and receives all source nfts
+     * and the top-ups seller escrowed with them. The fee is taken in both directions.
+     * An exchange order with a single ERC1155 source nft can be exchanged partially, buyer
+     * then gives the destination nft and pays the price in proportion to the amount he receives
+     * - internal function called inside exchange(), exchangeWithReferrer() and
+     * exchangePartially() function
+     * @param exchangeId Exchange order id
+     * @param destinationId The destination nft buyer gives, the first destination nft
+     * when the destinations form a set
+     * @param amount The amount of the first source nft buyer receives, zero for the whole
+     * amount left
+     * @param receiver The address receiving the source nft
+     * @param data Calldata that buyer wants to execute upon receiving the nft
+     * @param referrer The address credited with a share of the fee, zero for no referrer
+     **/
+    function _exchange(
+        uint256 exchangeId,
+        uint256 destinationId,
+        uint256 amount,
+        address receiver,
+        bytes memory data,
+        address referrer
+    ) internal {
+        ExchangeOrderType.ExchangeOrder memory exchangeOrder = exchangeOrderList
+            .getExchangeOrderById(exchangeId);
+        ExchangeOrderType.ExchangeOrderOptions memory options =
+            exchangeOrderList.getExchangeOrderOptionsById(exchangeId);
+        require(exchangeOrder.users[0] != msg.sender, MarketErrors.CALLER_IS_SELLER);
+        require(exchangeOrder.isActive == true, MarketErrors.EXCHANGE_ORDER_NOT_ACTIVE);
+        require(options.isExpired() == false, MarketErrors.EXCHANGE_ORDER_EXPIRED);
+        require(options.isAllowedBuyer(msg.sender), MarketErrors.CALLER_NOT_ALLOWED_BUYER);
+
+        uint256 sourceCount = options.getSourceCount();
+        require(
+            options.isDestinationSet
+                ? destinationId == sourceCount
+                : destinationId >= sourceCount && destinationId < exchangeOrder.nftAddresses.length,
+            MarketErrors.INVALID_DESTINATION
+        );
+
+        if (amount == 0) {
+            amount = exchangeOrder.getRemainingAmount();
+        }
+        require(amount <= exchangeOrder.getRemainingAmount(), MarketErrors.AMOUNT_IS_NOT_ENOUGH);
+        require(
+            options.isDestinationSet || sourceCount > 1
+                ? amount == exchangeOrder.nftAmounts[0]
+                : (exchangeOrder.nftAmounts[destinationId] * amount) %
+                    exchangeOrder.nftAmounts[0] ==
+                    0,
+            MarketErrors.INVALID_FILL_AMOUNT
+        );
+
+        _transferAndDepositMoney(
+            exchangeOrder.tokens[destinationId],
+            exchangeOrder.getFillShare(exchangeOrder.prices[destinationId], amount),
+            exchangeOrder.users[0],
+            exchangeOrder.nftAddresses[0],
+            exchangeOrder.tokenIds[0],
+            referrer
+        );
+
+        _payExchangeOrderTopUps(
+            exchangeOrder,
+            options,
+            amount,
+            msg.sender,
+            exchangeOrder.nftAddresses[destinationId],
+            exchangeOrder.tokenIds[destinationId],
+            referrer
+        );
+
+        uint256 lastDestinationId =
+            options.isDestinationSet ? exchangeOrder.nftAddresses.length - 1 : destinationId;
+        for (uint256 i = destinationId; i <= lastDestinationId; i++) {
+            _transferAsset(
+                exchangeOrder.nftAddresses[i],
+                exchangeOrder.tokenIds[i],
+                (exchangeOrder.nftAmounts[i] * amount) / exchangeOrder.nftAmounts[0],
+                msg.sender,
+                exchangeOrder.users[0],
+                exchangeOrder.data[i]
+            );
+        }
+
+        _releaseExchangeOrderSources(exchangeOrder, options, amount, receiver, data);
+
+        exchangeOrderList.completeExchangeOrder(exchangeId, destinationId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Calculate fee, discounted by the volume or MOMA holder tier of seller in TradeStats
+     * - internal view function, called inside buy(), exchange() function
+     * @param nftAddress The address of nft, zero when the sale has no single collection
+     * @param token The  token address
+     * @param price The price of transaction
+     * @param seller The address of seller
+     **/
+    function _calculateFee(
+        address nftAddress,
+        address token,
+        uint256 price,
+        address seller
+    ) internal view returns (uint256 fee) {
+        (uint256 numerator, uint256 denominator) = _getFee(nftAddress, token);
+        fee = ((price * SAFE_NUMBER * numerator) / denominator) / SAFE_NUMBER;
+
+        address tradeStats = addressesProvider.getTradeStats();
+        if (fee > 0 && tradeStats != address(0)) {
+            fee = ITradeStats(tradeStats).getDiscountedFee(seller, token, fee);
+        }
+    }
+
+    /**
+     * @dev Record a settled trade in the volume of seller and buyer, skipped without TradeStats
+     * @param seller The address of seller
+     * @param buyer The address of buyer
+     * @param token The token address
+     * @param amount The amount paid
+     **/
+    function _recordTrade(
+        address seller,
+        address buyer,
+        address token,
+        uint256 amount
+    ) internal {
+        address tradeStats = addressesProvider.getTradeStats();
+        if (tradeStats != address(0)) {
+            ITradeStats(tradeStats).recordTrade(seller, buyer, token, amount);
+        }
+    }
+
+    /**
+     * @dev Get the fee applied to a sale, by priority: the fee of collection, the fee of
+     * payment token, then the MOMA fee for MOMA and the regular fee for other tokens
+     * @param nftAddress The address of nft, zero when the sale has no single collection
+     * @param token The token address
+     **/
+    function _getFee(address nftAddress, address token)
+        internal
+        view
+        returns (uint256 numerator, uint256 denominator)
+    {
+        FeeType.FeeOverride memory feeOverride = _collectionFees[nftAddress];
+        if (feeOverride.isSet == false) {
+            feeOverride = _tokenFees[token];
+        }
+
+        if (feeOverride.isSet == true) {
+            return (feeOverride.numerator, feeOverride.denominator);
+        }
+        if (token == moma) {
+            return (_momaFeeNumerator, _momaFeeDenominator);
+        }
+        return (_regularFeeNumerator, _regularFeeDenominator);
+    }
+
+    function _transferAndDepositMoney(
+        address token,
+        uint256 amount,
+        address seller,
+        address nftAddress,
+        uint256 tokenId,
+        address referrer
+    ) internal {
+        if (token == address(0)) {
+            require(msg.value == amount, MarketErrors.VALUE_NOT_EQUAL_PRICE);
+        } else {
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        }
+
+        _depositMoney(token, amount, seller, msg.sender, nftAddress, tokenId, referrer);
+    }
+
+    /**
+     * @dev Pay the seller and deposit the fee into Vault with money already held by Market.
+     * The ERC-2981 royalty of nft, capped by Vault, is paid from the sale price on top of the fee
+     * - internal function called inside _transferAndDepositMoney(), _buy(), batchBuy(), settleAuction() and acceptOffer() function
+     * @param token The token address
+     * @param amount The amount of token
+     * @param seller The address of seller
+     * @param buyer The address of buyer
+     * @param nftAddress The address of nft
+     * @param tokenId The tokenId of nft
+     * @param referrer The address credited with a share of the fee, zero for no referrer
+     **/
+    function _depositMoney(
+        address token,
+        uint256 amount,
+        address seller,
+        address buyer,
+        address nftAddress,
+        uint256 tokenId,
+        address referrer
+    ) internal {
+        require(referrer != seller && referrer != buyer, MarketErrors.INVALID_REFERRER);
+        uint256 fee = _calculateFee(nftAddress, token, amount, seller);
+        _recordTrade(seller, buyer, token, amount);
+        (address royaltyReceiver, uint256 royalty) =
+            vault.getErc2981Royalty(nftAddress, tokenId, amount);
+        if (royalty > amount - fee) {
+            royalty = amount - fee;
+        }
+
+        if (royalty > 0) {
+            if (token == address(0)) {
+                _payNative(royaltyReceiver, royalty);
+            } else {
+                IERC20(token).safeTransfer(royaltyReceiver, royalty);
+            }
+
+            emit Erc2981RoyaltyPaid(nftAddress, tokenId, royaltyReceiver, token, royalty);
+        }
+        amount = amount - royalty;
+
+        if (token == address(0)) {
+            _payNative(seller, amount - fee);
+
+            if (fee > 0) {
+                vault.depositWithReferrer{value: fee}(
+                    nftAddress,
+                    seller,
+                    buyer,
+                    token,
+                    fee,
+                    referrer,
+                    royalty > 0
+                );
+            }
+        } else {
+            IERC20(token).safeTransfer(seller, amount - fee);
+
+            if (fee > 0) {
+                vault.depositWithReferrer(
+                    nftAddress,
+                    seller,
+                    buyer,
+                    token,
+                    fee,
+                    referrer,
+                    royalty > 0
+                );
+            }
+        }
+    }
+
+    /**
+     * @dev Transfer all nft of a bundle escrowed by Market
+     * - internal function called inside MarketBundles and MarketDenylist
+     * @param bundle Bundle object
+     * @param to The address receiving the nft
+     **/
+    function _transferBundle(BundleType.Bundle memory bundle, address to) internal {
+        for (uint256 i = 0; i < bundle.nftAddresses.length; i++) {
+            _transferAsset(
+                bundle.nftAddresses[i],
+                bundle.tokenIds[i],
+                bundle.amounts[i],
+                address(this),
+                to,
+                "0x"
+            );
+        }
+    }
+
+    function _refundBid(
+        address token,
+        address bidder,
+        uint256 amount
+    ) internal {
+        if (token == address(0)) {
+            _payNative(bidder, amount);
+        } else {
+            IERC20(token).safeTransfer(bidder, amount);
+        }
+    }
+
+    /**
+     * @dev Pay native coin to a seller or bidder through Vault, a payout which fails or is too large
+     * is credited to the pending withdrawals of payee instead of reverting the call
+     * @param payee The address receiving the native coin
+     * @param amount The amount of native coin
+     **/
+    function _payNative(address payee, uint256 amount) internal {
+        if (amount > 0) {
+            vault.payNative{value: amount}(payee);
+        }
+    }
+
+    function _transferAsset(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address from,
+        address to,
+        bytes memory data
+    ) internal {
+        if (nftList.isERC1155(nftAddress) == true) {
+            require(amount > 0, MarketErrors.AMOUNT_IS_ZERO);
+            IERC1155(nftAddress).safeTransferFrom(from, to, tokenId, amount, data);
+        } else {
+            require(amount == 1, MarketErrors.AMOUNT_IS_NOT_EQUAL_ONE);
+            IERC721(nftAddress).safeTransferFrom(from, to, tokenId, data);
+        }
+    }
+
+    /**
+     * @dev Check a sell order can be bought by caller, the same checks as buy()
+     * - internal view function, called inside batchBuy() and buyWithSwap() function
+     * @param sellOrder The sell order
+     * @param options The options of the sell order
+     * @param amount The amount buyer wants to buy
+     * @return The error of the first check which fails, empty if the sell order can be bought
+     **/
+    function _checkBuy(
+        SellOrderType.SellOrder memory sellOrder,
+        SellOrderType.SellOrderOptions memory options,
+        uint256 amount
+    ) internal view returns (string memory) {
+        if (sellOrder.seller == msg.sender) {
+            return MarketErrors.CALLER_IS_SELLER;
+        }
+        if (sellOrder.isActive == false) {
+            return MarketErrors.SELL_ORDER_NOT_ACTIVE;
+        }
+        if (options.isExpired() == true) {
+            return MarketErrors.SELL_ORDER_EXPIRED;
+        }
+        if (options.isAllowedBuyer(msg.sender) == false) {
+            return MarketErrors.CALLER_NOT_ALLOWED_BUYER;
+        }
+        if (nftList.isTokenFlagged(sellOrder.nftAddress, sellOrder.tokenId) == true) {
+            return MarketErrors.TOKEN_FLAGGED;
+        }
+        if (_isSellOrderValid(sellOrder, options) == false) {
+            return MarketErrors.SELL_ORDER_INVALID;
+        }
+        if (amount == 0) {
+            return MarketErrors.AMOUNT_IS_ZERO;
+        }
+        if (amount > sellOrder.amount - sellOrder.soldAmount) {
+            return MarketErrors.AMOUNT_IS_NOT_ENOUGH;
+        }
+        return "";
+    }
+
+    /**
+     * @dev Get the address holding the unsold nft of a sell order
+     * - internal function called inside buy(), batchBuy() and buyWithSwap() function
+     * @param sellOrder The sell order
+     * @param options The options of the sell order
+     * @return Seller for non-custodial sell order, Market otherwise
+     **/
+    function _sellOrderHolder(
+        SellOrderType.SellOrder memory sellOrder,
+        SellOrderType.SellOrderOptions memory options
+    ) internal view returns (address) {
+        return options.isNonCustodial ? sellOrder.seller : address(this);
+    }
+
+    /**
+     * @dev Return the unsold nft of a sell order to seller, nothing is returned for
+     * non-custodial sell order since seller still holds the nft
+     * - internal function called inside cancelSellOrder(), removeSellOrder(), cancelSellOrders()
+     * and sweepExpiredOrders() function
+     * @param sellOrder The sell order
+     * @param options The options of the sell order
+     **/
+    function _returnSellOrderAsset(
+        SellOrderType.SellOrder memory sellOrder,
+        SellOrderType.SellOrderOptions memory options
+    ) internal {
+        if (options.isNonCustodial == false) {
+            _transferAsset(
+                sellOrder.nftAddress,
+                sellOrder.tokenId,
+                sellOrder.amount - sellOrder.soldAmount,
+                address(this),
+                sellOrder.seller,
+                "0x"
+            );
+        }
+    }
+
+    /**
+     * @dev Return the source nfts of an exchange order which are not exchanged yet and the
+     * top-ups escrowed with them to seller
+     * - internal function called inside cancelExchangeOrder(), removeExchangeOrder(),
+     * sweepExpiredOrders() and removeFlaggedExchangeOrders() function
+     * @param exchangeOrder The exchange order
+     * @param options The options of the exchange order
+     **/
+    function _returnExchangeOrderAsset(
+        ExchangeOrderType.ExchangeOrder memory exchangeOrder,
+        ExchangeOrderType.ExchangeOrderOptions memory options
+    ) internal {
+        uint256 remainingAmount = exchangeOrder.getRemainingAmount();
+        _releaseExchangeOrderSources(
+            exchangeOrder,
+            options,
+            remainingAmount,
+            exchangeOrder.users[0],
+            "0x"
+        );
+        if (options.isTopUpEscrowed == false) {
+            return;
+        }
+
+        for (uint256 i = 0; i < options.getSourceCount(); i++) {
+            uint256 topUp = exchangeOrder.getFillShare(exchangeOrder.prices[i], remainingAmount);
+            if (topUp > 0) {
+                _refundBid(exchangeOrder.tokens[i], exchangeOrder.users[0], topUp);
+            }
+        }
+    }
+
+    /**
+     * @dev Transfer the source nfts escrowed for an exchange order out of Market
+     * - internal function called inside _exchange(), _returnExchangeOrderAsset() and
+     * acceptCounterOffer() function
+     * @param exchangeOrder The exchange order
+     * @param options The options of the exchange order
+     * @param amount The amount of the first source nft, the other source nfts are
+     * transferred whole
+     * @param to The address receiving the source nfts
+     * @param data Calldata to execute upon receiving the nfts
+     **/
+    function _releaseExchangeOrderSources(
+        ExchangeOrderType.ExchangeOrder memory exchangeOrder,
+        ExchangeOrderType.ExchangeOrderOptions memory options,
+        uint256 amount,
+        address to,
+        bytes memory data
+    ) internal {
+        for (uint256 i = 0; i < options.getSourceCount(); i++) {
+            _transferAsset(
+                exchangeOrder.nftAddresses[i],
+                exchangeOrder.tokenIds[i],
+                i == 0 ? amount : exchangeOrder.nftAmounts[i],
+                address(this),
+                to,
+                data
+            );
+        }
+    }
+
+    /**
+     * @dev Pay the top-ups seller escrowed with the source nfts of an exchange order to buyer,
+     * through the same fee and royalty path as the price buyer pays
+     * - internal function called inside _exchange() and acceptCounterOffer() function
+     * @param exchangeOrder The exchange order
+     * @param options The options of the exchange order
+     * @param amount The amount of the first source nft buyer receives
+     * @param buyer The address of buyer
+     * @param nftAddress The address of the nft buyer gives
+     * @param tokenId The tokenId of the nft buyer gives
+     * @param referrer The address credited with a share of the fee, zero for no referrer
+     **/
+    function _payExchangeOrderTopUps(
+        ExchangeOrderType.ExchangeOrder memory exchangeOrder,
+        ExchangeOrderType.ExchangeOrderOptions memory options,
+        uint256 amount,
+        address buyer,
+        address nftAddress,
+        uint256 tokenId,
+        address referrer
+    ) internal {
+        if (options.isTopUpEscrowed == false) {
+            return;
+        }
+
+        for (uint256 i = 0; i < options.getSourceCount(); i++) {
+            uint256 topUp = exchangeOrder.getFillShare(exchangeOrder.prices[i], amount);
+            if (topUp > 0) {
+                _depositMoney(
+                    exchangeOrder.tokens[i],
+                    topUp,
+                    buyer,
+                    exchangeOrder.users[0],
+                    nftAddress,
+                    tokenId,
+                    referrer
+                );
+            }
+        }
+    }
+
+    /**
+     * @dev Check whether a sell order can still be bought, the seller of a non-custodial
+     * sell order must hold the unsold nft, approve Market to transfer it and not have bumped
+     * the nonce the sell order is bound to
+     * @param sellOrder The sell order
+     * @param options The options of the sell order
+     **/
+    function _isSellOrderValid(
+        SellOrderType.SellOrder memory sellOrder,
+        SellOrderType.SellOrderOptions memory options
+    ) internal view returns (bool) {
+        return
+            options.isNonCustodial == false ||
+            (options.nonCustodialNonce == _nonCustodialNonces[sellOrder.seller] &&
+                _isNftHeld(
+                    sellOrder.nftAddress,
+                    sellOrder.tokenId,
+                    sellOrder.amount - sellOrder.soldAmount,
+                    sellOrder.seller
+                ) &&
+                _isNftApproved(sellOrder.nftAddress, sellOrder.tokenId, sellOrder.seller));
+    }
+
+    /**
+     * @dev Check whether an owner holds an amount of nft
+     * @param nftAddress The address of nft contract
+     * @param tokenId The tokenId of nft
+     * @param amount The amount of nft
+     * @param owner The address of owner
+     **/
+    function _isNftHeld(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address owner
+    ) internal view returns (bool) {
+        if (nftList.isERC1155(nftAddress) == true) {
+            return IERC1155(nftAddress).balanceOf(owner, tokenId) >= amount;
+        }
+        try IERC721(nftAddress).ownerOf(tokenId) returns (address tokenOwner) {
+            return tokenOwner == owner;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @dev Check whether an owner approves Market to transfer a nft
+     * @param nftAddress The address of nft contract
+     * @param tokenId The tokenId of nft
+     * @param owner The address of owner
+     **/
+    function _isNftApproved(
+        address nftAddress,
+        uint256 tokenId,
+        address owner
+    ) internal view returns (bool) {
+        if (IERC721(nftAddress).isApprovedForAll(owner, address(this)) == true) {
+            return true;
+        }
+        return
+            nftList.isERC1155(nftAddress) == false &&
+            IERC721(nftAddress).getApproved(tokenId) == address(this);
+    }
+}
@@ -0,0 +1,375 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+import "../libraries/logic/SellOrderLogic.sol";
+import "./MarketBase.sol";
+
+/**
+ * @title MarketBatch contract
+ * @dev Market extension to create, cancel, reprice and buy many sell orders in one transaction.
+ * When an item fails, the revert reason is the MarketErrors code followed by " at index <i>"
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketBatch is MarketBase {
+    using SafeERC20 for IERC20;
+    using SellOrderLogic for SellOrderType.SellOrder;
+
+    event BatchBuy(
+        address indexed buyer,
+        address receiver,
+        uint256[] sellIds,
+        bool[] bought,
+        address[] tokens,
+        uint256[] spent
+    );
+
+    /**
+     * @dev Create several sell orders, with the same checks as createSellOrder()
+     * - Can be called at anyone
+     * @param nftAddresses The addresses of nft contract
+     * @param tokenIds The tokenIds of nft
+     * @param amounts The amount of each nft seller wants to sell
+     * @param prices The price of each sell order
+     * @param tokens The token of each sell order that seller wants to be paid for
+     **/
+    function createSellOrders(
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory amounts,
+        uint256[] memory prices,
+        address[] memory tokens
+    ) external nonReentrant {
+        require(
+            nftAddresses.length == tokenIds.length &&
+                tokenIds.length == amounts.length &&
+                amounts.length == prices.length &&
+                prices.length == tokens.length,
+            MarketErrors.PARAMETERS_NOT_MATCH
+        );
+
+        for (uint256 i = 0; i < nftAddresses.length; i++) {
+            _requireAt(
+                _checkCreate(nftAddresses[i], tokenIds[i], amounts[i], prices[i], tokens[i]),
+                i
+            );
+
+            _transferAsset(
+                nftAddresses[i],
+                tokenIds[i],
+                amounts[i],
+                msg.sender,
+                address(this),
+                "0x"
+            );
+
+            sellOrderList.addSellOrder(
+                nftAddresses[i],
+                tokenIds[i],
+                amounts[i],
+                payable(msg.sender),
+                prices[i],
+                tokens[i]
+            );
+        }
+    }
+
+    /**
+     * @dev Cancel several sell orders, with the same checks as cancelSellOrder()
+     * - Can only be called by seller
+     * @param sellIds Sell order ids
+     **/
+    function cancelSellOrders(uint256[] memory sellIds) external nonReentrant {
+        for (uint256 i = 0; i < sellIds.length; i++) {
+            SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellIds[i]);
+            _requireAt(_checkSeller(sellOrder), i);
+
+            _returnSellOrderAsset(sellOrder, sellOrderList.getSellOrderOptionsById(sellIds[i]));
+
+            sellOrderList.deactiveSellOrder(sellIds[i]);
+        }
+    }
+
+    /**
+     * @dev Update price of several sell orders, with the same checks as updatePrice()
+     * - Can only be called by seller
+     * @param sellIds Sell order ids
+     * @param newPrices The new price of each sell order
+     **/
+    function updatePrices(uint256[] memory sellIds, uint256[] memory newPrices)
+        external
+        nonReentrant
+    {
+        require(sellIds.length == newPrices.length, MarketErrors.PARAMETERS_NOT_MATCH);
+
+        for (uint256 i = 0; i < sellIds.length; i++) {
+            SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellIds[i]);
+            _requireAt(_checkSeller(sellOrder), i);
+            _requireAt(
+                _checkPrice(
+                    sellOrder,
+                    sellOrderList.getSellOrderOptionsById(sellIds[i]),
+                    newPrices[i]
+                ),
+                i
+            );
+
+            sellOrderList.updatePrice(sellIds[i], newPrices[i]);
+        }
+    }
+
+    /**
+     * @dev Buy several sell orders, possibly paid with different tokens
+     * - Can be called at anyone
+     * - The native coin spent is capped by msg.value too, what is not spent is refunded
+     * @param sellIds Sell order ids
+     * @param amounts The amount buyer wants to buy of each sell order
+     * @param tokens The tokens buyer accepts to pay with
+     * @param maxSpends The maximum amount of each token buyer accepts to spend
+     * @param receiver The address receiving the nft
+     * @param skipFailed Whether a sell order which cannot be bought is skipped instead of
+     * reverting the whole transaction, including one whose payment or nft transfer fails
+     **/
+    function batchBuy(
+        uint256[] memory sellIds,
+        uint256[] memory amounts,
+        address[] memory tokens,
+        uint256[] memory maxSpends,
+        address receiver,
+        bool skipFailed
+    ) external payable nonReentrant {
+        require(
+            sellIds.length == amounts.length && tokens.length == maxSpends.length,
+            MarketErrors.PARAMETERS_NOT_MATCH
+        );
+
+        uint256[] memory spent = new uint256[](tokens.length);
+        bool[] memory bought = new bool[](sellIds.length);
+        uint256 nativeSpent;
+
+        for (uint256 i = 0; i < sellIds.length; i++) {
+            SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellIds[i]);
+            string memory error =
+                _checkBuy(sellOrder, sellOrderList.getSellOrderOptionsById(sellIds[i]), amounts[i]);
+            uint256 amountToken = amounts[i] * sellOrderList.getCurrentPrice(sellIds[i]);
+            uint256 tokenIndex = _findToken(tokens, sellOrder.token);
+
+            if (bytes(error).length == 0) {
+                if (
+                    tokenIndex == tokens.length ||
+                    spent[tokenIndex] + amountToken > maxSpends[tokenIndex] ||
+                    (sellOrder.token == address(0) && nativeSpent + amountToken > msg.value)
+                ) {
+                    error = MarketErrors.MAX_SPEND_EXCEEDED;
+                }
+            }
+
+            if (bytes(error).length > 0) {
+                if (skipFailed == false) {
+                    _requireAt(error, i);
+                }
+                continue;
+            }
+
+            if (skipFailed == true) {
+                if (_tryBuy(sellIds[i], amounts[i], amountToken, receiver) == false) {
+                    continue;
+                }
+            } else {
+                _buy(sellIds[i], sellOrder, amounts[i], amountToken, msg.sender, receiver);
+            }
+
+            spent[tokenIndex] += amountToken;
+            if (sellOrder.token == address(0)) {
+                nativeSpent += amountToken;
+            }
+            bought[i] = true;
+        }
+
+        if (msg.value > nativeSpent) {
+            _payNative(msg.sender, msg.value - nativeSpent);
+        }
+
+        emit BatchBuy(msg.sender, receiver, sellIds, bought, tokens, spent);
+    }
+
+    /**
+     * @dev Buy a sell order of batchBuy() in a call of Market to itself, so that batchBuy() skips
+     * it when the payment or the nft transfer reverts
+     * - Can only be called by Market
+     * @param sellId Sell order id
+     * @param amount The amount buyer buys
+     * @param amountToken The price of the amount bought
+     * @param buyer The address of buyer
+     * @param receiver The address receiving the nft
+     **/
+    function buyBatchItem(
+        uint256 sellId,
+        uint256 amount,
+        uint256 amountToken,
+        address buyer,
+        address receiver
+    ) external {
+        require(msg.sender == address(this), MarketErrors.CALLER_NOT_MARKET);
+        _buy(sellId, sellOrderList.getSellOrderById(sellId), amount, amountToken, buyer, receiver);
+    }
+
+    /**
+     * @dev Buy a sell order through buyBatchItem(), catching the revert of the purchase
+     * - internal function, called inside batchBuy() function
+     * @param sellId Sell order id
+     * @param amount The amount buyer buys
+     * @param amountToken The price of the amount bought
+     * @param receiver The address receiving the nft
+     * @return Whether the sell order is bought
+     **/
+    function _tryBuy(
+        uint256 sellId,
+        uint256 amount,
+        uint256 amountToken,
+        address receiver
+    ) internal returns (bool) {
+        try this.buyBatchItem(sellId, amount, amountToken, msg.sender, receiver) {
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @dev Pay the seller and send the nft to receiver, native coin is already held by Market
+     * - internal function, called inside batchBuy() and buyBatchItem() function
+     * @param sellId Sell order id
+     * @param sellOrder The sell order
+     * @param amount The amount buyer buys
+     * @param amountToken The price of the amount bought
+     * @param buyer The address of buyer
+     * @param receiver The address receiving the nft
+     **/
+    function _buy(
+        uint256 sellId,
+        SellOrderType.SellOrder memory sellOrder,
+        uint256 amount,
+        uint256 amountToken,
+        address buyer,
+        address receiver
+    ) internal {
+        if (sellOrder.token != address(0)) {
+            IERC20(sellOrder.token).safeTransferFrom(buyer, address(this), amountToken);
+        }
+
+        _depositMoney(
+            sellOrder.token,
+            amountToken,
+            sellOrder.seller,
+            buyer,
+            sellOrder.nftAddress,
+            sellOrder.tokenId,
+            address(0)
+        );
+
+        _transferAsset(
+            sellOrder.nftAddress,
+            sellOrder.tokenId,
+            amount,
+            _sellOrderHolder(sellOrder, sellOrderList.getSellOrderOptionsById(sellId)),
+            receiver,
+            "0x"
+        );
+
+        sellOrderList.completeSellOrder(sellId, buyer, amount);
+    }
+
+    /**
+     * @dev Check a sell order can be created, the same checks as createSellOrder()
+     * @return The error of the first check which fails, empty if the sell order can be created
+     **/
+    function _checkCreate(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        address token
+    ) internal view returns (string memory) {
+        if (nftList.isAcceptedNFT(nftAddress) == false) {
+            return MarketErrors.NFT_NOT_ACCEPTED;
+        }
+        if (nftList.isERC1155(nftAddress) == true) {
+            if (amount == 0) {
+                return MarketErrors.AMOUNT_IS_ZERO;
+            }
+        } else if (amount != 1) {
+            return MarketErrors.AMOUNT_IS_NOT_EQUAL_ONE;
+        }
+        if (price == 0) {
+            return MarketErrors.PRICE_IS_ZERO;
+        }
+        if (acceptedToken[token] == false) {
+            return MarketErrors.TOKEN_NOT_ACCEPTED;
+        }
+        if (nftList.isTokenFlagged(nftAddress, tokenId) == true) {
+            return MarketErrors.TOKEN_FLAGGED;
+        }
+        return "";
+    }
+
+    /**
+     * @dev Check caller is the seller of an active sell order, the same checks as cancelSellOrder()
+     * @return The error of the first check which fails, empty if caller can manage the sell order
+     **/
+    function _checkSeller(SellOrderType.SellOrder memory sellOrder)
+        internal
+        view
+        returns (string memory)
+    {
+        if (sellOrder.seller != msg.sender) {
+            return MarketErrors.CALLER_NOT_SELLER;
+        }
+        if (sellOrder.isActive == false) {
+            return MarketErrors.SELL_ORDER_NOT_ACTIVE;
+        }
+        return "";
+    }
+
+    /**
+     * @dev Check the new price of a sell order, the same checks as updatePrice()
+     * @return The error of the first check which fails, empty if the price can be updated
+     **/
+    function _checkPrice(
+        SellOrderType.SellOrder memory sellOrder,
+        SellOrderType.SellOrderOptions memory options,
+        uint256 newPrice
+    ) internal pure returns (string memory) {
+        if (sellOrder.price == newPrice) {
+            return MarketErrors.PRICE_NOT_CHANGE;
+        }
+        if (options.decayEndTime > 0 && newPrice <= options.endPrice) {
+            return MarketErrors.INVALID_PRICE_CURVE;
+        }
+        return "";
+    }
+
+    /**
+     * @dev Revert with the error of the item at index if there is one
+     * @param error The error returned by a check, empty if the check passed
+     * @param index The index of the item in the batch
+     **/
+    function _requireAt(string memory error, uint256 index) internal pure {
+        if (bytes(error).length > 0) {
+            revert(string(abi.encodePacked(error, " at index ", Strings.toString(index))));
+        }
+    }
+
+    function _findToken(address[] memory tokens, address token) internal pure returns (uint256) {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i] == token) {
+                return i;
+            }
+        }
+        return tokens.length;
+    }
+}
@@ -0,0 +1,160 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "./MarketBase.sol";
+
+/**
+ * @title MarketBundles contract
+ * @dev Market extension where sellers sell several nft at one price
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketBundles is MarketBase {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev Create a bundle, all nft are escrowed by Market
+     * - Can be called at anyone
+     * @param nftAddresses The addresses of nft contract
+     * @param tokenIds The tokenIds of nft
+     * @param amounts The amount of each nft seller wants to sell
+     * @param price The price of the whole bundle
+     * @param token The token that seller wants to be paid for
+     **/
+    function createBundle(
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory amounts,
+        uint256 price,
+        address token
+    ) external nonReentrant whenNotPaused(PauseGroups.ORDERS) {
+        require(
+            nftAddresses.length == tokenIds.length && tokenIds.length == amounts.length,
+            MarketErrors.PARAMETERS_NOT_MATCH
+        );
+        require(nftAddresses.length > 1, MarketErrors.INVALID_BUNDLE_SIZE);
+        require(price > 0, MarketErrors.PRICE_IS_ZERO);
+        require(acceptedToken[token] == true, MarketErrors.TOKEN_NOT_ACCEPTED);
+
+        for (uint256 i = 0; i < nftAddresses.length; i++) {
+            require(nftList.isAcceptedNFT(nftAddresses[i]), MarketErrors.NFT_NOT_ACCEPTED);
+            require(
+                nftList.isTokenFlagged(nftAddresses[i], tokenIds[i]) == false,
+                MarketErrors.TOKEN_FLAGGED
+            );
+            _transferAsset(
+                nftAddresses[i],
+                tokenIds[i],
+                amounts[i],
+                msg.sender,
+                address(this),
+                "0x"
+            );
+        }
+
+        bundleList.addBundle(nftAddresses, tokenIds, amounts, payable(msg.sender), price, token);
+    }
+
+    /**
+     * @dev Cancel a bundle
+     * - Can only be called by seller
+     * @param bundleId Bundle id
+     **/
+    function cancelBundle(uint256 bundleId) external nonReentrant {
+        BundleType.Bundle memory bundle = bundleList.getBundleById(bundleId);
+        require(bundle.seller == msg.sender, MarketErrors.CALLER_NOT_SELLER);
+        require(bundle.isActive == true, MarketErrors.BUNDLE_NOT_ACTIVE);
+
+        _transferBundle(bundle, bundle.seller);
+
+        bundleList.deactiveBundle(bundleId);
+    }
+
+    function removeBundle(uint256 bundleId) external onlyMarketAdmin {
+        BundleType.Bundle memory bundle = bundleList.getBundleById(bundleId);
+        require(bundle.isActive == true, MarketErrors.BUNDLE_NOT_ACTIVE);
+
+        _transferBundle(bundle, bundle.seller);
+
+        bundleList.deactiveBundle(bundleId);
+    }
+
+    /**
+     * @dev Buy all nft of a bundle at once
+     * - Can be called at anyone
+     * @param bundleId Bundle id
+     * @param receiver The address receives the nft
+     **/
+    function buyBundle(uint256 bundleId, address receiver)
+        external
+        payable
+        nonReentrant
+        whenNotPaused(PauseGroups.BUYS)
+    {
+        BundleType.Bundle memory bundle = bundleList.getBundleById(bundleId);
+
+        require(bundle.seller != msg.sender, MarketErrors.CALLER_IS_SELLER);
+        require(bundle.isActive == true, MarketErrors.BUNDLE_NOT_ACTIVE);
+        for (uint256 i = 0; i < bundle.nftAddresses.length; i++) {
+            require(
+                nftList.isTokenFlagged(bundle.nftAddresses[i], bundle.tokenIds[i]) == false,
+                MarketErrors.TOKEN_FLAGGED
+            );
+        }
+
+        if (bundle.token == address(0)) {
+            require(msg.value == bundle.price, MarketErrors.VALUE_NOT_EQUAL_PRICE);
+        } else {
+            IERC20(bundle.token).safeTransferFrom(msg.sender, address(this), bundle.price);
+        }
+
+        _depositBundleMoney(bundle);
+
+        _transferBundle(bundle, receiver);
+
+        bundleList.completeBundle(bundleId, msg.sender);
+    }
+
+    /**
+     * @dev Pay the seller and deposit the fee into Vault, the royalty is split
+     * across the collections of the bundle by the number of nft of each entry
+     * - internal function called inside buyBundle() function
+     * @param bundle Bundle object
+     **/
+    function _depositBundleMoney(BundleType.Bundle memory bundle) internal {
+        // A bundle mixes collections, so only the fee of payment token can override
+        uint256 fee = _calculateFee(address(0), bundle.token, bundle.price, bundle.seller);
+        _recordTrade(bundle.seller, msg.sender, bundle.token, bundle.price);
+
+        if (bundle.token == address(0)) {
+            _payNative(bundle.seller, bundle.price - fee);
+
+            if (fee > 0) {
+                vault.depositBundle{value: fee}(
+                    bundle.nftAddresses,
+                    bundle.amounts,
+                    bundle.seller,
+                    msg.sender,
+                    bundle.token,
+                    fee
+                );
+            }
+        } else {
+            IERC20(bundle.token).safeTransfer(bundle.seller, bundle.price - fee);
+
+            if (fee > 0) {
+                vault.depositBundle(
+                    bundle.nftAddresses,
+                    bundle.amounts,
+                    bundle.seller,
+                    msg.sender,
+                    bundle.token,
+                    fee
+                );
+            }
+        }
+    }
+}
@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "../libraries/types/CounterOfferType.sol";
+import "./MarketBase.sol";
+
+/**
+ * @title MarketCounterOffers contract
+ * @dev Market extension where takers answer an exchange order with another nft than its
+ * destination nfts, plus an optional top-up in token. The nft and the top-up of taker are
+ * escrowed by Market until the maker accepts or rejects the counter offer, or taker withdraws it
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketCounterOffers is MarketBase {
+    using SafeERC20 for IERC20;
+    using ExchangeOrderLogic for ExchangeOrderType.ExchangeOrder;
+    using ExchangeOrderLogic for ExchangeOrderType.ExchangeOrderOptions;
+
+    /**
+     * @dev Make a counter offer on an exchange order, the nft and the top-up are escrowed by Market
+     * - Can be called at anyone allowed to purchase the exchange order
+     * @param exchangeId Exchange order id
+     * @param nftAddress The address of the nft taker gives
+     * @param tokenId The tokenId of the nft taker gives
+     * @param nftAmount The amount of the nft taker gives
+     * @param token The token of the top-up
+     * @param price The amount of the top-up, zero for no top-up
+     **/
+    function makeCounterOffer(
+        uint256 exchangeId,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 nftAmount,
+        address token,
+        uint256 price
+    ) external payable nonReentrant {
+        ExchangeOrderType.ExchangeOrder memory exchangeOrder =
+            exchangeOrderList.getExchangeOrderById(exchangeId);
+        ExchangeOrderType.ExchangeOrderOptions memory options =
+            exchangeOrderList.getExchangeOrderOptionsById(exchangeId);
+        require(exchangeOrder.users[0] != msg.sender, MarketErrors.CALLER_IS_SELLER);
+        require(exchangeOrder.isActive == true, MarketErrors.EXCHANGE_ORDER_NOT_ACTIVE);
+        require(options.isExpired() == false, MarketErrors.EXCHANGE_ORDER_EXPIRED);
+        require(options.isAllowedBuyer(msg.sender), MarketErrors.CALLER_NOT_ALLOWED_BUYER);
+        require(nftList.isAcceptedNFT(nftAddress), MarketErrors.NFT_NOT_ACCEPTED);
+        if (price > 0) {
+            require(acceptedToken[token] == true, MarketErrors.TOKEN_NOT_ACCEPTED);
+        }
+        require(msg.value == (token == address(0) ? price : 0), MarketErrors.VALUE_NOT_EQUAL_PRICE);
+
+        if (token != address(0) && price > 0) {
+            IERC20(token).safeTransferFrom(msg.sender, address(this), price);
+        }
+        _transferAsset(nftAddress, tokenId, nftAmount, msg.sender, address(this), "0x");
+
+        exchangeOrderList.addCounterOffer(
+            exchangeId,
+            msg.sender,
+            nftAddress,
+            tokenId,
+            nftAmount,
+            token,
+            price
+        );
+    }
+
+    /**
+     * @dev Accept a counter offer, maker receives the nft of taker and the top-up through the
+     * same fee and royalty path as exchange(), taker receives the source nfts and the top-ups
+     * maker escrowed with them which are not exchanged yet
+     * - Can only be called by the maker of the exchange order
+     * @param counterOfferId Counter offer id
+     **/
+    function acceptCounterOffer(uint256 counterOfferId) external nonReentrant {
+        CounterOfferType.CounterOffer memory counterOffer =
+            exchangeOrderList.getCounterOfferById(counterOfferId);
+        ExchangeOrderType.ExchangeOrder memory exchangeOrder =
+            exchangeOrderList.getExchangeOrderById(counterOffer.exchangeId);
+        ExchangeOrderType.ExchangeOrderOptions memory options =
+            exchangeOrderList.getExchangeOrderOptionsById(counterOffer.exchangeId);
+        require(exchangeOrder.users[0] == msg.sender, MarketErrors.CALLER_NOT_SELLER);
+        require(counterOffer.isActive == true, MarketErrors.COUNTER_OFFER_NOT_ACTIVE);
+        require(exchangeOrder.isActive == true, MarketErrors.EXCHANGE_ORDER_NOT_ACTIVE);
+        require(options.isExpired() == false, MarketErrors.EXCHANGE_ORDER_EXPIRED);
+
+        if (counterOffer.price > 0) {
+            _depositMoney(
+                counterOffer.token,
+                counterOffer.price,
+                msg.sender,
+                counterOffer.taker,
+                exchangeOrder.nftAddresses[0],
+                exchangeOrder.tokenIds[0],
+                address(0)
+            );
+        }
+
+        uint256 remainingAmount = exchangeOrder.getRemainingAmount();
+        _payExchangeOrderTopUps(
+            exchangeOrder,
+            options,
+            remainingAmount,
+            counterOffer.taker,
+            counterOffer.nftAddress,
+            counterOffer.tokenId,
+            address(0)
+        );
+
+        _transferAsset(
+            counterOffer.nftAddress,
+            counterOffer.tokenId,
+            counterOffer.nftAmount,
+            address(this),
+            msg.sender,
+            "0x"
+        );
+
+        _releaseExchangeOrderSources(
+            exchangeOrder,
+            options,
+            remainingAmount,
+            counterOffer.taker,
+            "0x"
+        );
+
+        exchangeOrderList.acceptCounterOffer(counterOfferId);
+    }
+
+    /**
+     * @dev Reject a counter offer, the nft and the top-up are returned to taker
+     * - Can only be called by the maker of the exchange order
+     * @param counterOfferId Counter offer id
+     **/
+    function rejectCounterOffer(uint256 counterOfferId) external nonReentrant {
+        CounterOfferType.CounterOffer memory counterOffer =
+            exchangeOrderList.getCounterOfferById(counterOfferId);
+        ExchangeOrderType.ExchangeOrder memory exchangeOrder =
+            exchangeOrderList.getExchangeOrderById(counterOffer.exchangeId);
+        require(exchangeOrder.users[0] == msg.sender, MarketErrors.CALLER_NOT_SELLER);
+
+        _returnCounterOfferAsset(counterOffer);
+
+        exchangeOrderList.deactiveCounterOffer(counterOfferId);
+    }
+
+    /**
+     * @dev Withdraw a counter offer, the nft and the top-up are returned to taker. Counter offers
+     * of an exchange order which is cancelled or purchased by someone else can be withdrawn too
+     * - Can only be called by taker
+     * @param counterOfferId Counter offer id
+     **/
+    function withdrawCounterOffer(uint256 counterOfferId) external nonReentrant {
+        CounterOfferType.CounterOffer memory counterOffer =
+            exchangeOrderList.getCounterOfferById(counterOfferId);
+        require(counterOffer.taker == msg.sender, MarketErrors.CALLER_NOT_TAKER);
+
+        _returnCounterOfferAsset(counterOffer);
+
+        exchangeOrderList.deactiveCounterOffer(counterOfferId);
+    }
+
+    /**
+     * @dev Return the escrowed nft and top-up of an active counter offer to taker
+     * - internal function called inside rejectCounterOffer() and withdrawCounterOffer() function
+     * @param counterOffer The counter offer
+     **/
+    function _returnCounterOfferAsset(CounterOfferType.CounterOffer memory counterOffer) internal {
+        require(counterOffer.isActive == true, MarketErrors.COUNTER_OFFER_NOT_ACTIVE);
+
+        _transferAsset(
+            counterOffer.nftAddress,
+            counterOffer.tokenId,
+            counterOffer.nftAmount,
+            address(this),
+            counterOffer.taker,
+            "0x"
+        );
+
+        if (counterOffer.price > 0) {
+            _refundBid(counterOffer.token, counterOffer.taker, counterOffer.price);
+        }
+    }
+}
@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "./MarketBase.sol";
+
+/**
+ * @title MarketDenylist contract
+ * @dev Market extension where market admin force-cancels the active orders, bundles and
+ * auctions of nft tokens flagged in NFTList, returning the nft to their sellers. Flagged tokens
+ * can no longer be listed, offered for, bought, exchanged or auctioned, see NFTList.flagToken()
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketDenylist is MarketBase {
+    event FlaggedSellOrderRemoved(uint256 indexed sellId);
+    event FlaggedExchangeOrderRemoved(uint256 indexed exchangeId);
+    event FlaggedBundleRemoved(uint256 indexed bundleId);
+    event FlaggedAuctionRemoved(uint256 indexed auctionId);
+
+    /**
+     * @dev Return the nft of sell orders of flagged tokens to their sellers and deactive the orders
+     * - Can only be called by market admin
+     * @param sellIds Sell order ids
+     **/
+    function removeFlaggedSellOrders(uint256[] memory sellIds) external onlyMarketAdmin {
+        for (uint256 i = 0; i < sellIds.length; i++) {
+            SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellIds[i]);
+            require(sellOrder.isActive == true, MarketErrors.SELL_ORDER_NOT_ACTIVE);
+            require(
+                nftList.isTokenFlagged(sellOrder.nftAddress, sellOrder.tokenId) == true,
+                MarketErrors.TOKEN_NOT_FLAGGED
+            );
+
+            _returnSellOrderAsset(sellOrder, sellOrderList.getSellOrderOptionsById(sellIds[i]));
+
+            sellOrderList.deactiveSellOrder(sellIds[i]);
+
+            emit FlaggedSellOrderRemoved(sellIds[i]);
+        }
+    }
+
+    /**
+     * @dev Return the nft of exchange orders offering or asking for a flagged token to their
+     * sellers and deactive the orders
+     * - Can only be called by market admin
+     * @param exchangeIds Exchange order ids
+     **/
+    function removeFlaggedExchangeOrders(uint256[] memory exchangeIds) external onlyMarketAdmin {
+        for (uint256 i = 0; i < exchangeIds.length; i++) {
+            ExchangeOrderType.ExchangeOrder memory exchangeOrder =
+                exchangeOrderList.getExchangeOrderById(exchangeIds[i]);
+            require(exchangeOrder.isActive == true, MarketErrors.EXCHANGE_ORDER_NOT_ACTIVE);
+            require(
+                _hasFlaggedToken(exchangeOrder.nftAddresses, exchangeOrder.tokenIds) == true,
+                MarketErrors.TOKEN_NOT_FLAGGED
+            );
+
+            _returnExchangeOrderAsset(
+                exchangeOrder,
+                exchangeOrderList.getExchangeOrderOptionsById(exchangeIds[i])
+            );
+
+            exchangeOrderList.deactiveExchangeOrder(exchangeIds[i]);
+
+            emit FlaggedExchangeOrderRemoved(exchangeIds[i]);
+        }
+    }
+
+    /**
+     * @dev Return the nft of bundles containing a flagged token to their sellers and deactive
+     * the bundles
+     * - Can only be called by market admin
+     * @param bundleIds Bundle ids
+     **/
+    function removeFlaggedBundles(uint256[] memory bundleIds) external onlyMarketAdmin {
+        for (uint256 i = 0; i < bundleIds.length; i++) {
+            BundleType.Bundle memory bundle = bundleList.getBundleById(bundleIds[i]);
+            require(bundle.isActive == true, MarketErrors.BUNDLE_NOT_ACTIVE);
+            require(
+                _hasFlaggedToken(bundle.nftAddresses, bundle.tokenIds) == true,
+                MarketErrors.TOKEN_NOT_FLAGGED
+            );
+
+            _transferBundle(bundle, bundle.seller);
+
+            bundleList.deactiveBundle(bundleIds[i]);
+
+            emit FlaggedBundleRemoved(bundleIds[i]);
+        }
+    }
+
+    /**
+     * @dev Return the nft of auctions of flagged tokens to their sellers, refund the highest bid
+     * and deactive the auctions
+     * - Can only be called by market admin
+     * @param auctionIds Auction ids
+     **/
+    function removeFlaggedAuctions(uint256[] memory auctionIds) external onlyMarketAdmin {
+        for (uint256 i = 0; i < auctionIds.length; i++) {
+            AuctionType.Auction memory auction = auctionList.getAuctionById(auctionIds[i]);
+            require(auction.isActive == true, MarketErrors.AUCTION_NOT_ACTIVE);
+            require(
+                nftList.isTokenFlagged(auction.nftAddress, auction.tokenId) == true,
+                MarketErrors.TOKEN_NOT_FLAGGED
+            );
+
+            if (auction.highestBidder != address(0)) {
+                _refundBid(auction.token, auction.highestBidder, auction.highestBid);
+            }
+
+            _transferAsset(
+                auction.nftAddress,
+                auction.tokenId,
+                auction.amount,
+                address(this),
+                auction.seller,
+                "0x"
+            );
+
+            auctionList.deactiveAuction(auctionIds[i]);
+
+            emit FlaggedAuctionRemoved(auctionIds[i]);
+        }
+    }
+
+    function _hasFlaggedToken(address[] memory nftAddresses, uint256[] memory tokenIds)
+        internal
+        view
+        returns (bool)
+    {
+        for (uint256 i = 0; i < nftAddresses.length; i++) {
+            if (nftList.isTokenFlagged(nftAddresses[i], tokenIds[i])) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../libraries/logic/SellOrderLogic.sol";
+import "../libraries/logic/ExchangeOrderLogic.sol";
+import "./MarketBase.sol";
+
+/**
+ * @title MarketExpiry contract
+ * @dev Market extension where sellers create sell orders and exchange orders with an expiry or
+ * set one later, and anyone sweeps the expired ones back to their sellers
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketExpiry is MarketBase {
+    using SellOrderLogic for SellOrderType.SellOrderOptions;
+    using ExchangeOrderLogic for ExchangeOrderType.ExchangeOrderOptions;
+
+    /**
+     * @dev Create a sell order which can no longer be bought after expiry
+     * - Can be called at anyone
+     * @param nftAddress The address of nft contract
+     * @param tokenId The tokenId of nft
+     * @param amount The amount of nft seller wants to sell
+     * @param price The price offered by seller
+     * @param token The token that seller wants to be paid for
+     * @param expiry Time after which the sell order can no longer be bought, zero for no expiry
+     **/
+    function createSellOrderWithExpiry(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        address token,
+        uint256 expiry
+    ) external nonReentrant {
+        _checkExpiry(expiry);
+
+        uint256 sellId = _createSellOrder(nftAddress, tokenId, amount, price, token);
+
+        sellOrderList.updateExpiry(sellId, expiry);
+    }
+
+    /**
+     * @dev Create an exchange order which can no longer be purchased after expiry
+     * - Can be called at anyone
+     * @param nftAddresses The addresses of source nft and destination nft
+     * @param tokenIds The tokenIds of source nft and destination nft
+     * @param nftAmounts The amount of source nft and destination nft
+     * @param tokens The token that seller pays with the source nft, or wants to be paid for
+     * @param prices The top-up that seller pays with the source nft, or the price that seller wants
+     * @param users Users address
+     * @param data Calldata that seller wants to execute when he receives destination nft
+     * @param expiry Time after which the exchange order can no longer be purchased, zero for no expiry
+     **/
+    function createExchangeOrderWithExpiry(
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory nftAmounts,
+        address[] memory tokens,
+        uint256[] memory prices,
+        address[] memory users,
+        bytes[] memory data,
+        uint256 expiry
+    ) external payable nonReentrant {
+        _checkExpiry(expiry);
+
+        uint256 exchangeId =
+            _createExchangeOrder(
+                nftAddresses,
+                tokenIds,
+                nftAmounts,
+                tokens,
+                prices,
+                users,
+                data,
+                1
+            );
+
+        exchangeOrderList.updateExpiry(exchangeId, expiry);
+    }
+
+    /**
+     * @dev Update expiry of a sell order
+     * - Can only be called by seller
+     * @param sellId Sell order id
+     * @param expiry Time after which the sell order can no longer be bought, zero for no expiry
+     **/
+    function updateSellOrderExpiry(uint256 sellId, uint256 expiry) external nonReentrant {
+        SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellId);
+        require(sellOrder.seller == msg.sender, MarketErrors.CALLER_NOT_SELLER);
+        require(sellOrder.isActive == true, MarketErrors.SELL_ORDER_NOT_ACTIVE);
+        _checkExpiry(expiry);
+
+        sellOrderList.updateExpiry(sellId, expiry);
+    }
+
+    /**
+     * @dev Update expiry of an exchange order
+     * - Can only be called by seller
+     * @param exchangeId Exchange order id
+     * @param expiry Time after which the exchange order can no longer be purchased, zero for no expiry
+     **/
+    function updateExchangeOrderExpiry(uint256 exchangeId, uint256 expiry) external nonReentrant {
+        ExchangeOrderType.ExchangeOrder memory exchangeOrder =
+            exchangeOrderList.getExchangeOrderById(exchangeId);
+        require(exchangeOrder.users[0] == msg.sender, MarketErrors.CALLER_NOT_SELLER);
+        require(exchangeOrder.isActive == true, MarketErrors.EXCHANGE_ORDER_NOT_ACTIVE);
+        _checkExpiry(expiry);
+
+        exchangeOrderList.updateExpiry(exchangeId, expiry);
+    }
+
+    /**
+     * @dev Return the nft of expired sell orders and exchange orders to their sellers
+     * and deactive the orders. Orders which are not active or not expired are skipped
+     * - Can be called at anyone
+     * @param sellIds Sell order ids
+     * @param exchangeIds Exchange order ids
+     **/
+    function sweepExpiredOrders(uint256[] memory sellIds, uint256[] memory exchangeIds)
+        external
+        nonReentrant
+    {
+        for (uint256 i = 0; i < sellIds.length; i++) {
+            SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellIds[i]);
+            SellOrderType.SellOrderOptions memory options =
+                sellOrderList.getSellOrderOptionsById(sellIds[i]);
+            if (sellOrder.isActive == false || options.isExpired() == false) {
+                continue;
+            }
+
+            _returnSellOrderAsset(sellOrder, options);
+
+            sellOrderList.deactiveSellOrder(sellIds[i]);
+        }
+
+        for (uint256 i = 0; i < exchangeIds.length; i++) {
+            ExchangeOrderType.ExchangeOrder memory exchangeOrder =
+                exchangeOrderList.getExchangeOrderById(exchangeIds[i]);
+            ExchangeOrderType.ExchangeOrderOptions memory options =
+                exchangeOrderList.getExchangeOrderOptionsById(exchangeIds[i]);
+            if (exchangeOrder.isActive == false || options.isExpired() == false) {
+                continue;
+            }
+
+            _returnExchangeOrderAsset(exchangeOrder, options);
+
+            exchangeOrderList.deactiveExchangeOrder(exchangeIds[i]);
+        }
+    }
+
+    /**
+     * @dev Check an expiry is in the future, zero for no expiry
+     * - internal function called inside the create and update functions
+     * @param expiry The expiry
+     **/
+    function _checkExpiry(uint256 expiry) internal view {
+        require(expiry == 0 || expiry > block.timestamp, MarketErrors.INVALID_EXPIRY);
+    }
+}
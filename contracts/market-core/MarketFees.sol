@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "./MarketBase.sol";
+
+/**
+ * @title MarketFees contract
+ * @dev Market extension where admin updates the regular and MOMA fee, and overrides them for a
+ * collection or for a payment token. The fee of a sale is taken by priority: the fee of collection, the fee of
+ * payment token, then the MOMA fee for MOMA and the regular fee for other tokens
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketFees is MarketBase {
+    event RegularFeeUpdated(uint256 numerator, uint256 denominator);
+    event MOMAFeeUpdated(uint256 numerator, uint256 denominator);
+    event CollectionFeeUpdated(address indexed nftAddress, uint256 numerator, uint256 denominator);
+    event CollectionFeeRemoved(address indexed nftAddress);
+    event TokenFeeUpdated(address indexed token, uint256 numerator, uint256 denominator);
+    event TokenFeeRemoved(address indexed token);
+
+    /**
+     * @dev Update fee for transactions
+     * - Can only be called by market admin
+     * @param numerator The fee numerator
+     * @param denominator The fee denominator
+     **/
+    function updateRegularFee(uint256 numerator, uint256 denominator) external onlyMarketAdmin {
+        require(denominator >= numerator, MarketErrors.DEMONINATOR_NOT_GREATER_THAN_NUMERATOR);
+        _regularFeeNumerator = numerator;
+        _regularFeeDenominator = denominator;
+        emit RegularFeeUpdated(numerator, denominator);
+    }
+
+    /**
+     * @dev Update fee for transactions
+     * - Can only be called by market admin
+     * @param numerator The fee numerator
+     * @param denominator The fee denominator
+     **/
+    function updateMomaFee(uint256 numerator, uint256 denominator) external onlyMarketAdmin {
+        require(denominator >= numerator, MarketErrors.DEMONINATOR_NOT_GREATER_THAN_NUMERATOR);
+        _momaFeeNumerator = numerator;
+        _momaFeeDenominator = denominator;
+        emit MOMAFeeUpdated(numerator, denominator);
+    }
+
+    /**
+     * @dev Override the fee for the sales of a collection, zero numerator for no fee
+     * - Can only be called by market admin
+     * @param nftAddress The address of nft
+     * @param numerator The fee numerator
+     * @param denominator The fee denominator
+     **/
+    function setCollectionFee(
+        address nftAddress,
+        uint256 numerator,
+        uint256 denominator
+    ) external onlyMarketAdmin {
+        _collectionFees[nftAddress] = _toFeeOverride(numerator, denominator);
+        emit CollectionFeeUpdated(nftAddress, numerator, denominator);
+    }
+
+    /**
+     * @dev Remove the fee override of a collection
+     * - Can only be called by market admin
+     * @param nftAddress The address of nft
+     **/
+    function removeCollectionFee(address nftAddress) external onlyMarketAdmin {
+        delete _collectionFees[nftAddress];
+        emit CollectionFeeRemoved(nftAddress);
+    }
+
+    /**
+     * @dev Override the fee for the sales paid in a token, zero numerator for no fee
+     * - Can only be called by market admin
+     * @param token The token address
+     * @param numerator The fee numerator
+     * @param denominator The fee denominator
+     **/
+    function setTokenFee(
+        address token,
+        uint256 numerator,
+        uint256 denominator
+    ) external onlyMarketAdmin {
+        _tokenFees[token] = _toFeeOverride(numerator, denominator);
+        emit TokenFeeUpdated(token, numerator, denominator);
+    }
+
+    /**
+     * @dev Remove the fee override of a payment token
+     * - Can only be called by market admin
+     * @param token The token address
+     **/
+    function removeTokenFee(address token) external onlyMarketAdmin {
+        delete _tokenFees[token];
+        emit TokenFeeRemoved(token);
+    }
+
+    /**
+     * @dev Get regular fee
+     * - external view function
+     * @return Regular fee numerator and denominator
+     **/
+    function getRegularFee() external view returns (uint256, uint256) {
+        return (_regularFeeNumerator, _regularFeeDenominator);
+    }
+
+    /**
+     * @dev Get moma fee
+     * - external view function
+     * @return Moma fee numerator and denominator
+     **/
+    function getMomaFee() external view returns (uint256, uint256) {
+        return (_momaFeeNumerator, _momaFeeDenominator);
+    }
+
+    /**
+     * @dev Get the fee override of a collection
+     * @param nftAddress The address of nft
+     **/
+    function getCollectionFee(address nftAddress)
+        external
+        view
+        returns (FeeType.FeeOverride memory)
+    {
+        return _collectionFees[nftAddress];
+    }
+
+    /**
+     * @dev Get the fee override of a payment token
+     * @param token The token address
+     **/
+    function getTokenFee(address token) external view returns (FeeType.FeeOverride memory) {
+        return _tokenFees[token];
+    }
+
+    /**
+     * @dev Get the fee applied to the sales of a collection paid in a token
+     * @param nftAddress The address of nft
+     * @param token The token address
+     * @return numerator The fee numerator
+     * @return denominator The fee denominator
+     **/
+    function getFee(address nftAddress, address token)
+        external
+        view
+        returns (uint256 numerator, uint256 denominator)
+    {
+        return _getFee(nftAddress, token);
+    }
+
+    function _toFeeOverride(uint256 numerator, uint256 denominator)
+        internal
+        pure
+        returns (FeeType.FeeOverride memory)
+    {
+        require(
+            denominator > 0 && denominator >= numerator,
+            MarketErrors.DEMONINATOR_NOT_GREATER_THAN_NUMERATOR
+        );
+        return FeeType.FeeOverride({isSet: true, numerator: numerator, denominator: denominator});
+    }
+}
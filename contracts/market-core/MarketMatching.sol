@@ -0,0 +1,204 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "./MarketBase.sol";
+
+/**
+ * @title MarketMatching contract
+ * @dev Market extension where anyone settles two exchange orders which satisfy each other,
+ * e.g. one offering X for Y and the other offering Y for X. Both escrows are settled in the
+ * same transaction and the matcher is credited the referral share of the fee taken on the
+ * top-ups, see Vault.updateReferralParameters(), plus a bounty capped by admin and paid out of
+ * the rest of that fee. scripts/match-exchange-orders.js scans ExchangeOrderList for such pairs
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketMatching is MarketBase {
+    using ExchangeOrderLogic for ExchangeOrderType.ExchangeOrderOptions;
+
+    event ExchangeOrdersMatched(
+        uint256 indexed exchangeIdA,
+        uint256 indexed exchangeIdB,
+        address indexed matcher
+    );
+    event MatcherBountyUpdated(address indexed token, uint256 amount);
+
+    /**
+     * @dev Set the bounty credited to matcher, paid out of the fee a match adds to MochiLab fund
+     * in token so that matches which collect no fee credit no bounty
+     * - Can only be called by market admin
+     * @param token The token of bounty
+     * @param amount The maximum amount of bounty, zero for no bounty
+     **/
+    function setMatcherBounty(address token, uint256 amount) external onlyMarketAdmin {
+        require(acceptedToken[token] == true, MarketErrors.TOKEN_NOT_ACCEPTED);
+        _matcherBountyToken = token;
+        _matcherBounty = amount;
+        emit MatcherBountyUpdated(token, amount);
+    }
+
+    /**
+     * @dev Match two exchange orders, the seller of each order receives the source nft and the
+     * top-ups of the other order. Only exchange orders with a single source nft which is not
+     * exchanged partially, and asking no price for the matched destination nft, can be matched
+     * - Can be called at anyone but the sellers of both orders
+     * @param exchangeIdA Exchange order id of the first order
+     * @param destinationIdA The destination nft of the first order given by the second order
+     * @param exchangeIdB Exchange order id of the second order
+     * @param destinationIdB The destination nft of the second order given by the first order
+     **/
+    function matchExchangeOrders(
+        uint256 exchangeIdA,
+        uint256 destinationIdA,
+        uint256 exchangeIdB,
+        uint256 destinationIdB
+    ) external nonReentrant {
+        ExchangeOrderType.ExchangeOrder memory exchangeOrderA =
+            exchangeOrderList.getExchangeOrderById(exchangeIdA);
+        ExchangeOrderType.ExchangeOrder memory exchangeOrderB =
+            exchangeOrderList.getExchangeOrderById(exchangeIdB);
+        ExchangeOrderType.ExchangeOrderOptions memory optionsA =
+            exchangeOrderList.getExchangeOrderOptionsById(exchangeIdA);
+        ExchangeOrderType.ExchangeOrderOptions memory optionsB =
+            exchangeOrderList.getExchangeOrderOptionsById(exchangeIdB);
+        require(
+            exchangeOrderA.users[0] != exchangeOrderB.users[0],
+            MarketErrors.EXCHANGE_ORDERS_NOT_MATCH
+        );
+        require(
+            exchangeOrderA.users[0] != msg.sender && exchangeOrderB.users[0] != msg.sender,
+            MarketErrors.CALLER_IS_SELLER
+        );
+        uint256 fundBefore = vault.getMochiFund(_matcherBountyToken);
+        _requireMatch(exchangeOrderA, optionsA, destinationIdA, exchangeOrderB);
+        _requireMatch(exchangeOrderB, optionsB, destinationIdB, exchangeOrderA);
+
+        _settleMatchedOrder(
+            exchangeOrderA,
+            optionsA,
+            exchangeOrderB,
+            exchangeOrderB.data[destinationIdB]
+        );
+        _settleMatchedOrder(
+            exchangeOrderB,
+            optionsB,
+            exchangeOrderA,
+            exchangeOrderA.data[destinationIdA]
+        );
+
+        exchangeOrderList.completeExchangeOrder(
+            exchangeIdA,
+            destinationIdA,
+            exchangeOrderB.users[0],
+            exchangeOrderA.nftAmounts[0]
+        );
+        exchangeOrderList.completeExchangeOrder(
+            exchangeIdB,
+            destinationIdB,
+            exchangeOrderA.users[0],
+            exchangeOrderB.nftAmounts[0]
+        );
+
+        _creditMatcherBounty(fundBefore);
+
+        emit ExchangeOrdersMatched(exchangeIdA, exchangeIdB, msg.sender);
+    }
+
+    /**
+     * @dev Get the bounty credited to matcher
+     * @return The token and the maximum amount of bounty
+     **/
+    function getMatcherBounty() external view returns (address, uint256) {
+        return (_matcherBountyToken, _matcherBounty);
+    }
+
+    /**
+     * @dev Check that an exchange order can be purchased by the seller of the other order,
+     * giving the source nft of the other order as the chosen destination nft
+     * - internal function called inside matchExchangeOrders() function
+     * @param exchangeOrder The exchange order
+     * @param options The options of the exchange order
+     * @param destinationId The destination nft of the exchange order
+     * @param counterOrder The other exchange order
+     **/
+    function _requireMatch(
+        ExchangeOrderType.ExchangeOrder memory exchangeOrder,
+        ExchangeOrderType.ExchangeOrderOptions memory options,
+        uint256 destinationId,
+        ExchangeOrderType.ExchangeOrder memory counterOrder
+    ) internal view {
+        require(exchangeOrder.isActive == true, MarketErrors.EXCHANGE_ORDER_NOT_ACTIVE);
+        require(options.isExpired() == false, MarketErrors.EXCHANGE_ORDER_EXPIRED);
+        require(
+            options.isAllowedBuyer(counterOrder.users[0]),
+            MarketErrors.CALLER_NOT_ALLOWED_BUYER
+        );
+        require(
+            destinationId > 0 && destinationId < exchangeOrder.nftAddresses.length,
+            MarketErrors.INVALID_DESTINATION
+        );
+        require(
+            options.getSourceCount() == 1 &&
+                options.isDestinationSet == false &&
+                exchangeOrder.soldAmount == 0 &&
+                exchangeOrder.prices[destinationId] == 0 &&
+                exchangeOrder.nftAddresses[destinationId] == counterOrder.nftAddresses[0] &&
+                exchangeOrder.tokenIds[destinationId] == counterOrder.tokenIds[0] &&
+                exchangeOrder.nftAmounts[destinationId] == counterOrder.nftAmounts[0],
+            MarketErrors.EXCHANGE_ORDERS_NOT_MATCH
+        );
+    }
+
+    /**
+     * @dev Pay the top-ups and release the source nft of a matched exchange order to the seller
+     * of the other order, crediting the matcher with the referral share of the fee
+     * - internal function called inside matchExchangeOrders() function
+     * @param exchangeOrder The exchange order
+     * @param options The options of the exchange order
+     * @param counterOrder The other exchange order
+     * @param data Calldata that the seller of the other order wants to execute upon receiving
+     * the nft
+     **/
+    function _settleMatchedOrder(
+        ExchangeOrderType.ExchangeOrder memory exchangeOrder,
+        ExchangeOrderType.ExchangeOrderOptions memory options,
+        ExchangeOrderType.ExchangeOrder memory counterOrder,
+        bytes memory data
+    ) internal {
+        _payExchangeOrderTopUps(
+            exchangeOrder,
+            options,
+            exchangeOrder.nftAmounts[0],
+            counterOrder.users[0],
+            counterOrder.nftAddresses[0],
+            counterOrder.tokenIds[0],
+            msg.sender
+        );
+
+        _releaseExchangeOrderSources(
+            exchangeOrder,
+            options,
+            exchangeOrder.nftAmounts[0],
+            counterOrder.users[0],
+            data
+        );
+    }
+
+    /**
+     * @dev Credit the bounty to matcher, no more than the fee the match added to MochiLab fund
+     * - internal function called inside matchExchangeOrders() function
+     * @param fundBefore MochiLab fund in the token of bounty before the match is settled
+     **/
+    function _creditMatcherBounty(uint256 fundBefore) internal {
+        uint256 bounty = _matcherBounty;
+        uint256 collected = vault.getMochiFund(_matcherBountyToken) - fundBefore;
+        if (bounty > collected) {
+            bounty = collected;
+        }
+
+        if (bounty > 0) {
+            vault.creditMatcherBounty(msg.sender, _matcherBountyToken, bounty);
+        }
+    }
+}
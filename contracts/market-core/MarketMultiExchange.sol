@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "./MarketBase.sol";
+
+/**
+ * @title MarketMultiExchange contract
+ * @dev Market extension where sellers offer several nfts in one exchange order, and ask for
+ * either one of the destination nfts or the whole set of them in return. The orders are
+ * purchased through Market.exchange(), both sides are transferred in the same transaction
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketMultiExchange is MarketBase {
+    /**
+     * @dev Create a many-for-one or many-for-many exchange order
+     * - Can be called at anyone
+     * @param nftAddresses The addresses of source nfts followed by destination nfts
+     * @param tokenIds The tokenIds of source nfts followed by destination nfts
+     * @param nftAmounts The amount of source nfts followed by destination nfts
+     * @param tokens The token that seller pays with a source nft, or wants to be paid for
+     * @param prices The top-up that seller pays with a source nft, or the price that seller
+     * wants, only the first destination nft has a price when the destinations form a set
+     * @param users Users address
+     * @param data Calldata that seller wants to execute when he receives destination nft
+     * @param sourceCount Number of source nfts at the head of the lists
+     * @param isDestinationSet Buyer gives all destination nfts together instead of one of them
+     **/
+    function createMultiExchangeOrder(
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory nftAmounts,
+        address[] memory tokens,
+        uint256[] memory prices,
+        address[] memory users,
+        bytes[] memory data,
+        uint256 sourceCount,
+        bool isDestinationSet
+    ) external payable nonReentrant {
+        require(
+            sourceCount > 0 && sourceCount < nftAddresses.length,
+            MarketErrors.PARAMETERS_NOT_MATCH
+        );
+        if (isDestinationSet == true) {
+            for (uint256 i = sourceCount + 1; i < prices.length; i++) {
+                require(prices[i] == 0, MarketErrors.PARAMETERS_NOT_MATCH);
+            }
+        }
+
+        uint256 exchangeId =
+            _createExchangeOrder(
+                nftAddresses,
+                tokenIds,
+                nftAmounts,
+                tokens,
+                prices,
+                users,
+                data,
+                sourceCount
+            );
+
+        exchangeOrderList.setExchangeOrderSides(exchangeId, sourceCount, isDestinationSet);
+    }
+}
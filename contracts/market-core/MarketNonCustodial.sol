@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "./MarketBase.sol";
+
+/**
+ * @title MarketNonCustodial contract
+ * @dev Market extension where sellers list their nft without escrowing it, the nft stays in
+ * the wallet of seller and is transferred by approval straight to the buyer. Listings whose
+ * seller no longer holds the nft, has revoked the approval or has bumped the nonce are invalid,
+ * anyone can prune them from the available lists of SellOrderList
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketNonCustodial is MarketBase {
+    event SellOrderPruned(uint256 indexed sellId, address indexed pruner);
+    event NonCustodialNonceBumped(address indexed seller, uint256 nonce);
+
+    /**
+     * @dev Create a sell order while keeping the nft, Market must be approved to transfer it
+     * - Can be called at anyone
+     * @param nftAddress The address of nft contract
+     * @param tokenId The tokenId of nft
+     * @param amount The amount of nft seller wants to sell
+     * @param price The price offered by seller
+     * @param token The token that seller wants to be paid for
+     **/
+    function createNonCustodialSellOrder(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        address token
+    ) external nonReentrant {
+        require(nftList.isAcceptedNFT(nftAddress), MarketErrors.NFT_NOT_ACCEPTED);
+        require(price > 0, MarketErrors.PRICE_IS_ZERO);
+        require(acceptedToken[token] == true, MarketErrors.TOKEN_NOT_ACCEPTED);
+
+        if (nftList.isERC1155(nftAddress) == true) {
+            require(amount > 0, MarketErrors.AMOUNT_IS_ZERO);
+            require(
+                sellOrderList.checkDuplicateERC1155(nftAddress, tokenId, msg.sender) == false,
+                MarketErrors.SELL_ORDER_DUPLICATE
+            );
+        } else {
+            require(amount == 1, MarketErrors.AMOUNT_IS_NOT_EQUAL_ONE);
+            require(
+                sellOrderList.checkDuplicateERC721(nftAddress, tokenId, msg.sender) == false,
+                MarketErrors.SELL_ORDER_DUPLICATE
+            );
+        }
+
+        require(
+            _isNftHeld(nftAddress, tokenId, amount, msg.sender),
+            MarketErrors.CALLER_NOT_NFT_OWNER
+        );
+        require(
+            _isNftApproved(nftAddress, tokenId, msg.sender),
+            MarketErrors.NFT_NOT_APPROVED_FOR_MARKET
+        );
+
+        uint256 sellId = sellOrderList.getSellOrderCount();
+        sellOrderList.addSellOrder(nftAddress, tokenId, amount, payable(msg.sender), price, token);
+        sellOrderList.setNonCustodial(sellId, _nonCustodialNonces[msg.sender]);
+    }
+
+    /**
+     * @dev Invalidate all the non-custodial sell orders of caller, so that none of them becomes
+     * valid again when caller gets back an nft which left the wallet
+     * - Can be called at anyone
+     **/
+    function bumpNonCustodialNonce() external {
+        _nonCustodialNonces[msg.sender]++;
+        emit NonCustodialNonceBumped(msg.sender, _nonCustodialNonces[msg.sender]);
+    }
+
+    /**
+     * @dev Get the nonce the new non-custodial sell orders of a seller are bound to
+     * @param seller The address of seller
+     **/
+    function getNonCustodialNonce(address seller) external view returns (uint256) {
+        return _nonCustodialNonces[seller];
+    }
+
+    /**
+     * @dev Deactive the invalid sell orders, orders which are not active or still valid are skipped
+     * - Can be called at anyone
+     * @param sellIds Sell order ids
+     **/
+    function pruneInvalidSellOrders(uint256[] memory sellIds) external nonReentrant {
+        for (uint256 i = 0; i < sellIds.length; i++) {
+            SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellIds[i]);
+            if (
+                sellOrder.isActive == false ||
+                _isSellOrderValid(sellOrder, sellOrderList.getSellOrderOptionsById(sellIds[i]))
+            ) {
+                continue;
+            }
+
+            sellOrderList.deactiveSellOrder(sellIds[i]);
+
+            emit SellOrderPruned(sellIds[i], msg.sender);
+        }
+    }
+
+    /**
+     * @dev Check whether an active sell order can still be bought
+     * @param sellId Sell order id
+     **/
+    function isSellOrderValid(uint256 sellId) external view returns (bool) {
+        SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellId);
+        return
+            sellOrder.isActive == true &&
+            _isSellOrderValid(sellOrder, sellOrderList.getSellOrderOptionsById(sellId));
+    }
+
+    /**
+     * @dev Get the active sell orders which are invalid among some sell orders
+     * @param sellIds Sell order ids
+     * @return result The ids of invalid sell orders, to be pruned by pruneInvalidSellOrders()
+     **/
+    function getInvalidSellOrders(uint256[] memory sellIds)
+        external
+        view
+        returns (uint256[] memory result)
+    {
+        uint256 count = 0;
+        bool[] memory isInvalid = new bool[](sellIds.length);
+        for (uint256 i = 0; i < sellIds.length; i++) {
+            SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellIds[i]);
+            if (
+                sellOrder.isActive == true &&
+                _isSellOrderValid(sellOrder, sellOrderList.getSellOrderOptionsById(sellIds[i])) ==
+                false
+            ) {
+                isInvalid[i] = true;
+                count++;
+            }
+        }
+
+        result = new uint256[](count);
+        count = 0;
+        for (uint256 i = 0; i < sellIds.length; i++) {
+            if (isInvalid[i] == true) {
+                result[count] = sellIds[i];
+                count++;
+            }
+        }
+    }
+}
@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "./MarketBase.sol";
+
+/**
+ * @title MarketOffers contract
+ * @dev Market extension where buyers make offers for any nft, listed or not,
+ * or for any tokenId of a nft address with collection offers
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketOffers is MarketBase {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev Make an offer for a nft, the offered money is escrowed by Market
+     * - Can be called at anyone
+     * @param nftAddress The address of nft contract
+     * @param tokenId The tokenId of nft
+     * @param amount The amount of nft buyer wants to buy
+     * @param token The ERC20 token that buyer pays with
+     * @param price The unit price buyer offers
+     * @param expiry Time after which the offer can no longer be accepted
+     **/
+    function makeOffer(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address token,
+        uint256 price,
+        uint256 expiry
+    ) external nonReentrant whenNotPaused(PauseGroups.ORDERS) {
+        require(nftList.isAcceptedNFT(nftAddress), MarketErrors.NFT_NOT_ACCEPTED);
+        require(nftList.isTokenFlagged(nftAddress, tokenId) == false, MarketErrors.TOKEN_FLAGGED);
+        if (nftList.isERC1155(nftAddress) == true) {
+            require(amount > 0, MarketErrors.AMOUNT_IS_ZERO);
+        } else {
+            require(amount == 1, MarketErrors.AMOUNT_IS_NOT_EQUAL_ONE);
+        }
+        require(price > 0, MarketErrors.PRICE_IS_ZERO);
+        require(acceptedToken[token] == true, MarketErrors.TOKEN_NOT_ACCEPTED);
+        require(token != address(0), MarketErrors.INVALID_OFFER_TOKEN);
+        require(expiry > block.timestamp, MarketErrors.INVALID_EXPIRY);
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount * price);
+
+        offerList.addOffer(nftAddress, tokenId, amount, msg.sender, token, price, expiry);
+    }
+
+    /**
+     * @dev Make an offer for any tokenId of a nft address, it can be filled several times
+     * until quantity is reached. The offered money is escrowed by Market
+     * - Can be called at anyone
+     * @param nftAddress The address of nft contract
+     * @param quantity The amount of nft buyer wants to buy in total
+     * @param token The ERC20 token that buyer pays with
+     * @param price The unit price buyer offers
+     * @param expiry Time after which the offer can no longer be filled
+     **/
+    function makeCollectionOffer(
+        address nftAddress,
+        uint256 quantity,
+        address token,
+        uint256 price,
+        uint256 expiry
+    ) external nonReentrant whenNotPaused(PauseGroups.ORDERS) {
+        require(nftList.isAcceptedNFT(nftAddress), MarketErrors.NFT_NOT_ACCEPTED);
+        require(quantity > 0, MarketErrors.AMOUNT_IS_ZERO);
+        require(price > 0, MarketErrors.PRICE_IS_ZERO);
+        require(acceptedToken[token] == true, MarketErrors.TOKEN_NOT_ACCEPTED);
+        require(token != address(0), MarketErrors.INVALID_OFFER_TOKEN);
+        require(expiry > block.timestamp, MarketErrors.INVALID_EXPIRY);
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), quantity * price);
+
+        offerList.addCollectionOffer(nftAddress, quantity, msg.sender, token, price, expiry);
+    }
+
+    /**
+     * @dev Accept an offer, the nft is sent to buyer and the escrowed money
+     * is paid to caller through the same fee and royalty path as buy()
+     * - Can only be called by the owner of nft
+     * @param offerId Offer id
+     **/
+    function acceptOffer(uint256 offerId) external nonReentrant whenNotPaused(PauseGroups.BUYS) {
+        OfferType.Offer memory offer = offerList.getOfferById(offerId);
+
+        require(offer.isCollectionOffer == false, MarketErrors.IS_COLLECTION_OFFER);
+        require(offer.buyer != msg.sender, MarketErrors.CALLER_IS_BUYER);
+        require(offer.isActive == true, MarketErrors.OFFER_NOT_ACTIVE);
+        require(block.timestamp < offer.expiry, MarketErrors.OFFER_EXPIRED);
+        require(
+            nftList.isTokenFlagged(offer.nftAddress, offer.tokenId) == false,
+            MarketErrors.TOKEN_FLAGGED
+        );
+
+        _transferAsset(
+            offer.nftAddress,
+            offer.tokenId,
+            offer.amount,
+            msg.sender,
+            offer.buyer,
+            "0x"
+        );
+
+        _depositMoney(
+            offer.token,
+            offer.amount * offer.price,
+            msg.sender,
+            offer.buyer,
+            offer.nftAddress,
+            offer.tokenId,
+            address(0)
+        );
+
+        offerList.completeOffer(offerId, msg.sender);
+    }
+
+    /**
+     * @dev Fill a collection offer with any tokenId of its nft address, the nft is sent to buyer
+     * and the escrowed money is paid to caller through the same fee and royalty path as buy()
+     * - Can only be called by the owner of nft
+     * @param offerId Offer id
+     * @param tokenId The tokenId of nft caller sells
+     * @param amount The amount of nft caller sells
+     **/
+    function acceptCollectionOffer(
+        uint256 offerId,
+        uint256 tokenId,
+        uint256 amount
+    ) external nonReentrant whenNotPaused(PauseGroups.BUYS) {
+        OfferType.Offer memory offer = offerList.getOfferById(offerId);
+
+        require(offer.isCollectionOffer == true, MarketErrors.NOT_COLLECTION_OFFER);
+        require(offer.buyer != msg.sender, MarketErrors.CALLER_IS_BUYER);
+        require(offer.isActive == true, MarketErrors.OFFER_NOT_ACTIVE);
+        require(block.timestamp < offer.expiry, MarketErrors.OFFER_EXPIRED);
+        require(nftList.isAcceptedNFT(offer.nftAddress), MarketErrors.NFT_NOT_ACCEPTED);
+        require(
+            nftList.isTokenFlagged(offer.nftAddress, tokenId) == false,
+            MarketErrors.TOKEN_FLAGGED
+        );
+        require(amount <= offer.amount - offer.filledAmount, MarketErrors.AMOUNT_IS_NOT_ENOUGH);
+
+        _transferAsset(offer.nftAddress, tokenId, amount, msg.sender, offer.buyer, "0x");
+
+        _depositMoney(
+            offer.token,
+            amount * offer.price,
+            msg.sender,
+            offer.buyer,
+            offer.nftAddress,
+            tokenId,
+            address(0)
+        );
+
+        offerList.fillOffer(offerId, msg.sender, tokenId, amount);
+    }
+
+    /**
+     * @dev Cancel an offer and refund the escrowed money left, expired offers can be cancelled too
+     * - Can only be called by buyer
+     * @param offerId Offer id
+     **/
+    function cancelOffer(uint256 offerId) external nonReentrant {
+        OfferType.Offer memory offer = offerList.getOfferById(offerId);
+        require(offer.buyer == msg.sender, MarketErrors.CALLER_NOT_BUYER);
+        require(offer.isActive == true, MarketErrors.OFFER_NOT_ACTIVE);
+
+        _refundBid(offer.token, offer.buyer, (offer.amount - offer.filledAmount) * offer.price);
+
+        offerList.deactiveOffer(offerId);
+    }
+
+    function removeOffer(uint256 offerId) external onlyMarketAdmin {
+        OfferType.Offer memory offer = offerList.getOfferById(offerId);
+        require(offer.isActive == true, MarketErrors.OFFER_NOT_ACTIVE);
+
+        _refundBid(offer.token, offer.buyer, (offer.amount - offer.filledAmount) * offer.price);
+
+        offerList.deactiveOffer(offerId);
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "./MarketBase.sol";
+
+/**
+ * @title MarketPartialExchange contract
+ * @dev Market extension where buyers take part of an exchange order offering a single ERC1155
+ * nft. Buyer gives the destination nft and pays the price in proportion to the amount he
+ * receives, the order stays active until its whole amount is exchanged or it is cancelled
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketPartialExchange is MarketBase {
+    /**
+     * @dev Purchase part of an exchange order
+     * - Can be called at anyone
+     * @param exchangeId Exchange order id
+     * @param destinationId The destination nft buyer gives
+     * @param amount The amount of the source nft buyer receives
+     * @param receiver The address receiving the source nft
+     * @param data Calldata that buyer wants to execute upon receiving the nft
+     **/
+    function exchangePartially(
+        uint256 exchangeId,
+        uint256 destinationId,
+        uint256 amount,
+        address receiver,
+        bytes memory data
+    ) external payable nonReentrant {
+        require(amount > 0, MarketErrors.AMOUNT_IS_ZERO);
+
+        _exchange(exchangeId, destinationId, amount, receiver, data, address(0));
+    }
+}
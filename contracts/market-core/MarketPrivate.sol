@@ -0,0 +1,97 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "./MarketBase.sol";
+
+/**
+ * @title MarketPrivate contract
+ * @dev Market extension where sellers create sell orders and exchange orders reserved for
+ * some buyers. Private orders are not in the public available lists of SellOrderList and
+ * ExchangeOrderList, they are indexed for their allowed buyers instead
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketPrivate is MarketBase {
+    uint256 public constant MAX_ALLOWED_BUYERS = 10;
+
+    /**
+     * @dev Create a sell order which only allowed buyers can buy
+     * - Can be called at anyone
+     * @param nftAddress The address of nft contract
+     * @param tokenId The tokenId of nft
+     * @param amount The amount of nft seller wants to sell
+     * @param price The price offered by seller
+     * @param token The token that seller wants to be paid for
+     * @param allowedBuyers The only buyers allowed to buy
+     **/
+    function createPrivateSellOrder(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        address token,
+        address[] memory allowedBuyers
+    ) external nonReentrant {
+        _checkAllowedBuyers(allowedBuyers);
+
+        uint256 sellId = _createSellOrder(nftAddress, tokenId, amount, price, token);
+
+        sellOrderList.reserveSellOrder(sellId, allowedBuyers);
+    }
+
+    /**
+     * @dev Create an exchange order which only allowed buyers can purchase
+     * - Can be called at anyone
+     * @param nftAddresses The addresses of source nft and destination nft
+     * @param tokenIds The tokenIds of source nft and destination nft
+     * @param nftAmounts The amount of source nft and destination nft
+     * @param tokens The token that seller pays with the source nft, or wants to be paid for
+     * @param prices The top-up that seller pays with the source nft, or the price that seller wants
+     * @param users Users address
+     * @param data Calldata that seller wants to execute when he receives destination nft
+     * @param allowedBuyers The only buyers allowed to purchase
+     **/
+    function createPrivateExchangeOrder(
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory nftAmounts,
+        address[] memory tokens,
+        uint256[] memory prices,
+        address[] memory users,
+        bytes[] memory data,
+        address[] memory allowedBuyers
+    ) external payable nonReentrant {
+        _checkAllowedBuyers(allowedBuyers);
+
+        uint256 exchangeId =
+            _createExchangeOrder(
+                nftAddresses,
+                tokenIds,
+                nftAmounts,
+                tokens,
+                prices,
+                users,
+                data,
+                1
+            );
+
+        exchangeOrderList.reserveExchangeOrder(exchangeId, allowedBuyers);
+    }
+
+    function _checkAllowedBuyers(address[] memory allowedBuyers) internal view {
+        require(
+            allowedBuyers.length > 0 && allowedBuyers.length <= MAX_ALLOWED_BUYERS,
+            MarketErrors.INVALID_ALLOWED_BUYERS
+        );
+        for (uint256 i = 0; i < allowedBuyers.length; i++) {
+            require(
+                allowedBuyers[i] != address(0) && allowedBuyers[i] != msg.sender,
+                MarketErrors.INVALID_ALLOWED_BUYERS
+            );
+            for (uint256 j = 0; j < i; j++) {
+                require(allowedBuyers[i] != allowedBuyers[j], MarketErrors.INVALID_ALLOWED_BUYERS);
+            }
+        }
+    }
+}
@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "./MarketBase.sol";
+
+/**
+ * @title MarketReferrals contract
+ * @dev Market extension where buyers name the referrer who brought them, usually the frontend
+ * the sale is made on. A share of the marketplace fee set in Vault is credited to the referral
+ * balance of referrer, who claims it from Vault per token
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketReferrals is MarketBase {
+    event BuyReferred(uint256 indexed sellId, address indexed buyer, address indexed referrer);
+    event ExchangeReferred(
+        uint256 indexed exchangeId,
+        address indexed buyer,
+        address indexed referrer
+    );
+
+    /**
+     * @dev Buy nft through a sell order brought by a referrer
+     * - Can be called at anyone
+     * @param sellId Sell order id
+     * @param amount The amount buyer wants to buy
+     * @param receiver The address receiving the nft
+     * @param data Calldata that buyer wants to execute upon receiving the nft
+     * @param referrer The address of referrer, neither the seller nor the buyer
+     **/
+    function buyWithReferrer(
+        uint256 sellId,
+        uint256 amount,
+        address receiver,
+        bytes calldata data,
+        address referrer
+    ) external payable nonReentrant {
+        _buy(sellId, amount, receiver, data, referrer);
+
+        emit BuyReferred(sellId, msg.sender, referrer);
+    }
+
+    /**
+     * @dev Purchase an exchange order brought by a referrer
+     * - Can be called at anyone
+     * @param exchangeId Exchange order id
+     * @param destinationId The destination nft buyer gives
+     * @param receiver The address receiving the source nft
+     * @param data Calldata that buyer wants to execute upon receiving the nft
+     * @param referrer The address of referrer, neither the seller nor the buyer
+     **/
+    function exchangeWithReferrer(
+        uint256 exchangeId,
+        uint256 destinationId,
+        address receiver,
+        bytes memory data,
+        address referrer
+    ) external payable nonReentrant {
+        _exchange(exchangeId, destinationId, 0, receiver, data, referrer);
+
+        emit ExchangeReferred(exchangeId, msg.sender, referrer);
+    }
+}
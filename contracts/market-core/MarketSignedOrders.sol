@@ -0,0 +1,172 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+import "../libraries/types/SignedOrderType.sol";
+import "./MarketBase.sol";
+
+/**
+ * @title MarketSignedOrders contract
+ * @dev Market extension where sellers sign EIP-712 sell orders off-chain instead of escrowing
+ * their nft, buyers fulfill them on-chain and the nft is transferred from seller by approval.
+ * The domain is built with address(this) so the verifying contract is Market, not the extension
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketSignedOrders is MarketBase {
+    bytes32 public constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 public constant SELL_ORDER_TYPEHASH =
+        keccak256(
+            "SellOrder(address seller,address nftAddress,uint256 tokenId,uint256 amount,uint256 price,address token,uint256 expiry,uint256 nonce)"
+        );
+    string public constant DOMAIN_NAME = "MochiMarket";
+    string public constant DOMAIN_VERSION = "1";
+
+    event SignedOrderFulfilled(
+        bytes32 indexed orderHash,
+        address indexed seller,
+        address indexed buyer,
+        uint256 nonce
+    );
+    event SignedOrderCancelled(address indexed seller, uint256 nonce);
+    event AllSignedOrdersCancelled(address indexed seller, uint256 minNonce);
+
+    /**
+     * @dev Buy the nft of a signed sell order, the nft is transferred from seller to receiver
+     * - Can be called at anyone
+     * @param order The sell order signed by seller
+     * @param signature The EIP-712 signature of seller
+     * @param receiver The address receiving the nft
+     **/
+    function fulfillSignedOrder(
+        SignedOrderType.SignedOrder memory order,
+        bytes memory signature,
+        address receiver
+    ) external payable nonReentrant whenNotPaused(PauseGroups.BUYS) {
+        require(order.seller != msg.sender, MarketErrors.CALLER_IS_SELLER);
+        require(
+            order.nonce >= _minNonces[order.seller] && !_usedNonces[order.seller][order.nonce],
+            MarketErrors.NONCE_USED
+        );
+        require(
+            order.expiry == 0 || block.timestamp < order.expiry,
+            MarketErrors.SELL_ORDER_EXPIRED
+        );
+        require(nftList.isAcceptedNFT(order.nftAddress), MarketErrors.NFT_NOT_ACCEPTED);
+        require(
+            nftList.isTokenFlagged(order.nftAddress, order.tokenId) == false,
+            MarketErrors.TOKEN_FLAGGED
+        );
+        require(order.price > 0, MarketErrors.PRICE_IS_ZERO);
+        require(acceptedToken[order.token] == true, MarketErrors.TOKEN_NOT_ACCEPTED);
+
+        bytes32 orderHash = getSignedOrderHash(order);
+        require(
+            SignatureChecker.isValidSignatureNow(order.seller, orderHash, signature),
+            MarketErrors.INVALID_SIGNATURE
+        );
+
+        _usedNonces[order.seller][order.nonce] = true;
+
+        _transferAndDepositMoney(
+            order.token,
+            order.amount * order.price,
+            order.seller,
+            order.nftAddress,
+            order.tokenId,
+            address(0)
+        );
+
+        _transferAsset(order.nftAddress, order.tokenId, order.amount, order.seller, receiver, "0x");
+
+        emit SignedOrderFulfilled(orderHash, order.seller, msg.sender, order.nonce);
+    }
+
+    /**
+     * @dev Cancel the signed orders of caller with these nonces
+     * - Can be called at anyone
+     * @param nonces The nonces of signed orders
+     **/
+    function cancelSignedOrders(uint256[] memory nonces) external {
+        for (uint256 i = 0; i < nonces.length; i++) {
+            _usedNonces[msg.sender][nonces[i]] = true;
+            emit SignedOrderCancelled(msg.sender, nonces[i]);
+        }
+    }
+
+    /**
+     * @dev Cancel all the signed orders of caller whose nonce is lower than minNonce
+     * - Can be called at anyone
+     * @param minNonce The lowest nonce still valid
+     **/
+    function cancelAllSignedOrders(uint256 minNonce) external {
+        require(minNonce > _minNonces[msg.sender], MarketErrors.INVALID_NONCE);
+        _minNonces[msg.sender] = minNonce;
+        emit AllSignedOrdersCancelled(msg.sender, minNonce);
+    }
+
+    /**
+     * @dev Get the lowest nonce still valid of a seller
+     * @param seller The address of seller
+     **/
+    function getMinNonce(address seller) external view returns (uint256) {
+        return _minNonces[seller];
+    }
+
+    /**
+     * @dev Check whether a nonce of a seller can no longer be used
+     * @param seller The address of seller
+     * @param nonce The nonce
+     **/
+    function isNonceUsed(address seller, uint256 nonce) external view returns (bool) {
+        return nonce < _minNonces[seller] || _usedNonces[seller][nonce];
+    }
+
+    /**
+     * @dev Get the EIP-712 domain separator of Market
+     **/
+    function getDomainSeparator() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256(bytes(DOMAIN_NAME)),
+                    keccak256(bytes(DOMAIN_VERSION)),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    /**
+     * @dev Get the EIP-712 digest seller signs for a sell order
+     * @param order The sell order
+     **/
+    function getSignedOrderHash(SignedOrderType.SignedOrder memory order)
+        public
+        view
+        returns (bytes32)
+    {
+        bytes32 structHash =
+            keccak256(
+                abi.encode(
+                    SELL_ORDER_TYPEHASH,
+                    order.seller,
+                    order.nftAddress,
+                    order.tokenId,
+                    order.amount,
+                    order.price,
+                    order.token,
+                    order.expiry,
+                    order.nonce
+                )
+            );
+        return ECDSA.toTypedDataHash(getDomainSeparator(), structHash);
+    }
+}
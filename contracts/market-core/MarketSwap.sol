@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "../libraries/logic/SellOrderLogic.sol";
+import "../interfaces/mini-interfaces/MiniIRootRouter.sol";
+import "./MarketBase.sol";
+
+/**
+ * @title MarketSwap contract
+ * @dev Market extension where buyers pay for a sell order in any token. The token of buyer is
+ * swapped through the RootRouter of Mochiswap into the token of the sell order, and the sale is
+ * settled in the same transaction. Native coin is swapped as WETH
+ * - Executed by delegatecall from Market, see Market.setExtension()
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract MarketSwap is MarketBase {
+    using SafeERC20 for IERC20;
+    using SellOrderLogic for SellOrderType.SellOrderOptions;
+
+    event BoughtWithSwap(
+        uint256 indexed sellId,
+        address indexed buyer,
+        address tokenIn,
+        uint256 amountIn,
+        uint256 amount
+    );
+
+    /**
+     * @dev Buy nft through a sell order paying with another token than the token of sell order.
+     * Only the input needed by the swap is taken, the leftover native coin is refunded
+     * - Can be called at anyone
+     * @param sellId Sell order id
+     * @param amount The amount buyer wants to buy
+     * @param receiver The address receiving the nft
+     * @param path The swap path from the token of buyer to the token of sell order,
+     * WETH stands for native coin at both ends
+     * @param maxInput The maximum amount of path[0] buyer pays, equal to msg.value when
+     * paying with native coin
+     **/
+    function buyWithSwap(
+        uint256 sellId,
+        uint256 amount,
+        address receiver,
+        address[] memory path,
+        uint256 maxInput
+    ) external payable nonReentrant {
+        SellOrderType.SellOrder memory sellOrder = sellOrderList.getSellOrderById(sellId);
+        SellOrderType.SellOrderOptions memory options =
+            sellOrderList.getSellOrderOptionsById(sellId);
+        string memory error = _checkBuy(sellOrder, options, amount);
+        require(bytes(error).length == 0, error);
+
+        uint256 amountToken = amount * options.getCurrentPrice(sellOrder.price);
+        uint256 amountIn = _swap(path, maxInput, sellOrder.token, amountToken);
+
+        _depositMoney(
+            sellOrder.token,
+            amountToken,
+            sellOrder.seller,
+            msg.sender,
+            sellOrder.nftAddress,
+            sellOrder.tokenId,
+            address(0)
+        );
+
+        _transferAsset(
+            sellOrder.nftAddress,
+            sellOrder.tokenId,
+            amount,
+            _sellOrderHolder(sellOrder, options),
+            receiver,
+            "0x"
+        );
+
+        sellOrderList.completeSellOrder(sellId, msg.sender, amount);
+
+        if (msg.value > amountIn) {
+            _payNative(msg.sender, msg.value - amountIn);
+        }
+
+        emit BoughtWithSwap(sellId, msg.sender, path[0], amountIn, amount);
+    }
+
+    /**
+     * @dev Swap the token of buyer into an exact amount of the token of sell order held by Market
+     * - internal function called inside buyWithSwap() function
+     * @param path The swap path
+     * @param maxInput The maximum amount of path[0] buyer pays
+     * @param tokenOut The token of sell order
+     * @param amountOut The amount of tokenOut needed
+     * @return amountIn The amount of path[0] paid by buyer
+     **/
+    function _swap(
+        address[] memory path,
+        uint256 maxInput,
+        address tokenOut,
+        uint256 amountOut
+    ) internal returns (uint256 amountIn) {
+        MiniIRootRouter router = MiniIRootRouter(addressesProvider.getRootRouter());
+        address weth = router.WETH();
+        bool isNativeIn = msg.value > 0;
+
+        require(
+            path.length >= 2 &&
+                path[path.length - 1] == (tokenOut == address(0) ? weth : tokenOut) &&
+                (isNativeIn == false || (path[0] == weth && tokenOut != address(0))),
+            MarketErrors.INVALID_SWAP_PATH
+        );
+        require(isNativeIn == false || msg.value == maxInput, MarketErrors.PARAMETERS_NOT_MATCH);
+
+        amountIn = router.getAmountsIn(amountOut, path)[0];
+        require(amountIn <= maxInput, MarketErrors.MAX_SPEND_EXCEEDED);
+
+        if (isNativeIn == true) {
+            router.swapETHForExactTokens{value: amountIn}(
+                amountOut,
+                path,
+                address(this),
+                block.timestamp
+            );
+            return amountIn;
+        }
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(path[0]).safeApprove(address(router), amountIn);
+
+        if (tokenOut == address(0)) {
+            router.swapTokensForExactETH(amountOut, amountIn, path, address(this), block.timestamp);
+        } else {
+            router.swapTokensForExactTokens(
+                amountOut,
+                amountIn,
+                path,
+                address(this),
+                block.timestamp
+            );
+        }
+    }
+}
@@ -27,11 +27,18 @@ contract NFTList is Initializable {
     address[] internal _nftsList;
     uint256[] internal _acceptedList;
 
+    // Tokens flagged by market admin, for instance when reported stolen, with the reason
+    // nft address => tokenId => flagged
+    mapping(address => mapping(uint256 => bool)) internal _isFlaggedToken;
+    mapping(address => mapping(uint256 => string)) internal _flagReasons;
+
     event Initialized(address indexed provider);
     event NFTRegistered(address indexed nftAddress, bool erc1155);
     event NFTAccepted(address indexed nftAddress);
     event NFTRevoked(address indexed nftAddress);
     event NFTAdded(address indexed nftAddress, bool erc1155);
+    event TokenFlagged(address indexed nftAddress, uint256 indexed tokenId, string reason);
+    event TokenUnflagged(address indexed nftAddress, uint256 indexed tokenId);
 
     modifier onlyMarketAdmin() {
         require(addressesProvider.getAdmin() == msg.sender, Errors.CALLER_NOT_MARKET_ADMIN);
@@ -110,6 +117,40 @@ contract NFTList is Initializable {
         emit NFTRevoked(nftAddress);
     }
 
+    /**
+     * @dev Flag a token of a nft so it cannot be listed, bought or exchanged on the Market,
+     * flagging a flagged token updates its reason
+     * - Can only be called by admin
+     * @param nftAddress The address of nft contract
+     * @param tokenId The tokenId of nft
+     * @param reason The reason the token is flagged for
+     **/
+    function flagToken(
+        address nftAddress,
+        uint256 tokenId,
+        string memory reason
+    ) external onlyMarketAdmin {
+        _isFlaggedToken[nftAddress][tokenId] = true;
+        _flagReasons[nftAddress][tokenId] = reason;
+
+        emit TokenFlagged(nftAddress, tokenId, reason);
+    }
+
+    /**
+     * @dev Remove a token from the flagged tokens
+     * - Can only be called by admin
+     * @param nftAddress The address of nft contract
+     * @param tokenId The tokenId of nft
+     **/
+    function unflagToken(address nftAddress, uint256 tokenId) external onlyMarketAdmin {
+        require(_isFlaggedToken[nftAddress][tokenId], Errors.TOKEN_NOT_FLAGGED);
+
+        delete _isFlaggedToken[nftAddress][tokenId];
+        delete _flagReasons[nftAddress][tokenId];
+
+        emit TokenUnflagged(nftAddress, tokenId);
+    }
+
     /**
      * Check nft is ERC1155 or not?
      * @param nftAddress The address of nft
@@ -180,6 +221,24 @@ contract NFTList is Initializable {
         return _nftToInfo[nftAddress].isAccepted;
     }
 
+    /**
+     * @dev Check a token of nft has been flagged or not
+     * @param nftAddress The address of nft
+     * @param tokenId The tokenId of nft
+     * @return Token has been flagged or not?
+     */
+    function isTokenFlagged(address nftAddress, uint256 tokenId) external view returns (bool) {
+        return _isFlaggedToken[nftAddress][tokenId];
+    }
+
+    function getFlagReason(address nftAddress, uint256 tokenId)
+        external
+        view
+        returns (string memory)
+    {
+        return _flagReasons[nftAddress][tokenId];
+    }
+
     function getAllNFT() external view returns (NFTInfoType.NFTInfo[] memory) {
         NFTInfoType.NFTInfo[] memory result = new NFTInfoType.NFTInfo[](_nftsList.length);
         for (uint256 i = 0; i < _nftsList.length; i++) {
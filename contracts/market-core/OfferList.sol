@@ -0,0 +1,441 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+
+import "../libraries/helpers/OfferListErrors.sol";
+import "../libraries/logic/OfferLogic.sol";
+import "../interfaces/mini-interfaces/MiniIAddressesProvider.sol";
+import "../interfaces/mini-interfaces/MiniINFTList.sol";
+import "../libraries/helpers/ArrayLib.sol";
+
+/**
+ * @title OfferList contract
+ * @dev The place buyer makes offer for nft
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract OfferList is Initializable {
+    using OfferLogic for OfferType.Offer;
+    using ArrayLib for uint256[];
+
+    MiniIAddressesProvider public addressesProvider;
+
+    // All offers
+    OfferType.Offer[] internal _offers;
+
+    // The available offers
+    uint256[] internal _availableOffers;
+
+    // All offers of a buyer
+    mapping(address => uint256[]) internal _buyerToOffers;
+
+    // The available offers of a buyer
+    mapping(address => uint256[]) internal _buyerToAvailableOffers;
+
+    // All offers of a nft address
+    mapping(address => uint256[]) internal _nftToOffers;
+
+    // The available offers of a nft address
+    mapping(address => uint256[]) internal _nftToAvailableOffers;
+
+    // All offers of a tokenId of a nft address
+    mapping(address => mapping(uint256 => uint256[])) internal _tokenIdToOffers;
+
+    // The available offers of a tokenId of a nft address
+    mapping(address => mapping(uint256 => uint256[])) internal _tokenIdToAvailableOffers;
+
+    // All offers was accepted by user
+    mapping(address => uint256[]) internal _sellerToAcceptedOffers;
+
+    // The available collection offers of a nft address
+    mapping(address => uint256[]) internal _nftToAvailableCollectionOffers;
+
+    event Initialized(address indexed provider);
+    event OfferAdded(
+        address indexed buyer,
+        uint256 offerId,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address token,
+        uint256 price,
+        uint256 expiry
+    );
+    event CollectionOfferAdded(
+        address indexed buyer,
+        uint256 offerId,
+        address nftAddress,
+        uint256 quantity,
+        address token,
+        uint256 price,
+        uint256 expiry
+    );
+    event OfferDeactive(
+        uint256 offerId,
+        address indexed buyer,
+        address indexed nftAddress,
+        uint256 indexed tokenId
+    );
+    event OfferAccepted(
+        uint256 offerId,
+        address indexed seller,
+        address indexed buyer,
+        address indexed nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        address token
+    );
+
+    event OfferFilled(
+        uint256 offerId,
+        address indexed seller,
+        address indexed buyer,
+        address indexed nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        address token
+    );
+
+    modifier onlyMarket() {
+        require(addressesProvider.getMarket() == msg.sender, OfferListErrors.CALLER_NOT_MARKET);
+        _;
+    }
+
+    /**
+     * @dev Function is invoked by the proxy contract when the OfferList contract is added to the
+     * AddressesProvider of the market.
+     * - Caching the address of the AddressesProvider in order to reduce gas consumption
+     *   on subsequent operations
+     * @param provider The address of the AddressesProvider
+     **/
+    function initialize(address provider) external initializer {
+        addressesProvider = MiniIAddressesProvider(provider);
+        emit Initialized(provider);
+    }
+
+    /**
+     * @dev Add offer to the list
+     * - Can only be called by Market
+     * @param nftAddress The address of nft
+     * @param tokenId The tokenId of nft
+     * @param amount The amount of nft
+     * @param buyer The address of buyer
+     * @param token Token that the buyer pays with
+     * @param price The unit price the buyer offers
+     * @param expiry Time after which the offer can no longer be accepted
+     **/
+    function addOffer(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address buyer,
+        address token,
+        uint256 price,
+        uint256 expiry
+    ) external onlyMarket {
+        _requireNotFlagged(nftAddress, tokenId);
+        uint256 offerId = _offers.length;
+
+        _addOfferToList(
+            OfferLogic.newOffer(offerId, nftAddress, tokenId, amount, buyer, token, price, expiry)
+        );
+
+        emit OfferAdded(buyer, offerId, nftAddress, tokenId, amount, token, price, expiry);
+    }
+
+    /**
+     * @dev Add collection offer to the list
+     * - Can only be called by Market
+     * @param nftAddress The address of nft
+     * @param quantity The amount of nft in total
+     * @param buyer The address of buyer
+     * @param token Token that the buyer pays with
+     * @param price The unit price the buyer offers
+     * @param expiry Time after which the offer can no longer be filled
+     **/
+    function addCollectionOffer(
+        address nftAddress,
+        uint256 quantity,
+        address buyer,
+        address token,
+        uint256 price,
+        uint256 expiry
+    ) external onlyMarket {
+        uint256 offerId = _offers.length;
+
+        _addOfferToList(
+            OfferLogic.newCollectionOffer(
+                offerId,
+                nftAddress,
+                quantity,
+                buyer,
+                token,
+                price,
+                expiry
+            )
+        );
+
+        emit CollectionOfferAdded(buyer, offerId, nftAddress, quantity, token, price, expiry);
+    }
+
+    /**
+     * @dev Deactive an offer
+     * - Can only be called by Market
+     * @param offerId Offer id
+     */
+    function deactiveOffer(uint256 offerId) external onlyMarket {
+        _offers[offerId].deactive();
+        _removeOfferFromList(offerId);
+        emit OfferDeactive(
+            offerId,
+            _offers[offerId].buyer,
+            _offers[offerId].nftAddress,
+            _offers[offerId].tokenId
+        );
+    }
+
+    /**
+     * @dev Complete an offer
+     * - Can only be called by Market
+     * @param offerId Offer id
+     * @param seller The nft owner who accepted the offer
+     */
+    function completeOffer(uint256 offerId, address seller) external onlyMarket {
+        _requireNotFlagged(_offers[offerId].nftAddress, _offers[offerId].tokenId);
+        _offers[offerId].complete(seller);
+        _sellerToAcceptedOffers[seller].push(offerId);
+        _removeOfferFromList(offerId);
+        emit OfferAccepted(
+            offerId,
+            seller,
+            _offers[offerId].buyer,
+            _offers[offerId].nftAddress,
+            _offers[offerId].tokenId,
+            _offers[offerId].amount,
+            _offers[offerId].price,
+            _offers[offerId].token
+        );
+    }
+
+    /**
+     * @dev Fill a collection offer
+     * - Can only be called by Market
+     * @param offerId Offer id
+     * @param seller The nft owner who filled the offer
+     * @param tokenId The tokenId of nft sold to buyer
+     * @param amount The amount of nft sold to buyer
+     */
+    function fillOffer(
+        uint256 offerId,
+        address seller,
+        uint256 tokenId,
+        uint256 amount
+    ) external onlyMarket {
+        _requireNotFlagged(_offers[offerId].nftAddress, tokenId);
+        _offers[offerId].fill(seller, amount);
+        _sellerToAcceptedOffers[seller].push(offerId);
+        if (_offers[offerId].isActive == false) {
+            _removeOfferFromList(offerId);
+        }
+        emit OfferFilled(
+            offerId,
+            seller,
+            _offers[offerId].buyer,
+            _offers[offerId].nftAddress,
+            tokenId,
+            amount,
+            _offers[offerId].price,
+            _offers[offerId].token
+        );
+    }
+
+    /**
+     * @dev Get information of an offer by id
+     * @param offerId Offer id
+     * @return Information of offer
+     */
+    function getOfferById(uint256 offerId) external view returns (OfferType.Offer memory) {
+        return _offers[offerId];
+    }
+
+    /**
+     * @dev Get information of the offers by id list
+     * @param idList The list of id of offers
+     */
+    function getOffersByIdList(uint256[] memory idList)
+        external
+        view
+        returns (OfferType.Offer[] memory result)
+    {
+        result = new OfferType.Offer[](idList.length);
+
+        for (uint256 i = 0; i < idList.length; i++) {
+            result[i] = _offers[idList[i]];
+        }
+    }
+
+    /**
+     * @dev Get the number of offers
+     * @return The number of offers
+     */
+    function getOfferCount() external view returns (uint256) {
+        return _offers.length;
+    }
+
+    /**
+     * @dev Get list of id of available offers
+     */
+    function getAvailableOffersIdList() external view returns (uint256[] memory) {
+        return _availableOffers;
+    }
+
+    /**
+     * @dev Get list of id of offers of a user
+     */
+    function getAllOffersIdListByUser(address user) external view returns (uint256[] memory) {
+        return _buyerToOffers[user];
+    }
+
+    /**
+     * @dev Get list of id of available offers of a user
+     */
+    function getAvailableOffersIdListByUser(address user) external view returns (uint256[] memory) {
+        return _buyerToAvailableOffers[user];
+    }
+
+    /**
+     * @dev Get list of id of offers of a nft address
+     */
+    function getAllOffersIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _nftToOffers[nftAddress];
+    }
+
+    /**
+     * @dev Get list of id of available offers of a nft address
+     */
+    function getAvailableOffersIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _nftToAvailableOffers[nftAddress];
+    }
+
+    /**
+     * @dev Get list of id of offers of a tokenId of a nft address
+     */
+    function getAllOffersIdListByTokenId(address nftAddress, uint256 tokenId)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _tokenIdToOffers[nftAddress][tokenId];
+    }
+
+    /**
+     * @dev Get list of id of available offers of a tokenId of a nft address
+     */
+    function getAvailableOffersIdListByTokenId(address nftAddress, uint256 tokenId)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _tokenIdToAvailableOffers[nftAddress][tokenId];
+    }
+
+    /**
+     * @dev Get list of id of available collection offers of a nft address
+     */
+    function getAvailableCollectionOffersIdListByNftAddress(address nftAddress)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _nftToAvailableCollectionOffers[nftAddress];
+    }
+
+    /**
+     * @dev Get list of id of offers was accepted by a user
+     * @return List of id of offers was accepted by a user
+     */
+    function getAcceptedOffersIdListByUser(address user) external view returns (uint256[] memory) {
+        return _sellerToAcceptedOffers[user];
+    }
+
+    /**
+     * @dev Add offer to
+     - _offers,
+     - _availableOffers,
+     - _buyerToOffers,
+     - _buyerToAvailableOffers,
+     - _nftToOffers,
+     - _nftToAvailableOffers,
+     - _tokenIdToOffers and _tokenIdToAvailableOffers or _nftToAvailableCollectionOffers
+     * - internal function called inside addOffer() and addCollectionOffer() function
+     * @param offer Offer object
+     */
+    function _addOfferToList(OfferType.Offer memory offer) internal {
+        uint256 offerId = offer.offerId;
+
+        _offers.push(offer);
+
+        _availableOffers.push(offerId);
+
+        _buyerToOffers[offer.buyer].push(offerId);
+        _buyerToAvailableOffers[offer.buyer].push(offerId);
+
+        _nftToOffers[offer.nftAddress].push(offerId);
+        _nftToAvailableOffers[offer.nftAddress].push(offerId);
+
+        if (offer.isCollectionOffer == true) {
+            _nftToAvailableCollectionOffers[offer.nftAddress].push(offerId);
+        } else {
+            _tokenIdToOffers[offer.nftAddress][offer.tokenId].push(offerId);
+            _tokenIdToAvailableOffers[offer.nftAddress][offer.tokenId].push(offerId);
+        }
+    }
+
+    /**
+     * @dev Check the nft token is not flagged in NFTList, read from AddressesProvider as OfferList
+     * keeps no NFTList
+     * - internal function called inside addOffer(), completeOffer() and fillOffer() function
+     * @param nftAddress The address of nft
+     * @param tokenId The tokenId of nft
+     */
+    function _requireNotFlagged(address nftAddress, uint256 tokenId) internal view {
+        require(
+            MiniINFTList(addressesProvider.getNFTList()).isTokenFlagged(nftAddress, tokenId) ==
+                false,
+            OfferListErrors.TOKEN_FLAGGED
+        );
+    }
+
+    /**
+     * @dev Remove offer from
+     - _availableOffers,
+     - _buyerToAvailableOffers,
+     - _nftToAvailableOffers,
+     - _tokenIdToAvailableOffers or _nftToAvailableCollectionOffers
+     * - internal function called inside completeOffer(), fillOffer() and deactiveOffer() function
+     * @param offerId Id of offer
+     */
+    function _removeOfferFromList(uint256 offerId) internal {
+        OfferType.Offer memory offer = _offers[offerId];
+
+        _availableOffers.removeAtValue(offerId);
+        _buyerToAvailableOffers[offer.buyer].removeAtValue(offerId);
+        _nftToAvailableOffers[offer.nftAddress].removeAtValue(offerId);
+        if (offer.isCollectionOffer == true) {
+            _nftToAvailableCollectionOffers[offer.nftAddress].removeAtValue(offerId);
+        } else {
+            _tokenIdToAvailableOffers[offer.nftAddress][offer.tokenId].removeAtValue(offerId);
+        }
+    }
+}
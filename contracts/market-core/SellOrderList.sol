@@ -4,6 +4,7 @@ pragma solidity ^0.8.0;
 import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 
 import "../libraries/helpers/SellOrderListErrors.sol";
+import "../libraries/helpers/PauseGroups.sol";
 import "../libraries/logic/SellOrderLogic.sol";
 import "../interfaces/mini-interfaces/MiniIAddressesProvider.sol";
 import "../interfaces/mini-interfaces/MiniINFTList.sol";
@@ -17,6 +18,7 @@ import "../libraries/helpers/ArrayLib.sol";
  **/
 contract SellOrderList is Initializable {
     using SellOrderLogic for SellOrderType.SellOrder;
+    using SellOrderLogic for SellOrderType.SellOrderOptions;
     using ArrayLib for uint256[];
 
     MiniIAddressesProvider public addressesProvider;
@@ -58,6 +60,13 @@ contract SellOrderList is Initializable {
     mapping(address => mapping(address => mapping(uint256 => uint256)))
         internal _inforToSellIdERC1155;
 
+    // The options of all sell orders
+    // sellId => options
+    mapping(uint256 => SellOrderType.SellOrderOptions) internal _sellOrderOptions;
+
+    // The available private sell orders reserved for a buyer
+    mapping(address => uint256[]) internal _buyerToReservedOrders;
+
     event Initialized(address indexed provider);
     event SellOrderAdded(
         address indexed seller,
@@ -86,12 +95,27 @@ contract SellOrderList is Initializable {
         address token
     );
     event PriceChanged(uint256 sellId, uint256 newPrice);
+    event ExpiryChanged(uint256 sellId, uint256 expiry);
+    event SellOrderReserved(uint256 sellId, address[] allowedBuyers);
+    event SellOrderNonCustodial(uint256 sellId, uint256 nonce);
+    event PriceCurveSet(
+        uint256 sellId,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 decayStartTime,
+        uint256 decayEndTime
+    );
 
     modifier onlyMarket() {
         require(addressesProvider.getMarket() == msg.sender, SellOrderListErrors.CALLER_NOT_MARKET);
         _;
     }
 
+    modifier whenNotPaused(bytes32 group) {
+        require(addressesProvider.isPaused(group) == false, SellOrderListErrors.FUNCTION_PAUSED);
+        _;
+    }
+
     /**
      * @dev Function is invoked by the proxy contract when the SellOrderList contract is added to the
      * AddressesProvider of the market.
@@ -122,7 +146,7 @@ contract SellOrderList is Initializable {
         address payable seller,
         uint256 price,
         address token
-    ) external onlyMarket {
+    ) external onlyMarket whenNotPaused(PauseGroups.ORDERS) {
         uint256 sellId = _sellOrders.length;
         SellOrderType.SellOrder memory sellOrder =
             SellOrderLogic.newSellOrder(sellId, nftAddress, tokenId, amount, seller, price, token);
@@ -132,6 +156,49 @@ contract SellOrderList is Initializable {
         emit SellOrderAdded(seller, sellId, nftAddress, tokenId, price, token);
     }
 
+    /**
+     * @dev Add dutch sell order to the list, its unit price decays linearly from startPrice
+     * to endPrice between decayStartTime and decayEndTime
+     * - Can only be called by Market
+     * @param nftAddress The address of nft
+     * @param tokenId The tokenId of nft
+     * @param amount The amount of nft
+     * @param seller The address of seller
+     * @param startPrice The unit price at decayStartTime
+     * @param endPrice The unit price at decayEndTime
+     * @param token Token that the seller wants to be paid
+     * @param decayStartTime Time the unit price starts decaying
+     * @param decayEndTime Time the unit price reaches endPrice
+     **/
+    function addDutchSellOrder(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address payable seller,
+        uint256 startPrice,
+        uint256 endPrice,
+        address token,
+        uint256 decayStartTime,
+        uint256 decayEndTime
+    ) external onlyMarket whenNotPaused(PauseGroups.ORDERS) {
+        uint256 sellId = _sellOrders.length;
+        SellOrderType.SellOrder memory sellOrder =
+            SellOrderLogic.newSellOrder(
+                sellId,
+                nftAddress,
+                tokenId,
+                amount,
+                seller,
+                startPrice,
+                token
+            );
+        _addSellOrderToList(sellOrder);
+        _sellOrderOptions[sellId].setPriceCurve(endPrice, decayStartTime, decayEndTime);
+
+        emit SellOrderAdded(seller, sellId, nftAddress, tokenId, startPrice, token);
+        emit PriceCurveSet(sellId, startPrice, endPrice, decayStartTime, decayEndTime);
+    }
+
     /**
      * @dev Deactive a sell order
      * - Can only be called by Market
@@ -161,7 +228,12 @@ contract SellOrderList is Initializable {
         uint256 sellId,
         address buyer,
         uint256 amount
-    ) external onlyMarket {
+    ) external onlyMarket whenNotPaused(PauseGroups.BUYS) {
+        require(
+            nftList.isTokenFlagged(_sellOrders[sellId].nftAddress, _sellOrders[sellId].tokenId) ==
+                false,
+            SellOrderListErrors.TOKEN_FLAGGED
+        );
         _sellOrders[sellId].complete(buyer, amount);
         _buyerToSellOrders[buyer].push(sellId);
         if (_sellOrders[sellId].soldAmount == _sellOrders[sellId].amount) {
@@ -174,7 +246,7 @@ contract SellOrderList is Initializable {
             buyer,
             _sellOrders[sellId].nftAddress,
             _sellOrders[sellId].tokenId,
-            _sellOrders[sellId].price,
+            _sellOrderOptions[sellId].getCurrentPrice(_sellOrders[sellId].price),
             amount,
             _sellOrders[sellId].token
         );
@@ -191,6 +263,44 @@ contract SellOrderList is Initializable {
         emit PriceChanged(sellId, newPrice);
     }
 
+    /**
+     * @dev Update expiry of a sell order
+     * - Can only be called by Market
+     * @param sellId Sell order id
+     * @param expiry Time after which the sell order can no longer be bought, zero for no expiry
+     */
+    function updateExpiry(uint256 sellId, uint256 expiry) external onlyMarket {
+        _sellOrderOptions[sellId].updateExpiry(expiry);
+        emit ExpiryChanged(sellId, expiry);
+    }
+
+    /**
+     * @dev Reserve a sell order for some buyers, it is moved from the public available lists
+     * to the reserved lists of these buyers
+     * - Can only be called by Market
+     * @param sellId Sell order id
+     * @param allowedBuyers The only buyers allowed to buy
+     */
+    function reserveSellOrder(uint256 sellId, address[] memory allowedBuyers) external onlyMarket {
+        _removeSellOrderFromPublicList(sellId);
+        _sellOrderOptions[sellId].reserve(allowedBuyers);
+        for (uint256 i = 0; i < allowedBuyers.length; i++) {
+            _buyerToReservedOrders[allowedBuyers[i]].push(sellId);
+        }
+        emit SellOrderReserved(sellId, allowedBuyers);
+    }
+
+    /**
+     * @dev Mark a sell order as non-custodial, its nft stays with seller until it is bought
+     * - Can only be called by Market
+     * @param sellId Sell order id
+     * @param nonce The non-custodial nonce of seller the sell order is bound to
+     */
+    function setNonCustodial(uint256 sellId, uint256 nonce) external onlyMarket {
+        _sellOrderOptions[sellId].setNonCustodial(nonce);
+        emit SellOrderNonCustodial(sellId, nonce);
+    }
+
     /**
      * @dev Get information of a sell order by id
      * @param sellId Sell order id
@@ -204,6 +314,30 @@ contract SellOrderList is Initializable {
         return _sellOrders[sellId];
     }
 
+    /**
+     * @dev Get the options of a sell order by id, i.e. its price curve, expiry, allowed buyers
+     * and custody
+     * @param sellId Sell order id
+     * @return Options of sell order
+     */
+    function getSellOrderOptionsById(uint256 sellId)
+        external
+        view
+        returns (SellOrderType.SellOrderOptions memory)
+    {
+        return _sellOrderOptions[sellId];
+    }
+
+    /**
+     * @dev Get the unit price of a sell order at the current block time,
+     * the price of a dutch sell order decays over time
+     * @param sellId Sell order id
+     * @return The current unit price
+     */
+    function getCurrentPrice(uint256 sellId) external view returns (uint256) {
+        return _sellOrderOptions[sellId].getCurrentPrice(_sellOrders[sellId].price);
+    }
+
     /**
      * @dev Get information of the sell orders by id list
      * @param idList The list of id of sell orders
@@ -230,23 +364,15 @@ contract SellOrderList is Initializable {
 
     /**
      * @dev Get list of id of available sell orders
+     * - Expired sell orders are left out
      */
     function getAvailableSellOrdersIdList()
         external
         view
         returns (uint256[] memory resultERC721, uint256[] memory resultERC1155)
     {
-        resultERC721 = new uint256[](_availableSellOrdersERC721.length);
-
-        for (uint256 i = 0; i < _availableSellOrdersERC721.length; i++) {
-            resultERC721[i] = _availableSellOrdersERC721[i];
-        }
-
-        resultERC1155 = new uint256[](_availableSellOrdersERC1155.length);
-
-        for (uint256 i = 0; i < _availableSellOrdersERC1155.length; i++) {
-            resultERC1155[i] = _availableSellOrdersERC1155[i];
-        }
+        resultERC721 = _filterUnexpiredSellOrders(_availableSellOrdersERC721);
+        resultERC1155 = _filterUnexpiredSellOrders(_availableSellOrdersERC1155);
     }
 
     /**
@@ -266,21 +392,15 @@ contract SellOrderList is Initializable {
 
     /**
      * @dev Get list of id of available sell orders of a user
+     * - Expired sell orders are left out
      */
     function getAvailableSellOrdersIdListByUser(address user)
         external
         view
         returns (uint256[] memory resultERC721, uint256[] memory resultERC1155)
     {
-        resultERC721 = new uint256[](_sellerToAvailableOrdersERC721[user].length);
-        for (uint256 i = 0; i < _sellerToAvailableOrdersERC721[user].length; i++) {
-            resultERC721[i] = _sellerToAvailableOrdersERC721[user][i];
-        }
-
-        resultERC1155 = new uint256[](_sellerToAvailableOrdersERC1155[user].length);
-        for (uint256 i = 0; i < _sellerToAvailableOrdersERC1155[user].length; i++) {
-            resultERC1155[i] = _sellerToAvailableOrdersERC1155[user][i];
-        }
+        resultERC721 = _filterUnexpiredSellOrders(_sellerToAvailableOrdersERC721[user]);
+        resultERC1155 = _filterUnexpiredSellOrders(_sellerToAvailableOrdersERC1155[user]);
     }
 
     /**
@@ -300,17 +420,14 @@ contract SellOrderList is Initializable {
 
     /**
      * @dev Get list of id of available sell orders of a nft address
+     * - Expired sell orders are left out
      */
     function getAvailableSellOrdersIdListByNftAddress(address nftAddress)
         external
         view
         returns (uint256[] memory result)
     {
-        result = new uint256[](_nftToAvailableOrders[nftAddress].length);
-
-        for (uint256 i = 0; i < _nftToAvailableOrders[nftAddress].length; i++) {
-            result[i] = _nftToAvailableOrders[nftAddress][i];
-        }
+        result = _filterUnexpiredSellOrders(_nftToAvailableOrders[nftAddress]);
     }
 
     /**
@@ -325,6 +442,21 @@ contract SellOrderList is Initializable {
         return _buyerToSellOrders[user];
     }
 
+    /**
+     * @dev Get list of id of available private sell orders reserved for a user
+     * @param user The address of user
+     */
+    function getReservedSellOrdersIdListByUser(address user)
+        external
+        view
+        returns (uint256[] memory result)
+    {
+        result = new uint256[](_buyerToReservedOrders[user].length);
+        for (uint256 i = 0; i < _buyerToReservedOrders[user].length; i++) {
+            result[i] = _buyerToReservedOrders[user][i];
+        }
+    }
+
     /**
      * @dev Get latest sellId of a nft  is of type ERC721
      * @param nftAddress The address of nft contract
@@ -421,6 +553,34 @@ contract SellOrderList is Initializable {
         return false;
     }
 
+    /**
+     * @dev Copy the ids of the sell orders that have not expired
+     * - internal function called inside getAvailableSellOrdersIdList(),
+     *   getAvailableSellOrdersIdListByUser() and getAvailableSellOrdersIdListByNftAddress()
+     * @param ids The ids of available sell orders
+     * @return result The ids of the sell orders that have not expired
+     */
+    function _filterUnexpiredSellOrders(uint256[] storage ids)
+        internal
+        view
+        returns (uint256[] memory result)
+    {
+        uint256 count;
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (!_sellOrderOptions[ids[i]].isExpired()) {
+                count++;
+            }
+        }
+
+        result = new uint256[](count);
+        count = 0;
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (!_sellOrderOptions[ids[i]].isExpired()) {
+                result[count++] = ids[i];
+            }
+        }
+    }
+
     /**
      * @dev Add sell order to
      - _sellOrders,
@@ -430,10 +590,15 @@ contract SellOrderList is Initializable {
      - _sellerToAvailableOrdersERC721,
      - _nftToOrders,
      - _nftToAvailableOrders
-     * - internal function called inside addSellOrder() function
+     * - internal function called inside addSellOrder() and addDutchSellOrder() function
+     * - The nft token of sell order must not be flagged in NFTList
      * @param sellOrder sell order object
      */
     function _addSellOrderToList(SellOrderType.SellOrder memory sellOrder) internal {
+        require(
+            nftList.isTokenFlagged(sellOrder.nftAddress, sellOrder.tokenId) == false,
+            SellOrderListErrors.TOKEN_FLAGGED
+        );
         uint256 sellId = sellOrder.sellId;
 
         _sellOrders.push(sellOrder);
@@ -459,7 +624,7 @@ contract SellOrderList is Initializable {
 
     /**
      * @dev Remove sell order from
-     - _availableSellOrders,
+     - _availableSellOrders or _buyerToReservedOrders if it is private,
      - _sellerToAvailableOrdersERC1155 or _sellerToAvailableOrdersERC721,
      - _nftToAvailableOrders
      * - internal function called inside completeSellOrder() and deactiveSellOrder() function
@@ -467,15 +632,39 @@ contract SellOrderList is Initializable {
      */
     function _removeSellOrderFromList(uint256 sellId) internal {
         SellOrderType.SellOrder memory sellOrder = _sellOrders[sellId];
+        address[] memory allowedBuyers = _sellOrderOptions[sellId].allowedBuyers;
 
-        _nftToAvailableOrders[sellOrder.nftAddress].removeAtValue(sellId);
+        if (allowedBuyers.length > 0) {
+            for (uint256 i = 0; i < allowedBuyers.length; i++) {
+                _buyerToReservedOrders[allowedBuyers[i]].removeAtValue(sellId);
+            }
+        } else {
+            _removeSellOrderFromPublicList(sellId);
+        }
 
         if (nftList.isERC1155(sellOrder.nftAddress) == true) {
-            _availableSellOrdersERC1155.removeAtValue(sellId);
             _sellerToAvailableOrdersERC1155[sellOrder.seller].removeAtValue(sellId);
         } else {
-            _availableSellOrdersERC721.removeAtValue(sellId);
             _sellerToAvailableOrdersERC721[sellOrder.seller].removeAtValue(sellId);
         }
     }
+
+    /**
+     * @dev Remove sell order from
+     - _availableSellOrdersERC1155 or _availableSellOrdersERC721,
+     - _nftToAvailableOrders
+     * - internal function called inside reserveSellOrder() and _removeSellOrderFromList() function
+     * @param sellId Id of sell order
+     */
+    function _removeSellOrderFromPublicList(uint256 sellId) internal {
+        address nftAddress = _sellOrders[sellId].nftAddress;
+
+        _nftToAvailableOrders[nftAddress].removeAtValue(sellId);
+
+        if (nftList.isERC1155(nftAddress) == true) {
+            _availableSellOrdersERC1155.removeAtValue(sellId);
+        } else {
+            _availableSellOrdersERC721.removeAtValue(sellId);
+        }
+    }
 }
@@ -0,0 +1,236 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+import "../libraries/helpers/TradeStatsErrors.sol";
+import "../libraries/types/FeeType.sol";
+import "../interfaces/mini-interfaces/MiniIAddressesProvider.sol";
+
+/**
+ * @title TradeStats contract
+ * @dev The place Market records the trade volume of users, and the fee discount schedule
+ * Market looks up at settlement. A seller is discounted by the best tier reached by either
+ * his rolling trade volume in the payment token or his MOMA balance
+ * - The rolling volume is the volume of the current and the previous volume period
+ * - Owned by the MochiLab
+ * @author MochiLab
+ **/
+contract TradeStats is Initializable {
+    uint256 public constant DISCOUNT_DENOMINATOR = 10000;
+
+    MiniIAddressesProvider public addressesProvider;
+    address public moma;
+
+    // Length of a volume period
+    uint256 internal _volumePeriod;
+
+    // Trade volume of a user in a payment token for each volume period
+    // user address => token address => period index => volume
+    mapping(address => mapping(address => mapping(uint256 => uint256))) internal _volumes;
+
+    // Fee discount tiers by rolling trade volume in a payment token, by threshold ascending
+    mapping(address => FeeType.FeeTier[]) internal _volumeFeeTiers;
+
+    // Fee discount tiers by MOMA balance, by threshold ascending
+    FeeType.FeeTier[] internal _momaHolderFeeTiers;
+
+    event Initialized(address indexed provider, address moma, uint256 volumePeriod);
+    event VolumePeriodUpdated(uint256 volumePeriod);
+    event VolumeFeeTiersUpdated(
+        address indexed token,
+        uint256[] thresholds,
+        uint256[] discountsBps
+    );
+    event MomaHolderFeeTiersUpdated(uint256[] thresholds, uint256[] discountsBps);
+
+    modifier onlyMarket() {
+        require(addressesProvider.getMarket() == msg.sender, TradeStatsErrors.CALLER_NOT_MARKET);
+        _;
+    }
+
+    modifier onlyMarketAdmin() {
+        require(
+            addressesProvider.getAdmin() == msg.sender,
+            TradeStatsErrors.CALLER_NOT_MARKET_ADMIN
+        );
+        _;
+    }
+
+    /**
+     * @dev Function is invoked by the proxy contract when the TradeStats contract is added to the
+     * AddressesProvider of the market.
+     * - Caching the address of the AddressesProvider in order to reduce gas consumption
+     *   on subsequent operations
+     * @param provider The address of the AddressesProvider
+     * @param momaAddress The address of MOMA token
+     * @param volumePeriod The length of a volume period
+     **/
+    function initialize(
+        address provider,
+        address momaAddress,
+        uint256 volumePeriod
+    ) external initializer {
+        require(volumePeriod > 0, TradeStatsErrors.VOLUME_PERIOD_IS_ZERO);
+
+        addressesProvider = MiniIAddressesProvider(provider);
+        moma = momaAddress;
+        _volumePeriod = volumePeriod;
+
+        emit Initialized(provider, momaAddress, volumePeriod);
+    }
+
+    /**
+     * @dev Record a trade in the volume of both seller and buyer
+     * - Can only be called by Market
+     * @param seller The address of seller
+     * @param buyer The address of buyer
+     * @param token The payment token
+     * @param amount The amount paid
+     **/
+    function recordTrade(
+        address seller,
+        address buyer,
+        address token,
+        uint256 amount
+    ) external onlyMarket {
+        uint256 period = block.timestamp / _volumePeriod;
+
+        _volumes[seller][token][period] = _volumes[seller][token][period] + amount;
+        _volumes[buyer][token][period] = _volumes[buyer][token][period] + amount;
+    }
+
+    /**
+     * @dev Update the length of a volume period, volumes are regrouped by the new period
+     * - Can only be called by market admin
+     * @param volumePeriod The length of a volume period
+     **/
+    function setVolumePeriod(uint256 volumePeriod) external onlyMarketAdmin {
+        require(volumePeriod > 0, TradeStatsErrors.VOLUME_PERIOD_IS_ZERO);
+        _volumePeriod = volumePeriod;
+        emit VolumePeriodUpdated(volumePeriod);
+    }
+
+    /**
+     * @dev Set the fee discount tiers by rolling trade volume in a payment token
+     * - Can only be called by market admin
+     * @param token The payment token
+     * @param thresholds The volume from which each tier applies, strictly ascending
+     * @param discountsBps The fee discount of each tier in basis points
+     **/
+    function setVolumeFeeTiers(
+        address token,
+        uint256[] memory thresholds,
+        uint256[] memory discountsBps
+    ) external onlyMarketAdmin {
+        _setFeeTiers(_volumeFeeTiers[token], thresholds, discountsBps);
+        emit VolumeFeeTiersUpdated(token, thresholds, discountsBps);
+    }
+
+    /**
+     * @dev Set the fee discount tiers by MOMA balance
+     * - Can only be called by market admin
+     * @param thresholds The MOMA balance from which each tier applies, strictly ascending
+     * @param discountsBps The fee discount of each tier in basis points
+     **/
+    function setMomaHolderFeeTiers(uint256[] memory thresholds, uint256[] memory discountsBps)
+        external
+        onlyMarketAdmin
+    {
+        _setFeeTiers(_momaHolderFeeTiers, thresholds, discountsBps);
+        emit MomaHolderFeeTiersUpdated(thresholds, discountsBps);
+    }
+
+    function getVolumePeriod() external view returns (uint256) {
+        return _volumePeriod;
+    }
+
+    /**
+     * @dev Get the rolling trade volume of a user in a payment token
+     * @param trader The address of user
+     * @param token The payment token
+     **/
+    function getRollingVolume(address trader, address token) public view returns (uint256) {
+        uint256 period = block.timestamp / _volumePeriod;
+        uint256 volume = _volumes[trader][token][period];
+        if (period > 0) {
+            volume = volume + _volumes[trader][token][period - 1];
+        }
+        return volume;
+    }
+
+    function getVolumeFeeTiers(address token) external view returns (FeeType.FeeTier[] memory) {
+        return _volumeFeeTiers[token];
+    }
+
+    function getMomaHolderFeeTiers() external view returns (FeeType.FeeTier[] memory) {
+        return _momaHolderFeeTiers;
+    }
+
+    /**
+     * @dev Get the fee discount of a user trading in a payment token, the best of his volume
+     * tier and his MOMA holder tier
+     * @param trader The address of user
+     * @param token The payment token
+     * @return The fee discount in basis points
+     **/
+    function getFeeDiscount(address trader, address token) public view returns (uint256) {
+        uint256 volumeDiscount =
+            _findDiscount(_volumeFeeTiers[token], getRollingVolume(trader, token));
+
+        uint256 momaDiscount;
+        if (_momaHolderFeeTiers.length > 0 && moma != address(0)) {
+            momaDiscount = _findDiscount(_momaHolderFeeTiers, IERC20(moma).balanceOf(trader));
+        }
+
+        return volumeDiscount > momaDiscount ? volumeDiscount : momaDiscount;
+    }
+
+    /**
+     * @dev Apply the fee discount of a user to a fee
+     * @param trader The address of user
+     * @param token The payment token
+     * @param fee The fee before discount
+     **/
+    function getDiscountedFee(
+        address trader,
+        address token,
+        uint256 fee
+    ) external view returns (uint256) {
+        return fee - (fee * getFeeDiscount(trader, token)) / DISCOUNT_DENOMINATOR;
+    }
+
+    function _setFeeTiers(
+        FeeType.FeeTier[] storage tiers,
+        uint256[] memory thresholds,
+        uint256[] memory discountsBps
+    ) internal {
+        require(thresholds.length == discountsBps.length, TradeStatsErrors.PARAMETERS_NOT_MATCH);
+
+        while (tiers.length > 0) {
+            tiers.pop();
+        }
+        for (uint256 i = 0; i < thresholds.length; i++) {
+            require(
+                discountsBps[i] <= DISCOUNT_DENOMINATOR &&
+                    (i == 0 || thresholds[i] > thresholds[i - 1]),
+                TradeStatsErrors.INVALID_FEE_TIERS
+            );
+            tiers.push(FeeType.FeeTier({threshold: thresholds[i], discountBps: discountsBps[i]}));
+        }
+    }
+
+    function _findDiscount(FeeType.FeeTier[] storage tiers, uint256 value)
+        internal
+        view
+        returns (uint256)
+    {
+        for (uint256 i = tiers.length; i > 0; i--) {
+            if (value >= tiers[i - 1].threshold) {
+                return tiers[i - 1].discountBps;
+            }
+        }
+        return 0;
+    }
+}
@@ -4,11 +4,14 @@ pragma solidity ^0.8.0;
 import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
 
 import "./MochiRewardToken.sol";
 import "../libraries/helpers/Errors.sol";
+import "../libraries/helpers/PauseGroups.sol";
 import "../interfaces/IAddressesProvider.sol";
 import "../interfaces/INFTList.sol";
+import "../interfaces/mini-interfaces/MiniIERC2981.sol";
 
 /**
  * @title Vault contract
@@ -20,6 +23,11 @@ import "../interfaces/INFTList.sol";
 
 contract Vault is Initializable, ReentrancyGuard {
     uint256 public constant SAFE_NUMBER = 1e12;
+    // Gas forwarded to a receiver of native coin, enough for the receive hook of a contract wallet
+    uint256 internal constant PAYOUT_GAS_LIMIT = 30000;
+    bytes4 internal constant INTERFACE_ID_ERC2981 = 0x2a55205a;
+    // Denominator of the royalty rates and royalty splits in basis points
+    uint256 public constant BPS_DENOMINATOR = 10000;
 
     IAddressesProvider public addressesProvider;
     INFTList public nftList;
@@ -57,6 +65,41 @@ contract Vault is Initializable, ReentrancyGuard {
     // Royalty denominator
     uint256 internal _royaltyDenominator;
 
+    // Native coin whose payout failed or exceeded the direct payout limit, claimed by the payee
+    // payee address => amount
+    mapping(address => uint256) internal _pendingWithdrawals;
+    // Native payouts above this amount are credited to pending withdrawals, zero for no limit
+    uint256 internal _maxDirectPayout;
+
+    // Cap of the ERC-2981 royalty as a share of the sale price, zero numerator turns ERC-2981 off
+    uint256 internal _erc2981CapNumerator;
+    uint256 internal _erc2981CapDenominator;
+
+    // Royalty rate of a collection as a share of the fee in basis points, set by its royalty owner
+    // nftAddress => rate
+    mapping(address => uint256) internal _nftToRoyaltyBps;
+    mapping(address => bool) internal _hasRoyaltyBps;
+    // Bounds of the royalty rate of a collection in basis points
+    uint256 internal _minRoyaltyBps;
+    uint256 internal _maxRoyaltyBps;
+
+    // Royalty split of a collection, recipients with their shares in basis points
+    mapping(address => address[]) internal _splitRecipients;
+    mapping(address => uint256[]) internal _splitShares;
+    // Royalty distributed to a split recipient
+    // recipient address => token address => amount
+    mapping(address => mapping(address => uint256)) internal _claimableRoyalty;
+
+    // Share of the fee credited to the referrer of a sale
+    uint256 internal _referralNumerator;
+    uint256 internal _referralDenominator;
+    // Unclaimed referral fee of a referrer
+    // referrer address => token address => amount
+    mapping(address => mapping(address => uint256)) internal _referralBalance;
+    // Referral fee ever credited to a referrer, claimed or not
+    // referrer address => token address => amount
+    mapping(address => mapping(address => uint256)) internal _referralEarned;
+
     event Initialized(
         address indexed provider,
         uint256 numerator,
@@ -72,6 +115,13 @@ contract Vault is Initializable, ReentrancyGuard {
         uint256 amount,
         address token
     );
+    event DepositBundle(
+        address[] nftAddresses,
+        address indexed seller,
+        address indexed buyer,
+        uint256 amount,
+        address token
+    );
     event ClaimRoyalty(
         address indexed nftAddress,
         address indexed token,
@@ -85,6 +135,35 @@ contract Vault is Initializable, ReentrancyGuard {
         uint256 firstRate
     );
 
+    event PendingWithdrawalCredited(address indexed payee, uint256 amount);
+    event PendingWithdrawalClaimed(address indexed payee, uint256 amount, address receiver);
+    event MaxDirectPayoutUpdated(uint256 maxDirectPayout);
+    event Erc2981RoyaltyCapUpdated(uint256 numerator, uint256 denominator);
+    event RoyaltyBoundsUpdated(uint256 minRoyaltyBps, uint256 maxRoyaltyBps);
+    event CollectionRoyaltyUpdated(address indexed nftAddress, uint256 royaltyBps);
+    event RoyaltySplitUpdated(address indexed nftAddress, address[] recipients, uint256[] shares);
+    event RoyaltyDistributed(address indexed nftAddress, address indexed token, uint256 amount);
+    event WithdrawClaimableRoyalty(
+        address indexed recipient,
+        address indexed token,
+        uint256 amount,
+        address receiver
+    );
+    event ReferralParametersUpdated(uint256 numerator, uint256 denominator);
+    event ReferralFeeCredited(
+        address indexed referrer,
+        address indexed token,
+        address indexed nftAddress,
+        uint256 amount
+    );
+    event ReferralBalanceClaimed(
+        address indexed referrer,
+        address indexed token,
+        uint256 amount,
+        address receiver
+    );
+    event MatcherBountyCredited(address indexed matcher, address indexed token, uint256 amount);
+
     event WithdrawRewardToken(
         address indexed user,
         address indexed rewardToken,
@@ -102,6 +181,11 @@ contract Vault is Initializable, ReentrancyGuard {
         _;
     }
 
+    modifier whenNotPaused(bytes32 group) {
+        _requireNotPaused(group);
+        _;
+    }
+
     /**
      * @dev Function is invoked by the proxy contract when the Vault contract is added to the
      * AddressesProvider of the market.
@@ -162,36 +246,81 @@ contract Vault is Initializable, ReentrancyGuard {
         address token,
         uint256 amount
     ) external payable onlyMarket {
-        require(amount > 0, Errors.AMOUNT_IS_ZERO);
-        if (token == address(0)) {
-            require(amount == msg.value, Errors.NOT_ENOUGH_MONEY);
-        } else {
-            ERC20(token).transferFrom(msg.sender, address(this), amount);
-        }
+        _deposit(nftAddress, seller, buyer, token, amount, address(0), false);
+    }
 
-        uint256 forRoyalty = _calculateRoyalty(amount);
+    /**
+     * @dev Deposit fee of a sale brought by a referrer, the referral share of the fee is credited
+     * to the referral balance of referrer
+     * - Can only be called by Market
+     * @param nftAddress The address of nft
+     * @param seller The address of seller
+     * @param buyer The address of buyer
+     * @param token The token that Market deposit
+     * @param amount The amount that Market deposit
+     * @param referrer The address of referrer, zero for no referrer
+     * @param isErc2981RoyaltyPaid Whether Market paid an ERC-2981 royalty from the sale price
+     */
+    function depositWithReferrer(
+        address nftAddress,
+        address seller,
+        address buyer,
+        address token,
+        uint256 amount,
+        address referrer,
+        bool isErc2981RoyaltyPaid
+    ) external payable onlyMarket {
+        _deposit(nftAddress, seller, buyer, token, amount, referrer, isErc2981RoyaltyPaid);
+    }
 
-        if (forRoyalty > 0) {
-            _nftToRoyalty[nftAddress][token] = _nftToRoyalty[nftAddress][token] + forRoyalty;
-        }
+    /**
+     * @dev Deposit fee that Market receives from the sale of a bundle
+     * - Bundles always share the fee as royalty, ERC-2981 royalty is not paid on bundles
+     * - Can only be called by Market
+     * - The fee is split across the nft addresses in proportion to their weights,
+     *   Market uses the number of nft of each bundle entry as its weight. Each nft address
+     *   takes the royalty of its share at its own rate, the rest goes to MochiLab fund
+     * @param nftAddresses The addresses of nft in the bundle
+     * @param weights The royalty weight of each nft address
+     * @param seller The address of seller
+     * @param buyer The address of buyer
+     * @param token The token that Market deposit
+     * @param amount The amount that Market deposit
+     */
+    function depositBundle(
+        address[] memory nftAddresses,
+        uint256[] memory weights,
+        address seller,
+        address buyer,
+        address token,
+        uint256 amount
+    ) external payable onlyMarket {
+        require(nftAddresses.length == weights.length, Errors.PARAMETERS_NOT_MATCH);
+        _receiveDeposit(token, amount);
 
-        _mochiFund[token] = _mochiFund[token] + (amount - forRoyalty);
+        uint256 totalWeight;
+        uint256 distributed;
 
-        if (_rewardIsActive == true) {
-            uint256 currentRate = getCurrentRate();
-            uint256 rewardTokenAmount = (amount * currentRate) / 1e18;
-            if (rewardTokenAmount > 0) {
-                address rewardToken = _tokenToRewardToken[token];
-                _rewardTokenBalance[seller][rewardToken] =
-                    _rewardTokenBalance[rewardToken][seller] +
-                    rewardTokenAmount;
-                _rewardTokenBalance[buyer][rewardToken] =
-                    _rewardTokenBalance[rewardToken][seller] +
-                    rewardTokenAmount;
+        for (uint256 i = 0; i < weights.length; i++) {
+            totalWeight = totalWeight + weights[i];
+        }
+
+        if (totalWeight > 0) {
+            for (uint256 i = 0; i < nftAddresses.length; i++) {
+                uint256 share =
+                    _calculateRoyalty(nftAddresses[i], (amount * weights[i]) / totalWeight);
+                _nftToRoyalty[nftAddresses[i]][token] =
+                    _nftToRoyalty[nftAddresses[i]][token] +
+                    share;
+                distributed = distributed + share;
             }
         }
 
-        emit Deposit(nftAddress, seller, buyer, amount, token);
+        _mochiFund[token] = _mochiFund[token] + (amount - distributed);
+
+        _updateRewardTokenBalance(seller, buyer, token, amount);
+
+        emit DepositBundle(nftAddresses, seller, buyer, amount, token);
     }
 
     /**
@@ -205,54 +334,225 @@ contract Vault is Initializable, ReentrancyGuard {
         address token,
         uint256 amount,
         address payable receiver
-    ) external onlyMarketAdmin nonReentrant {
+    ) external onlyMarketAdmin nonReentrant whenNotPaused(PauseGroups.WITHDRAWALS) {
         require(amount <= _mochiFund[token], Errors.INSUFFICIENT_BALANCE);
 
         _mochiFund[token] = _mochiFund[token] - amount;
 
-        if (token == address(0)) {
-            receiver.transfer(amount);
-        } else {
-            ERC20(token).transfer(receiver, amount);
-        }
+        _payToken(token, receiver, amount);
 
         emit WithdrawFund(token, amount, receiver);
     }
 
     /**
-     * @dev Claim royalty
-     * - Can only be called by owner of nft contract
+     * @dev Claim royalty, a split royalty is distributed to the claimable balance of each
+     * recipient instead, see withdrawClaimableRoyalty()
+     * - Can only be called by owner of nft contract, or at anyone when the royalty is split
      * @param nftAddress The address of nft
      * @param token The token that contract owner wants to withdraw
      * @param amount The amount that contract owner to withdraw
-     * @param receiver The address of receiver
+     * @param receiver The address of receiver, unused when the royalty is split
      */
     function claimRoyalty(
         address nftAddress,
         address token,
         uint256 amount,
         address payable receiver
-    ) external nonReentrant {
+    ) external nonReentrant whenNotPaused(PauseGroups.WITHDRAWALS) {
         require(_nftToRoyalty[nftAddress][token] >= amount, Errors.INSUFFICIENT_BALANCE);
 
-        if (_beneficiary[nftAddress] != address(0)) {
-            require(_beneficiary[nftAddress] == msg.sender, Errors.INVALID_BENEFICIARY);
-        } else {
-            NFTInfoType.NFTInfo memory info = nftList.getNFTInfo(nftAddress);
-            require(info.registrant == msg.sender, Errors.INVALID_BENEFICIARY);
+        address[] memory recipients = _splitRecipients[nftAddress];
+        if (recipients.length > 0) {
+            _nftToRoyalty[nftAddress][token] = _nftToRoyalty[nftAddress][token] - amount;
+            _distributeRoyalty(nftAddress, token, amount, recipients);
+            return;
         }
 
+        _checkRoyaltyOwner(nftAddress);
+
         _nftToRoyalty[nftAddress][token] = _nftToRoyalty[nftAddress][token] - amount;
 
-        if (token == address(0)) {
-            receiver.transfer(amount);
-        } else {
-            ERC20(token).transfer(receiver, amount);
-        }
+        _payToken(token, receiver, amount);
 
         emit ClaimRoyalty(nftAddress, token, amount, receiver);
     }
 
+    /**
+     * @dev Withdraw the royalty distributed to caller as a recipient of royalty splits
+     * - Can be called at anyone
+     * @param token The token that recipient wants to withdraw
+     * @param amount The amount that recipient wants to withdraw
+     * @param receiver The address of receiver
+     */
+    function withdrawClaimableRoyalty(
+        address token,
+        uint256 amount,
+        address payable receiver
+    ) external nonReentrant whenNotPaused(PauseGroups.WITHDRAWALS) {
+        require(_claimableRoyalty[msg.sender][token] >= amount, Errors.INSUFFICIENT_BALANCE);
+
+        _claimableRoyalty[msg.sender][token] = _claimableRoyalty[msg.sender][token] - amount;
+
+        _payToken(token, receiver, amount);
+
+        emit WithdrawClaimableRoyalty(msg.sender, token, amount, receiver);
+    }
+
+    /**
+     * @dev Set the royalty rate of a collection, replacing the royalty parameters for it
+     * - Can only be called by owner of nft contract
+     * @param nftAddress The address of nft
+     * @param royaltyBps The share of the fee paid as royalty in basis points, within admin bounds
+     */
+    function setCollectionRoyalty(address nftAddress, uint256 royaltyBps) external {
+        _checkRoyaltyOwner(nftAddress);
+        require(
+            royaltyBps >= _minRoyaltyBps && royaltyBps <= _maxRoyaltyBps,
+            Errors.ROYALTY_OUT_OF_BOUNDS
+        );
+
+        _nftToRoyaltyBps[nftAddress] = royaltyBps;
+        _hasRoyaltyBps[nftAddress] = true;
+
+        emit CollectionRoyaltyUpdated(nftAddress, royaltyBps);
+    }
+
+    /**
+     * @dev Set the recipients sharing the royalty of a collection
+     * - Can only be called by owner of nft contract
+     * @param nftAddress The address of nft
+     * @param recipients The addresses of recipients, empty to remove the split
+     * @param shares The share of each recipient in basis points, summing to BPS_DENOMINATOR
+     */
+    function setRoyaltySplit(
+        address nftAddress,
+        address[] memory recipients,
+        uint256[] memory shares
+    ) external {
+        _checkRoyaltyOwner(nftAddress);
+        require(recipients.length == shares.length, Errors.PARAMETERS_NOT_MATCH);
+
+        uint256 totalShares;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0) && shares[i] > 0, Errors.INVALID_ROYALTY_SPLIT);
+            totalShares = totalShares + shares[i];
+        }
+        require(
+            recipients.length == 0 || totalShares == BPS_DENOMINATOR,
+            Errors.INVALID_ROYALTY_SPLIT
+        );
+
+        _splitRecipients[nftAddress] = recipients;
+        _splitShares[nftAddress] = shares;
+
+        emit RoyaltySplitUpdated(nftAddress, recipients, shares);
+    }
+
+    /**
+     * @dev Set the bounds of the royalty rate of collections
+     * - Can only be called by market admin
+     * - Rates set before stay clamped into the new bounds
+     * @param minRoyaltyBps The minimum rate in basis points
+     * @param maxRoyaltyBps The maximum rate in basis points
+     */
+    function setRoyaltyBounds(uint256 minRoyaltyBps, uint256 maxRoyaltyBps)
+        external
+        onlyMarketAdmin
+    {
+        require(
+            minRoyaltyBps <= maxRoyaltyBps && maxRoyaltyBps <= BPS_DENOMINATOR,
+            Errors.RANGE_IS_INVALID
+        );
+
+        _minRoyaltyBps = minRoyaltyBps;
+        _maxRoyaltyBps = maxRoyaltyBps;
+
+        emit RoyaltyBoundsUpdated(minRoyaltyBps, maxRoyaltyBps);
+    }
+
+    /**
+     * @dev Pay native coin on behalf of Market through the safe payout path
+     * - Can only be called by Market
+     * @param payee The address receiving the native coin
+     */
+    function payNative(address payee) external payable onlyMarket {
+        _payNative(payee, msg.value);
+    }
+
+    /**
+     * @dev Credit the bounty of matching two exchange orders out of MochiLab fund to the referral
+     * balance of matcher, claimed with claimReferralBalance(). Market pays no more than the fee
+     * the match added to the fund
+     * - Can only be called by Market
+     * @param matcher The address of matcher
+     * @param token The token address
+     * @param amount The amount of token
+     */
+    function creditMatcherBounty(
+        address matcher,
+        address token,
+        uint256 amount
+    ) external onlyMarket {
+        require(amount <= _mochiFund[token], Errors.INSUFFICIENT_BALANCE);
+
+        _mochiFund[token] = _mochiFund[token] - amount;
+        _referralBalance[matcher][token] = _referralBalance[matcher][token] + amount;
+
+        emit MatcherBountyCredited(matcher, token, amount);
+    }
+
+    /**
+     * @dev Claim the referral fee credited to caller
+     * - Can be called at anyone
+     * @param token The token address
+     * @param amount The amount of token
+     * @param receiver The address of receiver
+     */
+    function claimReferralBalance(
+        address token,
+        uint256 amount,
+        address payable receiver
+    ) external nonReentrant whenNotPaused(PauseGroups.WITHDRAWALS) {
+        require(_referralBalance[msg.sender][token] >= amount, Errors.INSUFFICIENT_BALANCE);
+
+        _referralBalance[msg.sender][token] = _referralBalance[msg.sender][token] - amount;
+
+        _payToken(token, receiver, amount);
+
+        emit ReferralBalanceClaimed(msg.sender, token, amount, receiver);
+    }
+
+    /**
+     * @dev Claim the pending withdrawals of caller
+     * - Can be called at anyone
+     * @param receiver The address of receiver
+     */
+    function withdrawPendingWithdrawal(address payable receiver)
+        external
+        nonReentrant
+        whenNotPaused(PauseGroups.WITHDRAWALS)
+    {
+        uint256 amount = _pendingWithdrawals[msg.sender];
+        require(amount > 0, Errors.INSUFFICIENT_BALANCE);
+
+        _pendingWithdrawals[msg.sender] = 0;
+
+        (bool success, ) = receiver.call{value: amount}("");
+        require(success, Errors.TRANSFER_FAILED);
+
+        emit PendingWithdrawalClaimed(msg.sender, amount, receiver);
+    }
+
+    /**
+     * @dev Set the largest native payout sent directly, larger ones are credited to pending withdrawals
+     * - Can only be called by market admin
+     * @param maxDirectPayout The largest amount, zero for no limit
+     */
+    function setMaxDirectPayout(uint256 maxDirectPayout) external onlyMarketAdmin {
+        _maxDirectPayout = maxDirectPayout;
+        emit MaxDirectPayoutUpdated(maxDirectPayout);
+    }
+
     /**
      * @dev Withdraw reward token
      * - Can only be called by anyone
@@ -264,7 +564,7 @@ contract Vault is Initializable, ReentrancyGuard {
         address rewardToken,
         uint256 amount,
         address receiver
-    ) external nonReentrant {
+    ) external nonReentrant whenNotPaused(PauseGroups.WITHDRAWALS) {
         require(
             _rewardTokenBalance[msg.sender][rewardToken] >= amount && amount >= 0,
             Errors.INSUFFICIENT_BALANCE
@@ -311,6 +611,41 @@ contract Vault is Initializable, ReentrancyGuard {
         emit RoyaltyUpdated(numerator, denominator);
     }
 
+    /**
+     * @dev Update the share of the fee credited to the referrer of a sale
+     * - Can only be called by market admin
+     * - With a zero numerator referrers are not credited
+     * @param numerator The numerator of referral share
+     * @param denominator The denominator of referral share
+     */
+    function updateReferralParameters(uint256 numerator, uint256 denominator)
+        external
+        onlyMarketAdmin
+    {
+        require(denominator >= numerator, Errors.DEMONINATOR_NOT_GREATER_THAN_NUMERATOR);
+
+        _referralNumerator = numerator;
+        _referralDenominator = denominator;
+
+        emit ReferralParametersUpdated(numerator, denominator);
+    }
+
+    /**
+     * @dev Set the cap of the ERC-2981 royalty that Market pays from the sale price
+     * - Can only be called by market admin
+     * - With a zero numerator every collection falls back to the royalty shared from the fee
+     * @param numerator The numerator of cap
+     * @param denominator The denominator of cap
+     */
+    function setErc2981RoyaltyCap(uint256 numerator, uint256 denominator) external onlyMarketAdmin {
+        require(denominator >= numerator, Errors.DEMONINATOR_NOT_GREATER_THAN_NUMERATOR);
+
+        _erc2981CapNumerator = numerator;
+        _erc2981CapDenominator = denominator;
+
+        emit Erc2981RoyaltyCapUpdated(numerator, denominator);
+    }
+
     function getCurrentRate() public view returns (uint256) {
         uint256 currentPeriod = getCurrentPeriod();
 
@@ -351,6 +686,90 @@ contract Vault is Initializable, ReentrancyGuard {
         return (_royaltyNumerator, _royaltyDenominator);
     }
 
+    function getPendingWithdrawal(address payee) external view returns (uint256) {
+        return _pendingWithdrawals[payee];
+    }
+
+    function getMaxDirectPayout() external view returns (uint256) {
+        return _maxDirectPayout;
+    }
+
+    function getCollectionRoyalty(address nftAddress)
+        external
+        view
+        returns (bool isSet, uint256 royaltyBps)
+    {
+        return (_hasRoyaltyBps[nftAddress], _nftToRoyaltyBps[nftAddress]);
+    }
+
+    function getRoyaltyBounds() external view returns (uint256, uint256) {
+        return (_minRoyaltyBps, _maxRoyaltyBps);
+    }
+
+    function getRoyaltySplit(address nftAddress)
+        external
+        view
+        returns (address[] memory recipients, uint256[] memory shares)
+    {
+        return (_splitRecipients[nftAddress], _splitShares[nftAddress]);
+    }
+
+    function getClaimableRoyalty(address recipient, address token) external view returns (uint256) {
+        return _claimableRoyalty[recipient][token];
+    }
+
+    function getReferralParameters() external view returns (uint256, uint256) {
+        return (_referralNumerator, _referralDenominator);
+    }
+
+    function getReferralBalance(address referrer, address token) external view returns (uint256) {
+        return _referralBalance[referrer][token];
+    }
+
+    function getReferralEarned(address referrer, address token) external view returns (uint256) {
+        return _referralEarned[referrer][token];
+    }
+
+    function getErc2981RoyaltyCap() external view returns (uint256, uint256) {
+        return (_erc2981CapNumerator, _erc2981CapDenominator);
+    }
+
+    /**
+     * @dev Get the ERC-2981 royalty Market pays from the sale price of an nft, capped by admin
+     * - When no royalty is paid, the royalty is shared from the fee instead
+     * @param nftAddress The address of nft
+     * @param tokenId The tokenId of nft
+     * @param salePrice The sale price
+     * @return receiver The address receiving the royalty, zero when none is paid
+     * @return royaltyAmount The amount of royalty
+     */
+    function getErc2981Royalty(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 salePrice
+    ) external view returns (address receiver, uint256 royaltyAmount) {
+        if (_isErc2981Enabled(nftAddress) == false) {
+            return (address(0), 0);
+        }
+
+        try MiniIERC2981(nftAddress).royaltyInfo(tokenId, salePrice) returns (
+            address royaltyReceiver,
+            uint256 amount
+        ) {
+            if (royaltyReceiver == address(0)) {
+                return (address(0), 0);
+            }
+
+            uint256 cap =
+                ((salePrice * SAFE_NUMBER * _erc2981CapNumerator) / _erc2981CapDenominator) /
+                    SAFE_NUMBER;
+
+            return (royaltyReceiver, amount > cap ? cap : amount);
+        } catch {
+            return (address(0), 0);
+        }
+    }
+
     function checkRewardIsActive() external view returns (bool) {
         if (_rewardIsActive == false) {
             return _rewardIsActive;
@@ -359,7 +778,173 @@ contract Vault is Initializable, ReentrancyGuard {
         }
     }
 
-    function _calculateRoyalty(uint256 amount) internal view returns (uint256) {
+    /**
+     * @dev Send native coin with limited gas, credit it to the pending withdrawals of payee
+     * when the amount is above the direct payout limit or the transfer fails
+     * - internal function called inside payNative() and _payToken() function
+     * @param payee The address receiving the native coin
+     * @param amount The amount of native coin
+     */
+    function _payNative(address payee, uint256 amount) internal {
+        if (_maxDirectPayout == 0 || amount <= _maxDirectPayout) {
+            (bool success, ) = payee.call{value: amount, gas: PAYOUT_GAS_LIMIT}("");
+            if (success == true) {
+                return;
+            }
+        }
+
+        _pendingWithdrawals[payee] = _pendingWithdrawals[payee] + amount;
+
+        emit PendingWithdrawalCredited(payee, amount);
+    }
+
+    function _payToken(
+        address token,
+        address receiver,
+        uint256 amount
+    ) internal {
+        if (token == address(0)) {
+            _payNative(receiver, amount);
+        } else {
+            ERC20(token).transfer(receiver, amount);
+        }
+    }
+
+    function _checkRoyaltyOwner(address nftAddress) internal view {
+        if (_beneficiary[nftAddress] != address(0)) {
+            require(_beneficiary[nftAddress] == msg.sender, Errors.INVALID_BENEFICIARY);
+        } else {
+            NFTInfoType.NFTInfo memory info = nftList.getNFTInfo(nftAddress);
+            require(info.registrant == msg.sender, Errors.INVALID_BENEFICIARY);
+        }
+    }
+
+    /**
+     * @dev Distribute royalty to the claimable balances of the recipients of a royalty split,
+     * the last recipient takes the rounding remainder
+     * - internal function called inside claimRoyalty() function
+     * @param nftAddress The address of nft
+     * @param token The token of royalty
+     * @param amount The amount of royalty
+     * @param recipients The recipients of split
+     */
+    function _distributeRoyalty(
+        address nftAddress,
+        address token,
+        uint256 amount,
+        address[] memory recipients
+    ) internal {
+        uint256[] memory shares = _splitShares[nftAddress];
+        uint256 distributed;
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            uint256 share =
+                i == recipients.length - 1
+                    ? amount - distributed
+                    : (amount * shares[i]) / BPS_DENOMINATOR;
+            _claimableRoyalty[recipients[i]][token] =
+                _claimableRoyalty[recipients[i]][token] +
+                share;
+            distributed = distributed + share;
+        }
+
+        emit RoyaltyDistributed(nftAddress, token, amount);
+    }
+
+    function _isErc2981Enabled(address nftAddress) internal view returns (bool) {
+        return
+            _erc2981CapNumerator > 0 &&
+            ERC165Checker.supportsInterface(nftAddress, INTERFACE_ID_ERC2981);
+    }
+
+    /**
+     * @dev Share the fee of a sale between royalty, referrer and MochiLab fund
+     * - internal function called inside deposit() and depositWithReferrer() function
+     */
+    function _deposit(
+        address nftAddress,
+        address seller,
+        address buyer,
+        address token,
+        uint256 amount,
+        address referrer,
+        bool isErc2981RoyaltyPaid
+    ) internal {
+        _receiveDeposit(token, amount);
+
+        // A sale whose ERC-2981 royalty was paid by Market does not share the fee,
+        // otherwise the royalty is shared from the fee as usual
+        uint256 forRoyalty = isErc2981RoyaltyPaid ? 0 : _calculateRoyalty(nftAddress, amount);
+
+        if (forRoyalty > 0) {
+            _nftToRoyalty[nftAddress][token] = _nftToRoyalty[nftAddress][token] + forRoyalty;
+        }
+
+        uint256 forReferral;
+        if (referrer != address(0) && _referralNumerator > 0) {
+            forReferral = (amount * _referralNumerator) / _referralDenominator;
+            if (forReferral > amount - forRoyalty) {
+                forReferral = amount - forRoyalty;
+            }
+
+            _referralBalance[referrer][token] = _referralBalance[referrer][token] + forReferral;
+            _referralEarned[referrer][token] = _referralEarned[referrer][token] + forReferral;
+
+            emit ReferralFeeCredited(referrer, token, nftAddress, forReferral);
+        }
+
+        _mochiFund[token] = _mochiFund[token] + (amount - forRoyalty - forReferral);
+
+        _updateRewardTokenBalance(seller, buyer, token, amount);
+
+        emit Deposit(nftAddress, seller, buyer, amount, token);
+    }
+
+    function _requireNotPaused(bytes32 group) internal view {
+        require(addressesProvider.isPaused(group) == false, Errors.FUNCTION_PAUSED);
+    }
+
+    function _receiveDeposit(address token, uint256 amount) internal {
+        require(amount > 0, Errors.AMOUNT_IS_ZERO);
+        if (token == address(0)) {
+            require(amount == msg.value, Errors.NOT_ENOUGH_MONEY);
+        } else {
+            ERC20(token).transferFrom(msg.sender, address(this), amount);
+        }
+    }
+
+    function _updateRewardTokenBalance(
+        address seller,
+        address buyer,
+        address token,
+        uint256 amount
+    ) internal {
+        if (_rewardIsActive == true) {
+            uint256 currentRate = getCurrentRate();
+            uint256 rewardTokenAmount = (amount * currentRate) / 1e18;
+            if (rewardTokenAmount > 0) {
+                address rewardToken = _tokenToRewardToken[token];
+                _rewardTokenBalance[seller][rewardToken] =
+                    _rewardTokenBalance[rewardToken][seller] +
+                    rewardTokenAmount;
+                _rewardTokenBalance[buyer][rewardToken] =
+                    _rewardTokenBalance[rewardToken][seller] +
+                    rewardTokenAmount;
+            }
+        }
+    }
+
+    function _calculateRoyalty(address nftAddress, uint256 amount) internal view returns (uint256) {
+        if (_hasRoyaltyBps[nftAddress] == true) {
+            uint256 royaltyBps = _nftToRoyaltyBps[nftAddress];
+            if (royaltyBps < _minRoyaltyBps) {
+                royaltyBps = _minRoyaltyBps;
+            } else if (royaltyBps > _maxRoyaltyBps) {
+                royaltyBps = _maxRoyaltyBps;
+            }
+            return (amount * royaltyBps) / BPS_DENOMINATOR;
+        }
+
         uint256 royaltyAmount = ((amount * SAFE_NUMBER * _royaltyNumerator) / _royaltyDenominator) /
             SAFE_NUMBER;
         return royaltyAmount;
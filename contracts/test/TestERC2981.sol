@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+contract TestERC2981 is ERC721, Ownable {
+    address public royaltyReceiver;
+    uint256 public royaltyBps;
+    bool public isRoyaltyInfoReverted;
+
+    constructor(string memory name_, string memory symbol_) ERC721(name_, symbol_) {}
+
+    function mint(address _to, uint256 _tokenId) external onlyOwner {
+        _safeMint(_to, _tokenId);
+    }
+
+    function setRoyalty(address receiver, uint256 bps) external onlyOwner {
+        royaltyReceiver = receiver;
+        royaltyBps = bps;
+    }
+
+    function setRoyaltyInfoReverted(bool isReverted) external onlyOwner {
+        isRoyaltyInfoReverted = isReverted;
+    }
+
+    function royaltyInfo(uint256, uint256 salePrice) external view returns (address, uint256) {
+        require(!isRoyaltyInfoReverted, "royaltyInfo reverted");
+        return (royaltyReceiver, (salePrice * royaltyBps) / 10000);
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return interfaceId == 0x2a55205a || super.supportsInterface(interfaceId);
+    }
+}
@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+
+import "../interfaces/mini-interfaces/MiniIAddressesProvider.sol";
+import "../interfaces/mini-interfaces/MiniINFTList.sol";
+
+// The write path of the first deployed ExchangeOrderList, with its own copy of the exchange
+// order struct of that version, used to check the storage layout is kept on upgrade
+contract TestExchangeOrderListV1 is Initializable {
+    struct ExchangeOrder {
+        uint256 exchangeId;
+        address[] nftAddresses;
+        uint256[] tokenIds;
+        uint256[] nftAmounts;
+        address[] tokens;
+        uint256[] prices;
+        address[] users;
+        uint256[] times;
+        bytes[] data;
+        bool isActive;
+        uint256 soldAmount;
+    }
+
+    MiniIAddressesProvider public addressesProvider;
+    MiniINFTList public nftList;
+
+    ExchangeOrder[] internal _exchangeOrders;
+    uint256[] internal _availableExchangeOrdersERC721;
+    uint256[] internal _availableExchangeOrdersERC1155;
+    mapping(address => uint256[]) internal _sellerToOrders;
+    mapping(address => uint256[]) internal _sellerToAvailableOrdersERC721;
+    mapping(address => uint256[]) internal _sellerToAvailableOrdersERC1155;
+    mapping(address => uint256[]) internal _nftToOrders;
+    mapping(address => uint256[]) internal _nftToAvailableOrders;
+    mapping(address => uint256[]) internal _buyers;
+    mapping(address => mapping(uint256 => uint256)) internal _inforToExchangeIdERC721;
+    mapping(address => mapping(address => mapping(uint256 => uint256)))
+        internal _inforToExchangeIdERC1155;
+
+    modifier onlyMarket() {
+        require(addressesProvider.getMarket() == msg.sender, "Caller is not market");
+        _;
+    }
+
+    function initialize(address provider) external initializer {
+        addressesProvider = MiniIAddressesProvider(provider);
+        nftList = MiniINFTList(addressesProvider.getNFTList());
+    }
+
+    function addExchangeOrder(
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory nftAmounts,
+        address[] memory tokens,
+        uint256[] memory prices,
+        address[] memory users,
+        bytes[] memory datas
+    ) external onlyMarket {
+        uint256 exchangeId = _exchangeOrders.length;
+        uint256[] memory times;
+        _exchangeOrders.push(
+            ExchangeOrder({
+                exchangeId: exchangeId,
+                nftAddresses: nftAddresses,
+                tokenIds: tokenIds,
+                nftAmounts: nftAmounts,
+                tokens: tokens,
+                prices: prices,
+                users: users,
+                times: times,
+                data: datas,
+                isActive: true,
+                soldAmount: 0
+            })
+        );
+        _exchangeOrders[exchangeId].times.push(block.timestamp);
+
+        _sellerToOrders[users[0]].push(exchangeId);
+        _nftToOrders[nftAddresses[0]].push(exchangeId);
+        _nftToAvailableOrders[nftAddresses[0]].push(exchangeId);
+        if (nftList.isERC1155(nftAddresses[0]) == true) {
+            _availableExchangeOrdersERC1155.push(exchangeId);
+            _sellerToAvailableOrdersERC1155[users[0]].push(exchangeId);
+            _inforToExchangeIdERC1155[users[0]][nftAddresses[0]][tokenIds[0]] = exchangeId;
+        } else {
+            _availableExchangeOrdersERC721.push(exchangeId);
+            _sellerToAvailableOrdersERC721[users[0]].push(exchangeId);
+            _inforToExchangeIdERC721[nftAddresses[0]][tokenIds[0]] = exchangeId;
+        }
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+contract TestReceiver is ERC721Holder, Ownable {
+    bool public isRejecting;
+    uint256 public counter;
+
+    function setRejecting(bool isRejecting_) external onlyOwner {
+        isRejecting = isRejecting_;
+    }
+
+    function execute(address target, bytes memory data) external payable onlyOwner {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (success == false) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    receive() external payable {
+        require(isRejecting == false, "Rejected");
+        // Costs more than the 2300 gas stipend of transfer()
+        counter++;
+    }
+}
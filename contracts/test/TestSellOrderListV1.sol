@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+
+import "../interfaces/mini-interfaces/MiniIAddressesProvider.sol";
+import "../interfaces/mini-interfaces/MiniINFTList.sol";
+import "../libraries/helpers/ArrayLib.sol";
+
+// The write path of the first deployed SellOrderList, with its own copy of the sell order
+// struct of that version, used to check the storage layout is kept on upgrade
+contract TestSellOrderListV1 is Initializable {
+    using ArrayLib for uint256[];
+
+    struct SellOrder {
+        uint256 sellId;
+        address nftAddress;
+        uint256 tokenId;
+        uint256 amount;
+        uint256 soldAmount;
+        address payable seller;
+        uint256 price;
+        address token;
+        bool isActive;
+        uint256 sellTime;
+        address[] buyers;
+        uint256[] buyTimes;
+    }
+
+    MiniIAddressesProvider public addressesProvider;
+    MiniINFTList public nftList;
+
+    SellOrder[] internal _sellOrders;
+    uint256[] internal _availableSellOrdersERC721;
+    uint256[] internal _availableSellOrdersERC1155;
+    mapping(address => uint256[]) internal _sellerToOrders;
+    mapping(address => uint256[]) internal _sellerToAvailableOrdersERC721;
+    mapping(address => uint256[]) internal _sellerToAvailableOrdersERC1155;
+    mapping(address => uint256[]) internal _nftToOrders;
+    mapping(address => uint256[]) internal _nftToAvailableOrders;
+    mapping(address => uint256[]) internal _buyerToSellOrders;
+    mapping(address => mapping(uint256 => uint256)) internal _inforToSellIdERC721;
+    mapping(address => mapping(address => mapping(uint256 => uint256)))
+        internal _inforToSellIdERC1155;
+
+    modifier onlyMarket() {
+        require(addressesProvider.getMarket() == msg.sender, "Caller is not market");
+        _;
+    }
+
+    function initialize(address provider) external initializer {
+        addressesProvider = MiniIAddressesProvider(provider);
+        nftList = MiniINFTList(addressesProvider.getNFTList());
+    }
+
+    function addSellOrder(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address payable seller,
+        uint256 price,
+        address token
+    ) external onlyMarket {
+        uint256 sellId = _sellOrders.length;
+        address[] memory emptyBuyers;
+        uint256[] memory emptyBuyTimes;
+        _sellOrders.push(
+            SellOrder({
+                sellId: sellId,
+                nftAddress: nftAddress,
+                tokenId: tokenId,
+                amount: amount,
+                soldAmount: 0,
+                seller: seller,
+                price: price,
+                token: token,
+                isActive: true,
+                sellTime: block.timestamp,
+                buyers: emptyBuyers,
+                buyTimes: emptyBuyTimes
+            })
+        );
+
+        _sellerToOrders[seller].push(sellId);
+        _nftToOrders[nftAddress].push(sellId);
+        _nftToAvailableOrders[nftAddress].push(sellId);
+        if (nftList.isERC1155(nftAddress) == true) {
+            _availableSellOrdersERC1155.push(sellId);
+            _sellerToAvailableOrdersERC1155[seller].push(sellId);
+            _inforToSellIdERC1155[seller][nftAddress][tokenId] = sellId;
+        } else {
+            _availableSellOrdersERC721.push(sellId);
+            _sellerToAvailableOrdersERC721[seller].push(sellId);
+            _inforToSellIdERC721[nftAddress][tokenId] = sellId;
+        }
+    }
+
+    function completeSellOrder(
+        uint256 sellId,
+        address buyer,
+        uint256 amount
+    ) external onlyMarket {
+        SellOrder storage sellOrder = _sellOrders[sellId];
+        sellOrder.buyTimes.push(block.timestamp);
+        sellOrder.buyers.push(buyer);
+        sellOrder.soldAmount = sellOrder.soldAmount + amount;
+        _buyerToSellOrders[buyer].push(sellId);
+        if (sellOrder.soldAmount == sellOrder.amount) {
+            sellOrder.isActive = false;
+            _nftToAvailableOrders[sellOrder.nftAddress].removeAtValue(sellId);
+            if (nftList.isERC1155(sellOrder.nftAddress) == true) {
+                _availableSellOrdersERC1155.removeAtValue(sellId);
+                _sellerToAvailableOrdersERC1155[sellOrder.seller].removeAtValue(sellId);
+            } else {
+                _availableSellOrdersERC721.removeAtValue(sellId);
+                _sellerToAvailableOrdersERC721[sellOrder.seller].removeAtValue(sellId);
+            }
+        }
+    }
+}
@@ -11,11 +11,37 @@ task('accounts', 'Prints the list of accounts', async () => {
 
 module.exports = {
   solidity: {
-    version: '0.8.3',
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 1000,
+    compilers: [
+      {
+        version: '0.8.3',
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 1000,
+          },
+        },
+      },
+    ],
+    overrides: {
+      // These contracts are close to the contract size limit, so they are optimized for size
+      // over runtime gas
+      'contracts/market-core/Market.sol': {
+        version: '0.8.3',
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+        },
+      },
+      'contracts/market-core/Vault.sol': {
+        version: '0.8.3',
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+        },
       },
     },
   },
@@ -11,14 +11,26 @@ async function main() {
 
   let royaltyNumerator = '20';
   let royaltyDenominator = '100';
+  // Cap of the ERC-2981 royalty paid from the sale price, a zero numerator turns it off
+  let erc2981RoyaltyCapNumerator = '10';
+  let erc2981RoyaltyCapDenominator = '100';
+  // Bounds in basis points of the fee for the royalty rate a collection sets for itself
+  let minCollectionRoyaltyBps = '0';
+  let maxCollectionRoyaltyBps = '5000';
   let momaTokenAddress = '';
   let momaFeeNumerator = '1';
   let momaFeeDenominator = '100';
   let regularFeeNumerator = '25';
   let regularFeeDenominator = '1000';
+  // Length of the period of trade volume for fee tiers, the rolling volume spans two periods
+  let volumePeriod = '2592000';
   let nativeCoin;
   let tx;
   let nativeCoinAddress = '0x0000000000000000000000000000000000000000';
+  // RootRouter of Mochiswap used by Market.buyWithSwap(), left unset when empty
+  let rootRouterAddress = '';
+  // Pause guardian able to halt orders, buys, exchanges and withdrawals, left unset when empty
+  let pauseGuardianAddress = '';
 
   let [deployer, marketAdmin] = await ethers.getSigners();
 
@@ -54,6 +66,16 @@ async function main() {
   console.log('\nSet Market Admin...');
   tx = await addressesProvider.connect(deployer).setAdmin(marketAdmin.address);
   await tx.wait();
+  if (rootRouterAddress !== '') {
+    console.log('\nSet RootRouter...');
+    tx = await addressesProvider.connect(deployer).setRootRouter(rootRouterAddress);
+    await tx.wait();
+  }
+  if (pauseGuardianAddress !== '') {
+    console.log('\nSet pause guardian...');
+    tx = await addressesProvider.connect(deployer).setPauseGuardian(pauseGuardianAddress);
+    await tx.wait();
+  }
 
   // Deploy NFTList contract
   console.log('\nDeploying NFTList...');
@@ -114,6 +136,70 @@ async function main() {
     });
   await tx.wait();
 
+  // Deploy AuctionList contract
+  console.log('\nDeploying AuctionList...');
+  let AuctionList = await ethers.getContractFactory('AuctionList');
+  let auctionListImpl = await AuctionList.connect(deployer).deploy();
+  await auctionListImpl.deployed();
+  initData = auctionListImpl.interface.encodeFunctionData('initialize', [
+    addressesProvider.address,
+  ]);
+  console.log('\nSet AuctionList Implementation...');
+  tx = await addressesProvider
+    .connect(deployer)
+    .setAuctionListImpl(auctionListImpl.address, initData, {
+      gasLimit: 6721975,
+    });
+  await tx.wait();
+
+  // Deploy OfferList contract
+  console.log('\nDeploying OfferList...');
+  let OfferList = await ethers.getContractFactory('OfferList');
+  let offerListImpl = await OfferList.connect(deployer).deploy();
+  await offerListImpl.deployed();
+  initData = offerListImpl.interface.encodeFunctionData('initialize', [
+    addressesProvider.address,
+  ]);
+  console.log('\nSet OfferList Implementation...');
+  tx = await addressesProvider
+    .connect(deployer)
+    .setOfferListImpl(offerListImpl.address, initData, {
+      gasLimit: 6721975,
+    });
+  await tx.wait();
+
+  // Deploy BundleList contract
+  console.log('\nDeploying BundleList...');
+  let BundleList = await ethers.getContractFactory('BundleList');
+  let bundleListImpl = await BundleList.connect(deployer).deploy();
+  await bundleListImpl.deployed();
+  initData = bundleListImpl.interface.encodeFunctionData('initialize', [
+    addressesProvider.address,
+  ]);
+  console.log('\nSet BundleList Implementation...');
+  tx = await addressesProvider
+    .connect(deployer)
+    .setBundleListImpl(bundleListImpl.address, initData, {
+      gasLimit: 6721975,
+    });
+  await tx.wait();
+
+  // Deploy TradeStats contract
+  console.log('\nDeploying TradeStats...');
+  let TradeStats = await ethers.getContractFactory('TradeStats');
+  let tradeStatsImpl = await TradeStats.connect(deployer).deploy();
+  await tradeStatsImpl.deployed();
+  initData = tradeStatsImpl.interface.encodeFunctionData('initialize', [
+    addressesProvider.address,
+    momaTokenAddress,
+    volumePeriod,
+  ]);
+  console.log('\nSet TradeStats Implementation...');
+  tx = await addressesProvider
+    .connect(deployer)
+    .setTradeStatsImpl(tradeStatsImpl.address, initData);
+  await tx.wait();
+
   // Deploy CreativeStudio contract
   console.log('\nDeploying CreativeStudio...');
   let ERC721Factory = await ethers.getContractFactory('ERC721Factory');
@@ -155,12 +241,56 @@ async function main() {
   tx = await addressesProvider.connect(deployer).setMarketImpl(marketImpl.address, initData);
   await tx.wait();
 
+  let market = await ethers.getContractAt('Market', await addressesProvider.getMarket());
+
+  // Deploy Market extensions, Market delegates the functions it does not implement to them
+  for (let name of [
+    'MarketAuctions',
+    'MarketOffers',
+    'MarketBundles',
+    'MarketBatch',
+    'MarketExpiry',
+    'MarketPrivate',
+    'MarketSignedOrders',
+    'MarketNonCustodial',
+    'MarketSwap',
+    'MarketFees',
+    'MarketReferrals',
+    'MarketDenylist',
+    'MarketMultiExchange',
+    'MarketCounterOffers',
+    'MarketPartialExchange',
+    'MarketMatching',
+  ]) {
+    console.log(`\nDeploying ${name}...`);
+    let Extension = await ethers.getContractFactory(name);
+    let extension = await Extension.connect(deployer).deploy();
+    await extension.deployed();
+    let selectors = Object.keys(extension.interface.functions)
+      .filter((signature) => !market.interface.functions[signature])
+      .map((signature) => extension.interface.getSighash(signature));
+    tx = await market.connect(deployer).setExtension(selectors, extension.address);
+    await tx.wait();
+  }
+
   // Approve Native coin and MOMA;
   console.log('\nAccept native coin and MOMA');
-  let market = await ethers.getContractAt('Market', await addressesProvider.getMarket());
   tx = await market.connect(marketAdmin).acceptToken(nativeCoinAddress);
   await tx.wait();
   tx = await market.connect(marketAdmin).acceptToken(momaTokenAddress);
+  await tx.wait();
+
+  console.log('\nSet ERC-2981 royalty cap');
+  let vault = await ethers.getContractAt('Vault', await addressesProvider.getVault());
+  tx = await vault
+    .connect(marketAdmin)
+    .setErc2981RoyaltyCap(erc2981RoyaltyCapNumerator, erc2981RoyaltyCapDenominator);
+  await tx.wait();
+
+  console.log('\nSet collection royalty bounds');
+  tx = await vault
+    .connect(marketAdmin)
+    .setRoyaltyBounds(minCollectionRoyaltyBps, maxCollectionRoyaltyBps);
 
   console.log('\nDeploy Mochi NFT...');
   let MochiERC721NFT = await ethers.getContractFactory('MochiERC721NFT');
@@ -175,6 +305,10 @@ async function main() {
   let vaultAddress = await addressesProvider.getVault();
   let sellOrderListAddress = await addressesProvider.getSellOrderList();
   let exchangeOrderListAddress = await addressesProvider.getExchangeOrderList();
+  let auctionListAddress = await addressesProvider.getAuctionList();
+  let offerListAddress = await addressesProvider.getOfferList();
+  let bundleListAddress = await addressesProvider.getBundleList();
+  let tradeStatsAddress = await addressesProvider.getTradeStats();
   let creativeStudioAddress = await addressesProvider.getCreativeStudio();
   let marketAddress = await addressesProvider.getMarket();
 
@@ -195,6 +329,10 @@ async function main() {
   console.log('Vault: ', vaultAddress);
   console.log('SellOrderList: ', sellOrderListAddress);
   console.log('ExchangeOrderList: ', exchangeOrderListAddress);
+  console.log('AuctionList: ', auctionListAddress);
+  console.log('OfferList: ', offerListAddress);
+  console.log('BundleList: ', bundleListAddress);
+  console.log('TradeStats: ', tradeStatsAddress);
   console.log('CreativeStudio: ', creativeStudioAddress);
   console.log('Market: ', marketAddress);
   console.log('Mochi ERC721 NFT: ', mochiERC721NFT.address);
@@ -0,0 +1,137 @@
+const { ethers, network } = require('hardhat');
+
+// Scans the available exchange orders for pairs satisfying each other, see
+// MarketMatching.matchExchangeOrders(). Pairs are only printed unless SUBMIT_MATCHES is set,
+// in which case they are matched by the first signer, who is credited the matcher bounty, see
+// MarketMatching.setMatcherBounty()
+//
+// EXCHANGE_ORDER_LIST_ADDRESS=0x.. MARKET_ADDRESS=0x.. [SUBMIT_MATCHES=true] \
+//   npx hardhat run scripts/match-exchange-orders.js --network bsctestnet
+
+function nftKey(exchangeOrder, index) {
+  return [
+    exchangeOrder.nftAddresses[index].toLowerCase(),
+    exchangeOrder.tokenIds[index].toString(),
+    exchangeOrder.nftAmounts[index].toString(),
+  ].join(':');
+}
+
+// Mirrors the conditions checked by MarketMatching._requireMatch() on a single order
+function isMatchable(exchangeOrder, options, now) {
+  return (
+    exchangeOrder.isActive &&
+    exchangeOrder.soldAmount.eq(0) &&
+    (options.expiry.eq(0) || options.expiry.gt(now)) &&
+    options.allowedBuyers.length == 0 &&
+    options.sourceCount.lte(1) &&
+    !options.isDestinationSet
+  );
+}
+
+// Destination ids of an exchange order asking for the nft under key at no price
+function destinationIds(exchangeOrder, key) {
+  let result = [];
+  for (let i = 1; i < exchangeOrder.nftAddresses.length; i++) {
+    if (exchangeOrder.prices[i].eq(0) && nftKey(exchangeOrder, i) == key) {
+      result.push(i);
+    }
+  }
+  return result;
+}
+
+function findMatchablePairs(exchangeOrders, matcher) {
+  let ordersBySource = {};
+  for (let exchangeOrder of exchangeOrders) {
+    let key = nftKey(exchangeOrder, 0);
+    ordersBySource[key] = (ordersBySource[key] || []).concat([exchangeOrder]);
+  }
+
+  let pairs = [];
+  let matched = {};
+  for (let orderA of exchangeOrders) {
+    for (let i = 1; i < orderA.nftAddresses.length; i++) {
+      if (matched[orderA.exchangeId] || !orderA.prices[i].eq(0)) {
+        continue;
+      }
+
+      for (let orderB of ordersBySource[nftKey(orderA, i)] || []) {
+        let destinationIdB = destinationIds(orderB, nftKey(orderA, 0))[0];
+        if (
+          matched[orderB.exchangeId] ||
+          destinationIdB === undefined ||
+          orderA.users[0] == orderB.users[0] ||
+          orderA.users[0] == matcher ||
+          orderB.users[0] == matcher
+        ) {
+          continue;
+        }
+
+        pairs.push({
+          exchangeIdA: orderA.exchangeId,
+          destinationIdA: i,
+          exchangeIdB: orderB.exchangeId,
+          destinationIdB,
+        });
+        matched[orderA.exchangeId] = true;
+        matched[orderB.exchangeId] = true;
+        break;
+      }
+    }
+  }
+  return pairs;
+}
+
+async function main() {
+  let exchangeOrderListAddress = process.env.EXCHANGE_ORDER_LIST_ADDRESS;
+  let marketAddress = process.env.MARKET_ADDRESS;
+  if (!exchangeOrderListAddress || !marketAddress) {
+    throw Error('EXCHANGE_ORDER_LIST_ADDRESS and MARKET_ADDRESS must be set');
+  }
+
+  let [matcher] = await ethers.getSigners();
+  let exchangeOrderList = await ethers.getContractAt('ExchangeOrderList', exchangeOrderListAddress);
+  // Extension functions are reached through Market.fallback()
+  let market = await ethers.getContractAt('MarketMatching', marketAddress);
+
+  console.log(`Scanning exchange orders on ${network.name}...`);
+  let idList = await exchangeOrderList.getAvailableExchangeOrdersIdList();
+  let ids = idList.resultERC721.concat(idList.resultERC1155);
+  let exchangeOrders = await exchangeOrderList.getExchangeOrdersByIdList(ids);
+  let options = await Promise.all(
+    ids.map((id) => exchangeOrderList.getExchangeOrderOptionsById(id))
+  );
+  let now = (await ethers.provider.getBlock('latest')).timestamp;
+
+  let pairs = findMatchablePairs(
+    exchangeOrders.filter((exchangeOrder, i) => isMatchable(exchangeOrder, options[i], now)),
+    matcher.address
+  );
+  console.log(`Found ${pairs.length} matchable pairs`);
+
+  for (let pair of pairs) {
+    console.log(
+      `Exchange order ${pair.exchangeIdA} (destination ${pair.destinationIdA}) <-> ` +
+        `exchange order ${pair.exchangeIdB} (destination ${pair.destinationIdB})`
+    );
+
+    if (process.env.SUBMIT_MATCHES === 'true') {
+      let tx = await market
+        .connect(matcher)
+        .matchExchangeOrders(
+          pair.exchangeIdA,
+          pair.destinationIdA,
+          pair.exchangeIdB,
+          pair.destinationIdB
+        );
+      await tx.wait();
+      console.log(`Matched in ${tx.hash}`);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
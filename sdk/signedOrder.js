@@ -0,0 +1,76 @@
+/** @format */
+
+const { ethers } = require('ethers');
+
+const DOMAIN_NAME = 'MochiMarket';
+const DOMAIN_VERSION = '1';
+
+const SELL_ORDER_TYPES = {
+  SellOrder: [
+    { name: 'seller', type: 'address' },
+    { name: 'nftAddress', type: 'address' },
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'price', type: 'uint256' },
+    { name: 'token', type: 'address' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+// Build the EIP-712 domain of a Market, the verifying contract is the Market proxy
+function buildDomain(chainId, marketAddress) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: chainId,
+    verifyingContract: marketAddress,
+  };
+}
+
+// Fill the optional fields of a sell order, expiry 0 means the order never expires
+function buildOrder(order) {
+  return {
+    seller: order.seller,
+    nftAddress: order.nftAddress,
+    tokenId: order.tokenId,
+    amount: order.amount || 1,
+    price: order.price,
+    token: order.token || ethers.constants.AddressZero,
+    expiry: order.expiry || 0,
+    nonce: order.nonce,
+  };
+}
+
+// Digest signed by seller, equal to Market.getSignedOrderHash()
+function hashOrder(domain, order) {
+  return ethers.utils._TypedDataEncoder.hash(domain, SELL_ORDER_TYPES, buildOrder(order));
+}
+
+async function signOrder(signer, domain, order) {
+  return await signer._signTypedData(domain, SELL_ORDER_TYPES, buildOrder(order));
+}
+
+// Check locally that the signature is made by seller of the order
+function verifyOrder(domain, order, signature) {
+  try {
+    let signer = ethers.utils.verifyTypedData(
+      domain,
+      SELL_ORDER_TYPES,
+      buildOrder(order),
+      signature
+    );
+    return signer.toLowerCase() === order.seller.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+}
+
+exports.DOMAIN_NAME = DOMAIN_NAME;
+exports.DOMAIN_VERSION = DOMAIN_VERSION;
+exports.SELL_ORDER_TYPES = SELL_ORDER_TYPES;
+exports.buildDomain = buildDomain;
+exports.buildOrder = buildOrder;
+exports.hashOrder = hashOrder;
+exports.signOrder = signOrder;
+exports.verifyOrder = verifyOrder;
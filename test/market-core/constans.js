@@ -29,6 +29,58 @@ exports.ERRORS = {
   AMOUNT_IS_ZERO: 'Amount is zero',
   AMOUNT_IS_NOT_ENOUGH: 'Amount is not enough',
   EXCHANGE_ORDER_NOT_ACTIVE: 'Exchange order is not active',
+  INVALID_AUCTION_TIME: 'Invalid auction time',
+  AUCTION_NOT_ACTIVE: 'Auction is not active',
+  AUCTION_NOT_STARTED: 'Auction is not started',
+  AUCTION_ENDED: 'Auction ended',
+  AUCTION_NOT_ENDED: 'Auction is not ended',
+  AUCTION_HAS_BID: 'Auction has bid',
+  BID_TOO_LOW: 'Bid is too low',
+  INVALID_PRICE_CURVE: 'Invalid price curve',
+  VALUE_LESS_THAN_PRICE: 'Msg.value is less than price',
+  CALLER_NOT_PROVIDER_OWNER: 'Caller is not the provider owner',
+  FUNCTION_NOT_FOUND: 'Function does not exist',
+  INVALID_OFFER_TOKEN: 'Invalid offer token',
+  INVALID_EXPIRY: 'Invalid expiry',
+  OFFER_NOT_ACTIVE: 'Offer is not active',
+  OFFER_EXPIRED: 'Offer expired',
+  CALLER_NOT_BUYER: 'Caller is not buyer',
+  CALLER_IS_BUYER: 'Caller is buyer',
+  IS_COLLECTION_OFFER: 'Offer is collection offer',
+  NOT_COLLECTION_OFFER: 'Offer is not collection offer',
+  PARAMETERS_NOT_MATCH: 'The parameters are not match',
+  INVALID_CALLDATA: 'Invalid call data',
+  INVALID_DESTINATION: 'Invalid destination',
+  INVALID_FILL_AMOUNT: 'Invalid fill amount',
+  EXCHANGE_ORDERS_NOT_MATCH: 'Exchange orders are not match',
+  INVALID_BUNDLE_SIZE: 'Invalid bundle size',
+  BUNDLE_NOT_ACTIVE: 'Bundle is not active',
+  MAX_SPEND_EXCEEDED: 'Max spend exceeded',
+  SELL_ORDER_EXPIRED: 'Sell order expired',
+  EXCHANGE_ORDER_EXPIRED: 'Exchange order expired',
+  CALLER_NOT_ALLOWED_BUYER: 'Caller is not allowed buyer',
+  INVALID_ALLOWED_BUYERS: 'Invalid allowed buyers',
+  INVALID_SIGNATURE: 'Invalid signature',
+  NONCE_USED: 'Nonce is used',
+  INVALID_NONCE: 'Invalid nonce',
+  SELL_ORDER_INVALID: 'Sell order is invalid',
+  INVALID_SWAP_PATH: 'Invalid swap path',
+  CALLER_NOT_ROOT_ROUTER: 'Caller is not root router',
+  TRANSFER_FAILED: 'Transfer failed',
+  DEMONINATOR_NOT_GREATER_THAN_NUMERATOR: 'Demoninator not greater than numerator',
+  INVALID_BENEFICIARY: 'Invalid beneficiary',
+  ROYALTY_OUT_OF_BOUNDS: 'Royalty out of bounds',
+  INVALID_ROYALTY_SPLIT: 'Invalid royalty split',
+  RANGE_IS_INVALID: 'Range is invalid',
+  INVALID_FEE_TIERS: 'Invalid fee tiers',
+  VOLUME_PERIOD_IS_ZERO: 'Volume period is zero',
+  INVALID_REFERRER: 'Invalid referrer',
+  FUNCTION_PAUSED: 'Function is paused',
+  CALLER_NOT_PAUSE_GUARDIAN: 'Caller is not pause guardian',
+  TOKEN_FLAGGED: 'Token is flagged',
+  TOKEN_NOT_FLAGGED: 'Token is not flagged',
+  COUNTER_OFFER_NOT_ACTIVE: 'Counter offer is not active',
+  CALLER_NOT_TAKER: 'Caller is not taker',
 };
 
 exports.IDS = {
@@ -39,6 +91,13 @@ exports.IDS = {
   ADMIN: '0x41444d494e000000000000000000000000000000000000000000000000000000',
 };
 
+exports.PAUSE_GROUPS = {
+  ORDERS: '0x4f52444552530000000000000000000000000000000000000000000000000000',
+  BUYS: '0x4255595300000000000000000000000000000000000000000000000000000000',
+  EXCHANGES: '0x45584348414e4745530000000000000000000000000000000000000000000000',
+  WITHDRAWALS: '0x5749544844524157414c53000000000000000000000000000000000000000000',
+};
+
 exports.REGULAR_FEE = {
   NUMERATOR: 25,
   DENOMINATOR: 1000,
@@ -55,3 +114,6 @@ exports.ROYALTY = {
 };
 
 exports.NATIVE_TOKEN = 'ETH';
+
+// 30 days
+exports.VOLUME_PERIOD = 2592000;
@@ -8,13 +8,17 @@ const {
   deployVaultWithInitData,
   deploySellOrderListWithInitData,
   deployMarketWithInitData,
+  deployAuctionListWithInitData,
+  deployOfferListWithInitData,
+  deployBundleListWithInitData,
   deployTestERC20,
 } = require('../helpers');
 
 const { ERRORS, IDS } = require('../constans');
 
 describe('AddressesProvider', async () => {
-  let addressesProvider, nftListImpl, sellOrderListImpl, vaultImpl, marketImpl;
+  let addressesProvider, nftListImpl, sellOrderListImpl, vaultImpl, marketImpl, auctionListImpl;
+  let offerListImpl, bundleListImpl;
   let moma;
   let initData, data;
   let deployer, marketAdmin, user, someAddress;
@@ -70,6 +74,39 @@ describe('AddressesProvider', async () => {
     ).to.be.revertedWith(ERRORS.CALLER_NOT_OWNER);
   });
 
+  it('Only owner can call setAuctionListImpl', async () => {
+    data = await deployAuctionListWithInitData(deployer, addressesProvider.address);
+
+    auctionListImpl = data.auctionListImpl;
+    initData = data.initData;
+
+    await expect(
+      addressesProvider.connect(user).setAuctionListImpl(auctionListImpl.address, initData)
+    ).to.be.revertedWith('Ownable: caller is not the owner');
+  });
+
+  it('Only owner can call setOfferListImpl', async () => {
+    data = await deployOfferListWithInitData(deployer, addressesProvider.address);
+
+    offerListImpl = data.offerListImpl;
+    initData = data.initData;
+
+    await expect(
+      addressesProvider.connect(user).setOfferListImpl(offerListImpl.address, initData)
+    ).to.be.revertedWith('Ownable: caller is not the owner');
+  });
+
+  it('Only owner can call setBundleListImpl', async () => {
+    data = await deployBundleListWithInitData(deployer, addressesProvider.address);
+
+    bundleListImpl = data.bundleListImpl;
+    initData = data.initData;
+
+    await expect(
+      addressesProvider.connect(user).setBundleListImpl(bundleListImpl.address, initData)
+    ).to.be.revertedWith('Ownable: caller is not the owner');
+  });
+
   it('Only onwer can call setMarketImpl', async () => {
     data = await deployMarketWithInitData(deployer, addressesProvider.address, moma.address);
 
@@ -202,6 +239,47 @@ describe('AddressesProvider', async () => {
       expect(await sellOrderListProxy.addressesProvider()).to.equal(addressesProvider.address);
     });
 
+    it('AuctionListImpl must be set successfully', async () => {
+      data = await deployAuctionListWithInitData(deployer, addressesProvider.address);
+
+      auctionListImpl = data.auctionListImpl;
+      initData = data.initData;
+
+      await addressesProvider
+        .connect(deployer)
+        .setAuctionListImpl(auctionListImpl.address, initData);
+
+      let auctionListProxyAddress = await addressesProvider.getAuctionList();
+      let auctionListProxy = await ethers.getContractAt('AuctionList', auctionListProxyAddress);
+      expect(await auctionListProxy.addressesProvider()).to.equal(addressesProvider.address);
+    });
+
+    it('OfferListImpl must be set successfully', async () => {
+      data = await deployOfferListWithInitData(deployer, addressesProvider.address);
+
+      offerListImpl = data.offerListImpl;
+      initData = data.initData;
+
+      await addressesProvider.connect(deployer).setOfferListImpl(offerListImpl.address, initData);
+
+      let offerListProxyAddress = await addressesProvider.getOfferList();
+      let offerListProxy = await ethers.getContractAt('OfferList', offerListProxyAddress);
+      expect(await offerListProxy.addressesProvider()).to.equal(addressesProvider.address);
+    });
+
+    it('BundleListImpl must be set successfully', async () => {
+      data = await deployBundleListWithInitData(deployer, addressesProvider.address);
+
+      bundleListImpl = data.bundleListImpl;
+      initData = data.initData;
+
+      await addressesProvider.connect(deployer).setBundleListImpl(bundleListImpl.address, initData);
+
+      let bundleListProxyAddress = await addressesProvider.getBundleList();
+      let bundleListProxy = await ethers.getContractAt('BundleList', bundleListProxyAddress);
+      expect(await bundleListProxy.addressesProvider()).to.equal(addressesProvider.address);
+    });
+
     it('MarketImpl must be set successfully', async () => {
       data = await deployMarketWithInitData(deployer, addressesProvider.address, moma.address);
 
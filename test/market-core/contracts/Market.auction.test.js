@@ -0,0 +1,485 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC1155,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, vault, market, auctionList;
+  let moma;
+  let deployer, marketAdmin, alice, bob, carol;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    vault = modules.vaultProxy;
+    market = modules.marketProxy;
+    auctionList = modules.auctionListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+  });
+
+  it('All setup successfully', async () => {
+    expect(await auctionList.addressesProvider()).to.equal(addressesProvider.address);
+    expect(await market.auctionList()).to.equal(auctionList.address);
+  });
+
+  describe('User calls createAuction fail cause invalid parameters', async () => {
+    let acceptedERC721;
+    let tokenId = '0';
+    let startTime, endTime;
+    beforeEach(async () => {
+      acceptedERC721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+
+      await nftList.connect(deployer).registerNFT(acceptedERC721.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(acceptedERC721.address);
+
+      await acceptedERC721.connect(deployer).mint(alice.address, tokenId);
+      await acceptedERC721.connect(alice).setApprovalForAll(market.address, true);
+
+      startTime = parseInt(await time.latest());
+      endTime = startTime + 3600;
+    });
+
+    it('User calls createAuction fail with an unaccepted NFT', async () => {
+      let unacceptedERC721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+
+      await nftList.connect(deployer).registerNFT(unacceptedERC721.address, false);
+
+      await expectRevert(
+        market
+          .connect(alice)
+          .createAuction(
+            unacceptedERC721.address,
+            tokenId,
+            '1',
+            ETH_ADDRESS,
+            '1000',
+            '100',
+            startTime,
+            endTime,
+            '600'
+          ),
+        ERRORS.NFT_NOT_ACCEPTED
+      );
+    });
+
+    it('User calls createAuction fail cause reserve price is zero', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createAuction(
+            acceptedERC721.address,
+            tokenId,
+            '1',
+            ETH_ADDRESS,
+            '0',
+            '100',
+            startTime,
+            endTime,
+            '600'
+          ),
+        ERRORS.PRICE_IS_ZERO
+      );
+    });
+
+    it('User calls createAuction fail cause auctions with unaccepted token', async () => {
+      let unacceptedToken = await deployTestERC20(deployer, 'TestERC20', 'TestERC20');
+
+      await expectRevert(
+        market
+          .connect(alice)
+          .createAuction(
+            acceptedERC721.address,
+            tokenId,
+            '1',
+            unacceptedToken.address,
+            '1000',
+            '100',
+            startTime,
+            endTime,
+            '600'
+          ),
+        ERRORS.TOKEN_NOT_ACCEPTED
+      );
+    });
+
+    it('User calls createAuction fail cause invalid time', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createAuction(
+            acceptedERC721.address,
+            tokenId,
+            '1',
+            ETH_ADDRESS,
+            '1000',
+            '100',
+            endTime,
+            startTime,
+            '600'
+          ),
+        ERRORS.INVALID_AUCTION_TIME
+      );
+
+      await expectRevert(
+        market
+          .connect(alice)
+          .createAuction(
+            acceptedERC721.address,
+            tokenId,
+            '1',
+            ETH_ADDRESS,
+            '1000',
+            '100',
+            startTime - 7200,
+            startTime - 3600,
+            '600'
+          ),
+        ERRORS.INVALID_AUCTION_TIME
+      );
+    });
+  });
+
+  describe('Alice createAuction (with ERC721 and ETH) successfully', async () => {
+    let erc721;
+    let tokenId = 0;
+    let reservePrice = 1000000;
+    let minBidIncrement = 100000;
+    let extensionDuration = 600;
+    let startTime, endTime;
+    beforeEach(async () => {
+      erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+
+      await nftList.connect(deployer).registerNFT(erc721.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+
+      await erc721.connect(deployer).mint(alice.address, tokenId);
+      await erc721.connect(alice).setApprovalForAll(market.address, true);
+
+      startTime = parseInt(await time.latest());
+      endTime = startTime + 3600;
+
+      await market
+        .connect(alice)
+        .createAuction(
+          erc721.address,
+          tokenId,
+          '1',
+          ETH_ADDRESS,
+          reservePrice,
+          minBidIncrement,
+          startTime,
+          endTime,
+          extensionDuration
+        );
+    });
+
+    it('Check auction info by getAuctionById', async () => {
+      expect(await auctionList.getAuctionCount()).to.be.equal(1);
+
+      let auctionInfo = await auctionList.getAuctionById(0);
+      expect(auctionInfo.nftAddress).to.be.equal(erc721.address);
+      expect(auctionInfo.tokenId).to.be.equal(tokenId);
+      expect(auctionInfo.amount).to.be.equal(1);
+      expect(auctionInfo.seller).to.be.equal(alice.address);
+      expect(auctionInfo.token).to.be.equal(ETH_ADDRESS);
+      expect(auctionInfo.reservePrice).to.be.equal(reservePrice);
+      expect(auctionInfo.minBidIncrement).to.be.equal(minBidIncrement);
+      expect(auctionInfo.startTime).to.be.equal(startTime);
+      expect(auctionInfo.endTime).to.be.equal(endTime);
+      expect(auctionInfo.extensionDuration).to.be.equal(extensionDuration);
+      expect(auctionInfo.highestBidder).to.be.equal(ETH_ADDRESS);
+      expect(auctionInfo.highestBid).to.be.equal(0);
+      expect(auctionInfo.isActive).to.be.equal(true);
+
+      expect(await erc721.ownerOf(tokenId)).to.be.equal(market.address);
+    });
+
+    it('Check auction Id is storaged in arrays', async () => {
+      let availableAuctionsIdList = await auctionList.getAvailableAuctionsIdList();
+      let allAuctionsIdListByUser = await auctionList.getAllAuctionsIdListByUser(alice.address);
+      let availableAuctionsIdListByUser = await auctionList.getAvailableAuctionsIdListByUser(
+        alice.address
+      );
+      let allAuctionsIdListByNftAddress = await auctionList.getAllAuctionsIdListByNftAddress(
+        erc721.address
+      );
+      let availableAuctionsIdListByNftAddress =
+        await auctionList.getAvailableAuctionsIdListByNftAddress(erc721.address);
+
+      expect(availableAuctionsIdList.resultERC721.map((id) => parseInt(id))).to.be.include(0);
+      expect(availableAuctionsIdList.resultERC1155.length).to.be.equal(0);
+      expect(allAuctionsIdListByUser.map((id) => parseInt(id))).to.be.include(0);
+      expect(availableAuctionsIdListByUser.resultERC721.map((id) => parseInt(id))).to.be.include(0);
+      expect(allAuctionsIdListByNftAddress.map((id) => parseInt(id))).to.be.include(0);
+      expect(availableAuctionsIdListByNftAddress.map((id) => parseInt(id))).to.be.include(0);
+    });
+
+    it('User who is not seller calls cancelAuction fail', async () => {
+      await expectRevert(market.connect(bob).cancelAuction('0'), ERRORS.CALLER_NOT_SELLER);
+    });
+
+    it('Seller calls cancelAuction successfully', async () => {
+      await market.connect(alice).cancelAuction('0');
+
+      let auctionInfo = await auctionList.getAuctionById(0);
+      expect(auctionInfo.isActive).to.be.equal(false);
+      expect(await erc721.ownerOf(tokenId)).to.be.equal(alice.address);
+
+      let availableAuctionsIdList = await auctionList.getAvailableAuctionsIdList();
+      expect(availableAuctionsIdList.resultERC721.length).to.be.equal(0);
+
+      await expectRevert(market.connect(alice).cancelAuction('0'), ERRORS.AUCTION_NOT_ACTIVE);
+    });
+
+    it('User calls bid fail cause he is seller', async () => {
+      await expectRevert(
+        market.connect(alice).bid('0', reservePrice, { value: reservePrice }),
+        ERRORS.CALLER_IS_SELLER
+      );
+    });
+
+    it('User calls bid fail cause bid is lower than reserve price', async () => {
+      await expectRevert(
+        market.connect(bob).bid('0', reservePrice - 1, { value: reservePrice - 1 }),
+        ERRORS.BID_TOO_LOW
+      );
+    });
+
+    it('User calls bid fail cause msg.value is not equal bid', async () => {
+      await expectRevert(
+        market.connect(bob).bid('0', reservePrice, { value: reservePrice - 1 }),
+        ERRORS.VALUE_NOT_EQUAL_PRICE
+      );
+    });
+
+    it('User calls bid fail cause auction ended', async () => {
+      await time.increaseTo(endTime);
+
+      await expectRevert(
+        market.connect(bob).bid('0', reservePrice, { value: reservePrice }),
+        ERRORS.AUCTION_ENDED
+      );
+    });
+
+    it('Anyone calls settleAuction fail cause auction is not ended', async () => {
+      await expectRevert(market.connect(bob).settleAuction('0'), ERRORS.AUCTION_NOT_ENDED);
+    });
+
+    it('Settle an auction without bid returns nft to seller', async () => {
+      await time.increaseTo(endTime);
+      await market.connect(bob).settleAuction('0');
+
+      let auctionInfo = await auctionList.getAuctionById(0);
+      expect(auctionInfo.isActive).to.be.equal(false);
+      expect(await erc721.ownerOf(tokenId)).to.be.equal(alice.address);
+      expect(await auctionList.getAuctionsWonIdListByUser(bob.address)).to.be.empty;
+    });
+
+    describe('Bob bids successfully', async () => {
+      beforeEach(async () => {
+        await market.connect(bob).bid('0', reservePrice, { value: reservePrice });
+      });
+
+      it('Check auction info and escrowed bid', async () => {
+        let auctionInfo = await auctionList.getAuctionById(0);
+        expect(auctionInfo.highestBidder).to.be.equal(bob.address);
+        expect(auctionInfo.highestBid).to.be.equal(reservePrice);
+        expect(auctionInfo.endTime).to.be.equal(endTime);
+
+        expect(await ethers.provider.getBalance(market.address)).to.be.equal(reservePrice);
+      });
+
+      it('Seller cannot cancelAuction cause auction has bid', async () => {
+        await expectRevert(market.connect(alice).cancelAuction('0'), ERRORS.AUCTION_HAS_BID);
+      });
+
+      it('User calls bid fail cause bid does not reach min increment', async () => {
+        await expectRevert(
+          market.connect(carol).bid('0', reservePrice + minBidIncrement - 1, {
+            value: reservePrice + minBidIncrement - 1,
+          }),
+          ERRORS.BID_TOO_LOW
+        );
+      });
+
+      it('Carol outbids Bob and Bob is refunded', async () => {
+        let bobBeforeBalance = await ethers.provider.getBalance(bob.address);
+        let newBid = reservePrice + minBidIncrement;
+
+        await market.connect(carol).bid('0', newBid, { value: newBid });
+
+        let bobAfterBalance = await ethers.provider.getBalance(bob.address);
+        expect(bobAfterBalance.sub(bobBeforeBalance)).to.be.equal(reservePrice);
+
+        let auctionInfo = await auctionList.getAuctionById(0);
+        expect(auctionInfo.highestBidder).to.be.equal(carol.address);
+        expect(auctionInfo.highestBid).to.be.equal(newBid);
+        expect(await ethers.provider.getBalance(market.address)).to.be.equal(newBid);
+      });
+
+      it('A bid at the end of auction extends the auction', async () => {
+        await time.increaseTo(endTime - 60);
+
+        let newBid = reservePrice + minBidIncrement;
+        await market.connect(carol).bid('0', newBid, { value: newBid });
+
+        let latest = parseInt(await time.latest());
+        let auctionInfo = await auctionList.getAuctionById(0);
+        expect(auctionInfo.endTime).to.be.equal(latest + extensionDuration);
+
+        await time.increaseTo(endTime);
+        await expectRevert(market.connect(bob).settleAuction('0'), ERRORS.AUCTION_NOT_ENDED);
+      });
+
+      it('Market Admin calls removeAuction successfully and Bob is refunded', async () => {
+        let bobBeforeBalance = await ethers.provider.getBalance(bob.address);
+
+        await market.connect(marketAdmin).removeAuction('0');
+
+        let bobAfterBalance = await ethers.provider.getBalance(bob.address);
+        expect(bobAfterBalance.sub(bobBeforeBalance)).to.be.equal(reservePrice);
+        expect(await erc721.ownerOf(tokenId)).to.be.equal(alice.address);
+        expect((await auctionList.getAuctionById(0)).isActive).to.be.equal(false);
+      });
+
+      it('User who is not Market Admin calls removeAuction fail', async () => {
+        await expectRevert(
+          market.connect(alice).removeAuction('0'),
+          ERRORS.CALLER_NOT_MARKET_ADMIN
+        );
+      });
+
+      describe('Anyone calls settleAuction successfully', async () => {
+        let aliceBeforeBalance;
+        beforeEach(async () => {
+          aliceBeforeBalance = await ethers.provider.getBalance(alice.address);
+          await time.increaseTo(endTime);
+          await market.connect(carol).settleAuction('0');
+        });
+
+        it('Check balance and ownership', async () => {
+          let aliceAfterBalance = await ethers.provider.getBalance(alice.address);
+
+          expect(aliceAfterBalance.sub(aliceBeforeBalance)).to.be.equal(
+            reservePrice - (reservePrice * 25) / 1000
+          );
+          expect(await erc721.ownerOf(tokenId)).to.be.equal(bob.address);
+          expect(await ethers.provider.getBalance(vault.address)).to.be.equal(
+            (reservePrice * 25) / 1000
+          );
+          expect(await vault.getMochiFund(ETH_ADDRESS)).to.be.equal(
+            (((reservePrice * 25) / 1000) * 80) / 100
+          );
+          expect(await vault.getRoyalty(erc721.address, ETH_ADDRESS)).to.be.equal(
+            (((reservePrice * 25) / 1000) * 20) / 100
+          );
+        });
+
+        it('Check auctionInfo and arrays', async () => {
+          let auctionInfo = await auctionList.getAuctionById(0);
+          expect(auctionInfo.isActive).to.be.equal(false);
+
+          let availableAuctionsIdList = await auctionList.getAvailableAuctionsIdList();
+          expect(availableAuctionsIdList.resultERC721.length).to.be.equal(0);
+
+          let wonIdList = await auctionList.getAuctionsWonIdListByUser(bob.address);
+          expect(wonIdList.map((id) => parseInt(id))).to.be.include(0);
+        });
+
+        it('Anyone cannot settle an auction twice', async () => {
+          await expectRevert(market.connect(carol).settleAuction('0'), ERRORS.AUCTION_NOT_ACTIVE);
+        });
+      });
+    });
+  });
+
+  describe('Alice createAuction (with ERC1155 and moma) in the future successfully', async () => {
+    let erc1155;
+    let tokenId = 0;
+    let amount = 10;
+    let reservePrice = 1000000;
+    let minBidIncrement = 100000;
+    let startTime, endTime;
+    beforeEach(async () => {
+      erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+
+      await nftList.connect(deployer).registerNFT(erc1155.address, true);
+      await nftList.connect(marketAdmin).acceptNFT(erc1155.address);
+
+      await erc1155.connect(deployer).mint(alice.address, tokenId, amount, '0x');
+      await erc1155.connect(alice).setApprovalForAll(market.address, true);
+
+      startTime = parseInt(await time.latest()) + 3600;
+      endTime = startTime + 3600;
+
+      await market
+        .connect(alice)
+        .createAuction(
+          erc1155.address,
+          tokenId,
+          amount,
+          moma.address,
+          reservePrice,
+          minBidIncrement,
+          startTime,
+          endTime,
+          '0'
+        );
+
+      await moma.connect(deployer).mint(bob.address, reservePrice * 10);
+      await moma.connect(deployer).mint(carol.address, reservePrice * 10);
+      await moma.connect(bob).approve(market.address, reservePrice * 10);
+      await moma.connect(carol).approve(market.address, reservePrice * 10);
+    });
+
+    it('Check auction Id is storaged in arrays', async () => {
+      let availableAuctionsIdList = await auctionList.getAvailableAuctionsIdList();
+      expect(availableAuctionsIdList.resultERC1155.map((id) => parseInt(id))).to.be.include(0);
+      expect(await erc1155.balanceOf(market.address, tokenId)).to.be.equal(amount);
+    });
+
+    it('User calls bid fail cause auction is not started', async () => {
+      await expectRevert(market.connect(bob).bid('0', reservePrice), ERRORS.AUCTION_NOT_STARTED);
+    });
+
+    it('Carol outbids Bob, Bob is refunded and Carol wins the auction', async () => {
+      await time.increaseTo(startTime);
+
+      await market.connect(bob).bid('0', reservePrice);
+      expect(await moma.balanceOf(market.address)).to.be.equal(reservePrice);
+
+      let newBid = reservePrice * 2;
+      await market.connect(carol).bid('0', newBid);
+      expect(await moma.balanceOf(bob.address)).to.be.equal(reservePrice * 10);
+      expect(await moma.balanceOf(market.address)).to.be.equal(newBid);
+
+      await time.increaseTo(endTime);
+      await market.connect(bob).settleAuction('0');
+
+      expect(await erc1155.balanceOf(carol.address, tokenId)).to.be.equal(amount);
+      expect(await moma.balanceOf(alice.address)).to.be.equal(newBid - (newBid * 1) / 100);
+      expect(await moma.balanceOf(vault.address)).to.be.equal((newBid * 1) / 100);
+      expect(await moma.balanceOf(market.address)).to.be.equal(0);
+    });
+  });
+});
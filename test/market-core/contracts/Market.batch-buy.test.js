@@ -0,0 +1,265 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC1155,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, vault, market, sellOrderList;
+  let moma, erc721, erc1155;
+  let deployer, marketAdmin, alice, bob, carol, dave;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol, dave] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    vault = modules.vaultProxy;
+    market = modules.marketProxy;
+    sellOrderList = modules.sellOrderListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+
+    await nftList.connect(deployer).registerNFT(erc721.address, false);
+    await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+    await nftList.connect(deployer).registerNFT(erc1155.address, true);
+    await nftList.connect(marketAdmin).acceptNFT(erc1155.address);
+
+    for (let tokenId = 0; tokenId < 3; tokenId++) {
+      await erc721.connect(deployer).mint(alice.address, tokenId);
+    }
+    await erc1155.connect(deployer).mint(carol.address, 0, 10, '0x');
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc1155.connect(carol).setApprovalForAll(market.address, true);
+
+    // Sell order 0: ERC721 #0 for 1000 wei
+    await market.connect(alice).createSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS);
+    // Sell order 1: ERC721 #1 for 2000 moma
+    await market.connect(alice).createSellOrder(erc721.address, 1, 1, 2000, moma.address);
+    // Sell order 2: 10 ERC1155 #0 for 200 wei each
+    await market.connect(carol).createSellOrder(erc1155.address, 0, 10, 200, ETH_ADDRESS);
+    // Sell order 3: ERC721 #2 for 5000 wei
+    await market.connect(alice).createSellOrder(erc721.address, 2, 1, 5000, ETH_ADDRESS);
+
+    await moma.connect(deployer).mint(bob.address, 10000);
+    await moma.connect(bob).approve(market.address, 10000);
+  });
+
+  describe('User calls batchBuy fail', async () => {
+    it('User calls batchBuy fail cause parameters are not match', async () => {
+      await expectRevert(
+        market.connect(bob).batchBuy([0, 1], [1], [ETH_ADDRESS], [1000], bob.address, false, {
+          value: 1000,
+        }),
+        ERRORS.PARAMETERS_NOT_MATCH
+      );
+    });
+
+    it('User calls batchBuy fail cause a sell order is not active', async () => {
+      await market.connect(alice).cancelSellOrder(0);
+      await expectRevert(
+        market.connect(bob).batchBuy([3, 0], [1, 1], [ETH_ADDRESS], [6000], bob.address, false, {
+          value: 6000,
+        }),
+        ERRORS.SELL_ORDER_NOT_ACTIVE
+      );
+    });
+
+    it('User calls batchBuy fail cause max spend is exceeded', async () => {
+      await expectRevert(
+        market.connect(bob).batchBuy([0, 3], [1, 1], [ETH_ADDRESS], [5999], bob.address, false, {
+          value: 6000,
+        }),
+        ERRORS.MAX_SPEND_EXCEEDED
+      );
+    });
+
+    it('User calls batchBuy fail cause msg.value is not enough', async () => {
+      await expectRevert(
+        market.connect(bob).batchBuy([0, 3], [1, 1], [ETH_ADDRESS], [6000], bob.address, false, {
+          value: 5999,
+        }),
+        ERRORS.MAX_SPEND_EXCEEDED
+      );
+    });
+
+    it('User calls batchBuy fail cause token of a sell order is not listed', async () => {
+      await expectRevert(
+        market.connect(bob).batchBuy([0, 1], [1, 1], [ETH_ADDRESS], [1000], bob.address, false, {
+          value: 1000,
+        }),
+        ERRORS.MAX_SPEND_EXCEEDED
+      );
+    });
+  });
+
+  describe('Bob calls batchBuy (all or nothing) with ETH and moma successfully', async () => {
+    let bobBeforeBalance, carolBeforeBalance, gasCost;
+    beforeEach(async () => {
+      bobBeforeBalance = await ethers.provider.getBalance(bob.address);
+      carolBeforeBalance = await ethers.provider.getBalance(carol.address);
+
+      let tx = await market
+        .connect(bob)
+        .batchBuy(
+          [0, 1, 2],
+          [1, 1, 5],
+          [ETH_ADDRESS, moma.address],
+          [2500, 2000],
+          dave.address,
+          false,
+          { value: 2500 }
+        );
+      let receipt = await tx.wait();
+      gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+    });
+
+    it('Check balance, ownership and refund', async () => {
+      expect(await erc721.ownerOf(0)).to.be.equal(dave.address);
+      expect(await erc721.ownerOf(1)).to.be.equal(dave.address);
+      expect(await erc1155.balanceOf(dave.address, 0)).to.be.equal(5);
+
+      // 1000 + 5 * 200 wei spent, the 500 wei left are refunded
+      let bobAfterBalance = await ethers.provider.getBalance(bob.address);
+      expect(bobBeforeBalance.sub(bobAfterBalance).sub(gasCost)).to.be.equal(2000);
+      expect(await moma.balanceOf(bob.address)).to.be.equal(10000 - 2000);
+
+      let carolAfterBalance = await ethers.provider.getBalance(carol.address);
+      expect(carolAfterBalance.sub(carolBeforeBalance)).to.be.equal(1000 - (1000 * 25) / 1000);
+      expect(await moma.balanceOf(alice.address)).to.be.equal(2000 - (2000 * 1) / 100);
+      expect(await ethers.provider.getBalance(market.address)).to.be.equal(0);
+    });
+
+    it('Check sell order info', async () => {
+      expect((await sellOrderList.getSellOrderById(0)).isActive).to.be.equal(false);
+      expect((await sellOrderList.getSellOrderById(1)).isActive).to.be.equal(false);
+
+      let sellOrderInfo = await sellOrderList.getSellOrderById(2);
+      expect(sellOrderInfo.soldAmount).to.be.equal(5);
+      expect(sellOrderInfo.isActive).to.be.equal(true);
+    });
+  });
+
+  describe('Bob calls batchBuy (skip failed) successfully', async () => {
+    let bobBeforeBalance, gasCost;
+    beforeEach(async () => {
+      await market.connect(alice).cancelSellOrder(0);
+
+      bobBeforeBalance = await ethers.provider.getBalance(bob.address);
+
+      // Sell order 0 is not active, sell order 1 costs more moma than bob accepts
+      // and sell order 2 has only 10 nft left
+      let tx = await market
+        .connect(bob)
+        .batchBuy(
+          [0, 1, 3, 2],
+          [1, 1, 1, 11],
+          [ETH_ADDRESS, moma.address],
+          [10000, 1000],
+          bob.address,
+          true,
+          { value: 10000 }
+        );
+      let receipt = await tx.wait();
+      gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+    });
+
+    it('Only the sell orders which can be bought are bought and unspent ETH is refunded', async () => {
+      expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+      expect(await erc721.ownerOf(1)).to.be.equal(market.address);
+      expect(await erc721.ownerOf(2)).to.be.equal(bob.address);
+      expect(await erc1155.balanceOf(bob.address, 0)).to.be.equal(0);
+
+      let bobAfterBalance = await ethers.provider.getBalance(bob.address);
+      expect(bobBeforeBalance.sub(bobAfterBalance).sub(gasCost)).to.be.equal(5000);
+      expect(await moma.balanceOf(bob.address)).to.be.equal(10000);
+      expect(await ethers.provider.getBalance(market.address)).to.be.equal(0);
+      expect(await ethers.provider.getBalance(vault.address)).to.be.equal((5000 * 25) / 1000);
+    });
+
+    it('Check sell order info', async () => {
+      expect((await sellOrderList.getSellOrderById(1)).isActive).to.be.equal(true);
+      expect((await sellOrderList.getSellOrderById(3)).isActive).to.be.equal(false);
+      expect((await sellOrderList.getSellOrderById(2)).soldAmount).to.be.equal(0);
+    });
+  });
+
+  describe('Bob calls batchBuy (skip failed) with a failing ERC20 transfer', async () => {
+    let batchBuy = (skipFailed) =>
+      market
+        .connect(bob)
+        .batchBuy(
+          [1, 3],
+          [1, 1],
+          [ETH_ADDRESS, moma.address],
+          [5000, 10000],
+          bob.address,
+          skipFailed,
+          { value: 5000 }
+        );
+
+    beforeEach(async () => {
+      // Bob accepts to spend 10000 moma but approves Market only 1000 of them
+      await moma.connect(bob).approve(market.address, 1000);
+    });
+
+    it('User calls batchBuy fail cause the ERC20 transfer fails', async () => {
+      await expectRevert.unspecified(batchBuy(false));
+    });
+
+    it('The sell order paid with ERC20 is skipped and the others are bought', async () => {
+      await expect(batchBuy(true))
+        .to.emit(market, 'BatchBuy')
+        .withArgs(
+          bob.address,
+          bob.address,
+          [1, 3],
+          [false, true],
+          [ETH_ADDRESS, moma.address],
+          [5000, 0]
+        );
+
+      expect(await erc721.ownerOf(1)).to.be.equal(market.address);
+      expect(await erc721.ownerOf(2)).to.be.equal(bob.address);
+      expect(await moma.balanceOf(bob.address)).to.be.equal(10000);
+      expect(await moma.balanceOf(market.address)).to.be.equal(0);
+      expect((await sellOrderList.getSellOrderById(1)).isActive).to.be.equal(true);
+    });
+
+    it('User calls buyBatchItem fail cause he is not Market', async () => {
+      await expectRevert(
+        market.connect(bob).buyBatchItem(1, 1, 2000, bob.address, bob.address),
+        ERRORS.CALLER_NOT_MARKET
+      );
+    });
+  });
+
+  it('Seller sell orders are skipped in skip failed mode', async () => {
+    await market
+      .connect(alice)
+      .batchBuy([0, 2], [1, 2], [ETH_ADDRESS], [1200], alice.address, true, { value: 1200 });
+
+    expect(await erc721.ownerOf(0)).to.be.equal(market.address);
+    expect(await erc1155.balanceOf(alice.address, 0)).to.be.equal(2);
+    expect(await ethers.provider.getBalance(market.address)).to.be.equal(0);
+  });
+});
@@ -0,0 +1,238 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC1155,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, sellOrderList;
+  let moma, erc721, erc1155;
+  let deployer, marketAdmin, alice, bob;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    sellOrderList = modules.sellOrderListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+
+    await nftList.connect(deployer).registerNFT(erc721.address, false);
+    await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+    await nftList.connect(deployer).registerNFT(erc1155.address, true);
+    await nftList.connect(marketAdmin).acceptNFT(erc1155.address);
+
+    await erc721.connect(deployer).mint(alice.address, 0);
+    for (let tokenId = 0; tokenId < 3; tokenId++) {
+      await erc1155.connect(deployer).mint(alice.address, tokenId, 10, '0x');
+    }
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc1155.connect(alice).setApprovalForAll(market.address, true);
+  });
+
+  describe('User calls createSellOrders fail cause invalid parameters', async () => {
+    it('User calls createSellOrders fail cause parameters are not match', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createSellOrders([erc1155.address], [0, 1], [10], [1000], [ETH_ADDRESS]),
+        ERRORS.PARAMETERS_NOT_MATCH
+      );
+    });
+
+    it('User calls createSellOrders fail cause price of an item is zero', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createSellOrders(
+            [erc1155.address, erc1155.address],
+            [0, 1],
+            [10, 10],
+            [1000, 0],
+            [ETH_ADDRESS, ETH_ADDRESS]
+          ),
+        `${ERRORS.PRICE_IS_ZERO} at index 1`
+      );
+    });
+
+    it('User calls createSellOrders fail cause token of an item is not accepted', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createSellOrders(
+            [erc1155.address, erc1155.address, erc1155.address],
+            [0, 1, 2],
+            [10, 10, 10],
+            [1000, 1000, 1000],
+            [ETH_ADDRESS, moma.address, bob.address]
+          ),
+        `${ERRORS.TOKEN_NOT_ACCEPTED} at index 2`
+      );
+    });
+
+    it('User calls createSellOrders fail cause nft of an item is not accepted', async () => {
+      await nftList.connect(marketAdmin).revokeNFT(erc721.address);
+      await expectRevert(
+        market
+          .connect(alice)
+          .createSellOrders(
+            [erc721.address, erc1155.address],
+            [0, 0],
+            [1, 10],
+            [1000, 1000],
+            [ETH_ADDRESS, ETH_ADDRESS]
+          ),
+        `${ERRORS.NFT_NOT_ACCEPTED} at index 0`
+      );
+    });
+
+    it('User calls createSellOrders fail cause amount of an ERC721 item is not one', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createSellOrders(
+            [erc1155.address, erc721.address],
+            [0, 0],
+            [10, 2],
+            [1000, 1000],
+            [ETH_ADDRESS, ETH_ADDRESS]
+          ),
+        `${ERRORS.AMOUNT_IS_NOT_EQUAL_ONE} at index 1`
+      );
+    });
+
+    it('User calls createSellOrders fail cause token of an item is flagged', async () => {
+      await nftList.connect(marketAdmin).flagToken(erc1155.address, 1, 'Stolen');
+      await expectRevert(
+        market
+          .connect(alice)
+          .createSellOrders(
+            [erc1155.address, erc1155.address],
+            [0, 1],
+            [10, 10],
+            [1000, 1000],
+            [ETH_ADDRESS, ETH_ADDRESS]
+          ),
+        `${ERRORS.TOKEN_FLAGGED} at index 1`
+      );
+    });
+  });
+
+  describe('Alice calls createSellOrders successfully', async () => {
+    beforeEach(async () => {
+      await market
+        .connect(alice)
+        .createSellOrders(
+          [erc721.address, erc1155.address, erc1155.address, erc1155.address],
+          [0, 0, 1, 2],
+          [1, 10, 5, 10],
+          [1000, 100, 200, 300],
+          [ETH_ADDRESS, ETH_ADDRESS, moma.address, moma.address]
+        );
+    });
+
+    it('Check sell order info, escrow and arrays', async () => {
+      let sellOrders = await sellOrderList.getSellOrdersByIdList([0, 1, 2, 3]);
+      expect(sellOrders.map((sellOrder) => sellOrder.price.toNumber())).to.deep.equal([
+        1000, 100, 200, 300,
+      ]);
+      expect(sellOrders[2].token).to.be.equal(moma.address);
+      expect(sellOrders[2].amount).to.be.equal(5);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(market.address);
+      expect(await erc1155.balanceOf(market.address, 1)).to.be.equal(5);
+      expect(await erc1155.balanceOf(alice.address, 1)).to.be.equal(5);
+      let availableSellOrders = await sellOrderList.getAvailableSellOrdersIdListByUser(
+        alice.address
+      );
+      expect(availableSellOrders.resultERC721).to.deep.equal([ethers.BigNumber.from(0)]);
+      expect(availableSellOrders.resultERC1155).to.deep.equal(
+        [1, 2, 3].map((id) => ethers.BigNumber.from(id))
+      );
+    });
+
+    it('User calls cancelSellOrders fail cause he is not seller of an item', async () => {
+      await market.connect(bob).buy(0, 1, bob.address, '0x', { value: 1000 });
+      await erc721.connect(bob).setApprovalForAll(market.address, true);
+      await market.connect(bob).createSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS);
+
+      await expectRevert(
+        market.connect(alice).cancelSellOrders([1, 4]),
+        `${ERRORS.CALLER_NOT_SELLER} at index 1`
+      );
+    });
+
+    it('User calls cancelSellOrders fail cause an item is not active', async () => {
+      await market.connect(alice).cancelSellOrder(2);
+      await expectRevert(
+        market.connect(alice).cancelSellOrders([1, 3, 2]),
+        `${ERRORS.SELL_ORDER_NOT_ACTIVE} at index 2`
+      );
+    });
+
+    it('Alice calls cancelSellOrders successfully', async () => {
+      await market.connect(bob).buy(1, 4, bob.address, '0x', { value: 400 });
+      await market.connect(alice).cancelSellOrders([0, 1, 3]);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+      expect(await erc1155.balanceOf(alice.address, 0)).to.be.equal(6);
+      expect(await erc1155.balanceOf(alice.address, 2)).to.be.equal(10);
+      let availableSellOrders = await sellOrderList.getAvailableSellOrdersIdListByUser(
+        alice.address
+      );
+      expect(availableSellOrders.resultERC721).to.deep.equal([]);
+      expect(availableSellOrders.resultERC1155).to.deep.equal([ethers.BigNumber.from(2)]);
+    });
+
+    it('User calls updatePrices fail cause parameters are not match', async () => {
+      await expectRevert(
+        market.connect(alice).updatePrices([0, 1], [2000]),
+        ERRORS.PARAMETERS_NOT_MATCH
+      );
+    });
+
+    it('User calls updatePrices fail cause price of an item does not change', async () => {
+      await expectRevert(
+        market.connect(alice).updatePrices([0, 1, 2], [2000, 100, 400]),
+        `${ERRORS.PRICE_NOT_CHANGE} at index 1`
+      );
+    });
+
+    it('User calls updatePrices fail cause he is not seller', async () => {
+      await expectRevert(
+        market.connect(bob).updatePrices([0], [2000]),
+        `${ERRORS.CALLER_NOT_SELLER} at index 0`
+      );
+    });
+
+    it('Alice calls updatePrices successfully', async () => {
+      await market.connect(alice).updatePrices([0, 2, 3], [2000, 400, 600]);
+
+      let sellOrders = await sellOrderList.getSellOrdersByIdList([0, 1, 2, 3]);
+      expect(sellOrders.map((sellOrder) => sellOrder.price.toNumber())).to.deep.equal([
+        2000, 100, 400, 600,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC1155,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, vault, market, bundleList;
+  let moma, erc721, erc1155;
+  let deployer, marketAdmin, alice, bob, carol;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    vault = modules.vaultProxy;
+    market = modules.marketProxy;
+    bundleList = modules.bundleListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+
+    await nftList.connect(deployer).registerNFT(erc721.address, false);
+    await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+    await nftList.connect(deployer).registerNFT(erc1155.address, true);
+    await nftList.connect(marketAdmin).acceptNFT(erc1155.address);
+
+    await erc721.connect(deployer).mint(alice.address, 0);
+    await erc721.connect(deployer).mint(alice.address, 1);
+    await erc1155.connect(deployer).mint(alice.address, 0, 3, '0x');
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc1155.connect(alice).setApprovalForAll(market.address, true);
+  });
+
+  it('All setup successfully', async () => {
+    expect(await bundleList.addressesProvider()).to.equal(addressesProvider.address);
+    expect(await market.bundleList()).to.equal(bundleList.address);
+  });
+
+  describe('User calls createBundle fail cause invalid parameters', async () => {
+    it('User calls createBundle fail cause parameters are not match', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createBundle([erc721.address, erc721.address], [0, 1], [1], '1000', ETH_ADDRESS),
+        ERRORS.PARAMETERS_NOT_MATCH
+      );
+    });
+
+    it('User calls createBundle fail cause bundle contains one nft', async () => {
+      await expectRevert(
+        market.connect(alice).createBundle([erc721.address], [0], [1], '1000', ETH_ADDRESS),
+        ERRORS.INVALID_BUNDLE_SIZE
+      );
+    });
+
+    it('User calls createBundle fail cause price is zero', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createBundle([erc721.address, erc721.address], [0, 1], [1, 1], '0', ETH_ADDRESS),
+        ERRORS.PRICE_IS_ZERO
+      );
+    });
+
+    it('User calls createBundle fail cause a nft is not accepted', async () => {
+      await nftList.connect(marketAdmin).revokeNFT(erc1155.address);
+      await expectRevert(
+        market
+          .connect(alice)
+          .createBundle([erc721.address, erc1155.address], [0, 0], [1, 3], '1000', ETH_ADDRESS),
+        ERRORS.NFT_NOT_ACCEPTED
+      );
+    });
+  });
+
+  describe('Alice createBundle (with ERC721, ERC1155 and ETH) successfully', async () => {
+    let price = 1000000;
+    let nftAddresses, tokenIds, amounts;
+    beforeEach(async () => {
+      nftAddresses = [erc721.address, erc721.address, erc1155.address];
+      tokenIds = [0, 1, 0];
+      amounts = [1, 1, 3];
+
+      await market.connect(alice).createBundle(nftAddresses, tokenIds, amounts, price, ETH_ADDRESS);
+    });
+
+    it('Check bundle info, escrow and arrays', async () => {
+      let bundleInfo = await bundleList.getBundleById(0);
+      expect(bundleInfo.nftAddresses).to.deep.equal(nftAddresses);
+      expect(bundleInfo.seller).to.be.equal(alice.address);
+      expect(bundleInfo.price).to.be.equal(price);
+      expect(bundleInfo.isActive).to.be.equal(true);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(market.address);
+      expect(await erc721.ownerOf(1)).to.be.equal(market.address);
+      expect(await erc1155.balanceOf(market.address, 0)).to.be.equal(3);
+
+      expect(await bundleList.getAvailableBundlesIdList()).to.deep.equal([
+        ethers.BigNumber.from(0),
+      ]);
+      expect(await bundleList.getAvailableBundlesIdListByUser(alice.address)).to.deep.equal([
+        ethers.BigNumber.from(0),
+      ]);
+      expect(await bundleList.getAvailableBundlesIdListByNftAddress(erc721.address)).to.deep.equal([
+        ethers.BigNumber.from(0),
+      ]);
+      expect(await bundleList.getAvailableBundlesIdListByNftAddress(erc1155.address)).to.deep.equal(
+        [ethers.BigNumber.from(0)]
+      );
+    });
+
+    it('User calls buyBundle fail cause msg.value is not equal price', async () => {
+      await expectRevert(
+        market.connect(bob).buyBundle('0', bob.address, { value: price - 1 }),
+        ERRORS.VALUE_NOT_EQUAL_PRICE
+      );
+    });
+
+    it('User calls buyBundle fail cause he is seller', async () => {
+      await expectRevert(
+        market.connect(alice).buyBundle('0', alice.address, { value: price }),
+        ERRORS.CALLER_IS_SELLER
+      );
+    });
+
+    it('User calls cancelBundle fail cause he is not seller', async () => {
+      await expectRevert(market.connect(bob).cancelBundle('0'), ERRORS.CALLER_NOT_SELLER);
+    });
+
+    it('Alice calls cancelBundle successfully', async () => {
+      await market.connect(alice).cancelBundle('0');
+
+      expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+      expect(await erc721.ownerOf(1)).to.be.equal(alice.address);
+      expect(await erc1155.balanceOf(alice.address, 0)).to.be.equal(3);
+      expect((await bundleList.getBundleById(0)).isActive).to.be.equal(false);
+      expect(await bundleList.getAvailableBundlesIdList()).to.deep.equal([]);
+
+      await expectRevert(
+        market.connect(bob).buyBundle('0', bob.address, { value: price }),
+        ERRORS.BUNDLE_NOT_ACTIVE
+      );
+    });
+
+    it('Market admin calls removeBundle successfully', async () => {
+      await market.connect(marketAdmin).removeBundle('0');
+
+      expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+      expect(await erc1155.balanceOf(alice.address, 0)).to.be.equal(3);
+      expect((await bundleList.getBundleById(0)).isActive).to.be.equal(false);
+    });
+
+    describe('Bob calls buyBundle successfully', async () => {
+      let aliceBeforeBalance;
+      let fee = (price * 25) / 1000;
+      let royalty = (fee * 20) / 100;
+      beforeEach(async () => {
+        aliceBeforeBalance = await ethers.provider.getBalance(alice.address);
+        await market.connect(bob).buyBundle('0', carol.address, { value: price });
+      });
+
+      it('Check balance and ownership', async () => {
+        let aliceAfterBalance = await ethers.provider.getBalance(alice.address);
+        expect(aliceAfterBalance.sub(aliceBeforeBalance)).to.be.equal(price - fee);
+
+        expect(await erc721.ownerOf(0)).to.be.equal(carol.address);
+        expect(await erc721.ownerOf(1)).to.be.equal(carol.address);
+        expect(await erc1155.balanceOf(carol.address, 0)).to.be.equal(3);
+        expect(await ethers.provider.getBalance(vault.address)).to.be.equal(fee);
+      });
+
+      it('Royalty is split across collections by the number of nft', async () => {
+        // 2 ERC721 and 3 ERC1155 in the bundle
+        expect(await vault.getRoyalty(erc721.address, ETH_ADDRESS)).to.be.equal((royalty * 2) / 5);
+        expect(await vault.getRoyalty(erc1155.address, ETH_ADDRESS)).to.be.equal((royalty * 3) / 5);
+        expect(await vault.getMochiFund(ETH_ADDRESS)).to.be.equal(fee - royalty);
+      });
+
+      it('Check bundle info and arrays', async () => {
+        let bundleInfo = await bundleList.getBundleById(0);
+        expect(bundleInfo.isActive).to.be.equal(false);
+        expect(bundleInfo.buyer).to.be.equal(bob.address);
+
+        expect(await bundleList.getAvailableBundlesIdList()).to.deep.equal([]);
+        expect(
+          await bundleList.getAvailableBundlesIdListByNftAddress(erc721.address)
+        ).to.deep.equal([]);
+        expect(await bundleList.getBundlesBoughtIdListByUser(bob.address)).to.deep.equal([
+          ethers.BigNumber.from(0),
+        ]);
+      });
+    });
+  });
+
+  describe('Alice createBundle (with moma) successfully', async () => {
+    let price = 1000003;
+    beforeEach(async () => {
+      await market
+        .connect(alice)
+        .createBundle([erc721.address, erc1155.address], [0, 0], [1, 2], price, moma.address);
+
+      await moma.connect(deployer).mint(bob.address, price);
+      await moma.connect(bob).approve(market.address, price);
+    });
+
+    it('Bob calls buyBundle successfully and rounding remainder goes to mochi fund', async () => {
+      await market.connect(bob).buyBundle('0', bob.address);
+
+      let fee = Math.floor((price * 1) / 100);
+      let royalty = Math.floor((fee * 20) / 100);
+      let erc721Royalty = Math.floor(royalty / 3);
+      let erc1155Royalty = Math.floor((royalty * 2) / 3);
+
+      expect(await moma.balanceOf(alice.address)).to.be.equal(price - fee);
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await erc1155.balanceOf(bob.address, 0)).to.be.equal(2);
+      expect(await vault.getRoyalty(erc721.address, moma.address)).to.be.equal(erc721Royalty);
+      expect(await vault.getRoyalty(erc1155.address, moma.address)).to.be.equal(erc1155Royalty);
+      expect(await vault.getMochiFund(moma.address)).to.be.equal(
+        fee - erc721Royalty - erc1155Royalty
+      );
+    });
+  });
+});
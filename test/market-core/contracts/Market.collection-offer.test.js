@@ -0,0 +1,223 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC1155,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, vault, market, offerList;
+  let moma;
+  let deployer, marketAdmin, alice, bob, carol;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    vault = modules.vaultProxy;
+    market = modules.marketProxy;
+    offerList = modules.offerListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+  });
+
+  describe('User calls makeCollectionOffer fail cause invalid parameters', async () => {
+    let erc721;
+    let expiry;
+    beforeEach(async () => {
+      erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+
+      await moma.connect(deployer).mint(bob.address, '1000');
+      await moma.connect(bob).approve(market.address, '1000');
+
+      expiry = parseInt(await time.latest()) + 3600;
+    });
+
+    it('User calls makeCollectionOffer fail cause nft is not accepted', async () => {
+      await expectRevert(
+        market.connect(bob).makeCollectionOffer(erc721.address, '1', moma.address, '1000', expiry),
+        ERRORS.NFT_NOT_ACCEPTED
+      );
+    });
+
+    it('User calls makeCollectionOffer fail cause quantity is zero', async () => {
+      await nftList.connect(deployer).registerNFT(erc721.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+
+      await expectRevert(
+        market.connect(bob).makeCollectionOffer(erc721.address, '0', moma.address, '1000', expiry),
+        ERRORS.AMOUNT_IS_ZERO
+      );
+    });
+  });
+
+  describe('Bob makeCollectionOffer (with ERC721 and moma) successfully', async () => {
+    let erc721;
+    let quantity = 2;
+    let price = 1000000;
+    let expiry;
+    beforeEach(async () => {
+      erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+
+      await nftList.connect(deployer).registerNFT(erc721.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+
+      await erc721.connect(deployer).mint(alice.address, 3);
+      await erc721.connect(deployer).mint(carol.address, 7);
+      await erc721.connect(alice).setApprovalForAll(market.address, true);
+      await erc721.connect(carol).setApprovalForAll(market.address, true);
+
+      await moma.connect(deployer).mint(bob.address, quantity * price);
+      await moma.connect(bob).approve(market.address, quantity * price);
+
+      expiry = parseInt(await time.latest()) + 3600;
+
+      await market
+        .connect(bob)
+        .makeCollectionOffer(erc721.address, quantity, moma.address, price, expiry);
+    });
+
+    it('Check offer info and arrays', async () => {
+      let offerInfo = await offerList.getOfferById(0);
+      expect(offerInfo.nftAddress).to.be.equal(erc721.address);
+      expect(offerInfo.amount).to.be.equal(quantity);
+      expect(offerInfo.filledAmount).to.be.equal(0);
+      expect(offerInfo.isCollectionOffer).to.be.equal(true);
+      expect(offerInfo.isActive).to.be.equal(true);
+
+      expect(await moma.balanceOf(market.address)).to.be.equal(quantity * price);
+
+      expect(
+        await offerList.getAvailableCollectionOffersIdListByNftAddress(erc721.address)
+      ).to.deep.equal([ethers.BigNumber.from(0)]);
+      expect(await offerList.getAvailableOffersIdListByTokenId(erc721.address, 0)).to.deep.equal(
+        []
+      );
+    });
+
+    it('User calls acceptOffer fail cause offer is collection offer', async () => {
+      await expectRevert(market.connect(alice).acceptOffer('0'), ERRORS.IS_COLLECTION_OFFER);
+    });
+
+    it('User calls acceptCollectionOffer fail cause nft is revoked', async () => {
+      await nftList.connect(marketAdmin).revokeNFT(erc721.address);
+      await expectRevert(
+        market.connect(alice).acceptCollectionOffer('0', 3, '1'),
+        ERRORS.NFT_NOT_ACCEPTED
+      );
+    });
+
+    it('User calls acceptCollectionOffer fail cause offer expired', async () => {
+      await time.increaseTo(expiry);
+      await expectRevert(
+        market.connect(alice).acceptCollectionOffer('0', 3, '1'),
+        ERRORS.OFFER_EXPIRED
+      );
+    });
+
+    describe('Alice calls acceptCollectionOffer successfully', async () => {
+      beforeEach(async () => {
+        await market.connect(alice).acceptCollectionOffer('0', 3, '1');
+      });
+
+      it('Check balance, ownership and offer info', async () => {
+        expect(await erc721.ownerOf(3)).to.be.equal(bob.address);
+        expect(await moma.balanceOf(alice.address)).to.be.equal(price - (price * 1) / 100);
+        expect(await moma.balanceOf(vault.address)).to.be.equal((price * 1) / 100);
+        expect(await moma.balanceOf(market.address)).to.be.equal(price);
+
+        let offerInfo = await offerList.getOfferById(0);
+        expect(offerInfo.filledAmount).to.be.equal(1);
+        expect(offerInfo.seller).to.be.equal(alice.address);
+        expect(offerInfo.isActive).to.be.equal(true);
+      });
+
+      it('Carol calls acceptCollectionOffer with another tokenId successfully', async () => {
+        await market.connect(carol).acceptCollectionOffer('0', 7, '1');
+
+        expect(await erc721.ownerOf(7)).to.be.equal(bob.address);
+        expect(await moma.balanceOf(carol.address)).to.be.equal(price - (price * 1) / 100);
+        expect(await moma.balanceOf(market.address)).to.be.equal(0);
+
+        let offerInfo = await offerList.getOfferById(0);
+        expect(offerInfo.filledAmount).to.be.equal(quantity);
+        expect(offerInfo.isActive).to.be.equal(false);
+        expect(
+          await offerList.getAvailableCollectionOffersIdListByNftAddress(erc721.address)
+        ).to.deep.equal([]);
+        expect(await offerList.getAvailableOffersIdListByUser(bob.address)).to.deep.equal([]);
+        expect(await offerList.getAcceptedOffersIdListByUser(carol.address)).to.deep.equal([
+          ethers.BigNumber.from(0),
+        ]);
+      });
+
+      it('Bob calls cancelOffer and gets the money left back', async () => {
+        await market.connect(bob).cancelOffer('0');
+
+        expect(await moma.balanceOf(bob.address)).to.be.equal(price);
+        expect(await moma.balanceOf(market.address)).to.be.equal(0);
+        expect((await offerList.getOfferById(0)).isActive).to.be.equal(false);
+      });
+    });
+  });
+
+  describe('Bob makeCollectionOffer (with ERC1155 and moma) successfully', async () => {
+    let erc1155;
+    let quantity = 10;
+    let price = 1000000;
+    beforeEach(async () => {
+      erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+
+      await nftList.connect(deployer).registerNFT(erc1155.address, true);
+      await nftList.connect(marketAdmin).acceptNFT(erc1155.address);
+
+      await erc1155.connect(deployer).mint(alice.address, 1, 6, '0x');
+      await erc1155.connect(deployer).mint(alice.address, 2, 6, '0x');
+      await erc1155.connect(alice).setApprovalForAll(market.address, true);
+
+      await moma.connect(deployer).mint(bob.address, quantity * price);
+      await moma.connect(bob).approve(market.address, quantity * price);
+
+      let expiry = parseInt(await time.latest()) + 3600;
+
+      await market
+        .connect(bob)
+        .makeCollectionOffer(erc1155.address, quantity, moma.address, price, expiry);
+    });
+
+    it('Alice fills the offer with several tokenIds', async () => {
+      await market.connect(alice).acceptCollectionOffer('0', 1, 6);
+
+      await expectRevert(
+        market.connect(alice).acceptCollectionOffer('0', 2, 6),
+        ERRORS.AMOUNT_IS_NOT_ENOUGH
+      );
+
+      await market.connect(alice).acceptCollectionOffer('0', 2, 4);
+
+      expect(await erc1155.balanceOf(bob.address, 1)).to.be.equal(6);
+      expect(await erc1155.balanceOf(bob.address, 2)).to.be.equal(4);
+      expect(await moma.balanceOf(alice.address)).to.be.equal(
+        quantity * price - (quantity * price * 1) / 100
+      );
+      expect(await moma.balanceOf(market.address)).to.be.equal(0);
+      expect((await offerList.getOfferById(0)).isActive).to.be.equal(false);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, vault, exchangeOrderList;
+  let moma, usdt, erc721, erc721B, erc721C;
+  let deployer, marketAdmin, alice, bob, carol;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let price = ethers.utils.parseEther('1');
+  // Regular fee is 25/1000
+  let fee = price.mul(25).div(1000);
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+    usdt = await deployTestERC20(deployer, 'Tether USD', 'USDT');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    vault = modules.vaultProxy;
+    exchangeOrderList = modules.exchangeOrderListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(usdt.address);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc721B = await deployTestERC721(deployer, 'TestERC721B', 'TestERC721B');
+    erc721C = await deployTestERC721(deployer, 'TestERC721C', 'TestERC721C');
+
+    for (let nft of [erc721, erc721B, erc721C]) {
+      await nftList.connect(deployer).registerNFT(nft.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(nft.address);
+    }
+    await erc721.connect(deployer).mint(alice.address, 0);
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc721B.connect(deployer).mint(bob.address, 0);
+    await erc721C.connect(deployer).mint(bob.address, 0);
+    await erc721C.connect(deployer).mint(carol.address, 1);
+    for (let user of [bob, carol]) {
+      await erc721B.connect(user).setApprovalForAll(market.address, true);
+      await erc721C.connect(user).setApprovalForAll(market.address, true);
+      await usdt.connect(deployer).mint(user.address, price.mul(10));
+      await usdt.connect(user).approve(market.address, ethers.constants.MaxUint256);
+    }
+
+    // Exchange order 0 of ERC721 #0 for ERC721B #0
+    await market
+      .connect(alice)
+      .createExchangeOrder(
+        [erc721.address, erc721B.address],
+        [0, 0],
+        [1, 1],
+        [ETH_ADDRESS, ETH_ADDRESS],
+        [0, 0],
+        [alice.address],
+        ['0x', '0x']
+      );
+  });
+
+  describe('Taker makes counter offers', async () => {
+    it('User calls makeCounterOffer fail cause he is maker', async () => {
+      await expectRevert(
+        market.connect(alice).makeCounterOffer(0, erc721C.address, 0, 1, ETH_ADDRESS, 0),
+        ERRORS.CALLER_IS_SELLER
+      );
+    });
+
+    it('User calls makeCounterOffer fail cause msg.value is not equal top-up', async () => {
+      await expectRevert(
+        market.connect(bob).makeCounterOffer(0, erc721C.address, 0, 1, ETH_ADDRESS, price, {
+          value: price.sub(1),
+        }),
+        ERRORS.VALUE_NOT_EQUAL_PRICE
+      );
+      await expectRevert(
+        market.connect(bob).makeCounterOffer(0, erc721C.address, 0, 1, usdt.address, price, {
+          value: price,
+        }),
+        ERRORS.VALUE_NOT_EQUAL_PRICE
+      );
+    });
+
+    it('Bob and Carol make counter offers and their assets are escrowed', async () => {
+      await expect(
+        market.connect(bob).makeCounterOffer(0, erc721C.address, 0, 1, usdt.address, price)
+      )
+        .to.emit(exchangeOrderList, 'CounterOfferAdded')
+        .withArgs(0, 0, bob.address, erc721C.address, 0, 1, usdt.address, price);
+      await market.connect(carol).makeCounterOffer(0, erc721C.address, 1, 1, ETH_ADDRESS, price, {
+        value: price,
+      });
+
+      expect(await erc721C.ownerOf(0)).to.be.equal(market.address);
+      expect(await erc721C.ownerOf(1)).to.be.equal(market.address);
+      expect(await usdt.balanceOf(market.address)).to.be.equal(price);
+      expect(await exchangeOrderList.getCounterOfferCount()).to.be.equal(2);
+
+      let ids = await exchangeOrderList.getCounterOffersIdListByExchangeId(0);
+      expect(ids.map((id) => id.toNumber())).to.deep.equal([0, 1]);
+
+      let counterOffer = await exchangeOrderList.getCounterOfferById(1);
+      expect(counterOffer.taker).to.be.equal(carol.address);
+      expect(counterOffer.price).to.be.equal(price);
+      expect(counterOffer.isActive).to.be.equal(true);
+    });
+  });
+
+  describe('Maker answers counter offers', async () => {
+    beforeEach(async () => {
+      await market.connect(bob).makeCounterOffer(0, erc721C.address, 0, 1, usdt.address, price);
+      await market.connect(carol).makeCounterOffer(0, erc721C.address, 1, 1, ETH_ADDRESS, 0);
+    });
+
+    it('User calls acceptCounterOffer and rejectCounterOffer fail cause he is not maker', async () => {
+      await expectRevert(market.connect(bob).acceptCounterOffer(0), ERRORS.CALLER_NOT_SELLER);
+      await expectRevert(market.connect(carol).rejectCounterOffer(0), ERRORS.CALLER_NOT_SELLER);
+    });
+
+    it('Alice accepts the counter offer of Bob and receives his nft and top-up', async () => {
+      await expect(market.connect(alice).acceptCounterOffer(0))
+        .to.emit(exchangeOrderList, 'CounterOfferAccepted')
+        .withArgs(0, 0, bob.address);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await erc721C.ownerOf(0)).to.be.equal(alice.address);
+      expect(await usdt.balanceOf(alice.address)).to.be.equal(price.sub(fee));
+      expect(await usdt.balanceOf(vault.address)).to.be.equal(fee);
+
+      let exchangeOrder = await exchangeOrderList.getExchangeOrderById(0);
+      expect(exchangeOrder.isActive).to.be.equal(false);
+      expect(exchangeOrder.users[1]).to.be.equal(bob.address);
+      expect((await exchangeOrderList.getCounterOfferById(0)).acceptTime).to.be.gt(0);
+
+      // The counter offer of Carol can no longer be accepted but can be withdrawn
+      await expectRevert(
+        market.connect(alice).acceptCounterOffer(1),
+        ERRORS.EXCHANGE_ORDER_NOT_ACTIVE
+      );
+      await market.connect(carol).withdrawCounterOffer(1);
+      expect(await erc721C.ownerOf(1)).to.be.equal(carol.address);
+    });
+
+    it('Alice rejects the counter offer of Bob and his nft and top-up are returned', async () => {
+      await expect(market.connect(alice).rejectCounterOffer(0))
+        .to.emit(exchangeOrderList, 'CounterOfferDeactive')
+        .withArgs(0, 0);
+
+      expect(await erc721C.ownerOf(0)).to.be.equal(bob.address);
+      expect(await usdt.balanceOf(bob.address)).to.be.equal(price.mul(10));
+      expect((await exchangeOrderList.getExchangeOrderById(0)).isActive).to.be.equal(true);
+
+      await expectRevert(
+        market.connect(alice).acceptCounterOffer(0),
+        ERRORS.COUNTER_OFFER_NOT_ACTIVE
+      );
+    });
+  });
+
+  describe('Taker withdraws counter offers', async () => {
+    beforeEach(async () => {
+      await market.connect(bob).makeCounterOffer(0, erc721C.address, 0, 1, ETH_ADDRESS, price, {
+        value: price,
+      });
+    });
+
+    it('User calls withdrawCounterOffer fail cause he is not taker', async () => {
+      await expectRevert(market.connect(carol).withdrawCounterOffer(0), ERRORS.CALLER_NOT_TAKER);
+    });
+
+    it('Bob withdraws his counter offer and receives his nft and top-up', async () => {
+      await expect(() => market.connect(bob).withdrawCounterOffer(0)).to.changeEtherBalance(
+        bob,
+        price
+      );
+
+      expect(await erc721C.ownerOf(0)).to.be.equal(bob.address);
+      await expectRevert(
+        market.connect(bob).withdrawCounterOffer(0),
+        ERRORS.COUNTER_OFFER_NOT_ACTIVE
+      );
+    });
+
+    it('Bob withdraws his counter offer after the exchange order is cancelled', async () => {
+      await market.connect(alice).cancelExchangeOrder(0);
+      await market.connect(bob).withdrawCounterOffer(0);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+      expect(await erc721C.ownerOf(0)).to.be.equal(bob.address);
+    });
+  });
+});
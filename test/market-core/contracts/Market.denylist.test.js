@@ -0,0 +1,375 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+const { buildDomain, signOrder } = require('../../../sdk/signedOrder');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, sellOrderList, exchangeOrderList, bundleList, auctionList;
+  let moma, erc721, erc721B;
+  let deployer, marketAdmin, alice, bob;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let price = ethers.utils.parseEther('1');
+  let reason = 'Reported stolen';
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    sellOrderList = modules.sellOrderListProxy;
+    exchangeOrderList = modules.exchangeOrderListProxy;
+    bundleList = modules.bundleListProxy;
+    auctionList = modules.auctionListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc721B = await deployTestERC721(deployer, 'TestERC721B', 'TestERC721B');
+
+    for (let nft of [erc721, erc721B]) {
+      await nftList.connect(deployer).registerNFT(nft.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(nft.address);
+    }
+    for (let tokenId of [0, 1, 2, 3]) {
+      await erc721.connect(deployer).mint(alice.address, tokenId);
+    }
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc721B.connect(deployer).mint(bob.address, 0);
+    await erc721B.connect(bob).setApprovalForAll(market.address, true);
+    await moma.connect(deployer).mint(bob.address, price.mul(2));
+    await moma.connect(bob).approve(market.address, ethers.constants.MaxUint256);
+
+    // Sell order 0 of ERC721 #0 and exchange order 0 of ERC721 #1 for ERC721B #0
+    await market.connect(alice).createSellOrder(erc721.address, 0, 1, price, ETH_ADDRESS);
+    await market
+      .connect(alice)
+      .createExchangeOrder(
+        [erc721.address, erc721B.address],
+        [1, 0],
+        [1, 1],
+        [ETH_ADDRESS, ETH_ADDRESS],
+        [0, 0],
+        [alice.address],
+        ['0x', '0x']
+      );
+  });
+
+  describe('Admin flags tokens', async () => {
+    it('User calls flagToken and unflagToken fail cause he is not market admin', async () => {
+      await expectRevert(
+        nftList.connect(alice).flagToken(erc721.address, 0, reason),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+      await expectRevert(
+        nftList.connect(alice).unflagToken(erc721.address, 0),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+    });
+
+    it('Admin calls unflagToken fail cause token is not flagged', async () => {
+      await expectRevert(
+        nftList.connect(marketAdmin).unflagToken(erc721.address, 0),
+        ERRORS.TOKEN_NOT_FLAGGED
+      );
+    });
+
+    it('Admin flags and unflags a token successfully', async () => {
+      await expect(nftList.connect(marketAdmin).flagToken(erc721.address, 0, reason))
+        .to.emit(nftList, 'TokenFlagged')
+        .withArgs(erc721.address, 0, reason);
+
+      expect(await nftList.isTokenFlagged(erc721.address, 0)).to.be.equal(true);
+      expect(await nftList.isTokenFlagged(erc721.address, 1)).to.be.equal(false);
+      expect(await nftList.getFlagReason(erc721.address, 0)).to.be.equal(reason);
+
+      await expect(nftList.connect(marketAdmin).unflagToken(erc721.address, 0))
+        .to.emit(nftList, 'TokenUnflagged')
+        .withArgs(erc721.address, 0);
+
+      expect(await nftList.isTokenFlagged(erc721.address, 0)).to.be.equal(false);
+      expect(await nftList.getFlagReason(erc721.address, 0)).to.be.equal('');
+    });
+  });
+
+  describe('Flagged tokens can not be traded', async () => {
+    it('User creates orders fail cause token is flagged', async () => {
+      await nftList.connect(marketAdmin).flagToken(erc721.address, 2, reason);
+
+      await expectRevert(
+        market.connect(alice).createSellOrder(erc721.address, 2, 1, price, ETH_ADDRESS),
+        ERRORS.TOKEN_FLAGGED
+      );
+      await expectRevert(
+        market
+          .connect(alice)
+          .createExchangeOrder(
+            [erc721.address, erc721B.address],
+            [2, 0],
+            [1, 1],
+            [ETH_ADDRESS, ETH_ADDRESS],
+            [0, 0],
+            [alice.address],
+            ['0x', '0x']
+          ),
+        ERRORS.TOKEN_FLAGGED
+      );
+
+      // A flagged token can not be asked for either
+      await nftList.connect(marketAdmin).unflagToken(erc721.address, 2);
+      await nftList.connect(marketAdmin).flagToken(erc721B.address, 0, reason);
+      await expectRevert(
+        market
+          .connect(alice)
+          .createExchangeOrder(
+            [erc721.address, erc721B.address],
+            [2, 0],
+            [1, 1],
+            [ETH_ADDRESS, ETH_ADDRESS],
+            [0, 0],
+            [alice.address],
+            ['0x', '0x']
+          ),
+        ERRORS.TOKEN_FLAGGED
+      );
+    });
+
+    it('User buys and exchanges fail cause token is flagged', async () => {
+      await nftList.connect(marketAdmin).flagToken(erc721.address, 0, reason);
+      await nftList.connect(marketAdmin).flagToken(erc721B.address, 0, reason);
+
+      await expectRevert(
+        market.connect(bob).buy(0, 1, bob.address, '0x', { value: price }),
+        ERRORS.TOKEN_FLAGGED
+      );
+      await expectRevert(
+        market
+          .connect(bob)
+          .batchBuy([0], [1], [ETH_ADDRESS], [price], bob.address, false, { value: price }),
+        ERRORS.TOKEN_FLAGGED
+      );
+      await expectRevert(
+        market.connect(bob).exchange(0, 1, bob.address, '0x'),
+        ERRORS.TOKEN_FLAGGED
+      );
+
+      await nftList.connect(marketAdmin).unflagToken(erc721.address, 0);
+      await nftList.connect(marketAdmin).unflagToken(erc721B.address, 0);
+      await market.connect(bob).buy(0, 1, bob.address, '0x', { value: price });
+      await market.connect(bob).exchange(0, 1, bob.address, '0x');
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await erc721.ownerOf(1)).to.be.equal(bob.address);
+    });
+  });
+
+  describe('Flagged tokens can not be offered for, auctioned or sold in bundles', async () => {
+    it('User makes and accepts offers fail cause token is flagged', async () => {
+      let expiry = parseInt(await time.latest()) + 3600;
+      await market.connect(bob).makeOffer(erc721.address, 2, 1, moma.address, price, expiry);
+      await market.connect(bob).makeCollectionOffer(erc721.address, 1, moma.address, price, expiry);
+      await nftList.connect(marketAdmin).flagToken(erc721.address, 2, reason);
+
+      await expectRevert(
+        market.connect(bob).makeOffer(erc721.address, 2, 1, moma.address, price, expiry),
+        ERRORS.TOKEN_FLAGGED
+      );
+      await expectRevert(market.connect(alice).acceptOffer(0), ERRORS.TOKEN_FLAGGED);
+      await expectRevert(
+        market.connect(alice).acceptCollectionOffer(1, 2, 1),
+        ERRORS.TOKEN_FLAGGED
+      );
+    });
+
+    it('User fulfills a signed order fail cause token is flagged', async () => {
+      let domain = buildDomain((await ethers.provider.getNetwork()).chainId, market.address);
+      let order = {
+        seller: alice.address,
+        nftAddress: erc721.address,
+        tokenId: 2,
+        amount: 1,
+        price,
+        token: ETH_ADDRESS,
+        expiry: 0,
+        nonce: 0,
+      };
+      let signature = await signOrder(alice, domain, order);
+      await nftList.connect(marketAdmin).flagToken(erc721.address, 2, reason);
+
+      await expectRevert(
+        market.connect(bob).fulfillSignedOrder(order, signature, bob.address, { value: price }),
+        ERRORS.TOKEN_FLAGGED
+      );
+    });
+
+    it('User creates and buys bundles fail cause token is flagged', async () => {
+      let createBundle = () =>
+        market
+          .connect(alice)
+          .createBundle([erc721.address, erc721.address], [2, 3], [1, 1], price, ETH_ADDRESS);
+
+      await nftList.connect(marketAdmin).flagToken(erc721.address, 3, reason);
+      await expectRevert(createBundle(), ERRORS.TOKEN_FLAGGED);
+
+      await nftList.connect(marketAdmin).unflagToken(erc721.address, 3);
+      await createBundle();
+      await nftList.connect(marketAdmin).flagToken(erc721.address, 3, reason);
+      await expectRevert(
+        market.connect(bob).buyBundle(0, bob.address, { value: price }),
+        ERRORS.TOKEN_FLAGGED
+      );
+    });
+
+    it('User creates, bids and settles auctions fail cause token is flagged', async () => {
+      let startTime = parseInt(await time.latest());
+      let endTime = startTime + 3600;
+      let createAuction = () =>
+        market
+          .connect(alice)
+          .createAuction(erc721.address, 2, 1, ETH_ADDRESS, price, 1, startTime, endTime, 600);
+
+      await nftList.connect(marketAdmin).flagToken(erc721.address, 2, reason);
+      await expectRevert(createAuction(), ERRORS.TOKEN_FLAGGED);
+
+      await nftList.connect(marketAdmin).unflagToken(erc721.address, 2);
+      await createAuction();
+      await market.connect(bob).bid(0, price, { value: price });
+      await nftList.connect(marketAdmin).flagToken(erc721.address, 2, reason);
+
+      await expectRevert(
+        market.connect(bob).bid(0, price.mul(2), { value: price.mul(2) }),
+        ERRORS.TOKEN_FLAGGED
+      );
+      await time.increaseTo(endTime);
+      await expectRevert(market.connect(bob).settleAuction(0), ERRORS.TOKEN_FLAGGED);
+    });
+  });
+
+  describe('Admin removes orders of flagged tokens', async () => {
+    it('User calls removeFlaggedSellOrders fail cause he is not market admin', async () => {
+      await nftList.connect(marketAdmin).flagToken(erc721.address, 0, reason);
+      await expectRevert(
+        market.connect(alice).removeFlaggedSellOrders([0]),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+      await expectRevert(
+        market.connect(alice).removeFlaggedExchangeOrders([0]),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+    });
+
+    it('Admin removes orders fail cause token is not flagged', async () => {
+      await expectRevert(
+        market.connect(marketAdmin).removeFlaggedSellOrders([0]),
+        ERRORS.TOKEN_NOT_FLAGGED
+      );
+      await expectRevert(
+        market.connect(marketAdmin).removeFlaggedExchangeOrders([0]),
+        ERRORS.TOKEN_NOT_FLAGGED
+      );
+    });
+
+    it('Admin removes orders of flagged tokens and nft is returned to seller', async () => {
+      await nftList.connect(marketAdmin).flagToken(erc721.address, 0, reason);
+      await nftList.connect(marketAdmin).flagToken(erc721B.address, 0, reason);
+
+      await expect(market.connect(marketAdmin).removeFlaggedSellOrders([0]))
+        .to.emit(market, 'FlaggedSellOrderRemoved')
+        .withArgs(0);
+      await expect(market.connect(marketAdmin).removeFlaggedExchangeOrders([0]))
+        .to.emit(market, 'FlaggedExchangeOrderRemoved')
+        .withArgs(0);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+      expect(await erc721.ownerOf(1)).to.be.equal(alice.address);
+      expect((await sellOrderList.getSellOrderById(0)).isActive).to.be.equal(false);
+      expect((await exchangeOrderList.getExchangeOrderById(0)).isActive).to.be.equal(false);
+
+      await expectRevert(
+        market.connect(marketAdmin).removeFlaggedSellOrders([0]),
+        ERRORS.SELL_ORDER_NOT_ACTIVE
+      );
+    });
+
+    it('Admin removes bundles fail cause none of the tokens is flagged', async () => {
+      await market
+        .connect(alice)
+        .createBundle([erc721.address, erc721.address], [2, 3], [1, 1], price, ETH_ADDRESS);
+
+      await expectRevert(
+        market.connect(alice).removeFlaggedBundles([0]),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+      await expectRevert(
+        market.connect(marketAdmin).removeFlaggedBundles([0]),
+        ERRORS.TOKEN_NOT_FLAGGED
+      );
+    });
+
+    it('Admin removes a bundle containing a flagged token and nft is returned to seller', async () => {
+      await market
+        .connect(alice)
+        .createBundle([erc721.address, erc721.address], [2, 3], [1, 1], price, ETH_ADDRESS);
+      await nftList.connect(marketAdmin).flagToken(erc721.address, 3, reason);
+
+      await expect(market.connect(marketAdmin).removeFlaggedBundles([0]))
+        .to.emit(market, 'FlaggedBundleRemoved')
+        .withArgs(0);
+
+      expect(await erc721.ownerOf(2)).to.be.equal(alice.address);
+      expect(await erc721.ownerOf(3)).to.be.equal(alice.address);
+      expect((await bundleList.getBundleById(0)).isActive).to.be.equal(false);
+    });
+
+    it('Admin removes an auction of a flagged token, nft is returned and the bid refunded', async () => {
+      let startTime = parseInt(await time.latest());
+      await market
+        .connect(alice)
+        .createAuction(
+          erc721.address,
+          2,
+          1,
+          ETH_ADDRESS,
+          price,
+          1,
+          startTime,
+          startTime + 3600,
+          600
+        );
+      await market.connect(bob).bid(0, price, { value: price });
+
+      await expectRevert(
+        market.connect(alice).removeFlaggedAuctions([0]),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+      await expectRevert(
+        market.connect(marketAdmin).removeFlaggedAuctions([0]),
+        ERRORS.TOKEN_NOT_FLAGGED
+      );
+
+      await nftList.connect(marketAdmin).flagToken(erc721.address, 2, reason);
+      await expect(() =>
+        market.connect(marketAdmin).removeFlaggedAuctions([0])
+      ).to.changeEtherBalance(bob, price);
+
+      expect(await erc721.ownerOf(2)).to.be.equal(alice.address);
+      expect((await auctionList.getAuctionById(0)).isActive).to.be.equal(false);
+    });
+  });
+});
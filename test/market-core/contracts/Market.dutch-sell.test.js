@@ -0,0 +1,299 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC1155,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, vault, market, sellOrderList;
+  let moma;
+  let deployer, marketAdmin, alice, bob;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+  let setNextBlockTimestamp = async (timestamp) => {
+    await ethers.provider.send('evm_setNextBlockTimestamp', [timestamp]);
+  };
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    vault = modules.vaultProxy;
+    market = modules.marketProxy;
+    sellOrderList = modules.sellOrderListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+  });
+
+  describe('User calls createDutchSellOrder fail cause invalid parameters', async () => {
+    let erc721;
+    let tokenId = '0';
+    let startTime, endTime;
+    beforeEach(async () => {
+      erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+
+      await nftList.connect(deployer).registerNFT(erc721.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+
+      await erc721.connect(deployer).mint(alice.address, tokenId);
+      await erc721.connect(alice).setApprovalForAll(market.address, true);
+
+      startTime = parseInt(await time.latest());
+      endTime = startTime + 1000;
+    });
+
+    it('User calls createDutchSellOrder fail cause end price is zero', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createDutchSellOrder(
+            erc721.address,
+            tokenId,
+            '1',
+            '1000',
+            '0',
+            ETH_ADDRESS,
+            startTime,
+            endTime
+          ),
+        ERRORS.PRICE_IS_ZERO
+      );
+    });
+
+    it('User calls createDutchSellOrder fail cause price does not decay', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createDutchSellOrder(
+            erc721.address,
+            tokenId,
+            '1',
+            '1000',
+            '1000',
+            ETH_ADDRESS,
+            startTime,
+            endTime
+          ),
+        ERRORS.INVALID_PRICE_CURVE
+      );
+    });
+
+    it('User calls createDutchSellOrder fail cause invalid decay time', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createDutchSellOrder(
+            erc721.address,
+            tokenId,
+            '1',
+            '2000',
+            '1000',
+            ETH_ADDRESS,
+            endTime,
+            startTime
+          ),
+        ERRORS.INVALID_PRICE_CURVE
+      );
+    });
+  });
+
+  describe('Alice createDutchSellOrder (with ERC721 and ETH) successfully', async () => {
+    let erc721;
+    let tokenId = 0;
+    let startPrice = 2000000;
+    let endPrice = 1000000;
+    let startTime, endTime;
+    beforeEach(async () => {
+      erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+
+      await nftList.connect(deployer).registerNFT(erc721.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+
+      await erc721.connect(deployer).mint(alice.address, tokenId);
+      await erc721.connect(alice).setApprovalForAll(market.address, true);
+
+      startTime = parseInt(await time.latest()) + 100;
+      endTime = startTime + 1000;
+
+      await market
+        .connect(alice)
+        .createDutchSellOrder(
+          erc721.address,
+          tokenId,
+          '1',
+          startPrice,
+          endPrice,
+          ETH_ADDRESS,
+          startTime,
+          endTime
+        );
+    });
+
+    it('Check sell order info by getSellOrderById', async () => {
+      let sellOrderInfo = await sellOrderList.getSellOrderById(0);
+      expect(sellOrderInfo.nftAddress).to.be.equal(erc721.address);
+      expect(sellOrderInfo.seller).to.be.equal(alice.address);
+      expect(sellOrderInfo.price).to.be.equal(startPrice);
+      expect(sellOrderInfo.isActive).to.be.equal(true);
+
+      let sellOrderOptions = await sellOrderList.getSellOrderOptionsById(0);
+      expect(sellOrderOptions.endPrice).to.be.equal(endPrice);
+      expect(sellOrderOptions.decayStartTime).to.be.equal(startTime);
+      expect(sellOrderOptions.decayEndTime).to.be.equal(endTime);
+
+      expect(await erc721.ownerOf(tokenId)).to.be.equal(market.address);
+    });
+
+    it('Check current price decays over time', async () => {
+      expect(await sellOrderList.getCurrentPrice(0)).to.be.equal(startPrice);
+
+      await time.increaseTo(startTime + 500);
+      expect(await sellOrderList.getCurrentPrice(0)).to.be.equal((startPrice + endPrice) / 2);
+
+      await time.increaseTo(endTime + 100);
+      expect(await sellOrderList.getCurrentPrice(0)).to.be.equal(endPrice);
+    });
+
+    it('Current price of a fixed price sell order does not change', async () => {
+      await erc721.connect(deployer).mint(alice.address, 1);
+      await market.connect(alice).createSellOrder(erc721.address, 1, '1', startPrice, ETH_ADDRESS);
+
+      await time.increaseTo(endTime + 100);
+      expect(await sellOrderList.getCurrentPrice(1)).to.be.equal(startPrice);
+    });
+
+    it('User calls buy fail cause msg.value is less than current price', async () => {
+      await setNextBlockTimestamp(startTime + 500);
+
+      await expectRevert(
+        market.connect(bob).buy('0', '1', bob.address, '0x', {
+          value: (startPrice + endPrice) / 2 - 1,
+        }),
+        ERRORS.VALUE_LESS_THAN_PRICE
+      );
+    });
+
+    it('User calls updatePrice fail cause new price is not greater than end price', async () => {
+      await expectRevert(
+        market.connect(alice).updatePrice('0', endPrice),
+        ERRORS.INVALID_PRICE_CURVE
+      );
+    });
+
+    describe('User calls buy successfully at the middle of decay', async () => {
+      let aliceBeforeBalance, bobBeforeBalance, gasCost;
+      let currentPrice = (startPrice + endPrice) / 2;
+      beforeEach(async () => {
+        aliceBeforeBalance = await ethers.provider.getBalance(alice.address);
+        bobBeforeBalance = await ethers.provider.getBalance(bob.address);
+
+        await setNextBlockTimestamp(startTime + 500);
+        let tx = await market.connect(bob).buy('0', '1', bob.address, '0x', { value: startPrice });
+        let receipt = await tx.wait();
+        gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+      });
+
+      it('Check balance and ownership', async () => {
+        let aliceAfterBalance = await ethers.provider.getBalance(alice.address);
+        let bobAfterBalance = await ethers.provider.getBalance(bob.address);
+
+        expect(aliceAfterBalance.sub(aliceBeforeBalance)).to.be.equal(
+          currentPrice - (currentPrice * 25) / 1000
+        );
+        expect(bobBeforeBalance.sub(bobAfterBalance).sub(gasCost)).to.be.equal(currentPrice);
+        expect(await erc721.ownerOf(tokenId)).to.be.equal(bob.address);
+        expect(await ethers.provider.getBalance(vault.address)).to.be.equal(
+          (currentPrice * 25) / 1000
+        );
+        expect(await ethers.provider.getBalance(market.address)).to.be.equal(0);
+      });
+
+      it('Check sellOrderInfo', async () => {
+        let sellOrderInfo = await sellOrderList.getSellOrderById(0);
+        expect(sellOrderInfo.soldAmount).to.be.equal(1);
+        expect(sellOrderInfo.isActive).to.be.equal(false);
+        expect(sellOrderInfo.buyers).to.be.include(bob.address);
+      });
+    });
+  });
+
+  describe('Alice createDutchSellOrder (with ERC1155 and moma) successfully', async () => {
+    let erc1155;
+    let tokenId = 0;
+    let amount = 10;
+    let startPrice = 2000000;
+    let endPrice = 1000000;
+    let startTime, endTime;
+    beforeEach(async () => {
+      erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+
+      await nftList.connect(deployer).registerNFT(erc1155.address, true);
+      await nftList.connect(marketAdmin).acceptNFT(erc1155.address);
+
+      await erc1155.connect(deployer).mint(alice.address, tokenId, amount, '0x');
+      await erc1155.connect(alice).setApprovalForAll(market.address, true);
+
+      startTime = parseInt(await time.latest()) + 100;
+      endTime = startTime + 1000;
+
+      await market
+        .connect(alice)
+        .createDutchSellOrder(
+          erc1155.address,
+          tokenId,
+          amount,
+          startPrice,
+          endPrice,
+          moma.address,
+          startTime,
+          endTime
+        );
+
+      await moma.connect(deployer).mint(bob.address, startPrice * amount);
+      await moma.connect(bob).approve(market.address, startPrice * amount);
+    });
+
+    it('Partial fills use the decayed unit price', async () => {
+      let firstPrice = startPrice - (startPrice - endPrice) / 4;
+
+      await setNextBlockTimestamp(startTime + 250);
+      await market.connect(bob).buy('0', '4', bob.address, '0x');
+
+      expect(await erc1155.balanceOf(bob.address, tokenId)).to.be.equal(4);
+      expect(await moma.balanceOf(alice.address)).to.be.equal(
+        4 * firstPrice - (4 * firstPrice * 1) / 100
+      );
+
+      await setNextBlockTimestamp(endTime + 100);
+      await market.connect(bob).buy('0', '6', bob.address, '0x');
+
+      expect(await erc1155.balanceOf(bob.address, tokenId)).to.be.equal(amount);
+      expect(await moma.balanceOf(bob.address)).to.be.equal(
+        startPrice * amount - 4 * firstPrice - 6 * endPrice
+      );
+      expect(await moma.balanceOf(vault.address)).to.be.equal(
+        (4 * firstPrice * 1) / 100 + (6 * endPrice * 1) / 100
+      );
+
+      let sellOrderInfo = await sellOrderList.getSellOrderById(0);
+      expect(sellOrderInfo.soldAmount).to.be.equal(amount);
+      expect(sellOrderInfo.isActive).to.be.equal(false);
+    });
+  });
+});
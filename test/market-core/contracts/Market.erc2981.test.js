@@ -0,0 +1,181 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, vault;
+  let moma, erc721, erc2981;
+  let deployer, marketAdmin, alice, bob, creator;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let price = ethers.utils.parseEther('1');
+  let fee = price.mul(25).div(1000);
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, creator] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    vault = modules.vaultProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+
+    // ERC-2981 collection paying 5% to creator
+    let TestERC2981 = await ethers.getContractFactory('TestERC2981');
+    erc2981 = await TestERC2981.connect(deployer).deploy('TestERC2981', 'TestERC2981');
+    await erc2981.connect(deployer).setRoyalty(creator.address, 500);
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+
+    for (let nft of [erc2981, erc721]) {
+      await nftList.connect(deployer).registerNFT(nft.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(nft.address);
+      await nft.connect(deployer).mint(alice.address, 0);
+      await nft.connect(alice).setApprovalForAll(market.address, true);
+    }
+
+    // Sell order 0 is ERC-2981 nft, sell order 1 is regular nft
+    await market.connect(alice).createSellOrder(erc2981.address, 0, 1, price, ETH_ADDRESS);
+    await market.connect(alice).createSellOrder(erc721.address, 0, 1, price, ETH_ADDRESS);
+  });
+
+  describe('Admin sets ERC-2981 royalty cap', async () => {
+    it('User calls setErc2981RoyaltyCap fail cause he is not market admin', async () => {
+      await expectRevert(
+        vault.connect(alice).setErc2981RoyaltyCap(10, 100),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+    });
+
+    it('Admin calls setErc2981RoyaltyCap fail cause numerator is greater than denominator', async () => {
+      await expectRevert(
+        vault.connect(marketAdmin).setErc2981RoyaltyCap(101, 100),
+        ERRORS.DEMONINATOR_NOT_GREATER_THAN_NUMERATOR
+      );
+    });
+
+    it('Admin calls setErc2981RoyaltyCap successfully', async () => {
+      await expect(vault.connect(marketAdmin).setErc2981RoyaltyCap(10, 100))
+        .to.emit(vault, 'Erc2981RoyaltyCapUpdated')
+        .withArgs(10, 100);
+
+      let cap = await vault.getErc2981RoyaltyCap();
+      expect(cap[0]).to.be.equal(10);
+      expect(cap[1]).to.be.equal(100);
+    });
+  });
+
+  describe('ERC-2981 royalty is off', async () => {
+    it('Royalty is shared from the fee as before', async () => {
+      let royalty = await vault.getErc2981Royalty(erc2981.address, 0, price);
+      expect(royalty.receiver).to.be.equal(ETH_ADDRESS);
+      expect(royalty.royaltyAmount).to.be.equal(0);
+
+      await expect(() =>
+        market.connect(bob).buy(0, 1, bob.address, '0x', { value: price })
+      ).to.changeEtherBalances([alice, creator, vault], [price.sub(fee), 0, fee]);
+
+      expect(await vault.getRoyalty(erc2981.address, ETH_ADDRESS)).to.be.equal(fee.div(5));
+    });
+  });
+
+  describe('ERC-2981 royalty is on', async () => {
+    beforeEach(async () => {
+      await vault.connect(marketAdmin).setErc2981RoyaltyCap(10, 100);
+    });
+
+    it('Creator is paid royalty from the sale price on top of the fee', async () => {
+      let royalty = price.mul(5).div(100);
+
+      await expect(() =>
+        market.connect(bob).buy(0, 1, bob.address, '0x', { value: price })
+      ).to.changeEtherBalances(
+        [alice, creator, vault],
+        [price.sub(fee).sub(royalty), royalty, fee]
+      );
+
+      expect(await vault.getRoyalty(erc2981.address, ETH_ADDRESS)).to.be.equal(0);
+      expect(await vault.getMochiFund(ETH_ADDRESS)).to.be.equal(fee);
+    });
+
+    it('Royalty paid event is emitted', async () => {
+      await expect(market.connect(bob).buy(0, 1, bob.address, '0x', { value: price }))
+        .to.emit(market, 'Erc2981RoyaltyPaid')
+        .withArgs(erc2981.address, 0, creator.address, ETH_ADDRESS, price.mul(5).div(100));
+    });
+
+    it('Royalty above the cap is capped', async () => {
+      await erc2981.connect(deployer).setRoyalty(creator.address, 5000);
+      let royalty = await vault.getErc2981Royalty(erc2981.address, 0, price);
+      expect(royalty.receiver).to.be.equal(creator.address);
+      expect(royalty.royaltyAmount).to.be.equal(price.div(10));
+
+      await expect(() =>
+        market.connect(bob).buy(0, 1, bob.address, '0x', { value: price })
+      ).to.changeEtherBalances(
+        [alice, creator],
+        [price.sub(fee).sub(price.div(10)), price.div(10)]
+      );
+    });
+
+    it('Creator is paid royalty in token of sell order', async () => {
+      await erc2981.connect(deployer).mint(alice.address, 1);
+      await market.connect(alice).createSellOrder(erc2981.address, 1, 1, price, moma.address);
+      await moma.connect(deployer).mint(bob.address, price);
+      await moma.connect(bob).approve(market.address, price);
+
+      await market.connect(bob).buy(2, 1, bob.address, '0x');
+
+      let momaFee = price.div(100);
+      let royalty = price.mul(5).div(100);
+      expect(await moma.balanceOf(creator.address)).to.be.equal(royalty);
+      expect(await moma.balanceOf(alice.address)).to.be.equal(price.sub(momaFee).sub(royalty));
+      expect(await moma.balanceOf(vault.address)).to.be.equal(momaFee);
+    });
+
+    it('Collection without ERC-2981 falls back to the royalty shared from the fee', async () => {
+      await expect(() =>
+        market.connect(bob).buy(1, 1, bob.address, '0x', { value: price })
+      ).to.changeEtherBalances([alice, vault], [price.sub(fee), fee]);
+
+      expect(await vault.getRoyalty(erc721.address, ETH_ADDRESS)).to.be.equal(fee.div(5));
+    });
+
+    it('Zero royalty receiver falls back to the royalty shared from the fee', async () => {
+      await erc2981.connect(deployer).setRoyalty(ETH_ADDRESS, 500);
+
+      await expect(() =>
+        market.connect(bob).buy(0, 1, bob.address, '0x', { value: price })
+      ).to.changeEtherBalances([alice, creator, vault], [price.sub(fee), 0, fee]);
+
+      expect(await vault.getRoyalty(erc2981.address, ETH_ADDRESS)).to.be.equal(fee.div(5));
+      expect(await vault.getMochiFund(ETH_ADDRESS)).to.be.equal(fee.sub(fee.div(5)));
+    });
+
+    it('Reverting royaltyInfo falls back to the royalty shared from the fee', async () => {
+      await erc2981.connect(deployer).setRoyaltyInfoReverted(true);
+
+      await expect(() =>
+        market.connect(bob).buy(0, 1, bob.address, '0x', { value: price })
+      ).to.changeEtherBalances([alice, creator, vault], [price.sub(fee), 0, fee]);
+
+      expect(await vault.getRoyalty(erc2981.address, ETH_ADDRESS)).to.be.equal(fee.div(5));
+      expect(await vault.getMochiFund(ETH_ADDRESS)).to.be.equal(fee.sub(fee.div(5)));
+    });
+  });
+});
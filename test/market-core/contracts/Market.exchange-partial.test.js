@@ -0,0 +1,158 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC1155,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS, REGULAR_FEE, MOMA_FEE } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, exchangeOrderList;
+  let moma, usdt, erc1155, erc1155B;
+  let deployer, marketAdmin, alice, bob, carol;
+  let topUp = ethers.utils.parseEther('10');
+  let price = ethers.utils.parseEther('5');
+
+  let fillShare = (total, amount) => total.mul(amount).div(10);
+  let afterFee = (value, fee) => value.sub(value.mul(fee.NUMERATOR).div(fee.DENOMINATOR));
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+    usdt = await deployTestERC20(deployer, 'Tether USD', 'USDT');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    exchangeOrderList = modules.exchangeOrderListProxy;
+
+    await market.connect(marketAdmin).acceptToken(moma.address);
+    await market.connect(marketAdmin).acceptToken(usdt.address);
+
+    erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+    erc1155B = await deployTestERC1155(deployer, 'TestERC1155B');
+
+    for (let nft of [erc1155, erc1155B]) {
+      await nftList.connect(deployer).registerNFT(nft.address, true);
+      await nftList.connect(marketAdmin).acceptNFT(nft.address);
+    }
+    await erc1155.connect(deployer).mint(alice.address, 0, 10, '0x');
+    await erc1155.connect(alice).setApprovalForAll(market.address, true);
+    await moma.connect(deployer).mint(alice.address, topUp);
+    await moma.connect(alice).approve(market.address, ethers.constants.MaxUint256);
+
+    for (let user of [bob, carol]) {
+      await erc1155B.connect(deployer).mint(user.address, 0, 5, '0x');
+      await erc1155B.connect(user).setApprovalForAll(market.address, true);
+      await usdt.connect(deployer).mint(user.address, price);
+      await usdt.connect(user).approve(market.address, ethers.constants.MaxUint256);
+    }
+
+    // Alice offers 10 ERC1155 #0 + 10 MOMA for 5 ERC1155B #0 + 5 USDT
+    await market
+      .connect(alice)
+      .createExchangeOrder(
+        [erc1155.address, erc1155B.address],
+        [0, 0],
+        [10, 5],
+        [moma.address, usdt.address],
+        [topUp, price],
+        [alice.address],
+        ['0x', '0x']
+      );
+  });
+
+  describe('Buyers exchange part of an ERC1155 exchange order', async () => {
+    it('User calls exchangePartially fail cause amount is zero', async () => {
+      await expectRevert(
+        market.connect(bob).exchangePartially(0, 1, 0, bob.address, '0x'),
+        ERRORS.AMOUNT_IS_ZERO
+      );
+    });
+
+    it('User calls exchangePartially fail cause destination nft is not given in whole units', async () => {
+      await expectRevert(
+        market.connect(bob).exchangePartially(0, 1, 3, bob.address, '0x'),
+        ERRORS.INVALID_FILL_AMOUNT
+      );
+    });
+
+    it('Bob exchanges 4 units, pays and receives in proportion', async () => {
+      await expect(market.connect(bob).exchangePartially(0, 1, 4, bob.address, '0x'))
+        .to.emit(exchangeOrderList, 'ExchangeOrderCompleted')
+        .withArgs(
+          0,
+          alice.address,
+          bob.address,
+          erc1155.address,
+          0,
+          4,
+          fillShare(price, 4),
+          erc1155B.address,
+          0,
+          2
+        );
+
+      expect(await erc1155.balanceOf(bob.address, 0)).to.be.equal(4);
+      expect(await erc1155B.balanceOf(alice.address, 0)).to.be.equal(2);
+      expect(await usdt.balanceOf(alice.address)).to.be.equal(
+        afterFee(fillShare(price, 4), REGULAR_FEE)
+      );
+      expect(await moma.balanceOf(bob.address)).to.be.equal(
+        afterFee(fillShare(topUp, 4), MOMA_FEE)
+      );
+
+      let exchangeOrderInfo = await exchangeOrderList.getExchangeOrderById(0);
+      expect(exchangeOrderInfo.soldAmount).to.be.equal(4);
+      expect(exchangeOrderInfo.isActive).to.be.equal(true);
+    });
+
+    describe('After Bob exchanges 4 units', async () => {
+      beforeEach(async () => {
+        await market.connect(bob).exchangePartially(0, 1, 4, bob.address, '0x');
+      });
+
+      it('User calls exchangePartially fail cause amount exceeds the amount left', async () => {
+        await expectRevert(
+          market.connect(carol).exchangePartially(0, 1, 8, carol.address, '0x'),
+          ERRORS.AMOUNT_IS_NOT_ENOUGH
+        );
+      });
+
+      it('Carol exchanges the amount left and the order is completed', async () => {
+        await market.connect(carol).exchange(0, 1, carol.address, '0x');
+
+        expect(await erc1155.balanceOf(carol.address, 0)).to.be.equal(6);
+        expect(await erc1155B.balanceOf(alice.address, 0)).to.be.equal(5);
+        expect(await usdt.balanceOf(carol.address)).to.be.equal(price.sub(fillShare(price, 6)));
+        expect(await moma.balanceOf(market.address)).to.be.equal(0);
+
+        let exchangeOrderInfo = await exchangeOrderList.getExchangeOrderById(0);
+        expect(exchangeOrderInfo.soldAmount).to.be.equal(10);
+        expect(exchangeOrderInfo.isActive).to.be.equal(false);
+        expect(
+          (await exchangeOrderList.getAvailableExchangeOrdersIdList()).resultERC1155
+        ).to.be.deep.equal([]);
+      });
+
+      it('Alice cancels and receives the units and the top-up left', async () => {
+        await market.connect(alice).cancelExchangeOrder(0);
+
+        expect(await erc1155.balanceOf(alice.address, 0)).to.be.equal(6);
+        expect(await moma.balanceOf(alice.address)).to.be.equal(fillShare(topUp, 6));
+        expect(await moma.balanceOf(market.address)).to.be.equal(0);
+        expect((await exchangeOrderList.getExchangeOrderById(0)).isActive).to.be.equal(false);
+      });
+    });
+  });
+});
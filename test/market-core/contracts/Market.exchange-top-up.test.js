@@ -0,0 +1,231 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC20,
+  deployExchangeOrderListImpl,
+} = require('../helpers');
+const { ERRORS, REGULAR_FEE, MOMA_FEE } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, vault, exchangeOrderList;
+  let moma, usdt, erc721, erc721B, erc721C;
+  let deployer, marketAdmin, alice, bob;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let topUp = ethers.utils.parseEther('10');
+  let price = ethers.utils.parseEther('1');
+  let topUpFee = topUp.mul(MOMA_FEE.NUMERATOR).div(MOMA_FEE.DENOMINATOR);
+  let priceFee = price.mul(REGULAR_FEE.NUMERATOR).div(REGULAR_FEE.DENOMINATOR);
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+    usdt = await deployTestERC20(deployer, 'Tether USD', 'USDT');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    vault = modules.vaultProxy;
+    exchangeOrderList = modules.exchangeOrderListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+    await market.connect(marketAdmin).acceptToken(usdt.address);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc721B = await deployTestERC721(deployer, 'TestERC721B', 'TestERC721B');
+    erc721C = await deployTestERC721(deployer, 'TestERC721C', 'TestERC721C');
+
+    for (let nft of [erc721, erc721B, erc721C]) {
+      await nftList.connect(deployer).registerNFT(nft.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(nft.address);
+    }
+    await erc721.connect(deployer).mint(alice.address, 0);
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc721B.connect(deployer).mint(bob.address, 0);
+    await erc721C.connect(deployer).mint(bob.address, 0);
+    await erc721B.connect(bob).setApprovalForAll(market.address, true);
+    await erc721C.connect(bob).setApprovalForAll(market.address, true);
+
+    await moma.connect(deployer).mint(alice.address, topUp);
+    await moma.connect(alice).approve(market.address, ethers.constants.MaxUint256);
+    await usdt.connect(deployer).mint(bob.address, price);
+    await usdt.connect(bob).approve(market.address, ethers.constants.MaxUint256);
+  });
+
+  describe('Seller pays a top-up with the source nft', async () => {
+    it('User calls createExchangeOrder fail cause msg.value is not equal top-up', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createExchangeOrder(
+            [erc721.address, erc721B.address],
+            [0, 0],
+            [1, 1],
+            [ETH_ADDRESS, ETH_ADDRESS],
+            [price, 0],
+            [alice.address],
+            ['0x', '0x'],
+            { value: price.sub(1) }
+          ),
+        ERRORS.VALUE_NOT_EQUAL_PRICE
+      );
+    });
+
+    it('User calls createExchangeOrder fail cause top-up token is not accepted', async () => {
+      await market.connect(marketAdmin).revokeToken(moma.address);
+
+      await expectRevert(
+        market
+          .connect(alice)
+          .createExchangeOrder(
+            [erc721.address, erc721B.address],
+            [0, 0],
+            [1, 1],
+            [moma.address, ETH_ADDRESS],
+            [topUp, 0],
+            [alice.address],
+            ['0x', '0x']
+          ),
+        ERRORS.TOKEN_NOT_ACCEPTED
+      );
+    });
+
+    describe('Alice offers ERC721 #0 + 10 MOMA for ERC721B #0 + 1 USDT', async () => {
+      beforeEach(async () => {
+        await market
+          .connect(alice)
+          .createExchangeOrder(
+            [erc721.address, erc721B.address],
+            [0, 0],
+            [1, 1],
+            [moma.address, usdt.address],
+            [topUp, price],
+            [alice.address],
+            ['0x', '0x']
+          );
+      });
+
+      it('The top-up is escrowed by Market', async () => {
+        expect(await moma.balanceOf(market.address)).to.be.equal(topUp);
+        expect(await moma.balanceOf(alice.address)).to.be.equal(0);
+      });
+
+      it('Bob exchanges and the fee is taken in both directions', async () => {
+        await market.connect(bob).exchange(0, 1, bob.address, '0x');
+
+        expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+        expect(await erc721B.ownerOf(0)).to.be.equal(alice.address);
+        expect(await moma.balanceOf(bob.address)).to.be.equal(topUp.sub(topUpFee));
+        expect(await moma.balanceOf(vault.address)).to.be.equal(topUpFee);
+        expect(await usdt.balanceOf(alice.address)).to.be.equal(price.sub(priceFee));
+        expect(await usdt.balanceOf(vault.address)).to.be.equal(priceFee);
+        expect(await moma.balanceOf(market.address)).to.be.equal(0);
+      });
+
+      it('Alice cancels and receives her top-up back', async () => {
+        await market.connect(alice).cancelExchangeOrder(0);
+
+        expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+        expect(await moma.balanceOf(alice.address)).to.be.equal(topUp);
+      });
+
+      it('Alice accepts a counter offer and Bob receives her top-up', async () => {
+        await market.connect(bob).makeCounterOffer(0, erc721C.address, 0, 1, ETH_ADDRESS, 0);
+        await market.connect(alice).acceptCounterOffer(0);
+
+        expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+        expect(await erc721C.ownerOf(0)).to.be.equal(alice.address);
+        expect(await moma.balanceOf(bob.address)).to.be.equal(topUp.sub(topUpFee));
+      });
+    });
+
+    it('Alice pays a native coin top-up which Bob receives on exchange', async () => {
+      await market
+        .connect(alice)
+        .createExchangeOrder(
+          [erc721.address, erc721B.address],
+          [0, 0],
+          [1, 1],
+          [ETH_ADDRESS, ETH_ADDRESS],
+          [price, 0],
+          [alice.address],
+          ['0x', '0x'],
+          { value: price }
+        );
+
+      await expect(() =>
+        market.connect(bob).exchange(0, 1, bob.address, '0x')
+      ).to.changeEtherBalances([bob, vault], [price.sub(priceFee), priceFee]);
+    });
+  });
+
+  describe('Exchange order created before top-ups with a price on the source nft', async () => {
+    beforeEach(async () => {
+      // The first ExchangeOrderList ignored the source price, which was never escrowed
+      let TestExchangeOrderListV1 = await ethers.getContractFactory('TestExchangeOrderListV1');
+      let exchangeOrderListV1 = await TestExchangeOrderListV1.connect(deployer).deploy();
+      await addressesProvider
+        .connect(deployer)
+        .setExchangeOrderListImpl(exchangeOrderListV1.address, '0x');
+      exchangeOrderListV1 = TestExchangeOrderListV1.attach(exchangeOrderList.address);
+
+      let MARKET = await addressesProvider.MARKET();
+      await addressesProvider.connect(deployer).setAddress(MARKET, deployer.address);
+      await exchangeOrderListV1
+        .connect(deployer)
+        .addExchangeOrder(
+          [erc721.address, erc721B.address],
+          [0, 0],
+          [1, 1],
+          [moma.address, usdt.address],
+          [topUp, price],
+          [alice.address],
+          ['0x', '0x']
+        );
+      await erc721.connect(alice).transferFrom(alice.address, market.address, 0);
+      await addressesProvider.connect(deployer).setAddress(MARKET, market.address);
+
+      let exchangeOrderListImpl = await deployExchangeOrderListImpl(deployer);
+      await addressesProvider
+        .connect(deployer)
+        .setExchangeOrderListImpl(exchangeOrderListImpl.address, '0x');
+
+      // Top-ups escrowed by other exchange orders
+      await moma.connect(deployer).mint(market.address, topUp);
+    });
+
+    it('The source price is not treated as an escrowed top-up', async () => {
+      let options = await exchangeOrderList.getExchangeOrderOptionsById(0);
+      expect(options.isTopUpEscrowed).to.be.equal(false);
+    });
+
+    it('Alice cancels and receives only her nft back', async () => {
+      await market.connect(alice).cancelExchangeOrder(0);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+      expect(await moma.balanceOf(alice.address)).to.be.equal(topUp);
+      expect(await moma.balanceOf(market.address)).to.be.equal(topUp);
+    });
+
+    it('Bob exchanges and receives no top-up', async () => {
+      await market.connect(bob).exchange(0, 1, bob.address, '0x');
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await erc721B.ownerOf(0)).to.be.equal(alice.address);
+      expect(await moma.balanceOf(bob.address)).to.be.equal(0);
+      expect(await moma.balanceOf(market.address)).to.be.equal(topUp);
+      expect(await usdt.balanceOf(alice.address)).to.be.equal(price.sub(priceFee));
+    });
+  });
+});
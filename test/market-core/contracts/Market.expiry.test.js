@@ -0,0 +1,266 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC1155,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, sellOrderList, exchangeOrderList;
+  let moma, erc721, erc1155;
+  let deployer, marketAdmin, alice, bob, carol;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let expiry;
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    sellOrderList = modules.sellOrderListProxy;
+    exchangeOrderList = modules.exchangeOrderListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+
+    await nftList.connect(deployer).registerNFT(erc721.address, false);
+    await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+    await nftList.connect(deployer).registerNFT(erc1155.address, true);
+    await nftList.connect(marketAdmin).acceptNFT(erc1155.address);
+
+    await erc721.connect(deployer).mint(alice.address, 0);
+    await erc721.connect(deployer).mint(bob.address, 1);
+    await erc1155.connect(deployer).mint(alice.address, 0, 10, '0x');
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc721.connect(bob).setApprovalForAll(market.address, true);
+    await erc1155.connect(alice).setApprovalForAll(market.address, true);
+
+    // Sell order 0: 10 ERC1155 #0 for 100 wei each
+    await market.connect(alice).createSellOrder(erc1155.address, 0, 10, 100, ETH_ADDRESS);
+    // Exchange order 0: ERC721 #0 for ERC721 #1
+    await market
+      .connect(alice)
+      .createExchangeOrder(
+        [erc721.address, erc721.address],
+        [0, 1],
+        [1, 1],
+        [ETH_ADDRESS, ETH_ADDRESS],
+        [0, 0],
+        [alice.address],
+        ['0x', '0x']
+      );
+
+    expiry = parseInt(await time.latest()) + 3600;
+  });
+
+  describe('User calls updateSellOrderExpiry and updateExchangeOrderExpiry fail', async () => {
+    it('User calls updateSellOrderExpiry fail cause he is not seller', async () => {
+      await expectRevert(
+        market.connect(bob).updateSellOrderExpiry(0, expiry),
+        ERRORS.CALLER_NOT_SELLER
+      );
+    });
+
+    it('User calls updateSellOrderExpiry fail cause expiry is in the past', async () => {
+      await expectRevert(
+        market.connect(alice).updateSellOrderExpiry(0, expiry - 7200),
+        ERRORS.INVALID_EXPIRY
+      );
+    });
+
+    it('User calls updateExchangeOrderExpiry fail cause he is not seller', async () => {
+      await expectRevert(
+        market.connect(bob).updateExchangeOrderExpiry(0, expiry),
+        ERRORS.CALLER_NOT_SELLER
+      );
+    });
+
+    it('User calls updateExchangeOrderExpiry fail cause exchange order is not active', async () => {
+      await market.connect(alice).cancelExchangeOrder(0);
+      await expectRevert(
+        market.connect(alice).updateExchangeOrderExpiry(0, expiry),
+        ERRORS.EXCHANGE_ORDER_NOT_ACTIVE
+      );
+    });
+  });
+
+  describe('Alice creates orders with expiry', async () => {
+    let createExchangeOrderWithExpiry = (expiry) =>
+      market
+        .connect(alice)
+        .createExchangeOrderWithExpiry(
+          [erc721.address, erc721.address],
+          [3, 1],
+          [1, 1],
+          [ETH_ADDRESS, ETH_ADDRESS],
+          [0, 0],
+          [alice.address],
+          ['0x', '0x'],
+          expiry
+        );
+
+    beforeEach(async () => {
+      await erc721.connect(deployer).mint(alice.address, 2);
+      await erc721.connect(deployer).mint(alice.address, 3);
+    });
+
+    it('User creates orders with expiry fail cause expiry is in the past', async () => {
+      let past = parseInt(await time.latest());
+      await expectRevert(
+        market
+          .connect(alice)
+          .createSellOrderWithExpiry(erc721.address, 2, 1, 100, ETH_ADDRESS, past),
+        ERRORS.INVALID_EXPIRY
+      );
+      await expectRevert(createExchangeOrderWithExpiry(past), ERRORS.INVALID_EXPIRY);
+    });
+
+    it('Alice creates orders with expiry successfully', async () => {
+      await market
+        .connect(alice)
+        .createSellOrderWithExpiry(erc721.address, 2, 1, 100, ETH_ADDRESS, expiry);
+      await createExchangeOrderWithExpiry(expiry);
+
+      expect(await erc721.ownerOf(2)).to.be.equal(market.address);
+      expect(await erc721.ownerOf(3)).to.be.equal(market.address);
+      expect((await sellOrderList.getSellOrderOptionsById(1)).expiry).to.be.equal(expiry);
+      expect((await exchangeOrderList.getExchangeOrderOptionsById(1)).expiry).to.be.equal(expiry);
+
+      await time.increaseTo(expiry);
+      await expectRevert(
+        market.connect(bob).buy(1, 1, bob.address, '0x', { value: 100 }),
+        ERRORS.SELL_ORDER_EXPIRED
+      );
+    });
+  });
+
+  describe('Alice sets expiry of her orders successfully', async () => {
+    beforeEach(async () => {
+      await market.connect(alice).updateSellOrderExpiry(0, expiry);
+      await market.connect(alice).updateExchangeOrderExpiry(0, expiry);
+    });
+
+    it('Check expiry', async () => {
+      expect((await sellOrderList.getSellOrderOptionsById(0)).expiry).to.be.equal(expiry);
+      expect((await exchangeOrderList.getExchangeOrderOptionsById(0)).expiry).to.be.equal(expiry);
+
+      let availableSellOrders = await sellOrderList.getAvailableSellOrdersIdList();
+      expect(availableSellOrders.resultERC1155.length).to.be.equal(1);
+      let availableExchangeOrders = await exchangeOrderList.getAvailableExchangeOrdersIdList();
+      expect(availableExchangeOrders.resultERC721.length).to.be.equal(1);
+    });
+
+    it('Orders can be bought before expiry', async () => {
+      await market.connect(bob).buy(0, 2, bob.address, '0x', { value: 200 });
+      await market.connect(bob).exchange(0, 1, bob.address, '0x');
+
+      expect(await erc1155.balanceOf(bob.address, 0)).to.be.equal(2);
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await erc721.ownerOf(1)).to.be.equal(alice.address);
+    });
+
+    it('Sweeping orders which are not expired does nothing', async () => {
+      await market.connect(carol).sweepExpiredOrders([0], [0]);
+
+      expect((await sellOrderList.getSellOrderById(0)).isActive).to.be.equal(true);
+      expect((await exchangeOrderList.getExchangeOrderById(0)).isActive).to.be.equal(true);
+      expect(await erc721.ownerOf(0)).to.be.equal(market.address);
+    });
+
+    it('Alice removes expiry successfully', async () => {
+      await market.connect(alice).updateSellOrderExpiry(0, 0);
+      await time.increaseTo(expiry);
+
+      await market.connect(bob).buy(0, 2, bob.address, '0x', { value: 200 });
+      expect(await erc1155.balanceOf(bob.address, 0)).to.be.equal(2);
+    });
+
+    describe('Orders expired', async () => {
+      beforeEach(async () => {
+        await market.connect(bob).buy(0, 4, bob.address, '0x', { value: 400 });
+        await time.increaseTo(expiry);
+      });
+
+      it('User calls buy fail cause sell order expired', async () => {
+        await expectRevert(
+          market.connect(bob).buy(0, 1, bob.address, '0x', { value: 100 }),
+          ERRORS.SELL_ORDER_EXPIRED
+        );
+      });
+
+      it('User calls batchBuy fail cause sell order expired', async () => {
+        await expectRevert(
+          market.connect(bob).batchBuy([0], [1], [ETH_ADDRESS], [100], bob.address, false, {
+            value: 100,
+          }),
+          ERRORS.SELL_ORDER_EXPIRED
+        );
+      });
+
+      it('User calls exchange fail cause exchange order expired', async () => {
+        await expectRevert(
+          market.connect(bob).exchange(0, 1, bob.address, '0x'),
+          ERRORS.EXCHANGE_ORDER_EXPIRED
+        );
+      });
+
+      it('Expired orders are left out of available order lists', async () => {
+        let availableSellOrders = await sellOrderList.getAvailableSellOrdersIdList();
+        expect(availableSellOrders.resultERC1155).to.deep.equal([]);
+        availableSellOrders = await sellOrderList.getAvailableSellOrdersIdListByUser(alice.address);
+        expect(availableSellOrders.resultERC1155).to.deep.equal([]);
+        expect(
+          await sellOrderList.getAvailableSellOrdersIdListByNftAddress(erc1155.address)
+        ).to.deep.equal([]);
+
+        let availableExchangeOrders = await exchangeOrderList.getAvailableExchangeOrdersIdList();
+        expect(availableExchangeOrders.resultERC721).to.deep.equal([]);
+        availableExchangeOrders = await exchangeOrderList.getAvailableExchangeOrdersIdListByUser(
+          alice.address
+        );
+        expect(availableExchangeOrders.resultERC721).to.deep.equal([]);
+        expect(
+          await exchangeOrderList.getAvailableExchangeOrdersIdListByNftAddress(erc721.address)
+        ).to.deep.equal([]);
+
+        // Orders are still active until they are swept
+        expect((await sellOrderList.getSellOrderById(0)).isActive).to.be.equal(true);
+        expect((await exchangeOrderList.getExchangeOrderById(0)).isActive).to.be.equal(true);
+      });
+
+      it('Anyone sweeps expired orders successfully', async () => {
+        await market.connect(carol).sweepExpiredOrders([0], [0]);
+
+        expect(await erc1155.balanceOf(alice.address, 0)).to.be.equal(6);
+        expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+
+        expect((await sellOrderList.getSellOrderById(0)).isActive).to.be.equal(false);
+        expect((await exchangeOrderList.getExchangeOrderById(0)).isActive).to.be.equal(false);
+
+        let availableSellOrders = await sellOrderList.getAvailableSellOrdersIdList();
+        expect(availableSellOrders.resultERC1155).to.deep.equal([]);
+        let availableExchangeOrders = await exchangeOrderList.getAvailableExchangeOrdersIdList();
+        expect(availableExchangeOrders.resultERC721).to.deep.equal([]);
+
+        // Orders already swept are skipped
+        await market.connect(carol).sweepExpiredOrders([0], [0]);
+      });
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, vault;
+  let moma, usdt, erc721, partnerNFT;
+  let deployer, marketAdmin, alice, bob;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let price = ethers.utils.parseEther('1');
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+    usdt = await deployTestERC20(deployer, 'Tether USD', 'USDT');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    vault = modules.vaultProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+    await market.connect(marketAdmin).acceptToken(usdt.address);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    partnerNFT = await deployTestERC721(deployer, 'PartnerNFT', 'PartnerNFT');
+
+    for (let nft of [erc721, partnerNFT]) {
+      await nftList.connect(deployer).registerNFT(nft.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(nft.address);
+      await nft.connect(deployer).mint(alice.address, 0);
+      await nft.connect(deployer).mint(alice.address, 1);
+      await nft.connect(alice).setApprovalForAll(market.address, true);
+    }
+
+    await usdt.connect(deployer).mint(bob.address, price.mul(10));
+    await usdt.connect(bob).approve(market.address, ethers.constants.MaxUint256);
+  });
+
+  describe('Admin sets fee overrides', async () => {
+    it('User calls setCollectionFee fail cause he is not market admin', async () => {
+      await expectRevert(
+        market.connect(alice).setCollectionFee(partnerNFT.address, 0, 100),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+    });
+
+    it('User calls setTokenFee fail cause he is not market admin', async () => {
+      await expectRevert(
+        market.connect(alice).setTokenFee(usdt.address, 1, 100),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+    });
+
+    it('Admin calls setCollectionFee fail cause numerator is greater than denominator', async () => {
+      await expectRevert(
+        market.connect(marketAdmin).setCollectionFee(partnerNFT.address, 101, 100),
+        ERRORS.DEMONINATOR_NOT_GREATER_THAN_NUMERATOR
+      );
+      await expectRevert(
+        market.connect(marketAdmin).setTokenFee(usdt.address, 0, 0),
+        ERRORS.DEMONINATOR_NOT_GREATER_THAN_NUMERATOR
+      );
+    });
+
+    it('Admin sets and removes fee overrides successfully', async () => {
+      await expect(market.connect(marketAdmin).setCollectionFee(partnerNFT.address, 0, 100))
+        .to.emit(market, 'CollectionFeeUpdated')
+        .withArgs(partnerNFT.address, 0, 100);
+      await expect(market.connect(marketAdmin).setTokenFee(usdt.address, 1, 100))
+        .to.emit(market, 'TokenFeeUpdated')
+        .withArgs(usdt.address, 1, 100);
+
+      let collectionFee = await market.getCollectionFee(partnerNFT.address);
+      expect(collectionFee.isSet).to.be.equal(true);
+      expect(collectionFee.denominator).to.be.equal(100);
+      expect((await market.getTokenFee(usdt.address)).numerator).to.be.equal(1);
+
+      await expect(market.connect(marketAdmin).removeCollectionFee(partnerNFT.address))
+        .to.emit(market, 'CollectionFeeRemoved')
+        .withArgs(partnerNFT.address);
+      await expect(market.connect(marketAdmin).removeTokenFee(usdt.address))
+        .to.emit(market, 'TokenFeeRemoved')
+        .withArgs(usdt.address);
+
+      expect((await market.getCollectionFee(partnerNFT.address)).isSet).to.be.equal(false);
+      expect((await market.getTokenFee(usdt.address)).isSet).to.be.equal(false);
+    });
+  });
+
+  describe('Fee is applied by priority', async () => {
+    beforeEach(async () => {
+      await market.connect(marketAdmin).setCollectionFee(partnerNFT.address, 0, 100);
+      await market.connect(marketAdmin).setTokenFee(usdt.address, 5, 1000);
+    });
+
+    it('getFee returns the fee by priority', async () => {
+      let fee = await market.getFee(partnerNFT.address, usdt.address);
+      expect(fee.numerator).to.be.equal(0);
+      expect(fee.denominator).to.be.equal(100);
+
+      fee = await market.getFee(erc721.address, usdt.address);
+      expect(fee.numerator).to.be.equal(5);
+      expect(fee.denominator).to.be.equal(1000);
+
+      fee = await market.getFee(erc721.address, moma.address);
+      expect(fee.numerator).to.be.equal(1);
+      expect(fee.denominator).to.be.equal(100);
+
+      fee = await market.getFee(erc721.address, ETH_ADDRESS);
+      expect(fee.numerator).to.be.equal(25);
+      expect(fee.denominator).to.be.equal(1000);
+    });
+
+    it('Collection fee overrides token fee', async () => {
+      await market.connect(alice).createSellOrder(partnerNFT.address, 0, 1, price, usdt.address);
+      await market.connect(bob).buy(0, 1, bob.address, '0x');
+
+      expect(await usdt.balanceOf(alice.address)).to.be.equal(price);
+      expect(await usdt.balanceOf(vault.address)).to.be.equal(0);
+    });
+
+    it('Token fee overrides regular fee', async () => {
+      await market.connect(alice).createSellOrder(erc721.address, 0, 1, price, usdt.address);
+      await market.connect(bob).buy(0, 1, bob.address, '0x');
+
+      let fee = price.mul(5).div(1000);
+      expect(await usdt.balanceOf(alice.address)).to.be.equal(price.sub(fee));
+      expect(await usdt.balanceOf(vault.address)).to.be.equal(fee);
+    });
+
+    it('Regular fee is applied without override', async () => {
+      await market.connect(alice).createSellOrder(erc721.address, 0, 1, price, ETH_ADDRESS);
+      let fee = price.mul(25).div(1000);
+
+      await expect(() =>
+        market.connect(bob).buy(0, 1, bob.address, '0x', { value: price })
+      ).to.changeEtherBalances([alice, vault], [price.sub(fee), fee]);
+    });
+
+    it('Bundle takes the token fee only', async () => {
+      await market
+        .connect(alice)
+        .createBundle([partnerNFT.address, erc721.address], [0, 0], [1, 1], price, usdt.address);
+      await market.connect(bob).buyBundle(0, bob.address);
+
+      let fee = price.mul(5).div(1000);
+      expect(await usdt.balanceOf(alice.address)).to.be.equal(price.sub(fee));
+    });
+  });
+});
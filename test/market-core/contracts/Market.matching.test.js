@@ -0,0 +1,223 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, vault, exchangeOrderList;
+  let moma, usdt, erc721, erc721B, erc721C;
+  let deployer, marketAdmin, alice, bob, carol;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let topUp = ethers.utils.parseEther('1');
+  // Regular fee is 25/1000, 20/100 of it goes to royalty and the matcher is credited 30/100 of
+  // it as referrer, MochiLab fund keeps the rest
+  let fee = topUp.mul(25).div(1000);
+  let forMatcher = fee.mul(30).div(100);
+  let forMochiLab = fee.sub(fee.mul(20).div(100)).sub(forMatcher);
+
+  let createExchangeOrder = (user, nftAddresses, prices) =>
+    market
+      .connect(user)
+      .createExchangeOrder(
+        nftAddresses,
+        [0, 0],
+        [1, 1],
+        [usdt.address, usdt.address],
+        prices,
+        [user.address],
+        ['0x', '0x']
+      );
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+    usdt = await deployTestERC20(deployer, 'Tether USD', 'USDT');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    vault = modules.vaultProxy;
+    exchangeOrderList = modules.exchangeOrderListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(usdt.address);
+    await vault.connect(marketAdmin).updateReferralParameters(30, 100);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc721B = await deployTestERC721(deployer, 'TestERC721B', 'TestERC721B');
+    erc721C = await deployTestERC721(deployer, 'TestERC721C', 'TestERC721C');
+
+    for (let nft of [erc721, erc721B, erc721C]) {
+      await nftList.connect(deployer).registerNFT(nft.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(nft.address);
+    }
+    await erc721.connect(deployer).mint(alice.address, 0);
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc721B.connect(deployer).mint(bob.address, 0);
+    await erc721B.connect(bob).setApprovalForAll(market.address, true);
+
+    await usdt.connect(deployer).mint(alice.address, topUp);
+    await usdt.connect(alice).approve(market.address, ethers.constants.MaxUint256);
+  });
+
+  describe('Anyone matches two exchange orders satisfying each other', async () => {
+    beforeEach(async () => {
+      // Exchange order 0: ERC721 #0 + 1 USDT for ERC721B #0
+      await createExchangeOrder(alice, [erc721.address, erc721B.address], [topUp, 0]);
+      // Exchange order 1: ERC721B #0 for ERC721 #0
+      await createExchangeOrder(bob, [erc721B.address, erc721.address], [0, 0]);
+    });
+
+    it('User calls matchExchangeOrders fail cause he is seller of one of the orders', async () => {
+      await expectRevert(
+        market.connect(alice).matchExchangeOrders(0, 1, 1, 1),
+        ERRORS.CALLER_IS_SELLER
+      );
+    });
+
+    it('User calls matchExchangeOrders fail cause destination is invalid', async () => {
+      await expectRevert(
+        market.connect(carol).matchExchangeOrders(0, 2, 1, 1),
+        ERRORS.INVALID_DESTINATION
+      );
+    });
+
+    it('Carol matches the orders, both sellers are settled and she is credited the referral share', async () => {
+      await expect(market.connect(carol).matchExchangeOrders(0, 1, 1, 1))
+        .to.emit(market, 'ExchangeOrdersMatched')
+        .withArgs(0, 1, carol.address);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await erc721B.ownerOf(0)).to.be.equal(alice.address);
+      expect(await usdt.balanceOf(bob.address)).to.be.equal(topUp.sub(fee));
+      expect(await usdt.balanceOf(market.address)).to.be.equal(0);
+      expect(await vault.getReferralBalance(carol.address, usdt.address)).to.be.equal(forMatcher);
+
+      expect((await exchangeOrderList.getExchangeOrderById(0)).isActive).to.be.equal(false);
+      expect((await exchangeOrderList.getExchangeOrderById(1)).isActive).to.be.equal(false);
+
+      await expectRevert(
+        market.connect(carol).matchExchangeOrders(0, 1, 1, 1),
+        ERRORS.EXCHANGE_ORDER_NOT_ACTIVE
+      );
+    });
+  });
+
+  describe('Matcher bounty', async () => {
+    let bounty = forMochiLab.div(2);
+    let fund;
+
+    beforeEach(async () => {
+      // Alice buys ERC721C #0 from Carol so that MochiLab fund already holds a fee in USDT
+      await erc721C.connect(deployer).mint(carol.address, 0);
+      await erc721C.connect(carol).setApprovalForAll(market.address, true);
+      await market.connect(carol).createSellOrder(erc721C.address, 0, 1, topUp, usdt.address);
+      await usdt.connect(deployer).mint(alice.address, topUp);
+      await market.connect(alice).buy(0, 1, alice.address, '0x');
+      fund = await vault.getMochiFund(usdt.address);
+
+      // Exchange order 0: ERC721B #0 for ERC721 #0
+      await createExchangeOrder(bob, [erc721B.address, erc721.address], [0, 0]);
+    });
+
+    it('User calls setMatcherBounty fail cause he is not market admin', async () => {
+      await expectRevert(
+        market.connect(carol).setMatcherBounty(usdt.address, bounty),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+    });
+
+    it('Admin calls setMatcherBounty fail cause token is not accepted', async () => {
+      await expectRevert(
+        market.connect(marketAdmin).setMatcherBounty(moma.address, bounty),
+        ERRORS.TOKEN_NOT_ACCEPTED
+      );
+    });
+
+    it('Carol is credited no bounty for a match which collects no fee', async () => {
+      await market.connect(marketAdmin).setMatcherBounty(usdt.address, bounty);
+      // Exchange order 1: ERC721 #0 for ERC721B #0, without top-up
+      await createExchangeOrder(alice, [erc721.address, erc721B.address], [0, 0]);
+
+      await market.connect(carol).matchExchangeOrders(1, 1, 0, 1);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await erc721B.ownerOf(0)).to.be.equal(alice.address);
+      expect(await vault.getReferralBalance(carol.address, usdt.address)).to.be.equal(0);
+      expect(await vault.getMochiFund(usdt.address)).to.be.equal(fund);
+    });
+
+    it('Carol matches the orders and is credited the bounty out of the fee of the match', async () => {
+      await expect(market.connect(marketAdmin).setMatcherBounty(usdt.address, bounty))
+        .to.emit(market, 'MatcherBountyUpdated')
+        .withArgs(usdt.address, bounty);
+      let matcherBounty = await market.getMatcherBounty();
+      expect(matcherBounty[0]).to.be.equal(usdt.address);
+      expect(matcherBounty[1]).to.be.equal(bounty);
+      // Exchange order 1: ERC721 #0 + 1 USDT for ERC721B #0
+      await createExchangeOrder(alice, [erc721.address, erc721B.address], [topUp, 0]);
+
+      await market.connect(carol).matchExchangeOrders(1, 1, 0, 1);
+
+      expect(await vault.getReferralBalance(carol.address, usdt.address)).to.be.equal(
+        forMatcher.add(bounty)
+      );
+      expect(await vault.getMochiFund(usdt.address)).to.be.equal(fund.add(forMochiLab).sub(bounty));
+
+      let balance = await usdt.balanceOf(carol.address);
+      await vault
+        .connect(carol)
+        .claimReferralBalance(usdt.address, forMatcher.add(bounty), carol.address);
+      expect(await usdt.balanceOf(carol.address)).to.be.equal(balance.add(forMatcher).add(bounty));
+    });
+
+    it('Carol is credited no more than the fee the match adds to MochiLab fund', async () => {
+      await market.connect(marketAdmin).setMatcherBounty(usdt.address, fund);
+      await createExchangeOrder(alice, [erc721.address, erc721B.address], [topUp, 0]);
+
+      await market.connect(carol).matchExchangeOrders(1, 1, 0, 1);
+
+      expect(await vault.getReferralBalance(carol.address, usdt.address)).to.be.equal(
+        forMatcher.add(forMochiLab)
+      );
+      expect(await vault.getMochiFund(usdt.address)).to.be.equal(fund);
+    });
+  });
+
+  describe('Exchange orders not satisfying each other', async () => {
+    it('User calls matchExchangeOrders fail cause source is not the destination of the other order', async () => {
+      await erc721C.connect(deployer).mint(bob.address, 0);
+      await erc721C.connect(bob).setApprovalForAll(market.address, true);
+      await createExchangeOrder(alice, [erc721.address, erc721B.address], [0, 0]);
+      await createExchangeOrder(bob, [erc721C.address, erc721.address], [0, 0]);
+
+      await expectRevert(
+        market.connect(carol).matchExchangeOrders(0, 1, 1, 1),
+        ERRORS.EXCHANGE_ORDERS_NOT_MATCH
+      );
+    });
+
+    it('User calls matchExchangeOrders fail cause the matched destination has a price', async () => {
+      await createExchangeOrder(alice, [erc721.address, erc721B.address], [0, topUp]);
+      await createExchangeOrder(bob, [erc721B.address, erc721.address], [0, 0]);
+
+      await expectRevert(
+        market.connect(carol).matchExchangeOrders(0, 1, 1, 1),
+        ERRORS.EXCHANGE_ORDERS_NOT_MATCH
+      );
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC1155,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, exchangeOrderList;
+  let moma, erc721, erc721B, erc1155;
+  let deployer, marketAdmin, alice, bob;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let price = ethers.utils.parseEther('1');
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    exchangeOrderList = modules.exchangeOrderListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc721B = await deployTestERC721(deployer, 'TestERC721B', 'TestERC721B');
+    erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+
+    for (let nft of [erc721, erc721B]) {
+      await nftList.connect(deployer).registerNFT(nft.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(nft.address);
+    }
+    await nftList.connect(deployer).registerNFT(erc1155.address, true);
+    await nftList.connect(marketAdmin).acceptNFT(erc1155.address);
+
+    await erc721.connect(deployer).mint(alice.address, 0);
+    await erc721.connect(deployer).mint(alice.address, 1);
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc721B.connect(deployer).mint(bob.address, 0);
+    await erc721B.connect(bob).setApprovalForAll(market.address, true);
+    await erc1155.connect(deployer).mint(bob.address, 1, 5, '0x');
+    await erc1155.connect(bob).setApprovalForAll(market.address, true);
+  });
+
+  describe('User creates many-for-one and many-for-many exchange orders', async () => {
+    it('User calls createMultiExchangeOrder fail cause sides are invalid', async () => {
+      for (let sourceCount of [0, 2]) {
+        await expectRevert(
+          market
+            .connect(alice)
+            .createMultiExchangeOrder(
+              [erc721.address, erc721.address],
+              [0, 1],
+              [1, 1],
+              [ETH_ADDRESS, ETH_ADDRESS],
+              [0, 0],
+              [alice.address],
+              ['0x', '0x'],
+              sourceCount,
+              false
+            ),
+          ERRORS.PARAMETERS_NOT_MATCH
+        );
+      }
+
+      // Only the first destination of a set has a price
+      await expectRevert(
+        market
+          .connect(alice)
+          .createMultiExchangeOrder(
+            [erc721.address, erc721B.address, erc1155.address],
+            [0, 0, 1],
+            [1, 1, 3],
+            [ETH_ADDRESS, ETH_ADDRESS, ETH_ADDRESS],
+            [0, 0, price],
+            [alice.address],
+            ['0x', '0x', '0x'],
+            1,
+            true
+          ),
+        ERRORS.PARAMETERS_NOT_MATCH
+      );
+    });
+
+    it('User calls createMultiExchangeOrder fail cause a source has calldata', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createMultiExchangeOrder(
+            [erc721.address, erc721.address, erc721B.address],
+            [0, 1, 0],
+            [1, 1, 1],
+            [ETH_ADDRESS, ETH_ADDRESS, ETH_ADDRESS],
+            [0, 0, 0],
+            [alice.address],
+            ['0x', '0x1234', '0x'],
+            2,
+            false
+          ),
+        ERRORS.INVALID_CALLDATA
+      );
+    });
+  });
+
+  describe('Bob purchases a two-for-one exchange order', async () => {
+    beforeEach(async () => {
+      // ERC721 #0 and #1 for either ERC721B #0 or 3 ERC1155 #1
+      await market
+        .connect(alice)
+        .createMultiExchangeOrder(
+          [erc721.address, erc721.address, erc721B.address, erc1155.address],
+          [0, 1, 0, 1],
+          [1, 1, 1, 3],
+          [ETH_ADDRESS, ETH_ADDRESS, ETH_ADDRESS, ETH_ADDRESS],
+          [0, 0, 0, price],
+          [alice.address],
+          ['0x', '0x', '0x', '0x'],
+          2,
+          false
+        );
+    });
+
+    it('Source nfts are escrowed and sides are stored', async () => {
+      let exchangeOrderOptions = await exchangeOrderList.getExchangeOrderOptionsById(0);
+      expect(exchangeOrderOptions.sourceCount).to.be.equal(2);
+      expect(exchangeOrderOptions.isDestinationSet).to.be.equal(false);
+      expect(await erc721.ownerOf(0)).to.be.equal(market.address);
+      expect(await erc721.ownerOf(1)).to.be.equal(market.address);
+    });
+
+    it('Bob calls exchange fail cause destination is a source nft', async () => {
+      await expectRevert(
+        market.connect(bob).exchange(0, 1, bob.address, '0x'),
+        ERRORS.INVALID_DESTINATION
+      );
+    });
+
+    it('Bob gives one of the destination nfts and receives both source nfts', async () => {
+      await expect(() =>
+        market.connect(bob).exchange(0, 3, bob.address, '0x', { value: price })
+      ).to.changeEtherBalance(bob, price.mul(-1));
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await erc721.ownerOf(1)).to.be.equal(bob.address);
+      expect(await erc1155.balanceOf(alice.address, 1)).to.be.equal(3);
+      expect(await erc721B.ownerOf(0)).to.be.equal(bob.address);
+      expect((await exchangeOrderList.getExchangeOrderById(0)).isActive).to.be.equal(false);
+    });
+
+    it('Alice cancels and receives both source nfts back', async () => {
+      await market.connect(alice).cancelExchangeOrder(0);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+      expect(await erc721.ownerOf(1)).to.be.equal(alice.address);
+    });
+  });
+
+  describe('Bob purchases a many-for-many exchange order', async () => {
+    beforeEach(async () => {
+      // ERC721 #0 and #1 for ERC721B #0 and 3 ERC1155 #1 together plus price
+      await market
+        .connect(alice)
+        .createMultiExchangeOrder(
+          [erc721.address, erc721.address, erc721B.address, erc1155.address],
+          [0, 1, 0, 1],
+          [1, 1, 1, 3],
+          [ETH_ADDRESS, ETH_ADDRESS, ETH_ADDRESS, ETH_ADDRESS],
+          [0, 0, price, 0],
+          [alice.address],
+          ['0x', '0x', '0x', '0x'],
+          2,
+          true
+        );
+    });
+
+    it('Bob calls exchange fail cause destination is not the first of the set', async () => {
+      await expectRevert(
+        market.connect(bob).exchange(0, 3, bob.address, '0x'),
+        ERRORS.INVALID_DESTINATION
+      );
+    });
+
+    it('Bob calls exchange fail cause he does not hold the whole set', async () => {
+      await erc1155.connect(bob).safeTransferFrom(bob.address, deployer.address, 1, 3, '0x');
+
+      await expectRevert.unspecified(
+        market.connect(bob).exchange(0, 2, bob.address, '0x', { value: price })
+      );
+
+      expect(await erc721.ownerOf(0)).to.be.equal(market.address);
+      expect(await erc721B.ownerOf(0)).to.be.equal(bob.address);
+    });
+
+    it('Bob gives the whole set and receives both source nfts', async () => {
+      await expect(() =>
+        market.connect(bob).exchange(0, 2, bob.address, '0x', { value: price })
+      ).to.changeEtherBalance(bob, price.mul(-1));
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await erc721.ownerOf(1)).to.be.equal(bob.address);
+      expect(await erc721B.ownerOf(0)).to.be.equal(alice.address);
+      expect(await erc1155.balanceOf(alice.address, 1)).to.be.equal(3);
+      expect(await erc1155.balanceOf(bob.address, 1)).to.be.equal(2);
+    });
+  });
+});
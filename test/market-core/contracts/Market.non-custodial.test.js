@@ -0,0 +1,247 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC1155,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, sellOrderList;
+  let moma, erc721, erc1155;
+  let deployer, marketAdmin, alice, bob, carol;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    sellOrderList = modules.sellOrderListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+
+    await nftList.connect(deployer).registerNFT(erc721.address, false);
+    await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+    await nftList.connect(deployer).registerNFT(erc1155.address, true);
+    await nftList.connect(marketAdmin).acceptNFT(erc1155.address);
+
+    await erc721.connect(deployer).mint(alice.address, 0);
+    await erc721.connect(deployer).mint(alice.address, 1);
+    await erc1155.connect(deployer).mint(alice.address, 0, 10, '0x');
+  });
+
+  describe('User calls createNonCustodialSellOrder fail', async () => {
+    it('User calls createNonCustodialSellOrder fail cause he is not nft owner', async () => {
+      await erc721.connect(bob).setApprovalForAll(market.address, true);
+      await expectRevert(
+        market.connect(bob).createNonCustodialSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS),
+        ERRORS.CALLER_NOT_NFT_OWNER
+      );
+    });
+
+    it('User calls createNonCustodialSellOrder fail cause nft is not approved for Market', async () => {
+      await expectRevert(
+        market.connect(alice).createNonCustodialSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS),
+        ERRORS.NFT_NOT_APPROVED_FOR_MARKET
+      );
+    });
+
+    it('User calls createNonCustodialSellOrder fail cause sell order is duplicate', async () => {
+      await erc721.connect(alice).approve(market.address, 0);
+      await market
+        .connect(alice)
+        .createNonCustodialSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS);
+      await expectRevert(
+        market.connect(alice).createNonCustodialSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS),
+        ERRORS.SELL_ORDER_DUPLICATE
+      );
+    });
+
+    it('User calls createNonCustodialSellOrder fail cause amount of ERC1155 is not enough', async () => {
+      await erc1155.connect(alice).setApprovalForAll(market.address, true);
+      await expectRevert(
+        market.connect(alice).createNonCustodialSellOrder(erc1155.address, 0, 11, 100, ETH_ADDRESS),
+        ERRORS.CALLER_NOT_NFT_OWNER
+      );
+    });
+  });
+
+  describe('Alice creates non-custodial sell orders successfully', async () => {
+    beforeEach(async () => {
+      await erc721.connect(alice).approve(market.address, 0);
+      await erc1155.connect(alice).setApprovalForAll(market.address, true);
+      // Sell order 0: ERC721 #0 approved by token
+      await market
+        .connect(alice)
+        .createNonCustodialSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS);
+      // Sell order 1: 6 of 10 ERC1155 #0
+      await market
+        .connect(alice)
+        .createNonCustodialSellOrder(erc1155.address, 0, 6, 100, ETH_ADDRESS);
+    });
+
+    it('Nft stays with seller and sell orders are available', async () => {
+      expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+      expect(await erc1155.balanceOf(alice.address, 0)).to.be.equal(10);
+
+      expect((await sellOrderList.getSellOrderOptionsById(0)).isNonCustodial).to.be.equal(true);
+      expect(await market.isSellOrderValid(0)).to.be.equal(true);
+      expect(await market.isSellOrderValid(1)).to.be.equal(true);
+      expect(await market.getInvalidSellOrders([0, 1])).to.deep.equal([]);
+
+      let availableSellOrders = await sellOrderList.getAvailableSellOrdersIdList();
+      expect(availableSellOrders.resultERC721).to.deep.equal([ethers.BigNumber.from(0)]);
+      expect(availableSellOrders.resultERC1155).to.deep.equal([ethers.BigNumber.from(1)]);
+    });
+
+    it('Bob buys from seller wallet successfully', async () => {
+      await market.connect(bob).buy(0, 1, bob.address, '0x', { value: 1000 });
+      await market.connect(bob).buy(1, 2, carol.address, '0x', { value: 200 });
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await erc1155.balanceOf(carol.address, 0)).to.be.equal(2);
+      expect(await erc1155.balanceOf(alice.address, 0)).to.be.equal(8);
+      expect((await sellOrderList.getSellOrderById(0)).isActive).to.be.equal(false);
+      expect(await market.isSellOrderValid(1)).to.be.equal(true);
+    });
+
+    it('Bob calls batchBuy successfully', async () => {
+      await market
+        .connect(bob)
+        .batchBuy([0, 1], [1, 6], [ETH_ADDRESS], [1600], bob.address, false, { value: 1600 });
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await erc1155.balanceOf(bob.address, 0)).to.be.equal(6);
+    });
+
+    it('Alice cancels sell order and keeps her nft', async () => {
+      await erc721.connect(alice).approve(ETH_ADDRESS, 0);
+      await market.connect(alice).cancelSellOrder(0);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+      expect((await sellOrderList.getSellOrderById(0)).isActive).to.be.equal(false);
+    });
+
+    describe('Sell orders become invalid', async () => {
+      beforeEach(async () => {
+        // Alice transfers ERC721 #0 away and revokes approval of ERC1155
+        await erc721.connect(alice).transferFrom(alice.address, carol.address, 0);
+        await erc1155.connect(alice).setApprovalForAll(market.address, false);
+      });
+
+      it('Invalid sell orders are flagged by view', async () => {
+        expect(await market.isSellOrderValid(0)).to.be.equal(false);
+        expect(await market.isSellOrderValid(1)).to.be.equal(false);
+        expect(await market.getInvalidSellOrders([0, 1])).to.deep.equal([
+          ethers.BigNumber.from(0),
+          ethers.BigNumber.from(1),
+        ]);
+      });
+
+      it('User calls buy fail cause sell order is invalid', async () => {
+        await expectRevert(
+          market.connect(bob).buy(0, 1, bob.address, '0x', { value: 1000 }),
+          ERRORS.SELL_ORDER_INVALID
+        );
+        await expectRevert(
+          market.connect(bob).buy(1, 1, bob.address, '0x', { value: 100 }),
+          ERRORS.SELL_ORDER_INVALID
+        );
+      });
+
+      it('User calls batchBuy and skips invalid sell orders', async () => {
+        await market
+          .connect(bob)
+          .batchBuy([0, 1], [1, 1], [ETH_ADDRESS], [1100], bob.address, true, { value: 1100 });
+
+        expect(await erc721.ownerOf(0)).to.be.equal(carol.address);
+        expect(await erc1155.balanceOf(bob.address, 0)).to.be.equal(0);
+      });
+
+      it('Anyone prunes invalid sell orders successfully', async () => {
+        await market.connect(carol).pruneInvalidSellOrders([0, 1]);
+
+        expect((await sellOrderList.getSellOrderById(0)).isActive).to.be.equal(false);
+        expect((await sellOrderList.getSellOrderById(1)).isActive).to.be.equal(false);
+
+        let availableSellOrders = await sellOrderList.getAvailableSellOrdersIdList();
+        expect(availableSellOrders.resultERC721).to.deep.equal([]);
+        expect(availableSellOrders.resultERC1155).to.deep.equal([]);
+        let sellOrdersOfAlice = await sellOrderList.getAvailableSellOrdersIdListByUser(
+          alice.address
+        );
+        expect(sellOrdersOfAlice.resultERC721).to.deep.equal([]);
+        expect(sellOrdersOfAlice.resultERC1155).to.deep.equal([]);
+      });
+
+      it('Valid and custodial sell orders are not pruned', async () => {
+        await erc1155.connect(alice).setApprovalForAll(market.address, true);
+        await erc721.connect(alice).setApprovalForAll(market.address, true);
+        // Sell order 2 is custodial
+        await market.connect(alice).createSellOrder(erc721.address, 1, 1, 1000, ETH_ADDRESS);
+
+        await market.connect(carol).pruneInvalidSellOrders([0, 1, 2]);
+
+        expect((await sellOrderList.getSellOrderById(0)).isActive).to.be.equal(false);
+        expect((await sellOrderList.getSellOrderById(1)).isActive).to.be.equal(true);
+        expect((await sellOrderList.getSellOrderById(2)).isActive).to.be.equal(true);
+        expect(await market.isSellOrderValid(2)).to.be.equal(true);
+      });
+    });
+
+    describe('Alice bumps her non-custodial nonce', async () => {
+      beforeEach(async () => {
+        // Alice transfers ERC721 #0 away, then bumps her nonce before getting it back
+        await erc721.connect(alice).transferFrom(alice.address, carol.address, 0);
+        await expect(market.connect(alice).bumpNonCustodialNonce())
+          .to.emit(market, 'NonCustodialNonceBumped')
+          .withArgs(alice.address, 1);
+        await erc721.connect(carol).transferFrom(carol.address, alice.address, 0);
+        await erc721.connect(alice).approve(market.address, 0);
+      });
+
+      it('Check nonce', async () => {
+        expect(await market.getNonCustodialNonce(alice.address)).to.be.equal(1);
+        expect((await sellOrderList.getSellOrderOptionsById(0)).nonCustodialNonce).to.be.equal(0);
+      });
+
+      it('Stale sell orders do not become valid again', async () => {
+        expect(await market.isSellOrderValid(0)).to.be.equal(false);
+        expect(await market.isSellOrderValid(1)).to.be.equal(false);
+        await expectRevert(
+          market.connect(bob).buy(0, 1, bob.address, '0x', { value: 1000 }),
+          ERRORS.SELL_ORDER_INVALID
+        );
+      });
+
+      it('Alice relists her nft after pruning the stale sell order', async () => {
+        await market.connect(carol).pruneInvalidSellOrders([0]);
+        // Sell order 2 is bound to the new nonce
+        await market
+          .connect(alice)
+          .createNonCustodialSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS);
+        expect((await sellOrderList.getSellOrderOptionsById(2)).nonCustodialNonce).to.be.equal(1);
+
+        await market.connect(bob).buy(2, 1, bob.address, '0x', { value: 1000 });
+        expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      });
+    });
+  });
+});
@@ -0,0 +1,322 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC1155,
+  deployTestERC20,
+  deployMarketExtension,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, vault, market, offerList;
+  let moma, usdt;
+  let deployer, marketAdmin, alice, bob, carol;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+    usdt = await deployTestERC20(deployer, 'Tether USD', 'USDT');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    vault = modules.vaultProxy;
+    market = modules.marketProxy;
+    offerList = modules.offerListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+    await market.connect(marketAdmin).acceptToken(usdt.address);
+  });
+
+  it('All setup successfully', async () => {
+    expect(await offerList.addressesProvider()).to.equal(addressesProvider.address);
+    expect(await market.offerList()).to.equal(offerList.address);
+  });
+
+  describe('Market extensions', async () => {
+    it('Only owner of AddressesProvider can call setExtension', async () => {
+      let extension = await deployMarketExtension(deployer, 'MarketOffers');
+      let selector = extension.interface.getSighash('makeOffer');
+
+      await expectRevert(
+        market.connect(marketAdmin).setExtension([selector], extension.address),
+        ERRORS.CALLER_NOT_PROVIDER_OWNER
+      );
+
+      await market.connect(deployer).setExtension([selector], extension.address);
+      expect(await market.getExtension(selector)).to.be.equal(extension.address);
+    });
+
+    it('Call a function unknown to Market and extensions fail', async () => {
+      await expectRevert(
+        alice.sendTransaction({ to: market.address, data: '0x12345678' }),
+        ERRORS.FUNCTION_NOT_FOUND
+      );
+    });
+  });
+
+  describe('User calls makeOffer fail cause invalid parameters', async () => {
+    let erc721, unacceptedERC721;
+    let tokenId = '0';
+    let expiry;
+    beforeEach(async () => {
+      erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+      unacceptedERC721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+
+      await nftList.connect(deployer).registerNFT(erc721.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+
+      await moma.connect(deployer).mint(bob.address, '1000');
+      await moma.connect(bob).approve(market.address, '1000');
+
+      expiry = parseInt(await time.latest()) + 3600;
+    });
+
+    it('User calls makeOffer fail cause nft is not accepted', async () => {
+      await expectRevert(
+        market
+          .connect(bob)
+          .makeOffer(unacceptedERC721.address, tokenId, '1', moma.address, '1000', expiry),
+        ERRORS.NFT_NOT_ACCEPTED
+      );
+    });
+
+    it('User calls makeOffer fail cause amount of ERC721 is not equal 1', async () => {
+      await expectRevert(
+        market.connect(bob).makeOffer(erc721.address, tokenId, '2', moma.address, '500', expiry),
+        ERRORS.AMOUNT_IS_NOT_EQUAL_ONE
+      );
+    });
+
+    it('User calls makeOffer fail cause price is zero', async () => {
+      await expectRevert(
+        market.connect(bob).makeOffer(erc721.address, tokenId, '1', moma.address, '0', expiry),
+        ERRORS.PRICE_IS_ZERO
+      );
+    });
+
+    it('User calls makeOffer fail cause token is native coin', async () => {
+      await expectRevert(
+        market.connect(bob).makeOffer(erc721.address, tokenId, '1', ETH_ADDRESS, '1000', expiry),
+        ERRORS.INVALID_OFFER_TOKEN
+      );
+    });
+
+    it('User calls makeOffer fail cause token is not accepted', async () => {
+      await market.connect(marketAdmin).revokeToken(moma.address);
+      await expectRevert(
+        market.connect(bob).makeOffer(erc721.address, tokenId, '1', moma.address, '1000', expiry),
+        ERRORS.TOKEN_NOT_ACCEPTED
+      );
+    });
+
+    it('User calls makeOffer fail cause expiry is in the past', async () => {
+      let now = parseInt(await time.latest());
+      await expectRevert(
+        market.connect(bob).makeOffer(erc721.address, tokenId, '1', moma.address, '1000', now),
+        ERRORS.INVALID_EXPIRY
+      );
+    });
+  });
+
+  describe('Bob makeOffer (with ERC721 and moma) successfully', async () => {
+    let erc721;
+    let tokenId = 0;
+    let price = 1000000;
+    let expiry;
+    beforeEach(async () => {
+      erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+
+      await nftList.connect(deployer).registerNFT(erc721.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+
+      await erc721.connect(deployer).mint(alice.address, tokenId);
+      await erc721.connect(alice).setApprovalForAll(market.address, true);
+
+      await moma.connect(deployer).mint(bob.address, price);
+      await moma.connect(bob).approve(market.address, price);
+
+      expiry = parseInt(await time.latest()) + 3600;
+
+      await market
+        .connect(bob)
+        .makeOffer(erc721.address, tokenId, '1', moma.address, price, expiry);
+    });
+
+    it('Check offer info and arrays', async () => {
+      let offerInfo = await offerList.getOfferById(0);
+      expect(offerInfo.offerId).to.be.equal(0);
+      expect(offerInfo.nftAddress).to.be.equal(erc721.address);
+      expect(offerInfo.tokenId).to.be.equal(tokenId);
+      expect(offerInfo.amount).to.be.equal(1);
+      expect(offerInfo.buyer).to.be.equal(bob.address);
+      expect(offerInfo.token).to.be.equal(moma.address);
+      expect(offerInfo.price).to.be.equal(price);
+      expect(offerInfo.expiry).to.be.equal(expiry);
+      expect(offerInfo.isActive).to.be.equal(true);
+
+      expect(await moma.balanceOf(market.address)).to.be.equal(price);
+      expect(await moma.balanceOf(bob.address)).to.be.equal(0);
+
+      expect(await offerList.getOfferCount()).to.be.equal(1);
+      expect(await offerList.getAvailableOffersIdList()).to.deep.equal([ethers.BigNumber.from(0)]);
+      expect(await offerList.getAvailableOffersIdListByUser(bob.address)).to.deep.equal([
+        ethers.BigNumber.from(0),
+      ]);
+      expect(await offerList.getAvailableOffersIdListByNftAddress(erc721.address)).to.deep.equal([
+        ethers.BigNumber.from(0),
+      ]);
+      expect(
+        await offerList.getAvailableOffersIdListByTokenId(erc721.address, tokenId)
+      ).to.deep.equal([ethers.BigNumber.from(0)]);
+      expect(await offerList.getAvailableOffersIdListByTokenId(erc721.address, 1)).to.deep.equal(
+        []
+      );
+    });
+
+    it('User calls acceptOffer fail cause he is buyer', async () => {
+      await expectRevert(market.connect(bob).acceptOffer('0'), ERRORS.CALLER_IS_BUYER);
+    });
+
+    it('User calls acceptOffer fail cause offer expired', async () => {
+      await time.increaseTo(expiry);
+      await expectRevert(market.connect(alice).acceptOffer('0'), ERRORS.OFFER_EXPIRED);
+    });
+
+    it('User calls acceptOffer fail cause he is not nft owner', async () => {
+      await expectRevert.unspecified(market.connect(carol).acceptOffer('0'));
+    });
+
+    it('User calls acceptCollectionOffer fail cause offer is not collection offer', async () => {
+      await expectRevert(
+        market.connect(alice).acceptCollectionOffer('0', tokenId, '1'),
+        ERRORS.NOT_COLLECTION_OFFER
+      );
+    });
+
+    it('User calls cancelOffer fail cause he is not buyer', async () => {
+      await expectRevert(market.connect(alice).cancelOffer('0'), ERRORS.CALLER_NOT_BUYER);
+    });
+
+    it('Only market admin can call removeOffer', async () => {
+      await expectRevert(market.connect(alice).removeOffer('0'), ERRORS.CALLER_NOT_MARKET_ADMIN);
+    });
+
+    describe('Alice calls acceptOffer successfully', async () => {
+      beforeEach(async () => {
+        await market.connect(alice).acceptOffer('0');
+      });
+
+      it('Check balance and ownership', async () => {
+        expect(await erc721.ownerOf(tokenId)).to.be.equal(bob.address);
+        expect(await moma.balanceOf(alice.address)).to.be.equal(price - (price * 1) / 100);
+        expect(await moma.balanceOf(vault.address)).to.be.equal((price * 1) / 100);
+        expect(await moma.balanceOf(market.address)).to.be.equal(0);
+        expect(await vault.getRoyalty(erc721.address, moma.address)).to.be.equal(
+          (((price * 1) / 100) * 20) / 100
+        );
+      });
+
+      it('Check offer info and arrays', async () => {
+        let offerInfo = await offerList.getOfferById(0);
+        expect(offerInfo.isActive).to.be.equal(false);
+        expect(offerInfo.seller).to.be.equal(alice.address);
+
+        expect(await offerList.getAvailableOffersIdList()).to.deep.equal([]);
+        expect(await offerList.getAvailableOffersIdListByUser(bob.address)).to.deep.equal([]);
+        expect(
+          await offerList.getAvailableOffersIdListByTokenId(erc721.address, tokenId)
+        ).to.deep.equal([]);
+        expect(await offerList.getAllOffersIdListByUser(bob.address)).to.deep.equal([
+          ethers.BigNumber.from(0),
+        ]);
+        expect(await offerList.getAcceptedOffersIdListByUser(alice.address)).to.deep.equal([
+          ethers.BigNumber.from(0),
+        ]);
+      });
+
+      it('User calls cancelOffer fail cause offer is not active', async () => {
+        await expectRevert(market.connect(bob).cancelOffer('0'), ERRORS.OFFER_NOT_ACTIVE);
+      });
+    });
+
+    describe('Bob calls cancelOffer successfully', async () => {
+      beforeEach(async () => {
+        await time.increaseTo(expiry);
+        await market.connect(bob).cancelOffer('0');
+      });
+
+      it('Check balance and offer info', async () => {
+        expect(await moma.balanceOf(bob.address)).to.be.equal(price);
+        expect(await moma.balanceOf(market.address)).to.be.equal(0);
+
+        let offerInfo = await offerList.getOfferById(0);
+        expect(offerInfo.isActive).to.be.equal(false);
+        expect(await offerList.getAvailableOffersIdListByNftAddress(erc721.address)).to.deep.equal(
+          []
+        );
+      });
+
+      it('User calls acceptOffer fail cause offer is not active', async () => {
+        await expectRevert(market.connect(alice).acceptOffer('0'), ERRORS.OFFER_NOT_ACTIVE);
+      });
+    });
+
+    it('Market admin calls removeOffer successfully', async () => {
+      await market.connect(marketAdmin).removeOffer('0');
+
+      expect(await moma.balanceOf(bob.address)).to.be.equal(price);
+      expect((await offerList.getOfferById(0)).isActive).to.be.equal(false);
+    });
+  });
+
+  describe('Bob makeOffer (with ERC1155 and usdt) successfully', async () => {
+    let erc1155;
+    let tokenId = 0;
+    let amount = 5;
+    let price = 1000000;
+    beforeEach(async () => {
+      erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+
+      await nftList.connect(deployer).registerNFT(erc1155.address, true);
+      await nftList.connect(marketAdmin).acceptNFT(erc1155.address);
+
+      await erc1155.connect(deployer).mint(alice.address, tokenId, amount, '0x');
+      await erc1155.connect(alice).setApprovalForAll(market.address, true);
+
+      await usdt.connect(deployer).mint(bob.address, amount * price);
+      await usdt.connect(bob).approve(market.address, amount * price);
+
+      let expiry = parseInt(await time.latest()) + 3600;
+
+      await market
+        .connect(bob)
+        .makeOffer(erc1155.address, tokenId, amount, usdt.address, price, expiry);
+    });
+
+    it('Alice calls acceptOffer successfully', async () => {
+      expect(await usdt.balanceOf(market.address)).to.be.equal(amount * price);
+
+      await market.connect(alice).acceptOffer('0');
+
+      expect(await erc1155.balanceOf(bob.address, tokenId)).to.be.equal(amount);
+      expect(await usdt.balanceOf(alice.address)).to.be.equal(
+        amount * price - (amount * price * 25) / 1000
+      );
+      expect(await usdt.balanceOf(vault.address)).to.be.equal((amount * price * 25) / 1000);
+      expect(await usdt.balanceOf(market.address)).to.be.equal(0);
+    });
+  });
+});
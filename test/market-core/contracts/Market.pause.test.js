@@ -0,0 +1,223 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS, PAUSE_GROUPS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, vault;
+  let moma, erc721, erc721B;
+  let deployer, marketAdmin, alice, bob, guardian;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let price = ethers.utils.parseEther('1');
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, guardian] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    vault = modules.vaultProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await addressesProvider.connect(deployer).setPauseGuardian(guardian.address);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc721B = await deployTestERC721(deployer, 'TestERC721B', 'TestERC721B');
+
+    for (let nft of [erc721, erc721B]) {
+      await nftList.connect(deployer).registerNFT(nft.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(nft.address);
+    }
+    for (let tokenId of [0, 1, 2, 3]) {
+      await erc721.connect(deployer).mint(alice.address, tokenId);
+    }
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc721B.connect(deployer).mint(bob.address, 0);
+    await erc721B.connect(bob).setApprovalForAll(market.address, true);
+
+    // Sell order 0 of ERC721 #0 and exchange order 0 of ERC721 #1 for ERC721B #0
+    await market.connect(alice).createSellOrder(erc721.address, 0, 1, price, ETH_ADDRESS);
+    await market
+      .connect(alice)
+      .createExchangeOrder(
+        [erc721.address, erc721B.address],
+        [1, 0],
+        [1, 1],
+        [ETH_ADDRESS, ETH_ADDRESS],
+        [0, 0],
+        [alice.address],
+        ['0x', '0x']
+      );
+  });
+
+  describe('Pause guardian role', async () => {
+    it('Only owner can call setPauseGuardian', async () => {
+      await expectRevert(
+        addressesProvider.connect(alice).setPauseGuardian(alice.address),
+        ERRORS.CALLER_NOT_OWNER
+      );
+    });
+
+    it('User calls pause and unpause fail cause he is not pause guardian', async () => {
+      await expectRevert(
+        addressesProvider.connect(marketAdmin).pause(PAUSE_GROUPS.BUYS),
+        ERRORS.CALLER_NOT_PAUSE_GUARDIAN
+      );
+      await expectRevert(
+        addressesProvider.connect(alice).unpause(PAUSE_GROUPS.BUYS),
+        ERRORS.CALLER_NOT_PAUSE_GUARDIAN
+      );
+    });
+
+    it('Guardian and owner pause and unpause function groups successfully', async () => {
+      expect(await addressesProvider.getPauseGuardian()).to.be.equal(guardian.address);
+
+      await expect(addressesProvider.connect(guardian).pause(PAUSE_GROUPS.BUYS))
+        .to.emit(addressesProvider, 'Paused')
+        .withArgs(PAUSE_GROUPS.BUYS, guardian.address);
+      expect(await addressesProvider.isPaused(PAUSE_GROUPS.BUYS)).to.be.equal(true);
+      expect(await addressesProvider.isPaused(PAUSE_GROUPS.ORDERS)).to.be.equal(false);
+
+      await expect(addressesProvider.connect(deployer).unpause(PAUSE_GROUPS.BUYS))
+        .to.emit(addressesProvider, 'Unpaused')
+        .withArgs(PAUSE_GROUPS.BUYS, deployer.address);
+      expect(await addressesProvider.isPaused(PAUSE_GROUPS.BUYS)).to.be.equal(false);
+    });
+  });
+
+  describe('Guardian pauses function groups', async () => {
+    it('New orders are halted while orders group is paused', async () => {
+      await addressesProvider.connect(guardian).pause(PAUSE_GROUPS.ORDERS);
+      let startTime = parseInt(await time.latest()) + 100;
+
+      await expectRevert(
+        market.connect(alice).createSellOrder(erc721.address, 2, 1, price, ETH_ADDRESS),
+        ERRORS.FUNCTION_PAUSED
+      );
+      await expectRevert(
+        market
+          .connect(alice)
+          .createExchangeOrder(
+            [erc721.address, erc721B.address],
+            [2, 0],
+            [1, 1],
+            [ETH_ADDRESS, ETH_ADDRESS],
+            [0, price],
+            [alice.address],
+            ['0x', '0x']
+          ),
+        ERRORS.FUNCTION_PAUSED
+      );
+      await expectRevert(
+        market
+          .connect(alice)
+          .createAuction(
+            erc721.address,
+            2,
+            1,
+            ETH_ADDRESS,
+            price,
+            100,
+            startTime,
+            startTime + 1000,
+            600
+          ),
+        ERRORS.FUNCTION_PAUSED
+      );
+      await expectRevert(
+        market
+          .connect(alice)
+          .createBundle([erc721.address, erc721.address], [2, 3], [1, 1], price, ETH_ADDRESS),
+        ERRORS.FUNCTION_PAUSED
+      );
+
+      // Other groups keep working
+      await market.connect(bob).buy(0, 1, bob.address, '0x', { value: price });
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+
+      await addressesProvider.connect(guardian).unpause(PAUSE_GROUPS.ORDERS);
+      await market.connect(alice).createSellOrder(erc721.address, 2, 1, price, ETH_ADDRESS);
+      expect(await erc721.ownerOf(2)).to.be.equal(market.address);
+    });
+
+    it('Buys are halted while buys group is paused', async () => {
+      await addressesProvider.connect(guardian).pause(PAUSE_GROUPS.BUYS);
+
+      await expectRevert(
+        market.connect(bob).buy(0, 1, bob.address, '0x', { value: price }),
+        ERRORS.FUNCTION_PAUSED
+      );
+      await expectRevert(
+        market
+          .connect(bob)
+          .batchBuy([0], [1], [ETH_ADDRESS], [price], bob.address, false, { value: price }),
+        ERRORS.FUNCTION_PAUSED
+      );
+
+      await market.connect(bob).exchange(0, 1, bob.address, '0x');
+      expect(await erc721.ownerOf(1)).to.be.equal(bob.address);
+    });
+
+    it('Exchanges are halted while exchanges group is paused', async () => {
+      await addressesProvider.connect(guardian).pause(PAUSE_GROUPS.EXCHANGES);
+
+      await expectRevert(
+        market.connect(bob).exchange(0, 1, bob.address, '0x'),
+        ERRORS.FUNCTION_PAUSED
+      );
+
+      await addressesProvider.connect(guardian).unpause(PAUSE_GROUPS.EXCHANGES);
+      await market.connect(bob).exchange(0, 1, bob.address, '0x');
+      expect(await erc721.ownerOf(1)).to.be.equal(bob.address);
+    });
+
+    it('Withdrawals from Vault are halted while withdrawals group is paused', async () => {
+      await market.connect(bob).buy(0, 1, bob.address, '0x', { value: price });
+      let mochiFund = await vault.getMochiFund(ETH_ADDRESS);
+      await addressesProvider.connect(guardian).pause(PAUSE_GROUPS.WITHDRAWALS);
+
+      await expectRevert(
+        vault.connect(marketAdmin).withdrawFund(ETH_ADDRESS, mochiFund, marketAdmin.address),
+        ERRORS.FUNCTION_PAUSED
+      );
+      await expectRevert(
+        vault.connect(bob).withdrawPendingWithdrawal(bob.address),
+        ERRORS.FUNCTION_PAUSED
+      );
+      await expectRevert(
+        vault.connect(bob).claimReferralBalance(ETH_ADDRESS, 0, bob.address),
+        ERRORS.FUNCTION_PAUSED
+      );
+
+      await addressesProvider.connect(guardian).unpause(PAUSE_GROUPS.WITHDRAWALS);
+      await vault.connect(marketAdmin).withdrawFund(ETH_ADDRESS, mochiFund, marketAdmin.address);
+      expect(await vault.getMochiFund(ETH_ADDRESS)).to.be.equal(0);
+    });
+
+    it('Sellers cancel their orders while every group is paused', async () => {
+      for (let group of Object.values(PAUSE_GROUPS)) {
+        await addressesProvider.connect(guardian).pause(group);
+      }
+
+      await market.connect(alice).cancelSellOrder(0);
+      await market.connect(alice).cancelExchangeOrder(0);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(alice.address);
+      expect(await erc721.ownerOf(1)).to.be.equal(alice.address);
+    });
+  });
+});
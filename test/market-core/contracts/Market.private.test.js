@@ -0,0 +1,236 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC1155,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, sellOrderList, exchangeOrderList;
+  let moma, erc721, erc1155;
+  let deployer, marketAdmin, alice, bob, carol, dave;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol, dave] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    sellOrderList = modules.sellOrderListProxy;
+    exchangeOrderList = modules.exchangeOrderListProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+
+    await nftList.connect(deployer).registerNFT(erc721.address, false);
+    await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+    await nftList.connect(deployer).registerNFT(erc1155.address, true);
+    await nftList.connect(marketAdmin).acceptNFT(erc1155.address);
+
+    await erc721.connect(deployer).mint(alice.address, 0);
+    await erc721.connect(deployer).mint(alice.address, 1);
+    await erc721.connect(deployer).mint(bob.address, 2);
+    await erc1155.connect(deployer).mint(alice.address, 0, 10, '0x');
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc721.connect(bob).setApprovalForAll(market.address, true);
+    await erc1155.connect(alice).setApprovalForAll(market.address, true);
+  });
+
+  describe('User calls createPrivateSellOrder fail cause invalid allowed buyers', async () => {
+    it('User calls createPrivateSellOrder fail cause allowed buyers is empty', async () => {
+      await expectRevert(
+        market.connect(alice).createPrivateSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS, []),
+        ERRORS.INVALID_ALLOWED_BUYERS
+      );
+    });
+
+    it('User calls createPrivateSellOrder fail cause allowed buyers contains seller', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createPrivateSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS, [
+            bob.address,
+            alice.address,
+          ]),
+        ERRORS.INVALID_ALLOWED_BUYERS
+      );
+    });
+
+    it('User calls createPrivateSellOrder fail cause allowed buyers contains duplicates', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createPrivateSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS, [
+            bob.address,
+            carol.address,
+            bob.address,
+          ]),
+        ERRORS.INVALID_ALLOWED_BUYERS
+      );
+    });
+
+    it('User calls createPrivateSellOrder fail cause there are too many allowed buyers', async () => {
+      let signers = await ethers.getSigners();
+      let allowedBuyers = signers.slice(3, 14).map((signer) => signer.address);
+      await expectRevert(
+        market
+          .connect(alice)
+          .createPrivateSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS, allowedBuyers),
+        ERRORS.INVALID_ALLOWED_BUYERS
+      );
+    });
+
+    it('User calls createPrivateSellOrder fail cause price is zero', async () => {
+      await expectRevert(
+        market
+          .connect(alice)
+          .createPrivateSellOrder(erc721.address, 0, 1, 0, ETH_ADDRESS, [bob.address]),
+        ERRORS.PRICE_IS_ZERO
+      );
+    });
+  });
+
+  describe('Alice creates private sell orders successfully', async () => {
+    beforeEach(async () => {
+      // Sell order 0 is public
+      await market.connect(alice).createSellOrder(erc721.address, 0, 1, 1000, ETH_ADDRESS);
+      // Sell order 1 is reserved for bob and carol
+      await market
+        .connect(alice)
+        .createPrivateSellOrder(erc1155.address, 0, 10, 100, ETH_ADDRESS, [
+          bob.address,
+          carol.address,
+        ]);
+    });
+
+    it('Private sell order is hidden from public lists and indexed for allowed buyers', async () => {
+      let sellOrderOptions = await sellOrderList.getSellOrderOptionsById(1);
+      expect(sellOrderOptions.allowedBuyers).to.deep.equal([bob.address, carol.address]);
+      expect(await erc1155.balanceOf(market.address, 0)).to.be.equal(10);
+
+      let availableSellOrders = await sellOrderList.getAvailableSellOrdersIdList();
+      expect(availableSellOrders.resultERC721).to.deep.equal([ethers.BigNumber.from(0)]);
+      expect(availableSellOrders.resultERC1155).to.deep.equal([]);
+      expect(
+        await sellOrderList.getAvailableSellOrdersIdListByNftAddress(erc1155.address)
+      ).to.deep.equal([]);
+
+      let sellOrdersOfAlice = await sellOrderList.getAvailableSellOrdersIdListByUser(alice.address);
+      expect(sellOrdersOfAlice.resultERC1155).to.deep.equal([ethers.BigNumber.from(1)]);
+
+      expect(await sellOrderList.getReservedSellOrdersIdListByUser(bob.address)).to.deep.equal([
+        ethers.BigNumber.from(1),
+      ]);
+      expect(await sellOrderList.getReservedSellOrdersIdListByUser(carol.address)).to.deep.equal([
+        ethers.BigNumber.from(1),
+      ]);
+      expect(await sellOrderList.getReservedSellOrdersIdListByUser(dave.address)).to.deep.equal([]);
+    });
+
+    it('User calls buy fail cause he is not allowed buyer', async () => {
+      await expectRevert(
+        market.connect(dave).buy(1, 1, dave.address, '0x', { value: 100 }),
+        ERRORS.CALLER_NOT_ALLOWED_BUYER
+      );
+    });
+
+    it('User calls batchBuy fail cause he is not allowed buyer', async () => {
+      await expectRevert(
+        market.connect(dave).batchBuy([1], [1], [ETH_ADDRESS], [100], dave.address, false, {
+          value: 100,
+        }),
+        ERRORS.CALLER_NOT_ALLOWED_BUYER
+      );
+    });
+
+    it('Allowed buyers call buy successfully', async () => {
+      await market.connect(bob).buy(1, 4, bob.address, '0x', { value: 400 });
+      await market.connect(carol).buy(1, 6, carol.address, '0x', { value: 600 });
+
+      expect(await erc1155.balanceOf(bob.address, 0)).to.be.equal(4);
+      expect(await erc1155.balanceOf(carol.address, 0)).to.be.equal(6);
+      expect((await sellOrderList.getSellOrderById(1)).isActive).to.be.equal(false);
+      expect(await sellOrderList.getReservedSellOrdersIdListByUser(bob.address)).to.deep.equal([]);
+      expect(await sellOrderList.getReservedSellOrdersIdListByUser(carol.address)).to.deep.equal(
+        []
+      );
+    });
+
+    it('Alice calls cancelSellOrder successfully', async () => {
+      await market.connect(alice).cancelSellOrder(1);
+
+      expect(await erc1155.balanceOf(alice.address, 0)).to.be.equal(10);
+      expect(await sellOrderList.getReservedSellOrdersIdListByUser(bob.address)).to.deep.equal([]);
+      let sellOrdersOfAlice = await sellOrderList.getAvailableSellOrdersIdListByUser(alice.address);
+      expect(sellOrdersOfAlice.resultERC1155).to.deep.equal([]);
+    });
+  });
+
+  describe('Alice creates private exchange order successfully', async () => {
+    beforeEach(async () => {
+      await market
+        .connect(alice)
+        .createPrivateExchangeOrder(
+          [erc721.address, erc721.address],
+          [1, 2],
+          [1, 1],
+          [ETH_ADDRESS, ETH_ADDRESS],
+          [0, 0],
+          [alice.address],
+          ['0x', '0x'],
+          [bob.address]
+        );
+    });
+
+    it('Private exchange order is hidden from public lists and indexed for allowed buyer', async () => {
+      expect((await exchangeOrderList.getExchangeOrderOptionsById(0)).allowedBuyers).to.deep.equal([
+        bob.address,
+      ]);
+      expect(await erc721.ownerOf(1)).to.be.equal(market.address);
+
+      let availableExchangeOrders = await exchangeOrderList.getAvailableExchangeOrdersIdList();
+      expect(availableExchangeOrders.resultERC721).to.deep.equal([]);
+      expect(
+        await exchangeOrderList.getAvailableExchangeOrdersIdListByNftAddress(erc721.address)
+      ).to.deep.equal([]);
+      expect(
+        await exchangeOrderList.getReservedExchangeOrdersIdListByUser(bob.address)
+      ).to.deep.equal([ethers.BigNumber.from(0)]);
+    });
+
+    it('User calls exchange fail cause he is not allowed buyer', async () => {
+      await erc721.connect(bob).transferFrom(bob.address, carol.address, 2);
+      await erc721.connect(carol).setApprovalForAll(market.address, true);
+      await expectRevert(
+        market.connect(carol).exchange(0, 1, carol.address, '0x'),
+        ERRORS.CALLER_NOT_ALLOWED_BUYER
+      );
+    });
+
+    it('Allowed buyer calls exchange successfully', async () => {
+      await market.connect(bob).exchange(0, 1, bob.address, '0x');
+
+      expect(await erc721.ownerOf(1)).to.be.equal(bob.address);
+      expect(await erc721.ownerOf(2)).to.be.equal(alice.address);
+      expect(
+        await exchangeOrderList.getReservedExchangeOrdersIdListByUser(bob.address)
+      ).to.deep.equal([]);
+    });
+  });
+});
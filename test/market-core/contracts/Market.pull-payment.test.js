@@ -0,0 +1,260 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, vault;
+  let moma, erc721, sellerContract;
+  let deployer, marketAdmin, alice, bob;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let price = ethers.utils.parseEther('1');
+  let fee = price.mul(25).div(1000);
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    vault = modules.vaultProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+
+    // Seller is a contract wallet owned by Alice
+    let TestReceiver = await ethers.getContractFactory('TestReceiver');
+    sellerContract = await TestReceiver.connect(alice).deploy();
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    await sellerContract
+      .connect(alice)
+      .execute(
+        nftList.address,
+        nftList.interface.encodeFunctionData('registerNFT', [erc721.address, false])
+      );
+    await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+
+    await erc721.connect(deployer).mint(sellerContract.address, 0);
+    await erc721.connect(deployer).mint(alice.address, 1);
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await sellerContract
+      .connect(alice)
+      .execute(
+        erc721.address,
+        erc721.interface.encodeFunctionData('setApprovalForAll', [market.address, true])
+      );
+
+    // Sell order 0 is created by seller contract, sell order 1 is created by Alice
+    await sellerContract
+      .connect(alice)
+      .execute(
+        market.address,
+        market.interface.encodeFunctionData('createSellOrder', [
+          erc721.address,
+          0,
+          1,
+          price,
+          ETH_ADDRESS,
+        ])
+      );
+    await market.connect(alice).createSellOrder(erc721.address, 1, 1, price, ETH_ADDRESS);
+  });
+
+  describe('Native payouts', async () => {
+    it('Contract wallet whose receive costs more than 2300 gas is paid directly', async () => {
+      await expect(() =>
+        market.connect(bob).buy(0, 1, bob.address, '0x', { value: price })
+      ).to.changeEtherBalances([sellerContract, vault], [price.sub(fee), fee]);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await vault.getPendingWithdrawal(sellerContract.address)).to.be.equal(0);
+    });
+
+    it('Payout rejected by seller is credited to pending withdrawals', async () => {
+      await sellerContract.connect(alice).setRejecting(true);
+
+      await expect(market.connect(bob).buy(0, 1, bob.address, '0x', { value: price }))
+        .to.emit(vault, 'PendingWithdrawalCredited')
+        .withArgs(sellerContract.address, price.sub(fee));
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await vault.getPendingWithdrawal(sellerContract.address)).to.be.equal(price.sub(fee));
+      expect(await ethers.provider.getBalance(vault.address)).to.be.equal(price);
+    });
+
+    it('Payout above max direct payout is credited to pending withdrawals', async () => {
+      await expect(vault.connect(marketAdmin).setMaxDirectPayout(price.div(2)))
+        .to.emit(vault, 'MaxDirectPayoutUpdated')
+        .withArgs(price.div(2));
+      expect(await vault.getMaxDirectPayout()).to.be.equal(price.div(2));
+
+      await expect(() =>
+        market.connect(bob).buy(1, 1, bob.address, '0x', { value: price })
+      ).to.changeEtherBalances([alice, vault], [0, price]);
+
+      expect(await vault.getPendingWithdrawal(alice.address)).to.be.equal(price.sub(fee));
+    });
+  });
+
+  describe('Native refunds', async () => {
+    let buyerContract;
+    let batchBuyData;
+
+    beforeEach(async () => {
+      // Buyer is a contract wallet owned by Bob, overpaying for sell order 1
+      let TestReceiver = await ethers.getContractFactory('TestReceiver');
+      buyerContract = await TestReceiver.connect(bob).deploy();
+      batchBuyData = market.interface.encodeFunctionData('batchBuy', [
+        [1],
+        [1],
+        [ETH_ADDRESS],
+        [price],
+        buyerContract.address,
+        false,
+      ]);
+    });
+
+    it('Excess of batchBuy is refunded to contract wallet whose receive costs more than 2300 gas', async () => {
+      await buyerContract
+        .connect(bob)
+        .execute(market.address, batchBuyData, { value: price.mul(2) });
+
+      expect(await erc721.ownerOf(1)).to.be.equal(buyerContract.address);
+      expect(await ethers.provider.getBalance(buyerContract.address)).to.be.equal(price);
+    });
+
+    it('Excess of batchBuy rejected by buyer is credited to pending withdrawals', async () => {
+      await buyerContract.connect(bob).setRejecting(true);
+
+      await expect(
+        buyerContract.connect(bob).execute(market.address, batchBuyData, { value: price.mul(2) })
+      )
+        .to.emit(vault, 'PendingWithdrawalCredited')
+        .withArgs(buyerContract.address, price);
+
+      expect(await erc721.ownerOf(1)).to.be.equal(buyerContract.address);
+      expect(await vault.getPendingWithdrawal(buyerContract.address)).to.be.equal(price);
+    });
+
+    it('Excess of a dutch sell order rejected by buyer is credited to pending withdrawals', async () => {
+      let startTime = parseInt(await time.latest());
+      await erc721.connect(deployer).mint(alice.address, 2);
+      await market
+        .connect(alice)
+        .createDutchSellOrder(
+          erc721.address,
+          2,
+          1,
+          price.mul(2),
+          price,
+          ETH_ADDRESS,
+          startTime,
+          startTime + 3600
+        );
+      await buyerContract.connect(bob).setRejecting(true);
+
+      await buyerContract
+        .connect(bob)
+        .execute(
+          market.address,
+          market.interface.encodeFunctionData('buy', [2, 1, buyerContract.address, '0x']),
+          { value: price.mul(3) }
+        );
+
+      expect(await erc721.ownerOf(2)).to.be.equal(buyerContract.address);
+      expect((await vault.getPendingWithdrawal(buyerContract.address)).gte(price)).to.be.equal(
+        true
+      );
+    });
+  });
+
+  describe('Pending withdrawals', async () => {
+    beforeEach(async () => {
+      await sellerContract.connect(alice).setRejecting(true);
+      await market.connect(bob).buy(0, 1, bob.address, '0x', { value: price });
+    });
+
+    it('User calls withdrawPendingWithdrawal fail cause balance is zero', async () => {
+      await expectRevert(
+        vault.connect(bob).withdrawPendingWithdrawal(bob.address),
+        ERRORS.INSUFFICIENT_BALANCE
+      );
+    });
+
+    it('User calls withdrawPendingWithdrawal fail cause receiver rejects native coin', async () => {
+      await expectRevert(
+        sellerContract
+          .connect(alice)
+          .execute(
+            vault.address,
+            vault.interface.encodeFunctionData('withdrawPendingWithdrawal', [
+              sellerContract.address,
+            ])
+          ),
+        ERRORS.TRANSFER_FAILED
+      );
+    });
+
+    it('Seller claims pending withdrawals to another receiver', async () => {
+      await expect(() =>
+        sellerContract
+          .connect(alice)
+          .execute(
+            vault.address,
+            vault.interface.encodeFunctionData('withdrawPendingWithdrawal', [bob.address])
+          )
+      ).to.changeEtherBalances([bob, vault], [price.sub(fee), price.sub(fee).mul(-1)]);
+
+      expect(await vault.getPendingWithdrawal(sellerContract.address)).to.be.equal(0);
+    });
+
+    it('Royalty claimed by rejecting registrant is credited to pending withdrawals', async () => {
+      let royalty = await vault.getRoyalty(erc721.address, ETH_ADDRESS);
+      expect(royalty).to.be.equal(fee.div(5));
+
+      await sellerContract
+        .connect(alice)
+        .execute(
+          vault.address,
+          vault.interface.encodeFunctionData('claimRoyalty', [
+            erc721.address,
+            ETH_ADDRESS,
+            royalty,
+            sellerContract.address,
+          ])
+        );
+
+      expect(await vault.getRoyalty(erc721.address, ETH_ADDRESS)).to.be.equal(0);
+      expect(await vault.getPendingWithdrawal(sellerContract.address)).to.be.equal(
+        price.sub(fee).add(royalty)
+      );
+    });
+  });
+
+  describe('Access control', async () => {
+    it('User calls payNative fail cause he is not Market', async () => {
+      await expectRevert(
+        vault.connect(bob).payNative(bob.address, { value: 1 }),
+        ERRORS.CALLER_NOT_MARKET
+      );
+    });
+
+    it('User calls setMaxDirectPayout fail cause he is not market admin', async () => {
+      await expectRevert(vault.connect(bob).setMaxDirectPayout(1), ERRORS.CALLER_NOT_MARKET_ADMIN);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, vault;
+  let moma, usdt, erc721, erc721B;
+  let deployer, marketAdmin, alice, bob, carol;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let price = ethers.utils.parseEther('1');
+  // Regular fee is 25/1000, royalty takes 20/100 and the referrer 30/100 of it
+  let fee = price.mul(25).div(1000);
+  let forRoyalty = fee.mul(20).div(100);
+  let forReferral = fee.mul(30).div(100);
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+    usdt = await deployTestERC20(deployer, 'Tether USD', 'USDT');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    vault = modules.vaultProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(usdt.address);
+    await vault.connect(marketAdmin).updateReferralParameters(30, 100);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc721B = await deployTestERC721(deployer, 'TestERC721B', 'TestERC721B');
+
+    for (let nft of [erc721, erc721B]) {
+      await nftList.connect(deployer).registerNFT(nft.address, false);
+      await nftList.connect(marketAdmin).acceptNFT(nft.address);
+    }
+    await erc721.connect(deployer).mint(alice.address, 0);
+    await erc721.connect(deployer).mint(alice.address, 1);
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc721B.connect(deployer).mint(bob.address, 0);
+    await erc721B.connect(bob).setApprovalForAll(market.address, true);
+
+    await usdt.connect(deployer).mint(bob.address, price.mul(10));
+    await usdt.connect(bob).approve(market.address, ethers.constants.MaxUint256);
+
+    // Sell order 0 is paid in native coin, sell order 1 in USDT
+    await market.connect(alice).createSellOrder(erc721.address, 0, 1, price, ETH_ADDRESS);
+    await market.connect(alice).createSellOrder(erc721.address, 1, 1, price, usdt.address);
+  });
+
+  describe('Admin updates referral parameters', async () => {
+    it('User calls updateReferralParameters fail cause he is not market admin', async () => {
+      await expectRevert(
+        vault.connect(alice).updateReferralParameters(10, 100),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+    });
+
+    it('Admin calls updateReferralParameters fail cause numerator is greater than denominator', async () => {
+      await expectRevert(
+        vault.connect(marketAdmin).updateReferralParameters(101, 100),
+        ERRORS.DEMONINATOR_NOT_GREATER_THAN_NUMERATOR
+      );
+    });
+
+    it('Admin calls updateReferralParameters successfully', async () => {
+      await expect(vault.connect(marketAdmin).updateReferralParameters(10, 100))
+        .to.emit(vault, 'ReferralParametersUpdated')
+        .withArgs(10, 100);
+
+      let referralParameters = await vault.getReferralParameters();
+      expect(referralParameters[0]).to.be.equal(10);
+      expect(referralParameters[1]).to.be.equal(100);
+    });
+  });
+
+  describe('User buys with referrer', async () => {
+    it('User calls buyWithReferrer fail cause referrer is buyer or seller', async () => {
+      await expectRevert(
+        market.connect(bob).buyWithReferrer(0, 1, bob.address, '0x', bob.address, {
+          value: price,
+        }),
+        ERRORS.INVALID_REFERRER
+      );
+      await expectRevert(
+        market.connect(bob).buyWithReferrer(0, 1, bob.address, '0x', alice.address, {
+          value: price,
+        }),
+        ERRORS.INVALID_REFERRER
+      );
+    });
+
+    it('Bob buys in native coin and the referral share of fee is credited to Carol', async () => {
+      await expect(() =>
+        market.connect(bob).buyWithReferrer(0, 1, bob.address, '0x', carol.address, {
+          value: price,
+        })
+      ).to.changeEtherBalances([alice, vault, carol], [price.sub(fee), fee, 0]);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await vault.getReferralBalance(carol.address, ETH_ADDRESS)).to.be.equal(forReferral);
+      expect(await vault.getReferralEarned(carol.address, ETH_ADDRESS)).to.be.equal(forReferral);
+      expect(await vault.getMochiFund(ETH_ADDRESS)).to.be.equal(
+        fee.sub(forRoyalty).sub(forReferral)
+      );
+    });
+
+    it('Bob buys in USDT with referrer and events are emitted', async () => {
+      await expect(market.connect(bob).buyWithReferrer(1, 1, bob.address, '0x', carol.address))
+        .to.emit(market, 'BuyReferred')
+        .withArgs(1, bob.address, carol.address)
+        .and.to.emit(vault, 'ReferralFeeCredited')
+        .withArgs(carol.address, usdt.address, erc721.address, forReferral);
+
+      expect(await usdt.balanceOf(alice.address)).to.be.equal(price.sub(fee));
+      expect(await usdt.balanceOf(vault.address)).to.be.equal(fee);
+      expect(await vault.getReferralBalance(carol.address, usdt.address)).to.be.equal(forReferral);
+    });
+
+    it('Nothing is credited when buying without referrer or without referral share', async () => {
+      await market.connect(bob).buy(0, 1, bob.address, '0x', { value: price });
+      await vault.connect(marketAdmin).updateReferralParameters(0, 100);
+      await market.connect(bob).buyWithReferrer(1, 1, bob.address, '0x', carol.address);
+
+      expect(await vault.getReferralEarned(carol.address, ETH_ADDRESS)).to.be.equal(0);
+      expect(await vault.getReferralEarned(carol.address, usdt.address)).to.be.equal(0);
+      expect(await vault.getMochiFund(ETH_ADDRESS)).to.be.equal(fee.sub(forRoyalty));
+      expect(await vault.getMochiFund(usdt.address)).to.be.equal(fee.sub(forRoyalty));
+    });
+  });
+
+  describe('User exchanges with referrer', async () => {
+    beforeEach(async () => {
+      await erc721.connect(deployer).mint(alice.address, 2);
+      await market
+        .connect(alice)
+        .createExchangeOrder(
+          [erc721.address, erc721B.address],
+          [2, 0],
+          [1, 1],
+          [ETH_ADDRESS, usdt.address],
+          [0, price],
+          [alice.address],
+          ['0x', '0x']
+        );
+    });
+
+    it('User calls exchangeWithReferrer fail cause referrer is seller', async () => {
+      await expectRevert(
+        market.connect(bob).exchangeWithReferrer(0, 1, bob.address, '0x', alice.address),
+        ERRORS.INVALID_REFERRER
+      );
+    });
+
+    it('Bob exchanges with referrer successfully', async () => {
+      await expect(market.connect(bob).exchangeWithReferrer(0, 1, bob.address, '0x', carol.address))
+        .to.emit(market, 'ExchangeReferred')
+        .withArgs(0, bob.address, carol.address);
+
+      expect(await erc721.ownerOf(2)).to.be.equal(bob.address);
+      expect(await erc721B.ownerOf(0)).to.be.equal(alice.address);
+      expect(await vault.getReferralBalance(carol.address, usdt.address)).to.be.equal(forReferral);
+    });
+  });
+
+  describe('Referrer claims referral balance', async () => {
+    beforeEach(async () => {
+      await market.connect(bob).buyWithReferrer(0, 1, bob.address, '0x', carol.address, {
+        value: price,
+      });
+      await market.connect(bob).buyWithReferrer(1, 1, bob.address, '0x', carol.address);
+    });
+
+    it('User calls claimReferralBalance fail cause amount exceeds his balance', async () => {
+      await expectRevert(
+        vault.connect(carol).claimReferralBalance(usdt.address, forReferral.add(1), carol.address),
+        ERRORS.INSUFFICIENT_BALANCE
+      );
+      await expectRevert(
+        vault.connect(bob).claimReferralBalance(usdt.address, 1, bob.address),
+        ERRORS.INSUFFICIENT_BALANCE
+      );
+    });
+
+    it('Carol claims her referral balance per token successfully', async () => {
+      await expect(() =>
+        vault.connect(carol).claimReferralBalance(ETH_ADDRESS, forReferral, deployer.address)
+      ).to.changeEtherBalances([vault, deployer], [forReferral.mul(-1), forReferral]);
+
+      await expect(
+        vault.connect(carol).claimReferralBalance(usdt.address, forReferral.div(2), carol.address)
+      )
+        .to.emit(vault, 'ReferralBalanceClaimed')
+        .withArgs(carol.address, usdt.address, forReferral.div(2), carol.address);
+
+      expect(await usdt.balanceOf(carol.address)).to.be.equal(forReferral.div(2));
+      expect(await vault.getReferralBalance(carol.address, ETH_ADDRESS)).to.be.equal(0);
+      expect(await vault.getReferralBalance(carol.address, usdt.address)).to.be.equal(
+        forReferral.sub(forReferral.div(2))
+      );
+      expect(await vault.getReferralEarned(carol.address, ETH_ADDRESS)).to.be.equal(forReferral);
+      expect(await vault.getReferralEarned(carol.address, usdt.address)).to.be.equal(forReferral);
+    });
+  });
+});
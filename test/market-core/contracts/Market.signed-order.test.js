@@ -0,0 +1,243 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC1155,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+const { buildDomain, hashOrder, signOrder, verifyOrder } = require('../../../sdk/signedOrder');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, vault;
+  let moma, erc721, erc1155;
+  let deployer, marketAdmin, alice, bob, carol;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let domain, order;
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, carol] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    vault = modules.vaultProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+
+    await nftList.connect(deployer).registerNFT(erc721.address, false);
+    await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+    await nftList.connect(deployer).registerNFT(erc1155.address, true);
+    await nftList.connect(marketAdmin).acceptNFT(erc1155.address);
+
+    await erc721.connect(deployer).mint(alice.address, 0);
+    await erc1155.connect(deployer).mint(alice.address, 0, 10, '0x');
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await erc1155.connect(alice).setApprovalForAll(market.address, true);
+
+    await moma.connect(deployer).mint(bob.address, ethers.utils.parseEther('1000'));
+    await moma.connect(bob).approve(market.address, ethers.constants.MaxUint256);
+
+    domain = buildDomain((await ethers.provider.getNetwork()).chainId, market.address);
+    order = {
+      seller: alice.address,
+      nftAddress: erc721.address,
+      tokenId: 0,
+      amount: 1,
+      price: ethers.utils.parseEther('1'),
+      token: ETH_ADDRESS,
+      expiry: 0,
+      nonce: 0,
+    };
+  });
+
+  describe('Signed order helpers', async () => {
+    it('Hash of sdk is equal to hash of Market', async () => {
+      expect(await market.getSignedOrderHash(order)).to.be.equal(hashOrder(domain, order));
+    });
+
+    it('Signature is verified locally', async () => {
+      let signature = await signOrder(alice, domain, order);
+      expect(verifyOrder(domain, order, signature)).to.be.equal(true);
+      expect(verifyOrder(domain, { ...order, price: 1 }, signature)).to.be.equal(false);
+
+      let signatureOfBob = await signOrder(bob, domain, order);
+      expect(verifyOrder(domain, order, signatureOfBob)).to.be.equal(false);
+    });
+  });
+
+  describe('User calls fulfillSignedOrder fail', async () => {
+    it('User calls fulfillSignedOrder fail cause signature is not signed by seller', async () => {
+      let signature = await signOrder(carol, domain, order);
+      await expectRevert(
+        market
+          .connect(bob)
+          .fulfillSignedOrder(order, signature, bob.address, { value: order.price }),
+        ERRORS.INVALID_SIGNATURE
+      );
+    });
+
+    it('User calls fulfillSignedOrder fail cause order is changed', async () => {
+      let signature = await signOrder(alice, domain, order);
+      let changedOrder = { ...order, price: 1 };
+      await expectRevert(
+        market.connect(bob).fulfillSignedOrder(changedOrder, signature, bob.address, { value: 1 }),
+        ERRORS.INVALID_SIGNATURE
+      );
+    });
+
+    it('User calls fulfillSignedOrder fail cause caller is seller', async () => {
+      let signature = await signOrder(alice, domain, order);
+      await expectRevert(
+        market
+          .connect(alice)
+          .fulfillSignedOrder(order, signature, alice.address, { value: order.price }),
+        ERRORS.CALLER_IS_SELLER
+      );
+    });
+
+    it('User calls fulfillSignedOrder fail cause order expired', async () => {
+      let expiredOrder = { ...order, expiry: parseInt(await time.latest()) + 3600 };
+      let signature = await signOrder(alice, domain, expiredOrder);
+      await time.increase(3600);
+      await expectRevert(
+        market
+          .connect(bob)
+          .fulfillSignedOrder(expiredOrder, signature, bob.address, { value: order.price }),
+        ERRORS.SELL_ORDER_EXPIRED
+      );
+    });
+
+    it('User calls fulfillSignedOrder fail cause value is not equal price', async () => {
+      let signature = await signOrder(alice, domain, order);
+      await expectRevert(
+        market.connect(bob).fulfillSignedOrder(order, signature, bob.address, { value: 1 }),
+        ERRORS.VALUE_NOT_EQUAL_PRICE
+      );
+    });
+
+    it('User calls fulfillSignedOrder fail cause seller has not approved Market', async () => {
+      await erc721.connect(alice).setApprovalForAll(market.address, false);
+      let signature = await signOrder(alice, domain, order);
+      await expectRevert(
+        market
+          .connect(bob)
+          .fulfillSignedOrder(order, signature, bob.address, { value: order.price }),
+        'ERC721: transfer caller is not owner nor approved'
+      );
+    });
+  });
+
+  describe('User calls fulfillSignedOrder successfully', async () => {
+    it('Bob buys ERC721 of Alice with native coin', async () => {
+      let signature = await signOrder(alice, domain, order);
+      let fee = order.price.mul(25).div(1000);
+      let balanceOfAlice = await alice.getBalance();
+
+      await market
+        .connect(bob)
+        .fulfillSignedOrder(order, signature, carol.address, { value: order.price });
+
+      expect(await erc721.ownerOf(0)).to.be.equal(carol.address);
+      expect(await alice.getBalance()).to.be.equal(balanceOfAlice.add(order.price).sub(fee));
+      expect(await ethers.provider.getBalance(vault.address)).to.be.equal(fee);
+      expect(await market.isNonceUsed(alice.address, 0)).to.be.equal(true);
+    });
+
+    it('Bob buys ERC1155 of Alice with moma', async () => {
+      let momaOrder = {
+        ...order,
+        nftAddress: erc1155.address,
+        amount: 4,
+        price: ethers.utils.parseEther('10'),
+        token: moma.address,
+        nonce: 1,
+      };
+      let signature = await signOrder(alice, domain, momaOrder);
+
+      await market.connect(bob).fulfillSignedOrder(momaOrder, signature, bob.address);
+
+      let amount = momaOrder.price.mul(4);
+      let fee = amount.div(100);
+      expect(await erc1155.balanceOf(bob.address, 0)).to.be.equal(4);
+      expect(await erc1155.balanceOf(alice.address, 0)).to.be.equal(6);
+      expect(await moma.balanceOf(alice.address)).to.be.equal(amount.sub(fee));
+      expect(await moma.balanceOf(vault.address)).to.be.equal(fee);
+    });
+
+    it('User calls fulfillSignedOrder fail cause order is already fulfilled', async () => {
+      let signature = await signOrder(alice, domain, order);
+      await market
+        .connect(bob)
+        .fulfillSignedOrder(order, signature, bob.address, { value: order.price });
+      await erc721.connect(bob).transferFrom(bob.address, alice.address, 0);
+
+      await expectRevert(
+        market
+          .connect(carol)
+          .fulfillSignedOrder(order, signature, carol.address, { value: order.price }),
+        ERRORS.NONCE_USED
+      );
+    });
+  });
+
+  describe('Alice cancels signed orders', async () => {
+    it('Alice calls cancelSignedOrders successfully', async () => {
+      let signature = await signOrder(alice, domain, order);
+      await market.connect(alice).cancelSignedOrders([0, 5]);
+
+      expect(await market.isNonceUsed(alice.address, 0)).to.be.equal(true);
+      expect(await market.isNonceUsed(alice.address, 5)).to.be.equal(true);
+      expect(await market.isNonceUsed(alice.address, 1)).to.be.equal(false);
+      await expectRevert(
+        market
+          .connect(bob)
+          .fulfillSignedOrder(order, signature, bob.address, { value: order.price }),
+        ERRORS.NONCE_USED
+      );
+    });
+
+    it('Alice calls cancelAllSignedOrders successfully', async () => {
+      let signature = await signOrder(alice, domain, { ...order, nonce: 9 });
+      await market.connect(alice).cancelAllSignedOrders(10);
+
+      expect(await market.getMinNonce(alice.address)).to.be.equal(10);
+      expect(await market.isNonceUsed(alice.address, 9)).to.be.equal(true);
+      expect(await market.isNonceUsed(alice.address, 10)).to.be.equal(false);
+      await expectRevert(
+        market.connect(bob).fulfillSignedOrder({ ...order, nonce: 9 }, signature, bob.address, {
+          value: order.price,
+        }),
+        ERRORS.NONCE_USED
+      );
+
+      let newSignature = await signOrder(alice, domain, { ...order, nonce: 10 });
+      await market
+        .connect(bob)
+        .fulfillSignedOrder({ ...order, nonce: 10 }, newSignature, bob.address, {
+          value: order.price,
+        });
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+    });
+
+    it('Alice calls cancelAllSignedOrders fail cause min nonce does not increase', async () => {
+      await market.connect(alice).cancelAllSignedOrders(10);
+      await expectRevert(market.connect(alice).cancelAllSignedOrders(10), ERRORS.INVALID_NONCE);
+    });
+  });
+});
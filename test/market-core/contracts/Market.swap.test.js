@@ -0,0 +1,202 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC20,
+  createMochiswapPair,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Market', async () => {
+  let addressesProvider, nftList, market, vault;
+  let moma, usdt, weth, erc721;
+  let factory, rootRouter;
+  let deployer, marketAdmin, alice, bob;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let deadline = '1901547000';
+  let liquidity = ethers.utils.parseEther('10');
+  let price = ethers.utils.parseEther('1');
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+    usdt = await deployTestERC20(deployer, 'Tether USD', 'USDT');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    vault = modules.vaultProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+    await market.connect(marketAdmin).acceptToken(moma.address);
+
+    // Mochiswap with USDT/MOMA, USDT/WETH and MOMA/WETH pools at 1:1
+    let Factory = await ethers.getContractFactory('Factory');
+    factory = await Factory.connect(deployer).deploy(deployer.address);
+    let WETH = await ethers.getContractFactory('WETH9');
+    weth = await WETH.connect(deployer).deploy();
+    let RootRouter = await ethers.getContractFactory('RootRouter');
+    rootRouter = await RootRouter.connect(deployer).deploy(factory.address, weth.address);
+    await addressesProvider.connect(deployer).setRootRouter(rootRouter.address);
+    await createMochiswapPair(factory, usdt.address, moma.address);
+    await createMochiswapPair(factory, usdt.address, weth.address);
+    await createMochiswapPair(factory, moma.address, weth.address);
+
+    await moma.connect(deployer).mint(deployer.address, liquidity.mul(2));
+    await usdt.connect(deployer).mint(deployer.address, liquidity.mul(2));
+    await moma.connect(deployer).approve(rootRouter.address, ethers.constants.MaxUint256);
+    await usdt.connect(deployer).approve(rootRouter.address, ethers.constants.MaxUint256);
+    await rootRouter
+      .connect(deployer)
+      .addLiquidity(
+        usdt.address,
+        moma.address,
+        liquidity,
+        liquidity,
+        0,
+        0,
+        deployer.address,
+        deadline
+      );
+    await rootRouter
+      .connect(deployer)
+      .addLiquidityETH(usdt.address, liquidity, 0, 0, deployer.address, deadline, {
+        value: liquidity,
+      });
+    await rootRouter
+      .connect(deployer)
+      .addLiquidityETH(moma.address, liquidity, 0, 0, deployer.address, deadline, {
+        value: liquidity,
+      });
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    await nftList.connect(deployer).registerNFT(erc721.address, false);
+    await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+    await erc721.connect(deployer).mint(alice.address, 0);
+    await erc721.connect(deployer).mint(alice.address, 1);
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+
+    await usdt.connect(deployer).mint(bob.address, ethers.utils.parseEther('5'));
+    await usdt.connect(bob).approve(market.address, ethers.constants.MaxUint256);
+
+    // Sell order 0 is paid in MOMA, sell order 1 is paid in native coin
+    await market.connect(alice).createSellOrder(erc721.address, 0, 1, price, moma.address);
+    await market.connect(alice).createSellOrder(erc721.address, 1, 1, price, ETH_ADDRESS);
+  });
+
+  describe('User calls buyWithSwap fail', async () => {
+    it('User calls buyWithSwap fail cause path does not end with token of sell order', async () => {
+      await expectRevert(
+        market
+          .connect(bob)
+          .buyWithSwap(0, 1, bob.address, [usdt.address, weth.address], price.mul(2)),
+        ERRORS.INVALID_SWAP_PATH
+      );
+    });
+
+    it('User calls buyWithSwap fail cause native coin is paid for native coin', async () => {
+      await expectRevert(
+        market
+          .connect(bob)
+          .buyWithSwap(1, 1, bob.address, [weth.address, weth.address], price.mul(2), {
+            value: price.mul(2),
+          }),
+        ERRORS.INVALID_SWAP_PATH
+      );
+    });
+
+    it('User calls buyWithSwap fail cause input exceeds max input', async () => {
+      await expectRevert(
+        market.connect(bob).buyWithSwap(0, 1, bob.address, [usdt.address, moma.address], price),
+        ERRORS.MAX_SPEND_EXCEEDED
+      );
+    });
+
+    it('User calls buyWithSwap fail cause sell order is not active', async () => {
+      await market.connect(alice).cancelSellOrder(0);
+      await expectRevert(
+        market
+          .connect(bob)
+          .buyWithSwap(0, 1, bob.address, [usdt.address, moma.address], price.mul(2)),
+        ERRORS.SELL_ORDER_NOT_ACTIVE
+      );
+    });
+
+    it('User sends native coin to Market fail cause he is not root router', async () => {
+      await expectRevert(
+        bob.sendTransaction({ to: market.address, value: 1 }),
+        ERRORS.CALLER_NOT_ROOT_ROUTER
+      );
+    });
+  });
+
+  describe('User calls buyWithSwap successfully', async () => {
+    it('Bob pays USDT for sell order in MOMA', async () => {
+      let path = [usdt.address, moma.address];
+      let amountIn = (await rootRouter.getAmountsIn(price, path))[0];
+      let fee = price.div(100);
+
+      await market.connect(bob).buyWithSwap(0, 1, bob.address, path, price.mul(2));
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await usdt.balanceOf(bob.address)).to.be.equal(
+        ethers.utils.parseEther('5').sub(amountIn)
+      );
+      expect(await moma.balanceOf(alice.address)).to.be.equal(price.sub(fee));
+      expect(await moma.balanceOf(vault.address)).to.be.equal(fee);
+      expect(await usdt.balanceOf(market.address)).to.be.equal(0);
+      expect(await moma.balanceOf(market.address)).to.be.equal(0);
+    });
+
+    it('Bob pays USDT through WETH for sell order in MOMA', async () => {
+      let path = [usdt.address, weth.address, moma.address];
+      let amountIn = (await rootRouter.getAmountsIn(price, path))[0];
+
+      await market.connect(bob).buyWithSwap(0, 1, bob.address, path, price.mul(2));
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await usdt.balanceOf(bob.address)).to.be.equal(
+        ethers.utils.parseEther('5').sub(amountIn)
+      );
+      expect(await moma.balanceOf(alice.address)).to.be.equal(price.sub(price.div(100)));
+    });
+
+    it('Bob pays native coin for sell order in MOMA and gets leftover back', async () => {
+      let path = [weth.address, moma.address];
+      let amountIn = (await rootRouter.getAmountsIn(price, path))[0];
+      let maxInput = price.mul(2);
+
+      await expect(() =>
+        market.connect(bob).buyWithSwap(0, 1, bob.address, path, maxInput, { value: maxInput })
+      ).to.changeEtherBalances([bob, market], [amountIn.mul(-1), 0]);
+
+      expect(await erc721.ownerOf(0)).to.be.equal(bob.address);
+      expect(await moma.balanceOf(alice.address)).to.be.equal(price.sub(price.div(100)));
+    });
+
+    it('Bob pays USDT for sell order in native coin', async () => {
+      let path = [usdt.address, weth.address];
+      let amountIn = (await rootRouter.getAmountsIn(price, path))[0];
+      let fee = price.mul(25).div(1000);
+
+      await expect(() =>
+        market.connect(bob).buyWithSwap(1, 1, bob.address, path, price.mul(2))
+      ).to.changeEtherBalances([alice, vault, market], [price.sub(fee), fee, 0]);
+
+      expect(await erc721.ownerOf(1)).to.be.equal(bob.address);
+      expect(await usdt.balanceOf(bob.address)).to.be.equal(
+        ethers.utils.parseEther('5').sub(amountIn)
+      );
+    });
+  });
+});
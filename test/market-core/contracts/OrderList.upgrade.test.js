@@ -0,0 +1,204 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+
+const {
+  deployAddressesProvider,
+  deployNFTListProxyAndSetAddress,
+  deploySellOrderListImpl,
+  deployExchangeOrderListImpl,
+  deployTestERC721,
+  deployTestERC1155,
+} = require('../helpers');
+
+describe('SellOrderList and ExchangeOrderList upgrade', async () => {
+  let addressesProvider, nftList;
+  let erc721, erc1155;
+  let deployer, market, alice, bob;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+  let deployV1Proxy = async (name, setImpl, getProxy) => {
+    let Implementation = await ethers.getContractFactory(name);
+    let implementation = await Implementation.connect(deployer).deploy();
+    let initData = implementation.interface.encodeFunctionData('initialize', [
+      addressesProvider.address,
+    ]);
+    await addressesProvider.connect(deployer)[setImpl](implementation.address, initData);
+    return await ethers.getContractAt(name, await addressesProvider[getProxy]());
+  };
+
+  beforeEach(async () => {
+    [deployer, market, alice, bob] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+    let data = await deployNFTListProxyAndSetAddress(deployer, addressesProvider, deployer);
+    nftList = data.nftListProxy;
+    // A signer stands in for Market, the only caller of the lists
+    await addressesProvider
+      .connect(deployer)
+      .setAddress(await addressesProvider.MARKET(), market.address);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    erc1155 = await deployTestERC1155(deployer, 'TestERC1155');
+    await nftList.connect(deployer).registerNFT(erc721.address, false);
+    await nftList.connect(deployer).registerNFT(erc1155.address, true);
+  });
+
+  describe('Sell orders created before the upgrade', async () => {
+    let sellOrderList;
+
+    beforeEach(async () => {
+      let sellOrderListV1 = await deployV1Proxy(
+        'TestSellOrderListV1',
+        'setSellOrderListImpl',
+        'getSellOrderList'
+      );
+      await sellOrderListV1
+        .connect(market)
+        .addSellOrder(erc721.address, 0, 1, alice.address, 1000, ETH_ADDRESS);
+      await sellOrderListV1
+        .connect(market)
+        .addSellOrder(erc1155.address, 0, 10, bob.address, 500, ETH_ADDRESS);
+      await sellOrderListV1.connect(market).completeSellOrder(1, alice.address, 4);
+
+      let sellOrderListImpl = await deploySellOrderListImpl(deployer);
+      await addressesProvider
+        .connect(deployer)
+        .setSellOrderListImpl(sellOrderListImpl.address, '0x');
+      sellOrderList = await ethers.getContractAt('SellOrderList', sellOrderListV1.address);
+    });
+
+    it('Sell orders are read back unchanged', async () => {
+      expect(await sellOrderList.getSellOrderCount()).to.be.equal(2);
+
+      let sellOrder = await sellOrderList.getSellOrderById(0);
+      expect(sellOrder.sellId).to.be.equal(0);
+      expect(sellOrder.nftAddress).to.be.equal(erc721.address);
+      expect(sellOrder.tokenId).to.be.equal(0);
+      expect(sellOrder.amount).to.be.equal(1);
+      expect(sellOrder.soldAmount).to.be.equal(0);
+      expect(sellOrder.seller).to.be.equal(alice.address);
+      expect(sellOrder.price).to.be.equal(1000);
+      expect(sellOrder.token).to.be.equal(ETH_ADDRESS);
+      expect(sellOrder.isActive).to.be.equal(true);
+      expect(sellOrder.buyers).to.deep.equal([]);
+
+      sellOrder = await sellOrderList.getSellOrderById(1);
+      expect(sellOrder.nftAddress).to.be.equal(erc1155.address);
+      expect(sellOrder.amount).to.be.equal(10);
+      expect(sellOrder.soldAmount).to.be.equal(4);
+      expect(sellOrder.seller).to.be.equal(bob.address);
+      expect(sellOrder.price).to.be.equal(500);
+      expect(sellOrder.isActive).to.be.equal(true);
+      expect(sellOrder.buyers).to.deep.equal([alice.address]);
+      expect(sellOrder.buyTimes.length).to.be.equal(1);
+
+      let idList = await sellOrderList.getAvailableSellOrdersIdList();
+      expect(idList.resultERC721).to.deep.equal([ethers.BigNumber.from(0)]);
+      expect(idList.resultERC1155).to.deep.equal([ethers.BigNumber.from(1)]);
+    });
+
+    it('Sell orders have no options and keep their fixed price', async () => {
+      let options = await sellOrderList.getSellOrderOptionsById(0);
+      expect(options.decayEndTime).to.be.equal(0);
+      expect(options.expiry).to.be.equal(0);
+      expect(options.allowedBuyers).to.deep.equal([]);
+      expect(options.isNonCustodial).to.be.equal(false);
+      expect(await sellOrderList.getCurrentPrice(0)).to.be.equal(1000);
+    });
+
+    it('Options of new sell orders are stored apart from the sell orders', async () => {
+      await sellOrderList
+        .connect(market)
+        .addDutchSellOrder(
+          erc721.address,
+          1,
+          1,
+          alice.address,
+          2000,
+          1000,
+          ETH_ADDRESS,
+          4102444800,
+          4102448400
+        );
+      await sellOrderList.connect(market).updateExpiry(0, 4102444800);
+      await sellOrderList.connect(market).reserveSellOrder(0, [bob.address]);
+
+      expect((await sellOrderList.getSellOrderById(2)).price).to.be.equal(2000);
+      expect((await sellOrderList.getSellOrderOptionsById(2)).endPrice).to.be.equal(1000);
+      expect((await sellOrderList.getSellOrderOptionsById(2)).decayEndTime).to.be.equal(4102448400);
+      expect((await sellOrderList.getSellOrderOptionsById(0)).expiry).to.be.equal(4102444800);
+      expect((await sellOrderList.getSellOrderOptionsById(0)).allowedBuyers).to.deep.equal([
+        bob.address,
+      ]);
+      expect((await sellOrderList.getSellOrderById(0)).price).to.be.equal(1000);
+      expect((await sellOrderList.getSellOrderById(1)).soldAmount).to.be.equal(4);
+    });
+  });
+
+  describe('Exchange orders created before the upgrade', async () => {
+    let exchangeOrderList;
+
+    beforeEach(async () => {
+      let exchangeOrderListV1 = await deployV1Proxy(
+        'TestExchangeOrderListV1',
+        'setExchangeOrderListImpl',
+        'getExchangeOrderList'
+      );
+      await exchangeOrderListV1
+        .connect(market)
+        .addExchangeOrder(
+          [erc721.address, erc1155.address],
+          [0, 0],
+          [1, 2],
+          [ETH_ADDRESS, ETH_ADDRESS],
+          [0, 300],
+          [alice.address],
+          ['0x', '0x1234']
+        );
+
+      let exchangeOrderListImpl = await deployExchangeOrderListImpl(deployer);
+      await addressesProvider
+        .connect(deployer)
+        .setExchangeOrderListImpl(exchangeOrderListImpl.address, '0x');
+      exchangeOrderList = await ethers.getContractAt(
+        'ExchangeOrderList',
+        exchangeOrderListV1.address
+      );
+    });
+
+    it('Exchange orders are read back unchanged and have no options', async () => {
+      expect(await exchangeOrderList.getExchangeOrderCount()).to.be.equal(1);
+
+      let exchangeOrder = await exchangeOrderList.getExchangeOrderById(0);
+      expect(exchangeOrder.exchangeId).to.be.equal(0);
+      expect(exchangeOrder.nftAddresses).to.deep.equal([erc721.address, erc1155.address]);
+      expect(exchangeOrder.nftAmounts.map((amount) => amount.toNumber())).to.deep.equal([1, 2]);
+      expect(exchangeOrder.prices.map((price) => price.toNumber())).to.deep.equal([0, 300]);
+      expect(exchangeOrder.users).to.deep.equal([alice.address]);
+      expect(exchangeOrder.times.length).to.be.equal(1);
+      expect(exchangeOrder.data).to.deep.equal(['0x', '0x1234']);
+      expect(exchangeOrder.isActive).to.be.equal(true);
+      expect(exchangeOrder.soldAmount).to.be.equal(0);
+
+      let options = await exchangeOrderList.getExchangeOrderOptionsById(0);
+      expect(options.expiry).to.be.equal(0);
+      expect(options.allowedBuyers).to.deep.equal([]);
+      expect(options.sourceCount).to.be.equal(0);
+      expect(options.isDestinationSet).to.be.equal(false);
+    });
+
+    it('Exchange orders can be completed after the upgrade', async () => {
+      await exchangeOrderList.connect(market).completeExchangeOrder(0, 1, bob.address, 1);
+
+      let exchangeOrder = await exchangeOrderList.getExchangeOrderById(0);
+      expect(exchangeOrder.isActive).to.be.equal(false);
+      expect(exchangeOrder.soldAmount).to.be.equal(1);
+      expect(exchangeOrder.users).to.deep.equal([alice.address, bob.address]);
+      expect(
+        (await exchangeOrderList.getAvailableExchangeOrdersIdList()).resultERC721
+      ).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS, VOLUME_PERIOD } = require('../constans');
+
+describe('TradeStats Contract', async () => {
+  let addressesProvider, nftList, market, vault, tradeStats;
+  let moma, erc721;
+  let deployer, marketAdmin, alice, bob;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let price = ethers.utils.parseEther('1');
+  let fee = price.mul(25).div(1000);
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    vault = modules.vaultProxy;
+    tradeStats = modules.tradeStatsProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    await nftList.connect(deployer).registerNFT(erc721.address, false);
+    await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+    for (let tokenId = 0; tokenId < 3; tokenId++) {
+      await erc721.connect(deployer).mint(alice.address, tokenId);
+    }
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    for (let tokenId = 0; tokenId < 3; tokenId++) {
+      await market.connect(alice).createSellOrder(erc721.address, tokenId, 1, price, ETH_ADDRESS);
+    }
+  });
+
+  it('All deploy successfully', async () => {
+    expect(await addressesProvider.getTradeStats()).to.be.equal(tradeStats.address);
+    expect(await tradeStats.addressesProvider()).to.be.equal(addressesProvider.address);
+    expect(await tradeStats.moma()).to.be.equal(moma.address);
+    expect(await tradeStats.getVolumePeriod()).to.be.equal(VOLUME_PERIOD);
+  });
+
+  describe('Admin manages fee tiers', async () => {
+    it('User calls recordTrade fail cause he is not Market', async () => {
+      await expectRevert(
+        tradeStats.connect(alice).recordTrade(alice.address, bob.address, ETH_ADDRESS, 1),
+        ERRORS.CALLER_NOT_MARKET
+      );
+    });
+
+    it('User calls setVolumeFeeTiers fail cause he is not market admin', async () => {
+      await expectRevert(
+        tradeStats.connect(alice).setVolumeFeeTiers(ETH_ADDRESS, [price], [2000]),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+      await expectRevert(
+        tradeStats.connect(alice).setMomaHolderFeeTiers([price], [2000]),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+    });
+
+    it('Admin calls setVolumeFeeTiers fail cause tiers are invalid', async () => {
+      await expectRevert(
+        tradeStats.connect(marketAdmin).setVolumeFeeTiers(ETH_ADDRESS, [price], [2000, 5000]),
+        ERRORS.PARAMETERS_NOT_MATCH
+      );
+      await expectRevert(
+        tradeStats
+          .connect(marketAdmin)
+          .setVolumeFeeTiers(ETH_ADDRESS, [price.mul(2), price], [2000, 5000]),
+        ERRORS.INVALID_FEE_TIERS
+      );
+      await expectRevert(
+        tradeStats.connect(marketAdmin).setMomaHolderFeeTiers([price], [10001]),
+        ERRORS.INVALID_FEE_TIERS
+      );
+    });
+
+    it('Admin calls setVolumePeriod fail cause period is zero', async () => {
+      await expectRevert(
+        tradeStats.connect(marketAdmin).setVolumePeriod(0),
+        ERRORS.VOLUME_PERIOD_IS_ZERO
+      );
+    });
+
+    it('Admin sets and replaces fee tiers successfully', async () => {
+      await expect(
+        tradeStats
+          .connect(marketAdmin)
+          .setVolumeFeeTiers(ETH_ADDRESS, [price, price.mul(5)], [2000, 5000])
+      )
+        .to.emit(tradeStats, 'VolumeFeeTiersUpdated')
+        .withArgs(ETH_ADDRESS, [price, price.mul(5)], [2000, 5000]);
+      await tradeStats.connect(marketAdmin).setVolumeFeeTiers(ETH_ADDRESS, [price], [1000]);
+
+      let tiers = await tradeStats.getVolumeFeeTiers(ETH_ADDRESS);
+      expect(tiers.length).to.be.equal(1);
+      expect(tiers[0].threshold).to.be.equal(price);
+      expect(tiers[0].discountBps).to.be.equal(1000);
+
+      await expect(tradeStats.connect(marketAdmin).setMomaHolderFeeTiers([100], [3000]))
+        .to.emit(tradeStats, 'MomaHolderFeeTiersUpdated')
+        .withArgs([100], [3000]);
+      expect((await tradeStats.getMomaHolderFeeTiers())[0].discountBps).to.be.equal(3000);
+    });
+  });
+
+  describe('Market records trade volume', async () => {
+    it('Volume of seller and buyer is recorded', async () => {
+      await market.connect(bob).buy(0, 1, bob.address, '0x', { value: price });
+
+      expect(await tradeStats.getRollingVolume(alice.address, ETH_ADDRESS)).to.be.equal(price);
+      expect(await tradeStats.getRollingVolume(bob.address, ETH_ADDRESS)).to.be.equal(price);
+    });
+
+    it('Volume rolls out after two volume periods', async () => {
+      await market.connect(bob).buy(0, 1, bob.address, '0x', { value: price });
+
+      await time.increase(VOLUME_PERIOD);
+      expect(await tradeStats.getRollingVolume(alice.address, ETH_ADDRESS)).to.be.equal(price);
+
+      await time.increase(VOLUME_PERIOD);
+      expect(await tradeStats.getRollingVolume(alice.address, ETH_ADDRESS)).to.be.equal(0);
+    });
+  });
+
+  describe('Market applies fee discount', async () => {
+    beforeEach(async () => {
+      await tradeStats
+        .connect(marketAdmin)
+        .setVolumeFeeTiers(ETH_ADDRESS, [price, price.mul(2)], [2000, 4000]);
+    });
+
+    it('Seller is discounted by the volume tier reached before the trade', async () => {
+      await expect(() =>
+        market.connect(bob).buy(0, 1, bob.address, '0x', { value: price })
+      ).to.changeEtherBalance(vault, fee);
+
+      expect(await tradeStats.getFeeDiscount(alice.address, ETH_ADDRESS)).to.be.equal(2000);
+      let discountedFee = fee.sub(fee.mul(2000).div(10000));
+      await expect(() =>
+        market.connect(bob).buy(1, 1, bob.address, '0x', { value: price })
+      ).to.changeEtherBalances([alice, vault], [price.sub(discountedFee), discountedFee]);
+
+      expect(await tradeStats.getFeeDiscount(alice.address, ETH_ADDRESS)).to.be.equal(4000);
+    });
+
+    it('Seller is discounted by the better of volume and MOMA holder tier', async () => {
+      await tradeStats
+        .connect(marketAdmin)
+        .setMomaHolderFeeTiers([ethers.utils.parseEther('100')], [5000]);
+      await moma.connect(deployer).mint(alice.address, ethers.utils.parseEther('100'));
+
+      expect(await tradeStats.getFeeDiscount(alice.address, ETH_ADDRESS)).to.be.equal(5000);
+      expect(await tradeStats.getFeeDiscount(bob.address, ETH_ADDRESS)).to.be.equal(0);
+
+      await expect(() =>
+        market.connect(bob).buy(0, 1, bob.address, '0x', { value: price })
+      ).to.changeEtherBalance(vault, fee.div(2));
+    });
+  });
+});
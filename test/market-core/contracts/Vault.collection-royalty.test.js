@@ -0,0 +1,235 @@
+/** @format */
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const {
+  deployAddressesProvider,
+  allSetup,
+  deployTestERC721,
+  deployTestERC20,
+} = require('../helpers');
+const { ERRORS } = require('../constans');
+
+describe('Vault Contract', async () => {
+  let addressesProvider, nftList, market, vault;
+  let moma, erc721;
+  let deployer, marketAdmin, alice, bob, registrant, carol, dave;
+  let ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
+  let price = ethers.utils.parseEther('1');
+  let fee = price.mul(25).div(1000);
+
+  beforeEach(async () => {
+    [deployer, marketAdmin, alice, bob, registrant, carol, dave] = await ethers.getSigners();
+
+    addressesProvider = await deployAddressesProvider(deployer);
+
+    moma = await deployTestERC20(deployer, 'MOchi MArket Token', 'MOMA');
+
+    let modules = await allSetup(deployer, addressesProvider, deployer, marketAdmin, moma.address);
+    addressesProvider = modules.addressesProvider;
+    nftList = modules.nftListProxy;
+    market = modules.marketProxy;
+    vault = modules.vaultProxy;
+
+    await market.connect(marketAdmin).acceptToken(ETH_ADDRESS);
+
+    erc721 = await deployTestERC721(deployer, 'TestERC721', 'TestERC721');
+    await nftList.connect(registrant).registerNFT(erc721.address, false);
+    await nftList.connect(marketAdmin).acceptNFT(erc721.address);
+    await erc721.connect(deployer).mint(alice.address, 0);
+    await erc721.connect(alice).setApprovalForAll(market.address, true);
+    await market.connect(alice).createSellOrder(erc721.address, 0, 1, price, ETH_ADDRESS);
+
+    await vault.connect(marketAdmin).setRoyaltyBounds(1000, 5000);
+  });
+
+  describe('Royalty bounds', async () => {
+    it('User calls setRoyaltyBounds fail cause he is not market admin', async () => {
+      await expectRevert(
+        vault.connect(registrant).setRoyaltyBounds(0, 5000),
+        ERRORS.CALLER_NOT_MARKET_ADMIN
+      );
+    });
+
+    it('Admin calls setRoyaltyBounds fail cause range is invalid', async () => {
+      await expectRevert(
+        vault.connect(marketAdmin).setRoyaltyBounds(5000, 1000),
+        ERRORS.RANGE_IS_INVALID
+      );
+      await expectRevert(
+        vault.connect(marketAdmin).setRoyaltyBounds(0, 10001),
+        ERRORS.RANGE_IS_INVALID
+      );
+    });
+
+    it('Admin calls setRoyaltyBounds successfully', async () => {
+      await expect(vault.connect(marketAdmin).setRoyaltyBounds(0, 3000))
+        .to.emit(vault, 'RoyaltyBoundsUpdated')
+        .withArgs(0, 3000);
+
+      let bounds = await vault.getRoyaltyBounds();
+      expect(bounds[0]).to.be.equal(0);
+      expect(bounds[1]).to.be.equal(3000);
+    });
+  });
+
+  describe('Collection royalty rate', async () => {
+    it('User calls setCollectionRoyalty fail cause he is not royalty owner', async () => {
+      await expectRevert(
+        vault.connect(alice).setCollectionRoyalty(erc721.address, 3000),
+        ERRORS.INVALID_BENEFICIARY
+      );
+    });
+
+    it('Registrant calls setCollectionRoyalty fail cause rate is out of bounds', async () => {
+      await expectRevert(
+        vault.connect(registrant).setCollectionRoyalty(erc721.address, 500),
+        ERRORS.ROYALTY_OUT_OF_BOUNDS
+      );
+      await expectRevert(
+        vault.connect(registrant).setCollectionRoyalty(erc721.address, 6000),
+        ERRORS.ROYALTY_OUT_OF_BOUNDS
+      );
+    });
+
+    it('Registrant sets royalty rate and royalty is taken at that rate', async () => {
+      await expect(vault.connect(registrant).setCollectionRoyalty(erc721.address, 4000))
+        .to.emit(vault, 'CollectionRoyaltyUpdated')
+        .withArgs(erc721.address, 4000);
+
+      let rate = await vault.getCollectionRoyalty(erc721.address);
+      expect(rate.isSet).to.be.equal(true);
+      expect(rate.royaltyBps).to.be.equal(4000);
+
+      await market.connect(bob).buy(0, 1, bob.address, '0x', { value: price });
+
+      let royalty = fee.mul(4000).div(10000);
+      expect(await vault.getRoyalty(erc721.address, ETH_ADDRESS)).to.be.equal(royalty);
+      expect(await vault.getMochiFund(ETH_ADDRESS)).to.be.equal(fee.sub(royalty));
+    });
+
+    it('Beneficiary sets royalty rate instead of registrant', async () => {
+      await vault.connect(marketAdmin).setBeneficiary(erc721.address, carol.address);
+
+      await expectRevert(
+        vault.connect(registrant).setCollectionRoyalty(erc721.address, 3000),
+        ERRORS.INVALID_BENEFICIARY
+      );
+      await vault.connect(carol).setCollectionRoyalty(erc721.address, 3000);
+
+      expect((await vault.getCollectionRoyalty(erc721.address)).royaltyBps).to.be.equal(3000);
+    });
+
+    it('Rate is clamped into bounds tightened later', async () => {
+      await vault.connect(registrant).setCollectionRoyalty(erc721.address, 5000);
+      await vault.connect(marketAdmin).setRoyaltyBounds(1000, 2500);
+
+      await market.connect(bob).buy(0, 1, bob.address, '0x', { value: price });
+
+      expect(await vault.getRoyalty(erc721.address, ETH_ADDRESS)).to.be.equal(
+        fee.mul(2500).div(10000)
+      );
+    });
+  });
+
+  describe('Royalty split', async () => {
+    it('User calls setRoyaltySplit fail cause he is not royalty owner', async () => {
+      await expectRevert(
+        vault.connect(carol).setRoyaltySplit(erc721.address, [carol.address], [10000]),
+        ERRORS.INVALID_BENEFICIARY
+      );
+    });
+
+    it('Registrant calls setRoyaltySplit fail cause parameters do not match', async () => {
+      await expectRevert(
+        vault.connect(registrant).setRoyaltySplit(erc721.address, [carol.address], [5000, 5000]),
+        ERRORS.PARAMETERS_NOT_MATCH
+      );
+    });
+
+    it('Registrant calls setRoyaltySplit fail cause shares do not sum to 10000', async () => {
+      await expectRevert(
+        vault
+          .connect(registrant)
+          .setRoyaltySplit(erc721.address, [carol.address, dave.address], [5000, 4000]),
+        ERRORS.INVALID_ROYALTY_SPLIT
+      );
+      await expectRevert(
+        vault
+          .connect(registrant)
+          .setRoyaltySplit(erc721.address, [carol.address, ETH_ADDRESS], [5000, 5000]),
+        ERRORS.INVALID_ROYALTY_SPLIT
+      );
+    });
+
+    describe('Registrant sets split successfully', async () => {
+      let royalty;
+
+      beforeEach(async () => {
+        await vault
+          .connect(registrant)
+          .setRoyaltySplit(erc721.address, [carol.address, dave.address], [7000, 3000]);
+        await market.connect(bob).buy(0, 1, bob.address, '0x', { value: price });
+        royalty = await vault.getRoyalty(erc721.address, ETH_ADDRESS);
+      });
+
+      it('Split is returned by view', async () => {
+        let split = await vault.getRoyaltySplit(erc721.address);
+        expect(split.recipients).to.deep.equal([carol.address, dave.address]);
+        expect(split.shares[0]).to.be.equal(7000);
+        expect(split.shares[1]).to.be.equal(3000);
+      });
+
+      it('Anyone calls claimRoyalty to distribute royalty to recipients', async () => {
+        await expect(
+          vault.connect(bob).claimRoyalty(erc721.address, ETH_ADDRESS, royalty, bob.address)
+        )
+          .to.emit(vault, 'RoyaltyDistributed')
+          .withArgs(erc721.address, ETH_ADDRESS, royalty);
+
+        let shareOfCarol = royalty.mul(7000).div(10000);
+        expect(await vault.getRoyalty(erc721.address, ETH_ADDRESS)).to.be.equal(0);
+        expect(await vault.getClaimableRoyalty(carol.address, ETH_ADDRESS)).to.be.equal(
+          shareOfCarol
+        );
+        expect(await vault.getClaimableRoyalty(dave.address, ETH_ADDRESS)).to.be.equal(
+          royalty.sub(shareOfCarol)
+        );
+      });
+
+      it('Recipient withdraws claimable royalty', async () => {
+        await vault.connect(bob).claimRoyalty(erc721.address, ETH_ADDRESS, royalty, bob.address);
+        let shareOfDave = await vault.getClaimableRoyalty(dave.address, ETH_ADDRESS);
+
+        await expectRevert(
+          vault
+            .connect(dave)
+            .withdrawClaimableRoyalty(ETH_ADDRESS, shareOfDave.add(1), dave.address),
+          ERRORS.INSUFFICIENT_BALANCE
+        );
+
+        await expect(() =>
+          vault.connect(dave).withdrawClaimableRoyalty(ETH_ADDRESS, shareOfDave, carol.address)
+        ).to.changeEtherBalances([carol, vault], [shareOfDave, shareOfDave.mul(-1)]);
+
+        expect(await vault.getClaimableRoyalty(dave.address, ETH_ADDRESS)).to.be.equal(0);
+      });
+
+      it('Registrant removes split and claims royalty again', async () => {
+        await vault.connect(registrant).setRoyaltySplit(erc721.address, [], []);
+
+        await expectRevert(
+          vault.connect(bob).claimRoyalty(erc721.address, ETH_ADDRESS, royalty, bob.address),
+          ERRORS.INVALID_BENEFICIARY
+        );
+        await expect(() =>
+          vault
+            .connect(registrant)
+            .claimRoyalty(erc721.address, ETH_ADDRESS, royalty, registrant.address)
+        ).to.changeEtherBalance(registrant, royalty);
+      });
+    });
+  });
+});
@@ -1,7 +1,30 @@
 /** @format */
 
 const { ethers } = require('hardhat');
-const { REGULAR_FEE, ROYALTY, NATIVE_TOKEN, MOMA_FEE } = require('./constans');
+const { REGULAR_FEE, ROYALTY, NATIVE_TOKEN, MOMA_FEE, VOLUME_PERIOD } = require('./constans');
+
+const MARKET_EXTENSIONS = [
+  'MarketAuctions',
+  'MarketOffers',
+  'MarketBundles',
+  'MarketBatch',
+  'MarketExpiry',
+  'MarketPrivate',
+  'MarketSignedOrders',
+  'MarketNonCustodial',
+  'MarketSwap',
+  'MarketFees',
+  'MarketReferrals',
+  'MarketDenylist',
+  'MarketMultiExchange',
+  'MarketCounterOffers',
+  'MarketPartialExchange',
+  'MarketMatching',
+];
+
+// Pair init code hash hard-coded in MochiswapLibrary.pairFor
+const MOCHISWAP_INIT_CODE_HASH =
+  '0x661367a89af19c29120e78ffe5106ec6b1b227d86a391302ed7c2fc1fe086d2c';
 
 exports.deployAddressesProvider = async (deployer) => {
   let AddressesProvider = await ethers.getContractFactory('AddressesProvider');
@@ -149,9 +172,43 @@ exports.deployMarketProxyAndSetAddress = async (
 
   let marketProxy = await ethers.getContractAt('Market', await addressesProvider.getMarket());
 
+  for (let name of MARKET_EXTENSIONS) {
+    let extension = await this.deployMarketExtension(deployer, name);
+    marketProxy = await this.setMarketExtension(marketProxy, extension, addressesProviderOwner);
+  }
+
   return { marketProxy, addressesProvider };
 };
 
+exports.deployMarketExtension = async (deployer, name) => {
+  let Extension = await ethers.getContractFactory(name);
+  let extension = await Extension.connect(deployer).deploy();
+  return extension;
+};
+
+// Route the functions of extension unknown to Market and return Market with both ABIs
+exports.setMarketExtension = async (market, extension, addressesProviderOwner) => {
+  let fragments = extension.interface.fragments.filter(
+    (fragment) =>
+      (fragment.type === 'function' || fragment.type === 'event') &&
+      market.interface.fragments.every(
+        (marketFragment) =>
+          marketFragment.type !== fragment.type || marketFragment.format() !== fragment.format()
+      )
+  );
+  let selectors = fragments
+    .filter((fragment) => fragment.type === 'function')
+    .map((fragment) => extension.interface.getSighash(fragment));
+
+  await market.connect(addressesProviderOwner).setExtension(selectors, extension.address);
+
+  return new ethers.Contract(
+    market.address,
+    [...market.interface.fragments, ...fragments],
+    market.signer
+  );
+};
+
 exports.deployERC721FactoryImpl = async (deployer) => {
   let ERC721Factory = await ethers.getContractFactory('ERC721Factory');
   let erc721FactoryImpl = await ERC721Factory.connect(deployer).deploy();
@@ -241,6 +298,152 @@ exports.deployExchangeOrderListProxyAndSetAddress = async (
   return { exchangeOrderListProxy, addressesProvider };
 };
 
+exports.deployAuctionListImpl = async (deployer) => {
+  let AuctionList = await ethers.getContractFactory('AuctionList');
+  let auctionListImpl = await AuctionList.connect(deployer).deploy();
+  return auctionListImpl;
+};
+
+exports.deployAuctionListWithInitData = async (deployer, provider) => {
+  let auctionListImpl = await this.deployAuctionListImpl(deployer);
+  let initData = auctionListImpl.interface.encodeFunctionData('initialize', [provider]);
+
+  return { auctionListImpl, initData };
+};
+
+exports.deployAuctionListProxyAndSetAddress = async (
+  deployer,
+  addressesProvider,
+  addressesProviderOwner
+) => {
+  let { auctionListImpl, initData } = await this.deployAuctionListWithInitData(
+    deployer,
+    addressesProvider.address
+  );
+
+  await addressesProvider
+    .connect(addressesProviderOwner)
+    .setAuctionListImpl(auctionListImpl.address, initData);
+
+  let auctionListProxy = await ethers.getContractAt(
+    'AuctionList',
+    await addressesProvider.getAuctionList()
+  );
+
+  return { auctionListProxy, addressesProvider };
+};
+
+exports.deployOfferListImpl = async (deployer) => {
+  let OfferList = await ethers.getContractFactory('OfferList');
+  let offerListImpl = await OfferList.connect(deployer).deploy();
+  return offerListImpl;
+};
+
+exports.deployOfferListWithInitData = async (deployer, provider) => {
+  let offerListImpl = await this.deployOfferListImpl(deployer);
+  let initData = offerListImpl.interface.encodeFunctionData('initialize', [provider]);
+
+  return { offerListImpl, initData };
+};
+
+exports.deployOfferListProxyAndSetAddress = async (
+  deployer,
+  addressesProvider,
+  addressesProviderOwner
+) => {
+  let { offerListImpl, initData } = await this.deployOfferListWithInitData(
+    deployer,
+    addressesProvider.address
+  );
+
+  await addressesProvider
+    .connect(addressesProviderOwner)
+    .setOfferListImpl(offerListImpl.address, initData);
+
+  let offerListProxy = await ethers.getContractAt(
+    'OfferList',
+    await addressesProvider.getOfferList()
+  );
+
+  return { offerListProxy, addressesProvider };
+};
+
+exports.deployBundleListImpl = async (deployer) => {
+  let BundleList = await ethers.getContractFactory('BundleList');
+  let bundleListImpl = await BundleList.connect(deployer).deploy();
+  return bundleListImpl;
+};
+
+exports.deployBundleListWithInitData = async (deployer, provider) => {
+  let bundleListImpl = await this.deployBundleListImpl(deployer);
+  let initData = bundleListImpl.interface.encodeFunctionData('initialize', [provider]);
+
+  return { bundleListImpl, initData };
+};
+
+exports.deployBundleListProxyAndSetAddress = async (
+  deployer,
+  addressesProvider,
+  addressesProviderOwner
+) => {
+  let { bundleListImpl, initData } = await this.deployBundleListWithInitData(
+    deployer,
+    addressesProvider.address
+  );
+
+  await addressesProvider
+    .connect(addressesProviderOwner)
+    .setBundleListImpl(bundleListImpl.address, initData);
+
+  let bundleListProxy = await ethers.getContractAt(
+    'BundleList',
+    await addressesProvider.getBundleList()
+  );
+
+  return { bundleListProxy, addressesProvider };
+};
+
+exports.deployTradeStatsImpl = async (deployer) => {
+  let TradeStats = await ethers.getContractFactory('TradeStats');
+  let tradeStatsImpl = await TradeStats.connect(deployer).deploy();
+  return tradeStatsImpl;
+};
+
+exports.deployTradeStatsWithInitData = async (deployer, provider, moma) => {
+  let tradeStatsImpl = await this.deployTradeStatsImpl(deployer);
+  let initData = tradeStatsImpl.interface.encodeFunctionData('initialize', [
+    provider,
+    moma,
+    VOLUME_PERIOD,
+  ]);
+
+  return { tradeStatsImpl, initData };
+};
+
+exports.deployTradeStatsProxyAndSetAddress = async (
+  deployer,
+  addressesProvider,
+  addressesProviderOwner,
+  moma
+) => {
+  let { tradeStatsImpl, initData } = await this.deployTradeStatsWithInitData(
+    deployer,
+    addressesProvider.address,
+    moma
+  );
+
+  await addressesProvider
+    .connect(addressesProviderOwner)
+    .setTradeStatsImpl(tradeStatsImpl.address, initData);
+
+  let tradeStatsProxy = await ethers.getContractAt(
+    'TradeStats',
+    await addressesProvider.getTradeStats()
+  );
+
+  return { tradeStatsProxy, addressesProvider };
+};
+
 exports.allSetup = async (
   deployer,
   addressesProvider,
@@ -254,7 +457,11 @@ exports.allSetup = async (
     sellOrderListProxy,
     marketProxy,
     creativeStudioProxy,
-    exchangeOrderListProxy;
+    exchangeOrderListProxy,
+    auctionListProxy,
+    offerListProxy,
+    bundleListProxy,
+    tradeStatsProxy;
 
   // for nft list
   data = await this.deployNFTListProxyAndSetAddress(
@@ -302,6 +509,43 @@ exports.allSetup = async (
   addressesProvider = data.addressesProvider;
   exchangeOrderListProxy = data.exchangeOrderListProxy;
 
+  // for auction list
+  data = await this.deployAuctionListProxyAndSetAddress(
+    deployer,
+    addressesProvider,
+    addressesProviderOwner
+  );
+  addressesProvider = data.addressesProvider;
+  auctionListProxy = data.auctionListProxy;
+
+  // for offer list
+  data = await this.deployOfferListProxyAndSetAddress(
+    deployer,
+    addressesProvider,
+    addressesProviderOwner
+  );
+  addressesProvider = data.addressesProvider;
+  offerListProxy = data.offerListProxy;
+
+  // for bundle list
+  data = await this.deployBundleListProxyAndSetAddress(
+    deployer,
+    addressesProvider,
+    addressesProviderOwner
+  );
+  addressesProvider = data.addressesProvider;
+  bundleListProxy = data.bundleListProxy;
+
+  // for trade stats
+  data = await this.deployTradeStatsProxyAndSetAddress(
+    deployer,
+    addressesProvider,
+    addressesProviderOwner,
+    moma
+  );
+  addressesProvider = data.addressesProvider;
+  tradeStatsProxy = data.tradeStatsProxy;
+
   // for market
   data = await this.deployMarketProxyAndSetAddress(
     deployer,
@@ -323,6 +567,10 @@ exports.allSetup = async (
     addressesProvider,
     creativeStudioProxy,
     exchangeOrderListProxy,
+    auctionListProxy,
+    offerListProxy,
+    bundleListProxy,
+    tradeStatsProxy,
   };
 };
 
@@ -343,3 +591,31 @@ exports.deployTestERC20 = async (deployer, name, symbol) => {
   let testERC20 = await TestERC20.connect(deployer).deploy(name, symbol);
   return testERC20;
 };
+
+// Create a pair on factory and make it reachable by RootRouter. The pair address is derived
+// from the init code hash of the deployed MochiswapPair, which a local build does not
+// reproduce, so the new pair code and storage are copied to the address RootRouter expects
+exports.createMochiswapPair = async (factory, tokenA, tokenB) => {
+  await factory.createPair(tokenA, tokenB);
+  let created = await factory.getPair(tokenA, tokenB);
+
+  let [token0, token1] =
+    tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+  let pair = ethers.utils.getCreate2Address(
+    factory.address,
+    ethers.utils.solidityKeccak256(['address', 'address'], [token0, token1]),
+    MOCHISWAP_INIT_CODE_HASH
+  );
+
+  await ethers.provider.send('hardhat_setCode', [pair, await ethers.provider.getCode(created)]);
+  // MochiswapERC20 and MochiswapPair state lives in slots 0 to 12
+  for (let slot = 0; slot <= 12; slot++) {
+    await ethers.provider.send('hardhat_setStorageAt', [
+      pair,
+      ethers.utils.hexValue(slot),
+      await ethers.provider.getStorageAt(created, slot),
+    ]);
+  }
+
+  return pair;
+};